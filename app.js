@@ -9,6 +9,8 @@ const projectRouter = require("./routes/projectRoutes");
 const beaconsRouter = require("./routes/beaconsRoutes");
 const trackedEntitiesRouter = require("./routes/tracked-entitesRoutes");
 const bimplusTokenRouter = require("./routes/bimplusTokenRoutes");
+const radioMapRouter = require("./routes/radioMapRoutes");
+const locationMethodsRouter = require("./routes/locationMethodsRoutes");
 const morganBody = require("morgan-body");
 
 const corsMiddleware = require("./middlewares/CORS/cors");
@@ -20,6 +22,10 @@ const corsMiddleware = require("./middlewares/CORS/cors");
 dotenv.config();
 // creates & updates Token for Bimplus API
 require("./config/bimPlusTokenGenerator")(app);
+// learns periodically the error and the health of the beacons from the stored measurements
+require("./config/beaconErrorEstimator")();
+// proposes periodically corrections of the locations of the beacons from the stored measurements
+require("./config/beaconPositionEstimator")();
 
 //sets up the socket.io-client
 const socketIo = require("./util/SocketIO/socket");
@@ -57,6 +63,12 @@ app.use("/projects/", beaconsRouter);
 //Tracking Entities Router
 app.use("/projects/", trackedEntitiesRouter);
 
+//Radio Map Router
+app.use("/projects/", radioMapRouter);
+
+//Location Methods Router
+app.use("/location-methods", locationMethodsRouter);
+
 //Bimplus Token Router
 app.use(bimplusTokenRouter);
 
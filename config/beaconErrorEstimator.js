@@ -0,0 +1,17 @@
+const beaconErrorServices = require("../services/beacon-error-services");
+/*
+	This .js file sets up an interval so that the error and the health of the beacons are periodically learned from the
+	measurements stored by the tracked entities (see services/beacon-error-services and services/beacon-health-services).
+*/
+
+module.exports = function () {
+	//every hour, can be changed with the environment variable BEACON_ERROR_INTERVAL (milliseconds)
+	const interval = Number(process.env.BEACON_ERROR_INTERVAL) || 3600000;
+	setInterval(async () => {
+		try {
+			await beaconErrorServices.updateAllBeaconErrors();
+		} catch (err) {
+			console.log("Error of the beacons could not be updated: " + err.message);
+		}
+	}, interval);
+};
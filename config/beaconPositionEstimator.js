@@ -0,0 +1,17 @@
+const beaconPositionServices = require("../services/beacon-position-services");
+/*
+	This .js file sets up an interval so that corrections of the locations of the beacons are periodically proposed
+	from the measurements stored by the tracked entities (see services/beacon-position-services).
+*/
+
+module.exports = function () {
+	//every day, can be changed with the environment variable BEACON_POSITION_INTERVAL (milliseconds)
+	const interval = Number(process.env.BEACON_POSITION_INTERVAL) || 24 * 3600000;
+	setInterval(async () => {
+		try {
+			await beaconPositionServices.updateAllPositionCorrections();
+		} catch (err) {
+			console.log("Location of the beacons could not be estimated: " + err.message);
+		}
+	}, interval);
+};
@@ -1,11 +1,17 @@
 const beaconInfoServices=require('../services/beacons-info-services');
+const projectServices = require("../services/project-services");
+const beaconHealthServices = require("../services/beacon-health-services");
+const beaconPositionServices = require("../services/beacon-position-services");
+const beaconTelemetryServices = require("../services/beacon-telemetry-services");
+const placementPlannerServices = require("../services/placement-planner-services");
+const heatmapServices = require("../services/heatmap-services");
 
 const getBeacons = async (req, res) => {
 	const projectId = req.params.project_id;
 	try {
 		const beacons=await beaconInfoServices.getBeacons(projectId);
 		return res.status(200).send({
-			beacons: beacons,
+			beacons: await projectServices.formatCoordinates(projectId, beacons, req.query.coordinates),
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -21,7 +27,7 @@ const getActiveBeacons = async (req, res) => {
 	try {
 		const beacons=await beaconInfoServices.getActiveBeacons(projectId);
 		return res.status(200).send({
-			active_beacons: beacons,
+			active_beacons: await projectServices.formatCoordinates(projectId, beacons, req.query.coordinates),
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -32,13 +38,158 @@ const getActiveBeacons = async (req, res) => {
 };
 
 
+const getBeaconsHealth = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		const beacons = await beaconHealthServices.getHealthReport(projectId);
+		return res.status(200).send({
+			beacons: beacons,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+
+const getPositionCorrections = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		const beacons = await beaconPositionServices.getProposedCorrections(projectId);
+		return res.status(200).send({
+			beacons: beacons,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const estimatePositionCorrections = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		await beaconPositionServices.updatePositionCorrections(projectId);
+		const beacons = await beaconPositionServices.getProposedCorrections(projectId);
+		return res.status(200).send({
+			beacons: beacons,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const acceptPositionCorrection = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	try {
+		const beacon = await beaconPositionServices.acceptPositionCorrection(projectId, beaconId);
+		return res.status(200).send({
+			message: "Successfully accepted the Position Correction",
+			beacon: beacon,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const rejectPositionCorrection = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	try {
+		const beacon = await beaconPositionServices.rejectPositionCorrection(projectId, beaconId);
+		return res.status(200).send({
+			message: "Successfully rejected the Position Correction",
+			beacon: beacon,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+
+const addBeaconsTelemetry = async (req, res) => {
+	const projectId = req.params.project_id;
+	const telemetry = req.body.telemetry;
+	try {
+		const result = await beaconTelemetryServices.addTelemetry(projectId, telemetry);
+		return res.status(201).send({
+			message: "Successfully stored the Telemetry",
+			...result,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const getBeaconTelemetry = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	const filter = {
+		from: req.query.from,
+		to: req.query.to,
+		limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined,
+	};
+	try {
+		const telemetry = await beaconTelemetryServices.getTelemetry(projectId, beaconId, filter);
+		return res.status(200).send({
+			telemetry: telemetry,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+const getPlacementPlan = async (req, res) => {
+	const projectId = req.params.project_id;
+	const { storey, beacons, resolution, max_range, min_beacons, max_gdop, format = "json" } = req.body;
+	const options = {};
+	if (resolution !== undefined) options.resolution = Number(resolution);
+	if (max_range !== undefined) options.maxRange = Number(max_range);
+	if (min_beacons !== undefined) options.minBeacons = Number(min_beacons);
+	if (max_gdop !== undefined) options.maxGdop = Number(max_gdop);
+	try {
+		const plan = await placementPlannerServices.getPlacementPlan(projectId, storey, beacons, options);
+		if (format === "svg") {
+			return res.status(200).type("image/svg+xml").send(heatmapServices.toSvg(plan, plan.beacons));
+		}
+		if (format === "png") {
+			return res.status(200).type("image/png").send(heatmapServices.toPng(plan, plan.beacons));
+		}
+		return res.status(200).send(plan);
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
 const getBeacon=async(req, res)=>{
 	const projectId = req.params.project_id;
 	const beaconId=req.params.beacon_id;
 	try {
 		const beacon=await beaconInfoServices.getBeacon(projectId,beaconId);
+		const [formattedBeacon] = await projectServices.formatCoordinates(projectId, [beacon], req.query.coordinates);
 		return res.status(200).send({
-			beacon: beacon,
+			beacon: formattedBeacon,
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -69,4 +220,126 @@ const setBeaconUID=async(req, res)=>{
 
 }
 
-module.exports = { getBeacons,getActiveBeacons ,getBeacon, setBeaconUID};
+const setBeaconPathLoss = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	const pathLoss = {
+		reference_rssi: req.body.reference_rssi,
+		path_loss_exponent: req.body.path_loss_exponent,
+	};
+	try {
+		const beacon = await beaconInfoServices.setBeaconPathLoss(projectId, beaconId, pathLoss);
+		return res.status(200).send({
+			beacon: beacon,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const setBeaconAnchorType = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	const anchorType = req.body.anchor_type;
+	try {
+		const beacon = await beaconInfoServices.setBeaconAnchorType(projectId, beaconId, anchorType);
+		return res.status(200).send({
+			beacon: beacon,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const deleteBeaconPathLoss = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	try {
+		const beacon = await beaconInfoServices.deleteBeaconPathLoss(projectId, beaconId);
+		return res.status(200).send({
+			beacon: beacon,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const setBeaconCalibration = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	const samples = req.body.samples;
+	try {
+		const beacon = await beaconInfoServices.setBeaconCalibration(projectId, beaconId, samples);
+		return res.status(201).send({
+			message: "Successfully Calibrated Beacon",
+			calibration: beacon.calibration,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const getBeaconCalibration = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	try {
+		const calibration = await beaconInfoServices.getBeaconCalibration(projectId, beaconId);
+		return res.status(200).send({
+			calibration: calibration,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const deleteBeaconCalibration = async (req, res) => {
+	const projectId = req.params.project_id;
+	const beaconId = req.params.beacon_id;
+	try {
+		await beaconInfoServices.deleteBeaconCalibration(projectId, beaconId);
+		return res.status(200).send({
+			message: "Successfully Removed Calibration of Beacon",
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+module.exports = {
+	getBeacons,
+	getActiveBeacons,
+	getBeaconsHealth,
+	getPositionCorrections,
+	estimatePositionCorrections,
+	acceptPositionCorrection,
+	rejectPositionCorrection,
+	addBeaconsTelemetry,
+	getBeaconTelemetry,
+	getPlacementPlan,
+	getBeacon,
+	setBeaconUID,
+	setBeaconPathLoss,
+	deleteBeaconPathLoss,
+	setBeaconAnchorType,
+	setBeaconCalibration,
+	getBeaconCalibration,
+	deleteBeaconCalibration,
+};
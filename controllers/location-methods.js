@@ -0,0 +1,22 @@
+const locationMethods = require("../services/location-methods");
+
+const getLocationMethods = async (req, res) => {
+	try {
+		return res.status(200).send({
+			location_methods: locationMethods.getLocationMethods().map((locationMethod) => ({
+				name: locationMethod.name,
+				description: locationMethod.description,
+				measurement_schema: locationMethod.measurementSchema,
+			})),
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+module.exports = {
+	getLocationMethods,
+};
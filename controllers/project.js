@@ -115,6 +115,246 @@ const getBeaconsModel = async (req, res) => {
 	}
 };
 
+const setBuildingElements = async (req, res) => {
+	const bimPlusAuthToken = req.app.get("BimPlusToken")["access_token"];
+	const projectId = req.params.project_id;
+	try {
+		const buildingElements = await projectServices.setBuildingElements(projectId, bimPlusAuthToken);
+		return res.status(200).send({
+			message: "Successfully set Building Elements",
+			building_elements: buildingElements,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const getBuildingElements = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		const buildingElements = await projectServices.getBuildingElements(projectId, req.query.category);
+		return res.status(200).send({
+			building_elements: buildingElements,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const setPathLoss = async (req, res) => {
+	const projectId = req.params.project_id;
+	const pathLoss = {
+		reference_rssi: req.body.reference_rssi,
+		path_loss_exponent: req.body.path_loss_exponent,
+	};
+	try {
+		const updatedPathLoss = await projectServices.setPathLoss(projectId, pathLoss);
+		return res.status(200).send({
+			message: "Successfully set Path Loss Parameters",
+			path_loss: updatedPathLoss,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const setOutlierRejection = async (req, res) => {
+	const projectId = req.params.project_id;
+	const outlierRejection = {
+		method: req.body.method,
+		threshold: req.body.threshold,
+		relative_threshold: req.body.relative_threshold,
+	};
+	try {
+		const updatedOutlierRejection = await projectServices.setOutlierRejection(projectId, outlierRejection);
+		return res.status(200).send({
+			message: "Successfully set Outlier Rejection",
+			outlier_rejection: updatedOutlierRejection,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const setMeasurementTiming = async (req, res) => {
+	const projectId = req.params.project_id;
+	const measurementTiming = {
+		max_sample_age: req.body.max_sample_age,
+		max_clock_skew: req.body.max_clock_skew,
+	};
+	try {
+		const updatedMeasurementTiming = await projectServices.setMeasurementTiming(projectId, measurementTiming);
+		return res.status(200).send({
+			message: "Successfully set Measurement Timing",
+			measurement_timing: updatedMeasurementTiming,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const setBeaconHealthSettings = async (req, res) => {
+	const projectId = req.params.project_id;
+	const settings = {
+		max_displacement: req.body.max_displacement,
+		silent_after: req.body.silent_after,
+		min_missed: req.body.min_missed,
+		hearing_range: req.body.hearing_range,
+		low_battery_voltage: req.body.low_battery_voltage,
+		low_battery_level: req.body.low_battery_level,
+		webhook_url: req.body.webhook_url,
+	};
+	try {
+		const updatedSettings = await projectServices.setBeaconHealthSettings(projectId, settings);
+		return res.status(200).send({
+			message: "Successfully set Beacon Health Settings",
+			beacon_health: updatedSettings,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const setLocationMethodChain = async (req, res) => {
+	const projectId = req.params.project_id;
+	const chain = req.body.methods;
+	try {
+		const updatedChain = await projectServices.setLocationMethodChain(projectId, chain);
+		return res.status(200).send({
+			message: "Successfully set Location Method Chain",
+			location_method_chain: updatedChain,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const setGeoReference = async (req, res) => {
+	const projectId = req.params.project_id;
+	const geoReference = {
+		origin: req.body.origin,
+		model_origin: req.body.model_origin,
+		rotation: req.body.rotation,
+		scale: req.body.scale,
+	};
+	try {
+		const updatedGeoReference = await projectServices.setGeoReference(projectId, geoReference);
+		return res.status(200).send({
+			message: "Successfully set Geo-Reference",
+			geo_reference: updatedGeoReference,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const getGeoReference = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		const geoReference = await projectServices.getGeoReference(projectId);
+		return res.status(200).send({
+			geo_reference: geoReference,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const addControlPoint = async (req, res) => {
+	const projectId = req.params.project_id;
+	const controlPoint = {
+		name: req.body.name,
+		model: req.body.model,
+		geographic: req.body.geographic,
+	};
+	try {
+		const storedControlPoint = await projectServices.addControlPoint(projectId, controlPoint);
+		return res.status(201).send({
+			message: "Successfully added Control Point",
+			control_point: storedControlPoint,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const getControlPoints = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		const controlPoints = await projectServices.getControlPoints(projectId);
+		return res.status(200).send({
+			control_points: controlPoints,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const deleteControlPoint = async (req, res) => {
+	const projectId = req.params.project_id;
+	const controlPointId = req.params.control_point_id;
+	try {
+		await projectServices.deleteControlPoint(projectId, controlPointId);
+		return res.status(200).send({
+			message: "Successfully deleted Control Point",
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const fitGeoReference = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		const geoReference = await projectServices.fitGeoReference(projectId);
+		return res.status(200).send({
+			message: "Successfully fitted Geo-Reference",
+			geo_reference: geoReference,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
 module.exports = {
 	updateProjects,
 	getProjects,
@@ -123,4 +363,17 @@ module.exports = {
 	setBeaconsModel,
 	deleteBeaconsModel,
 	getBeaconsModel,
+	setBuildingElements,
+	getBuildingElements,
+	setPathLoss,
+	setOutlierRejection,
+	setMeasurementTiming,
+	setLocationMethodChain,
+	setBeaconHealthSettings,
+	setGeoReference,
+	getGeoReference,
+	addControlPoint,
+	getControlPoints,
+	deleteControlPoint,
+	fitGeoReference,
 };
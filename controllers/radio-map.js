@@ -0,0 +1,74 @@
+const radioMapServices = require("../services/radio-map-services");
+
+const addFingerprint = async (req, res) => {
+	const userId = req.userId;
+	const projectId = req.params.project_id;
+	const location = req.body.location;
+	const measurementData = req.body.measurement_data;
+	try {
+		const fingerprint = await radioMapServices.addFingerprint(projectId, userId, location, measurementData);
+		return res.status(201).send({
+			message: "Successfully Stored Reference Point",
+			fingerprint: fingerprint,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const getFingerprints = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		const fingerprints = await radioMapServices.getFingerprints(projectId);
+		return res.status(200).send({
+			fingerprints: fingerprints,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const deleteFingerprint = async (req, res) => {
+	const projectId = req.params.project_id;
+	const fingerprintId = req.params.fingerprint_id;
+	try {
+		await radioMapServices.deleteFingerprint(projectId, fingerprintId);
+		return res.status(200).send({
+			message: "Successfully Removed Reference Point",
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+const deleteRadioMap = async (req, res) => {
+	const projectId = req.params.project_id;
+	try {
+		const removedCount = await radioMapServices.deleteRadioMap(projectId);
+		return res.status(200).send({
+			message: "Successfully Removed Radio Map",
+			removed_reference_points: removedCount,
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+module.exports = {
+	addFingerprint,
+	getFingerprints,
+	deleteFingerprint,
+	deleteRadioMap,
+};
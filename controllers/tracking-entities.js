@@ -1,5 +1,35 @@
 const locationEstimatorServices = require("../services/location-estimator-services");
 const trackedEntitiesServices = require("../services/tracked-entities-services");
+const projectServices = require("../services/project-services");
+const measurementLogServices = require("../services/measurement-log-services");
+
+/**
+ * Information about how the location was estimated, returned to the client
+ * @param {JSON} location estimated location
+ */
+const getEstimationReport = (location) => {
+	return {
+		algorithm: location.algorithm,
+		branch: location.branch,
+		location_method: location.location_method,
+		chain_attempts: location.chain_attempts,
+		residual: location.residual,
+		fallback_used: location.fallback_used,
+		fallback_policy: location.fallback_policy,
+		storey: location.storey,
+		accuracy: location.accuracy,
+		gdop: location.gdop,
+		beacons_used: location.beacons_used,
+		discarded_beacons: location.discarded_beacons,
+		room: location.room,
+		snap_distance: location.snap_distance,
+		proximity: location.proximity,
+		near_beacon: location.near_beacon,
+		date: location.date,
+		clock_skew: location.clock_skew,
+		discarded_samples: location.discarded_samples,
+	};
+};
 
 const putTrackedUser = async (req, res) => {
 	
@@ -7,17 +37,71 @@ const putTrackedUser = async (req, res) => {
 	const projectId = req.params.project_id;
 	const measurementData = req.body.measurement_data;
 	const locationMethod = req.body.location_method;
+	const fallbackPolicy = req.body.fallback_policy;
 	try {
+		const previousLocation = locationEstimatorServices.usesPreviousLocation(locationMethod)
+			? await trackedEntitiesServices.getLastTrackedUserLocation(userId, projectId)
+			: undefined;
 		const location = await locationEstimatorServices.estimateLocation(
 			projectId,
 			measurementData,
-			locationMethod
+			locationMethod,
+			fallbackPolicy,
+			{ previousLocation: previousLocation }
 		);
 
-		await trackedEntitiesServices.putTrackedUser(userId, projectId, location);
+		const trackedUser = await trackedEntitiesServices.putTrackedUser(userId, projectId, location);
+		//the measurements are used to learn the error of the beacons, the location is already stored if the log fails
+		try {
+			await measurementLogServices.addMeasurementLog(
+				projectId,
+				"user",
+				userId,
+				measurementData,
+				location,
+				trackedUser.location
+			);
+		} catch (logError) {
+			console.log("Measurement log could not be stored: " + logError.message);
+		}
 
 		return res.status(200).send({
 			message: "Successfully Stored User's Location",
+			estimation: getEstimationReport(location),
+		});
+	} catch (err) {
+		if (!err.statusCode) {
+			err.statusCode = 500;
+		}
+		throw err;
+	}
+};
+
+/**
+ * Estimates the location of the device that makes the call without storing it
+ */
+const locate = async (req, res) => {
+	const projectId = req.params.project_id;
+	const measurementData = req.body.measurement_data;
+	const locationMethod = req.body.location_method;
+	const fallbackPolicy = req.body.fallback_policy;
+	const previousLocation = req.body.previous_location;
+	try {
+		const location = await locationEstimatorServices.estimateLocation(
+			projectId,
+			measurementData,
+			locationMethod,
+			fallbackPolicy,
+			{ previousLocation: previousLocation, diagnostics: true }
+		);
+		const { x, y, z } = location;
+		return res.status(200).send({
+			location: { x, y, z, storey: location.storey, room: location.room },
+			estimation: {
+				...getEstimationReport(location),
+				covariance: location.covariance,
+			},
+			diagnostics: location.diagnostics,
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -35,8 +119,13 @@ const getTrackedUser = async (req, res) => {
 			userId,
 			projectId
 		);
+		const [formattedTrackedUser] = await projectServices.formatCoordinates(
+			projectId,
+			[trackedUser],
+			req.query.coordinates
+		);
 		return res.status(200).send({
-			tracked_user: trackedUser,
+			tracked_user: formattedTrackedUser,
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -53,7 +142,7 @@ const getTrackedUsers = async (req, res) => {
 			projectId
 		);
 		return res.status(200).send({
-			tracked_users: trackedUser,
+			tracked_users: await projectServices.formatCoordinates(projectId, trackedUser, req.query.coordinates),
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -72,16 +161,21 @@ const putTrackedItem = async (req, res) => {
 	const itemName = req.body.item_name;
 	const itemDescription = req.body.item_description;
 	const itemNote = req.body.item_note;
-
+	const fallbackPolicy = req.body.fallback_policy;
 
 	try {
+		const previousLocation = locationEstimatorServices.usesPreviousLocation(locationMethod)
+			? await trackedEntitiesServices.getLastTrackedItemLocation(itemId, projectId)
+			: undefined;
 		const location = await locationEstimatorServices.estimateLocation(
 			projectId,
 			measurementData,
-			locationMethod
+			locationMethod,
+			fallbackPolicy,
+			{ previousLocation: previousLocation }
 		);
 
-		await trackedEntitiesServices.putTrackedItem(
+		const trackedItem = await trackedEntitiesServices.putTrackedItem(
 			userId,
 			projectId,
 			itemId,
@@ -90,9 +184,23 @@ const putTrackedItem = async (req, res) => {
 			location,
 			itemNote
 		);
+		//the measurements are used to learn the error of the beacons, the location is already stored if the log fails
+		try {
+			await measurementLogServices.addMeasurementLog(
+				projectId,
+				"item",
+				itemId,
+				measurementData,
+				location,
+				trackedItem.location
+			);
+		} catch (logError) {
+			console.log("Measurement log could not be stored: " + logError.message);
+		}
 
 		return res.status(200).send({
 			message: "Successfully Stored item's Location",
+			estimation: getEstimationReport(location),
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -110,8 +218,13 @@ const getTrackedItem = async (req, res) => {
 			itemId,
 			projectId
 		);
+		const [formattedTrackedItem] = await projectServices.formatCoordinates(
+			projectId,
+			[trackedItem],
+			req.query.coordinates
+		);
 		return res.status(200).send({
-			tracked_item: trackedItem,
+			tracked_item: formattedTrackedItem,
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -128,7 +241,7 @@ const getTrackedItems = async (req, res) => {
 			projectId
 		);
 		return res.status(200).send({
-			tracked_items: trackedItems,
+			tracked_items: await projectServices.formatCoordinates(projectId, trackedItems, req.query.coordinates),
 		});
 	} catch (err) {
 		if (!err.statusCode) {
@@ -139,6 +252,7 @@ const getTrackedItems = async (req, res) => {
 };
 
 module.exports = {
+	locate,
 	putTrackedUser,
 	getTrackedUser,
 	getTrackedUsers,
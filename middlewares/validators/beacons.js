@@ -0,0 +1,160 @@
+const { check, query, validationResult } = require("express-validator");
+const measurementTimingServices = require("../../services/measurement-timing-services");
+/**
+ * This file contains middlewares for validating the HTTP requests related to beacons and
+ * a middleware for returning a response if the request body was invalid.
+ */
+
+const getBeaconsValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	query("coordinates")
+		.optional()
+		.isIn(["model", "geographic", "both"])
+		.withMessage("The coordinates must be 'model', 'geographic' or 'both'")
+		.bail(),
+];
+
+const getBeaconsHealthValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+];
+
+const getPositionCorrectionsValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+];
+
+const positionCorrectionValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("beacon_id").trim().notEmpty().withMessage("Beacon Id cannot be empty").bail(),
+];
+
+const addBeaconsTelemetryValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("telemetry").isArray({ min: 1 }).withMessage("The telemetry must have at least one reading").bail(),
+	check("telemetry.*.uid_beacon").isString().trim().notEmpty().withMessage("The UID of the beacon cannot be empty"),
+	check("telemetry.*.battery_voltage")
+		.optional()
+		.isFloat({ min: 0 })
+		.withMessage("The battery voltage must be a positive number (milivolts)"),
+	check("telemetry.*.battery_level")
+		.optional()
+		.isFloat({ min: 0, max: 100 })
+		.withMessage("The battery level must be a percentage"),
+	check("telemetry.*.temperature").optional().isFloat().withMessage("The temperature must be a number (Celsius)"),
+	check("telemetry.*.tx_power").optional().isFloat().withMessage("The TX power must be a number (dBm)"),
+	check("telemetry.*.adv_count")
+		.optional()
+		.isInt({ min: 0 })
+		.withMessage("The advertising count must be a positive integer"),
+	check("telemetry.*.uptime")
+		.optional()
+		.isFloat({ min: 0 })
+		.withMessage("The uptime must be a positive number (seconds)"),
+	check("telemetry.*.timestamp")
+		.optional()
+		.custom((value) => {
+			if (!Array.isArray(value) && measurementTimingServices.isValidTimestamp(value)) return true;
+			throw new Error("The timestamp must be epoch milliseconds or ISO 8601");
+		}),
+];
+
+const getBeaconTelemetryValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("beacon_id").trim().notEmpty().withMessage("Beacon Id cannot be empty").bail(),
+	query("from").optional().isISO8601().withMessage("The date must be ISO 8601").bail(),
+	query("to").optional().isISO8601().withMessage("The date must be ISO 8601").bail(),
+	query("limit").optional().isInt({ min: 1, max: 1000 }).withMessage("The limit must be between 1 and 1000").bail(),
+];
+
+const getPlacementPlanValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("storey").isString().trim().notEmpty().withMessage("The storey cannot be empty").bail(),
+	check("resolution")
+		.optional()
+		.isFloat({ min: 100 })
+		.withMessage("The resolution must be at least 100 milimeters")
+		.bail(),
+	check("max_range").optional().isFloat({ gt: 0 }).withMessage("The maximum range must be positive").bail(),
+	check("min_beacons")
+		.optional()
+		.isInt({ min: 2 })
+		.withMessage("The minimum number of beacons must be at least 2")
+		.bail(),
+	check("max_gdop").optional().isFloat({ gt: 0 }).withMessage("The maximum GDOP must be positive").bail(),
+	check("beacons").optional().isArray().withMessage("The beacons must be an array").bail(),
+	check("beacons.*.x").isFloat().withMessage("The coordinates of the beacons must be numbers").toFloat(),
+	check("beacons.*.y").optional().isFloat().withMessage("The coordinates of the beacons must be numbers").toFloat(),
+	check("beacons.*.z").isFloat().withMessage("The coordinates of the beacons must be numbers").toFloat(),
+	check("format").optional().isIn(["json", "svg", "png"]).withMessage("The format must be json, svg or png").bail(),
+];
+
+const setBeaconPathLossValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("beacon_id").trim().notEmpty().withMessage("Beacon Id cannot be empty").bail(),
+	check("reference_rssi")
+		.optional()
+		.isFloat({ max: 0 })
+		.withMessage("The reference RSSI must be a number in dBm")
+		.bail(),
+	check("path_loss_exponent")
+		.optional()
+		.isFloat({ gt: 0 })
+		.withMessage("The path loss exponent must be a positive number")
+		.bail(),
+];
+
+const setBeaconAnchorTypeValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("beacon_id").trim().notEmpty().withMessage("Beacon Id cannot be empty").bail(),
+	check("anchor_type")
+		.exists()
+		.withMessage("The anchor type cannot be empty")
+		.isIn(["ble", "uwb"])
+		.withMessage("The anchor type must be 'ble' or 'uwb'")
+		.bail(),
+];
+
+const setBeaconCalibrationValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("beacon_id").trim().notEmpty().withMessage("Beacon Id cannot be empty").bail(),
+	check("samples")
+		.isArray({ min: 2 })
+		.withMessage("At least two calibration samples are needed")
+		.bail(),
+	check("samples.*.distance")
+		.exists()
+		.withMessage("Calibration sample is not valid")
+		.isFloat({ gt: 0 })
+		.withMessage("The distance of a calibration sample must be positive (milimeters)")
+		.bail(),
+	check("samples.*.rssi")
+		.exists()
+		.withMessage("Calibration sample is not valid")
+		.custom((value) => {
+			const values = Array.isArray(value) ? value : [value];
+			if (values.length > 0 && values.every((element) => element !== null && element !== "" && !isNaN(element)))
+				return true;
+			throw new Error("The RSSI of a calibration sample must be a number or an array of numbers");
+		})
+		.bail(),
+];
+
+//Middleware for returning errors if validation did not succeed.
+const validator = (req, res, next) => {
+	const errors = validationResult(req);
+	if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+	next();
+};
+
+module.exports = {
+	validator,
+	getBeaconsValidation,
+	getBeaconsHealthValidation,
+	getPositionCorrectionsValidation,
+	positionCorrectionValidation,
+	addBeaconsTelemetryValidation,
+	getBeaconTelemetryValidation,
+	getPlacementPlanValidation,
+	setBeaconPathLossValidation,
+	setBeaconAnchorTypeValidation,
+	setBeaconCalibrationValidation,
+};
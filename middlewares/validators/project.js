@@ -0,0 +1,208 @@
+const net = require("net");
+const { check, validationResult } = require("express-validator");
+const locationMethods = require("../../services/location-methods");
+/**
+ * This file contains middlewares for validating the HTTP requests related to the settings of a project and
+ * a middleware for returning a response if the request body was invalid.
+ */
+
+const setPathLossValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("reference_rssi")
+		.exists()
+		.withMessage("The reference RSSI cannot be empty")
+		.isFloat({ max: 0 })
+		.withMessage("The reference RSSI must be a number in dBm")
+		.bail(),
+	check("path_loss_exponent")
+		.exists()
+		.withMessage("The path loss exponent cannot be empty")
+		.isFloat({ gt: 0 })
+		.withMessage("The path loss exponent must be a positive number")
+		.bail(),
+];
+
+const setOutlierRejectionValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("method")
+		.exists()
+		.withMessage("The method cannot be empty")
+		.isIn(["ransac", "residual", "none"])
+		.withMessage("The method must be 'ransac', 'residual' or 'none'")
+		.bail(),
+	check("threshold").optional().isFloat({ gt: 0 }).withMessage("The threshold must be a positive number").bail(),
+	check("relative_threshold")
+		.optional()
+		.isFloat({ min: 0 })
+		.withMessage("The relative threshold must be a positive number")
+		.bail(),
+];
+
+const setMeasurementTimingValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("max_sample_age")
+		.optional()
+		.isFloat({ min: 0 })
+		.withMessage("The maximum sample age must be a positive number")
+		.bail(),
+	check("max_clock_skew")
+		.optional()
+		.isFloat({ min: 0 })
+		.withMessage("The maximum clock skew must be a positive number")
+		.bail(),
+];
+
+const setBeaconHealthSettingsValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("max_displacement")
+		.optional()
+		.isFloat({ min: 0 })
+		.withMessage("The maximum displacement must be a positive number")
+		.bail(),
+	check("silent_after")
+		.optional()
+		.isFloat({ min: 0 })
+		.withMessage("The silent time must be a positive number")
+		.bail(),
+	check("min_missed")
+		.optional()
+		.isInt({ min: 0 })
+		.withMessage("The minimum number of missed locations must be a positive integer")
+		.bail(),
+	check("hearing_range")
+		.optional()
+		.isFloat({ gt: 0 })
+		.withMessage("The hearing range must be a positive number")
+		.bail(),
+	check("low_battery_voltage")
+		.optional()
+		.isFloat({ min: 0 })
+		.withMessage("The low battery voltage must be a positive number (milivolts)")
+		.bail(),
+	check("low_battery_level")
+		.optional()
+		.isFloat({ min: 0, max: 100 })
+		.withMessage("The low battery level must be a percentage")
+		.bail(),
+	check("webhook_url")
+		.optional()
+		.isURL({ protocols: ["https"], require_protocol: true })
+		.withMessage("The webhook must be an HTTPS URL")
+		.bail()
+		.custom((value) => {
+			//the host must be a domain name: IP addresses could reach internal services
+			if (net.isIP(new URL(value).hostname.replace(/^\[|\]$/g, "")) === 0) return true;
+			throw new Error("The host of the webhook must be a domain name");
+		})
+		.bail(),
+];
+
+const setLocationMethodChainValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("methods").isArray({ min: 1 }).withMessage("The chain must have at least one location method").bail(),
+	check("methods.*.method")
+		.custom((value) => {
+			if (value !== "auto" && locationMethods.getLocationMethod(value) !== undefined) return true;
+			throw new Error("The Method is not implemented");
+		})
+		.bail(),
+	check("methods.*.fallback_policy")
+		.optional()
+		.isIn(["center-of-mass", "none"])
+		.withMessage("The fallback policy must be 'center-of-mass' or 'none'")
+		.bail(),
+	check("methods.*.max_residual")
+		.optional()
+		.isFloat({ gt: 0 })
+		.withMessage("The maximum residual must be a positive number")
+		.bail(),
+	check("methods.*.min_beacons")
+		.optional()
+		.isInt({ min: 0 })
+		.withMessage("The minimum number of beacons must be a positive integer")
+		.bail(),
+];
+
+const setGeoReferenceValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("origin.latitude")
+		.exists()
+		.withMessage("The latitude of the origin cannot be empty")
+		.isFloat({ min: -90, max: 90 })
+		.withMessage("The latitude must be a number between -90 and 90")
+		.bail(),
+	check("origin.longitude")
+		.exists()
+		.withMessage("The longitude of the origin cannot be empty")
+		.isFloat({ min: -180, max: 180 })
+		.withMessage("The longitude must be a number between -180 and 180")
+		.bail(),
+	check("origin.altitude").optional().isFloat().withMessage("The altitude must be a number").bail(),
+	check(["model_origin.x", "model_origin.y", "model_origin.z"])
+		.if(check("model_origin").exists())
+		.exists()
+		.withMessage("The origin in the model is not valid")
+		.isFloat()
+		.withMessage("The origin in the model is not valid")
+		.bail(),
+	check("rotation").optional().isFloat().withMessage("The rotation must be a number (degrees)").bail(),
+	check("scale").optional().isFloat({ gt: 0 }).withMessage("The scale must be a positive number").bail(),
+];
+
+const addControlPointValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("name").optional().isString().withMessage("The name must be a string").bail(),
+	check(["model.x", "model.y", "model.z"])
+		.exists()
+		.withMessage("The coordinates in the model cannot be empty")
+		.isFloat()
+		.withMessage("The coordinates in the model must be numbers")
+		.bail(),
+	check("geographic.latitude")
+		.exists()
+		.withMessage("The latitude cannot be empty")
+		.isFloat({ min: -90, max: 90 })
+		.withMessage("The latitude must be a number between -90 and 90")
+		.bail(),
+	check("geographic.longitude")
+		.exists()
+		.withMessage("The longitude cannot be empty")
+		.isFloat({ min: -180, max: 180 })
+		.withMessage("The longitude must be a number between -180 and 180")
+		.bail(),
+	check("geographic.altitude").optional().isFloat().withMessage("The altitude must be a number").bail(),
+];
+
+const deleteControlPointValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("control_point_id").isMongoId().withMessage("Control Point Id is not valid").bail(),
+];
+
+const getBuildingElementsValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("category")
+		.optional()
+		.isIn(["space", "wall", "slab"])
+		.withMessage("The category must be 'space', 'wall' or 'slab'")
+		.bail(),
+];
+
+//Middleware for returning errors if validation did not succeed.
+const validator = (req, res, next) => {
+	const errors = validationResult(req);
+	if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+	next();
+};
+
+module.exports = {
+	validator,
+	setPathLossValidation,
+	setOutlierRejectionValidation,
+	setMeasurementTimingValidation,
+	setLocationMethodChainValidation,
+	setBeaconHealthSettingsValidation,
+	setGeoReferenceValidation,
+	addControlPointValidation,
+	deleteControlPointValidation,
+	getBuildingElementsValidation,
+};
@@ -0,0 +1,53 @@
+const { check, validationResult } = require("express-validator");
+/**
+ * This file contains middlewares for validating the HTTP requests related to the radio map and
+ * a middleware for returning a response if the request body was invalid.
+ */
+
+const addFingerprintValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check(["location.x", "location.y", "location.z"])
+		.exists()
+		.withMessage("The location of the reference point is not valid")
+		.isFloat()
+		.withMessage("The location of the reference point is not valid")
+		.bail(),
+	check("measurement_data")
+		.isArray({ min: 1 })
+		.withMessage("Measurement Data cannot be empty")
+		.bail(),
+	check("measurement_data.*.beacon_uid")
+		.exists()
+		.withMessage("Measurement Data is not valid")
+		.isString()
+		.withMessage("Measurement Data is not valid")
+		.bail(),
+	check("measurement_data.*.rssi")
+		.exists()
+		.withMessage("Measurement Data is not valid")
+		.custom((value) => {
+			const values = Array.isArray(value) ? value : [value];
+			if (values.length > 0 && values.every((element) => element !== null && element !== "" && !isNaN(element)))
+				return true;
+			throw new Error("Measurement Data is not valid");
+		})
+		.bail(),
+];
+
+const deleteFingerprintValidation = [
+	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	check("fingerprint_id").isMongoId().withMessage("Reference Point Id is not valid").bail(),
+];
+
+//Middleware for returning errors if validation did not succeed.
+const validator = (req, res, next) => {
+	const errors = validationResult(req);
+	if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+	next();
+};
+
+module.exports = {
+	validator,
+	addFingerprintValidation,
+	deleteFingerprintValidation,
+};
@@ -1,4 +1,5 @@
-const { check, validationResult, oneOf, param } = require("express-validator");
+const { check, validationResult, query } = require("express-validator");
+const locationMethods = require("../../services/location-methods");
 /**
  * This file contains middlewares for validating the HTTP requests related to tracked entities and
  * a middleware for returning a response if the request body was invalid.
@@ -13,50 +14,56 @@ const putTrackedEntityValidation = [
 		.isEmpty()
 		.withMessage("The Method to calculate the location cannot be Empty")
 		.custom((value) => {
-			if (value === "beacon-trilateration" || value === "gps_location"||value === "beacon-trilateration-2" ) return true;
-			throw new Error("The Method is not implemented")
+			if (locationMethods.getLocationMethod(value) !== undefined) return true;
+			throw new Error("The Method is not implemented");
 		})
 		.bail(),
-	oneOf([
-		[
-			check("measurement_data.*.distance")
-				.exists()
-				.withMessage("Measurement Data is not valid")
-				.custom((value) => {
-					//if it is numeric
-					if (!isNaN(value)) {
-						return true;
-					} //if it is an Array, check that all elements are numbers...
-					if (Array.isArray(value)) {
-						value.forEach((element) => {
-							if (isNaN(element)) {
-								throw new Error("Measurement Data is not valid");
-							}
-						});
-						return true;
-					}
-					throw new Error("Measurement Data is not valid");
-				})
-				.bail(),
-			check("measurement_data.*.beacon_uid")
-				.exists()
-				.withMessage("Measurement Data is not valid")
-				.isString()
-				.withMessage("Measurement Data is not valid")
-				.bail(),
-		],
-	]),
+	check("fallback_policy")
+		.optional()
+		.isIn(["center-of-mass", "none"])
+		.withMessage("The fallback policy must be 'center-of-mass' or 'none'")
+		.bail(),
+	//each location method validates its measurement data
+	check("measurement_data").custom((value, { req }) => {
+		const locationMethod = locationMethods.getLocationMethod(req.body.location_method);
+		if (locationMethod === undefined) return true;
+		return locationMethod.validate(value);
+	}),
 ];
 
 const putTrackedUserValidation = putTrackedEntityValidation;
 
+const locateValidation = [
+	...putTrackedEntityValidation,
+	//location used by the methods that need the previous location of the entity (e.g. pdr-fusion)
+	check("previous_location")
+		.optional()
+		.custom((value) => {
+			const isNumber = (coordinate) => typeof coordinate === "number" && isFinite(coordinate);
+			if (value !== null && typeof value === "object" && ["x", "y", "z"].every((axis) => isNumber(value[axis]))) {
+				return true;
+			}
+			throw new Error("The previous location must have the coordinates x, y and z");
+		})
+		.bail(),
+	check("previous_location.accuracy").optional().isNumeric().withMessage("The accuracy must be a number").bail(),
+];
+//coordinates in which the locations are returned
+const coordinatesValidation = query("coordinates")
+	.optional()
+	.isIn(["model", "geographic", "both"])
+	.withMessage("The coordinates must be 'model', 'geographic' or 'both'")
+	.bail();
+
 const getTrackedUserValidation = [
 	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
 	check("user_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	coordinatesValidation,
 ];
 
 const getTrackedUsersValidation = [
 	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
+	coordinatesValidation,
 ];
 
 const putTrackedItemValidation = [
@@ -69,6 +76,7 @@ const putTrackedItemValidation = [
 const getTrackedItemValidation = [
 	check("project_id").trim().notEmpty().withMessage("Project Id cannot be empty").bail(),
 	check("item_id").trim().notEmpty().withMessage("item Id cannot be empty").bail(),
+	coordinatesValidation,
 ];
 
 const getTrackedItemsValidation = getTrackedUsersValidation;
@@ -82,6 +90,7 @@ const validator = (req, res, next) => {
 
 module.exports = {
 	validator,
+	locateValidation,
 	putTrackedUserValidation,
 	getTrackedUserValidation,
 	getTrackedUsersValidation,
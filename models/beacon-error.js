@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for the error of the distances measured to a beacon. It is learned from the stored measurements
+ * (see services/beacon-error-services) and used to weight the beacon in the weighted least squares estimation.
+ */
+const beaconErrorSchema = new mongoose.Schema({
+	_id: false,
+	variance: { type: Number, required: true }, //mean squared error of the measured distances (milimeters²)
+	mean_error: { type: Number }, //mean error (bias) of the measured distances (milimeters)
+	samples: { type: Number, required: true }, //number of measurements, older measurements count less
+	date: { type: Date, default: Date.now }, //last update
+});
+
+const BeaconError = mongoose.model("BeaconErrorSchema", beaconErrorSchema);
+module.exports = BeaconError;
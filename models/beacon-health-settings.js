@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for the thresholds of the beacon health alerts of a project
+ */
+const beaconHealthSettingsSchema = new mongoose.Schema({
+	_id: false,
+	max_displacement: { type: Number, min: 0 }, //milimeters, beacons displaced further away are "moved"
+	silent_after: { type: Number, min: 0 }, //seconds without being heard before a beacon is "silent"
+	min_missed: { type: Number, min: 0 }, //locations near the beacon without hearing it before it is "silent"
+	hearing_range: { type: Number, min: 0 }, //milimeters, beacons are expected to be heard by the entities this close
+	low_battery_voltage: { type: Number, min: 0 }, //milivolts, beacons with a lower battery voltage raise an alert
+	low_battery_level: { type: Number, min: 0, max: 100 }, //percentage, lower battery levels raise an alert
+	webhook_url: { type: String }, //the alerts are also sent to this URL (POST)
+});
+
+const BeaconHealthSettings = mongoose.model("BeaconHealthSettingsSchema", beaconHealthSettingsSchema);
+module.exports = BeaconHealthSettings;
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for the health of a beacon, learned from the stored measurements
+ * (see services/beacon-health-services).
+ * A beacon is "silent" if it was not heard by the entities near it for a while and "moved" if its measured distances
+ * are consistent with a different location than the one in the model.
+ */
+const beaconHealthSchema = new mongoose.Schema({
+	_id: false,
+	status: { type: String, enum: ["unknown", "ok", "moved", "silent"], default: "unknown" },
+	last_heard: { type: Date }, //date of the last measurement of the beacon
+	expected: { type: Number, default: 0 }, //locations near the beacon, older locations count less
+	heard: { type: Number, default: 0 }, //locations near the beacon where it was heard, older locations count less
+	hit_rate: { type: Number }, //heard / expected
+	missed: { type: Number, default: 0 }, //locations near the beacon since it was last heard
+	residual_samples: { type: Number, default: 0 }, //number of residuals, older residuals count less
+	mean_residual: { type: Number }, //mean of the measured distance minus the distance to the location (milimeters)
+	rms_residual: { type: Number }, //root mean square of the residuals (milimeters)
+	displacement: {
+		//suspected displacement of the beacon in the horizontal plane (milimeters)
+		x: { type: Number },
+		z: { type: Number },
+		distance: { type: Number },
+	},
+	date: { type: Date, default: Date.now }, //last update
+});
+
+const BeaconHealth = mongoose.model("BeaconHealthSchema", beaconHealthSchema);
+module.exports = BeaconHealth;
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+//telemetry older than this time (seconds) is removed by the database
+const TELEMETRY_RETENTION = 90 * 24 * 3600;
+
+/**
+ * Document Schema for the telemetry sent by a beacon (e.g. Eddystone-TLM frames forwarded by a device or a gateway).
+ * The latest telemetry is also stored in the beacon (see services/beacon-telemetry-services).
+ */
+const beaconTelemetrySchema = new mongoose.Schema({
+	project_ref: {
+		type: String,
+		ref: "ProjectSchema",
+		required: true,
+	},
+	beacon_id: { type: String, required: true }, //id of the beacon in the project
+	uid_beacon: { type: String, required: true },
+	date: { type: Date, default: Date.now, expires: TELEMETRY_RETENTION },
+	battery_voltage: { type: Number }, //milivolts
+	battery_level: { type: Number, min: 0, max: 100 }, //percentage
+	temperature: { type: Number }, //degrees Celsius
+	tx_power: { type: Number }, //dBm
+	adv_count: { type: Number },
+	uptime: { type: Number }, //seconds
+});
+beaconTelemetrySchema.index({ project_ref: 1, beacon_id: 1, date: -1 });
+
+const BeaconTelemetry = mongoose.model("BeaconTelemetry", beaconTelemetrySchema);
+module.exports = BeaconTelemetry;
@@ -1,5 +1,11 @@
 const mongoose = require("mongoose");
 const Location = require("./location");
+const PathLoss = require("./path-loss");
+const Calibration = require("./calibration");
+const BeaconError = require("./beacon-error");
+const BeaconHealth = require("./beacon-health");
+const PositionCorrection = require("./position-correction");
+const TelemetryReading = require("./telemetry-reading");
 
 /**
  * Document schema for a single beacon
@@ -12,6 +18,15 @@ const beaconSchema = new mongoose.Schema({
 	name: { type: String, required: true },
 	location: { type: Location.schema, required: true },
 	is_active: { type: Boolean, default: false },
+	storey: { type: String }, //id of the storey that contains the beacon
+	anchor_type: { type: String, enum: ["ble", "uwb"], default: "ble" }, //"uwb" anchors are used by the uwb methods
+	path_loss: { type: PathLoss.schema }, //overrides the path loss parameters of the project for this beacon
+	calibration: { type: Calibration.schema }, //last calibration done on site
+	error: { type: BeaconError.schema }, //error of the measured distances learned from the stored measurements
+	health: { type: BeaconHealth.schema }, //health of the beacon learned from the stored measurements
+	bimplus_location: { type: Location.schema }, //location of the BimPlus model, kept when a correction is accepted
+	position_correction: { type: PositionCorrection.schema }, //proposed correction of the location
+	telemetry: { type: TelemetryReading.schema }, //latest telemetry sent by the beacon
 });
 
 const Beacon = mongoose.model("BeaconSchema", beaconSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const Location = require("./location");
+
+/**
+ * Document Schema for an element of the building (space, wall or slab) extracted from the BimPlus model.
+ * The geometry is simplified to its axis aligned bounding box, used for snapping the estimated locations to the
+ * walkable space.
+ */
+const buildingElementSchema = new mongoose.Schema({
+	_id: String, // Bimplus id of the topology node
+	name: { type: String },
+	category: { type: String, enum: ["space", "wall", "slab"], required: true },
+	storey: { type: String }, //id of the storey that contains the element
+	min: { type: Location.schema, required: true }, //corner of the bounding box with the lowest coordinates
+	max: { type: Location.schema, required: true }, //corner of the bounding box with the highest coordinates
+});
+
+const BuildingElement = mongoose.model("BuildingElementSchema", buildingElementSchema);
+module.exports = BuildingElement;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for the calibration of a beacon. Stores the RSSI samples taken at known distances
+ * and the path loss parameters fitted with them.
+ */
+const calibrationSchema = new mongoose.Schema({
+	_id: false,
+	reference_rssi: { type: Number, required: true }, //fitted RSSI at 1 m (dBm)
+	path_loss_exponent: { type: Number, required: true }, //fitted path loss exponent
+	r_squared: { type: Number }, //coefficient of determination of the fit
+	rmse: { type: Number }, //root mean square error of the fit (dB)
+	samples: {
+		type: [
+			{
+				_id: false,
+				distance: { type: Number, required: true }, //milimeters
+				rssi: { type: Number, required: true }, //dBm
+			},
+		],
+	},
+	date: { type: Date, default: Date.now },
+});
+
+const Calibration = mongoose.model("CalibrationSchema", calibrationSchema);
+module.exports = Calibration;
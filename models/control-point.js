@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+const Location = require("./location");
+
+/**
+ * Document Schema for a surveyed control point of a project. Relates a point of the model with its
+ * geographic coordinates (WGS84).
+ */
+const controlPointSchema = new mongoose.Schema({
+	name: { type: String },
+	model: { type: Location.schema, required: true }, //coordinates in the model
+	geographic: {
+		latitude: { type: Number, required: true, min: -90, max: 90 },
+		longitude: { type: Number, required: true, min: -180, max: 180 },
+		altitude: { type: Number }, //meters, if not defined the point is only used for the horizontal fit
+	},
+	date: { type: Date, default: Date.now },
+});
+
+const ControlPoint = mongoose.model("ControlPointSchema", controlPointSchema);
+module.exports = ControlPoint;
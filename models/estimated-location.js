@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for a location estimated for a tracked entity. Besides the coordinates, it stores
+ * information about how it was estimated.
+ */
+const estimatedLocationSchema = new mongoose.Schema({
+	_id: false,
+	x: { type: Number, required: true },
+	y: { type: Number, required: true },
+	z: { type: Number, required: true },
+	storey: { type: String }, //id of the storey where the entity is
+	accuracy: { type: Number }, //standard deviation of the error in the horizontal plane (model units)
+	covariance: { type: [[Number]], default: undefined }, //3x3 covariance in the coordinates of the model
+	gdop: { type: Number }, //geometric dilution of precision of the used beacons
+	beacons_used: { type: Number },
+	discarded_beacons: { type: [String], default: undefined }, //UIDs of the beacons rejected as outliers
+	algorithm: { type: String },
+	branch: { type: String }, //branch of the algorithm that produced the location
+	location_method: { type: String }, //method of the chain that produced the location ("auto" location method)
+	residual: { type: Number }, //root mean square of the range residuals (model units)
+	room: { type: String }, //id of the space of the building where the entity is
+	snap_distance: { type: Number }, //distance the location was moved to the walkable space (model units)
+	proximity: { type: Boolean }, //too few beacons were heard, the entity is only known to be near a beacon
+	near_beacon: { type: String }, //UID of the beacon of a proximity fix
+	clock_skew: { type: Number }, //difference between the clock of the device and the server (seconds)
+	discarded_samples: { type: Number }, //samples discarded for being older than the newest one
+});
+
+const EstimatedLocation = mongoose.model("EstimatedLocationSchema", estimatedLocationSchema);
+module.exports = EstimatedLocation;
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const Location = require("./location");
+
+/**
+ * Document Schema for a reference point of the radio map of a project.
+ * Stores the RSSI measured to each beacon at a known location.
+ */
+const fingerprintSchema = new mongoose.Schema({
+	project_ref: {
+		type: String,
+		ref: "ProjectSchema",
+		required: true,
+	},
+	location: { type: Location.schema, required: true },
+	rssi_vector: {
+		type: [
+			{
+				_id: false,
+				beacon_uid: { type: String, required: true },
+				rssi: { type: Number, required: true }, //mean RSSI (dBm)
+				samples: { type: Number, default: 1 }, //number of RSSI readings used for the mean
+			},
+		],
+	},
+	recorded_by: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: "User",
+	},
+	date: { type: Date, required: true, default: Date.now },
+});
+
+const Fingerprint = mongoose.model("Fingerprint", fingerprintSchema);
+module.exports = Fingerprint;
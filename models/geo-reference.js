@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const Location = require("./location");
+
+/**
+ * Document Schema for the geo-reference of a project. Relates the coordinates of the model
+ * with geographic coordinates (WGS84).
+ */
+const geoReferenceSchema = new mongoose.Schema({
+	_id: false,
+	origin: {
+		latitude: { type: Number, required: true, min: -90, max: 90 },
+		longitude: { type: Number, required: true, min: -180, max: 180 },
+		altitude: { type: Number, default: 0 }, //meters
+	},
+	model_origin: { type: Location.schema }, //coordinates of the origin in the model
+	rotation: { type: Number, default: 0 }, //degrees, counterclockwise from the x axis of the model to East
+	scale: { type: Number, default: 1000 }, //model units per meter
+	fit: {
+		//only defined if the geo-reference was fitted from control points
+		rmse: { type: Number }, //root mean square of the horizontal residuals (model units)
+		vertical_rmse: { type: Number }, //root mean square of the vertical residuals (model units)
+		residuals: [
+			{
+				_id: false,
+				control_point: { type: String },
+				x: { type: Number },
+				y: { type: Number },
+				z: { type: Number },
+			},
+		],
+		date: { type: Date },
+	},
+});
+
+const GeoReference = mongoose.model("GeoReferenceSchema", geoReferenceSchema);
+module.exports = GeoReference;
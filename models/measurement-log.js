@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const EstimatedLocation = require("./estimated-location");
+
+//logs older than this time (seconds) are removed by the database
+const LOG_RETENTION = 7 * 24 * 3600;
+
+/**
+ * Document Schema for the beacon measurements sent by a tracked entity together with the locations estimated with them.
+ * The logs are used to learn the error of the beacons (see services/beacon-error-services).
+ */
+const measurementLogSchema = new mongoose.Schema({
+	project_ref: {
+		type: String,
+		ref: "ProjectSchema",
+		required: true,
+	},
+	entity_type: { type: String, enum: ["user", "item"], required: true },
+	entity_id: { type: String, required: true }, //id of the user or the item
+	date: { type: Date, default: Date.now, expires: LOG_RETENTION },
+	//raw beacon measurements [{beacon_uid, distance, rssi, tx_power, timestamp}]
+	measurements: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+	raw_location: { type: EstimatedLocation.schema }, //location as estimated, before filtering
+	filtered_location: { type: EstimatedLocation.schema },
+	processed: { type: Boolean, default: false }, //if it was used to update the error of the beacons
+});
+
+const MeasurementLog = mongoose.model("MeasurementLog", measurementLogSchema);
+module.exports = MeasurementLog;
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for the settings of the timestamps of the measurements of a project
+ */
+const measurementTimingSchema = new mongoose.Schema({
+	_id: false,
+	max_sample_age: { type: Number, min: 0 }, //seconds, older samples than the newest one are discarded
+	max_clock_skew: { type: Number, min: 0 }, //seconds, devices with a bigger skew do not date their locations
+});
+
+const MeasurementTiming = mongoose.model("MeasurementTimingSchema", measurementTimingSchema);
+module.exports = MeasurementTiming;
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for a step of the location method chain of a project: the location method and the criteria that its
+ * location must meet to be accepted
+ */
+const methodChainStepSchema = new mongoose.Schema({
+	_id: false,
+	method: { type: String, required: true }, //name of the location method
+	fallback_policy: { type: String, enum: ["center-of-mass", "none"] }, //fallback policy passed to the method
+	max_residual: { type: Number, min: 0 }, //maximum root mean square of the range residuals (milimeters)
+	min_beacons: { type: Number, min: 0 }, //minimum number of beacons used
+});
+
+const MethodChainStep = mongoose.model("MethodChainStepSchema", methodChainStepSchema);
+module.exports = MethodChainStep;
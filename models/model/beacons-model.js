@@ -1,9 +1,11 @@
 const Beacon = require("../beacon");
+const Storey = require("../storey");
 const mongoose = require("mongoose");
 
 const beaconsModel = new mongoose.Schema({
 	_id: String,
 	beacons: {type:[Beacon.schema]}, //All Beacons
+	storeys: { type: [Storey.schema] }, //storeys of the model that contain beacons
 });
 
 module.exports = mongoose.model("BeaconsModel", beaconsModel);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for the settings of the rejection of wrong beacon measurements of a project
+ */
+const outlierRejectionSchema = new mongoose.Schema({
+	_id: false,
+	method: { type: String, enum: ["ransac", "residual", "none"], default: "ransac" },
+	threshold: { type: Number, min: 0 }, //milimeters
+	relative_threshold: { type: Number, min: 0 }, //fraction of the measured distance
+});
+
+const OutlierRejection = mongoose.model("OutlierRejectionSchema", outlierRejectionSchema);
+module.exports = OutlierRejection;
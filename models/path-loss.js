@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for the parameters of the log-distance path loss model
+ * RSSI(d) = reference_rssi - 10 * path_loss_exponent * log10(d / 1m)
+ */
+const pathLossSchema = new mongoose.Schema({
+	_id: false,
+	reference_rssi: { type: Number }, //RSSI at 1 m (dBm)
+	path_loss_exponent: { type: Number, min: 0 },
+});
+
+const PathLoss = mongoose.model("PathLossSchema", pathLossSchema);
+module.exports = PathLoss;
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const Location = require("./location");
+
+/**
+ * Document Schema for a correction of the location of a beacon estimated from the stored measurements
+ * (see services/beacon-position-services). It is a proposal until it is accepted.
+ */
+const positionCorrectionSchema = new mongoose.Schema({
+	_id: false,
+	location: { type: Location.schema, required: true }, //corrected location of the beacon
+	correction: { type: Number, required: true }, //horizontal distance to the current location (milimeters)
+	samples: { type: Number, required: true }, //number of measurements used
+	rms_residual: { type: Number }, //root mean square of the residuals at the corrected location (milimeters)
+	previous_rms_residual: { type: Number }, //root mean square of the residuals at the current location (milimeters)
+	date: { type: Date, default: Date.now },
+});
+
+const PositionCorrection = mongoose.model("PositionCorrectionSchema", positionCorrectionSchema);
+module.exports = PositionCorrection;
@@ -1,6 +1,14 @@
 const mongoose = require("mongoose");
 const Model = require("./model/model");
 const BeaconsModel = require("./model/beacons-model");
+const PathLoss = require("./path-loss");
+const GeoReference = require("./geo-reference");
+const ControlPoint = require("./control-point");
+const OutlierRejection = require("./outlier-rejection");
+const BuildingElement = require("./building-element");
+const MeasurementTiming = require("./measurement-timing");
+const MethodChainStep = require("./method-chain-step");
+const BeaconHealthSettings = require("./beacon-health-settings");
 
 /**
  * Document Schema for a project
@@ -27,6 +35,31 @@ const projectSchema = new mongoose.Schema({
 	beacons_model: {
 		type: BeaconsModel.schema,
 	},
+	path_loss: {
+		type: PathLoss.schema, //parameters for converting RSSI measurements to distances
+	},
+	geo_reference: {
+		type: GeoReference.schema, //relates the coordinates of the model with geographic coordinates
+	},
+	control_points: {
+		type: [ControlPoint.schema], //surveyed points used for fitting the geo-reference
+	},
+	outlier_rejection: {
+		type: OutlierRejection.schema, //settings for discarding wrong beacon measurements
+	},
+	building_elements: {
+		type: [BuildingElement.schema], //spaces, walls and slabs of the beacons model used for map matching
+	},
+	measurement_timing: {
+		type: MeasurementTiming.schema, //settings for the timestamps of the measurements
+	},
+	location_method_chain: {
+		type: [MethodChainStep.schema], //location methods tried in turn by the "auto" location method
+		default: undefined,
+	},
+	beacon_health: {
+		type: BeaconHealthSettings.schema, //thresholds of the beacon health alerts
+	},
 });
 
 const Project = mongoose.model("ProjectSchema", projectSchema);
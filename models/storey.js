@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for a storey (level) of the beacons model
+ */
+const storeySchema = new mongoose.Schema({
+	_id: String, // Bimplus id of the topology node
+	name: { type: String },
+	elevation: { type: Number }, //y coordinate of the floor of the storey
+});
+
+const Storey = mongoose.model("StoreySchema", storeySchema);
+module.exports = Storey;
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+/**
+ * Document Schema for the latest telemetry sent by a beacon (e.g. Eddystone-TLM frames), see
+ * services/beacon-telemetry-services
+ */
+const telemetryReadingSchema = new mongoose.Schema({
+	_id: false,
+	battery_voltage: { type: Number }, //milivolts
+	battery_level: { type: Number, min: 0, max: 100 }, //percentage, sent by some vendor frames
+	temperature: { type: Number }, //degrees Celsius
+	tx_power: { type: Number }, //dBm
+	adv_count: { type: Number }, //advertising frames sent since the beacon was powered on
+	uptime: { type: Number }, //seconds since the beacon was powered on
+	low_battery: { type: Boolean }, //below the low battery thresholds of the project
+	date: { type: Date, default: Date.now },
+});
+
+const TelemetryReading = mongoose.model("TelemetryReadingSchema", telemetryReadingSchema);
+module.exports = TelemetryReading;
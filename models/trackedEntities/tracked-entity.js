@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Location = require("../location");
+const EstimatedLocation = require("../estimated-location");
 /**
  * Base document Schema for all tracked Entities. Tracked items and tracked users
  * Schemas are inherit from this schema. 
@@ -8,8 +9,16 @@ const baseOptions = { discriminatorKey: "entityType" };
 
 const trackedEntitySchema = new mongoose.Schema(
 	{
-		location: { type: Location.schema, required: true },
+		location: { type: EstimatedLocation.schema, required: true }, //filtered location
+		raw_location: { type: EstimatedLocation.schema }, //location as estimated, before filtering
 		date: { type: Date, required: true, default: Date.now },
+		//state of the Kalman filter that smooths the locations
+		filter_state: {
+			position: { type: Location.schema },
+			velocity: { type: Location.schema },
+			covariance: { type: [[Number]] },
+			date: { type: Date },
+		},
 		project_ref: {
 			type: String,
 			ref: "ProjectSchema",
@@ -19,7 +28,8 @@ const trackedEntitySchema = new mongoose.Schema(
 			type: [
 				{
 					_id: false,
-					location: { type: Location.schema },
+					location: { type: EstimatedLocation.schema },
+					raw_location: { type: EstimatedLocation.schema },
 					date: { type: Date },
 				},
 			],
@@ -4,6 +4,7 @@ const router = express.Router();
 const beaconsController = require("../controllers/beacon-info");
 const verifyBimPlusToken = require("../middlewares/authentication/verifyBimPlusToken");
 const verifyAccessToken = require("../middlewares/authentication/verifyToken");
+const beaconsValidator = require("../middlewares/validators/beacons");
 //wrapper to catch errors
 let wrapper = (fn) => (...args) => fn(...args).catch(args[2]);
 
@@ -19,6 +20,9 @@ let wrapper = (fn) => (...args) => fn(...args).catch(args[2]);
  *       "Authorization": "TrackingAPI your-access-token-here"
  *     }
  * 
+ * @apiParam (Query) {String="model","geographic","both"} [coordinates=model] Coordinates of the returned locations. "geographic"
+ * replaces location by geographic_location {latitude, longitude, altitude}, "both" adds geographic_location. The project must have a geo-reference (409 otherwise).
+ *
  * @apiSuccess  (Success 200) {Object[]} beacons List of all the beacons.
  * @apiSuccessExample {json} Success-Response
  *   HTTP/1.1 200 OK
@@ -41,6 +45,8 @@ router.get(
 	"/:project_id/beacons",
 	verifyBimPlusToken,
 	verifyAccessToken,
+	beaconsValidator.getBeaconsValidation,
+	beaconsValidator.validator,
 	wrapper(beaconsController.getBeacons)
 );
 
@@ -56,6 +62,9 @@ router.get(
  *       "Authorization": "TrackingAPI your-access-token-here"
  *     }
  * 
+ * @apiParam (Query) {String="model","geographic","both"} [coordinates=model] Coordinates of the returned locations. "geographic"
+ * replaces location by geographic_location {latitude, longitude, altitude}, "both" adds geographic_location. The project must have a geo-reference (409 otherwise).
+ *
  * @apiSuccess  (Success 200) {Object[]} beacons List of all the Active Beacons.
  * @apiSuccessExample {json} Success-Response
  *   HTTP/1.1 200 OK
@@ -79,10 +88,293 @@ router.get(
 	"/:project_id/active-beacons",
 	verifyBimPlusToken,
 	verifyAccessToken,
+	beaconsValidator.getBeaconsValidation,
+	beaconsValidator.validator,
 	wrapper(beaconsController.getActiveBeacons)
 );
 
+/**
+ * @api {get} /projects/:project_id/beacons/health Get Health of Beacons
+ * @apiName Get Health of Beacons
+ * @apiGroup Beacons
+ * @apiDescription Gets the health of the beacons of the project, learned periodically from the measurements stored with the
+ * locations of the tracked entities. A beacon is expected to be heard by the locations within the hearing range. It is "silent"
+ * if it was missed by min_missed locations in a row and not heard for silent_after seconds, and "moved" if the residuals of its
+ * measured distances are explained by a displacement bigger than max_displacement (see Set Beacon Health Settings).
+ * When a beacon becomes "moved" or "silent" an alert is emitted to the socket (event "beacon-alert") and sent to the webhook of the project.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {Object[]} beacons Health of every beacon of the project.
+ * @apiSuccess  (Success 200) {String="unknown","ok","moved","silent"} beacons.health.status Status of the beacon ("unknown" if it was never heard).
+ * @apiSuccess  (Success 200) {Date} [beacons.health.last_heard] Date of the last measurement of the beacon.
+ * @apiSuccess  (Success 200) {Number} [beacons.health.hit_rate] Ratio of the locations near the beacon that heard it (older locations count less).
+ * @apiSuccess  (Success 200) {Number} beacons.health.missed Locations near the beacon since it was last heard.
+ * @apiSuccess  (Success 200) {Number} [beacons.health.mean_residual] Mean of the measured distances minus the distances to the locations (milimeters).
+ * @apiSuccess  (Success 200) {Number} [beacons.health.rms_residual] Root mean square of the residuals (milimeters).
+ * @apiSuccess  (Success 200) {Object} [beacons.health.displacement] Suspected displacement of the beacon in the horizontal plane {x, z, distance} (milimeters).
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *    "beacons": [
+ *        {
+ *            "_id": "3fe89152-46fc-428a-ba8a-18a165b92a91",
+ *            "uid_beacon": "beaconUID",
+ *            "name": "Beacon7:Beacon:2439889",
+ *            "is_active": true,
+ *            "health": {
+ *                "status": "moved",
+ *                "last_heard": "2020-12-01T10:15:00.000Z",
+ *                "expected": 184.3,
+ *                "heard": 170.2,
+ *                "hit_rate": 0.92,
+ *                "missed": 0,
+ *                "mean_residual": 412.5,
+ *                "rms_residual": 1630.1,
+ *                "displacement": { "x": 1850.2, "z": -320.4, "distance": 1877.7 },
+ *                "date": "2020-12-01T11:00:00.000Z"
+ *            }
+ *        },...
+ *    ]
+ *}
+ */
+router.get(
+	"/:project_id/beacons/health",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.getBeaconsHealthValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.getBeaconsHealth)
+);
 
+/**
+ * @api {get} /projects/:project_id/beacons/position-corrections Get proposed Position Corrections
+ * @apiName Get Position Corrections
+ * @apiGroup Beacons
+ * @apiDescription Gets the beacons with a proposed correction of their location. The locations of the beacons come from the
+ * BimPlus model, so they can differ from where the beacons were mounted. The corrections are estimated periodically from the
+ * measurements stored with accurate locations of the tracked entities (multilateration of the beacon with the locations as
+ * anchors) and are only applied when they are accepted.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {Object[]} beacons Beacons with a proposed correction.
+ * @apiSuccess  (Success 200) {Object} beacons.location Current location of the beacon.
+ * @apiSuccess  (Success 200) {Object} beacons.position_correction Proposed correction.
+ * @apiSuccess  (Success 200) {Object} beacons.position_correction.location Corrected location of the beacon.
+ * @apiSuccess  (Success 200) {Number} beacons.position_correction.correction Horizontal distance to the current location (milimeters).
+ * @apiSuccess  (Success 200) {Number} beacons.position_correction.samples Number of measurements used.
+ * @apiSuccess  (Success 200) {Number} beacons.position_correction.rms_residual Root mean square of the residuals at the corrected location (milimeters).
+ * @apiSuccess  (Success 200) {Number} beacons.position_correction.previous_rms_residual Root mean square of the residuals at the current location (milimeters).
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *    "beacons": [
+ *        {
+ *            "_id": "3fe89152-46fc-428a-ba8a-18a165b92a91",
+ *            "uid_beacon": "beaconUID",
+ *            "name": "Beacon7:Beacon:2439889",
+ *            "location": { "x": -8680.2, "y": 6270, "z": 7009.4 },
+ *            "position_correction": {
+ *                "location": { "x": -7950.8, "y": 6270, "z": 7215.1 },
+ *                "correction": 757.8,
+ *                "samples": 412,
+ *                "rms_residual": 640.2,
+ *                "previous_rms_residual": 985.6,
+ *                "date": "2020-12-01T03:00:00.000Z"
+ *            }
+ *        },...
+ *    ]
+ *}
+ */
+router.get(
+	"/:project_id/beacons/position-corrections",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.getPositionCorrectionsValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.getPositionCorrections)
+);
+
+/**
+ * @api {post} /projects/:project_id/beacons/position-corrections Estimate Position Corrections
+ * @apiName Estimate Position Corrections
+ * @apiGroup Beacons
+ * @apiDescription Estimates now the corrections of the locations of the beacons with the measurements of the last 7 days,
+ * instead of waiting for the periodic estimation. The proposals of the beacons without a new correction are kept.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {Object[]} beacons Beacons with a proposed correction (see Get Position Corrections).
+ */
+router.post(
+	"/:project_id/beacons/position-corrections",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.getPositionCorrectionsValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.estimatePositionCorrections)
+);
+
+/**
+ * @api {post} /projects/:project_id/beacons/telemetry Add Telemetry of Beacons
+ * @apiName Add Telemetry of Beacons
+ * @apiGroup Beacons
+ * @apiDescription Stores the telemetry of beacons (e.g. Eddystone-TLM or vendor frames) forwarded by a device or a gateway.
+ * The beacons are identified by their UID. Every reading is stored in the telemetry of the beacon (see Get Telemetry of Beacon)
+ * and the newest one is shown in the beacon. When the battery of a beacon drops below the thresholds of the project
+ * (see Set Beacon Health Settings) a "low-battery" alert is emitted to the socket (event "beacon-alert") and sent to the webhook of the project.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {Object[]} telemetry Telemetry readings.
+ * @apiParam {String} telemetry.uid_beacon UID of the beacon.
+ * @apiParam {Number} [telemetry.battery_voltage] Battery voltage (milivolts).
+ * @apiParam {Number} [telemetry.battery_level] Battery level (percentage).
+ * @apiParam {Number} [telemetry.temperature] Temperature (degrees Celsius).
+ * @apiParam {Number} [telemetry.tx_power] TX power (dBm).
+ * @apiParam {Number} [telemetry.adv_count] Advertising frames sent since the beacon was powered on.
+ * @apiParam {Number} [telemetry.uptime] Time since the beacon was powered on (seconds).
+ * @apiParam {Number|String} [telemetry.timestamp] Date of the reading (epoch milliseconds or ISO 8601), the date of the server if it is not sent or it differs from it more than the max_clock_skew of the project.
+ * @apiParamExample {json} Request-Example:
+ * {
+ * 	telemetry:[
+ * 			{ uid_beacon: "beaconUID", battery_voltage: 2950, temperature: 21.5, adv_count: 120345, uptime: 864000 },
+ *			{ uid_beacon: "beaconUID2", battery_level: 15, tx_power: -4, timestamp: 1606817700000 },
+ *      ]
+ * }
+ * @apiSuccess  (Success 201) {String} message Indicates success of the storage.
+ * @apiSuccess  (Success 201) {Number} stored Number of stored readings.
+ * @apiSuccess  (Success 201) {String[]} unknown_beacons UIDs that are not beacons of the project (their readings are not stored).
+ * @apiSuccess  (Success 201) {Object[]} alerts Low battery alerts that were raised.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 201 Created
+ *{
+ *    "message": "Successfully stored the Telemetry",
+ *    "stored": 2,
+ *    "unknown_beacons": [],
+ *    "alerts": [
+ *        {
+ *            "beacon_id": "3fe89152-46fc-428a-ba8a-18a165b92a91",
+ *            "beacon_uid": "beaconUID2",
+ *            "name": "Beacon7:Beacon:2439889",
+ *            "status": "low-battery",
+ *            "battery_level": 15,
+ *            "date": "2020-12-01T10:15:00.000Z"
+ *        }
+ *    ]
+ *}
+ */
+router.post(
+	"/:project_id/beacons/telemetry",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.addBeaconsTelemetryValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.addBeaconsTelemetry)
+);
+
+/**
+ * @api {post} /projects/:project_id/beacons/placement-plan Get Placement Plan of Beacons
+ * @apiName Get Placement Plan of Beacons
+ * @apiGroup Beacons
+ * @apiDescription Computes the coverage of a storey with the beacons of the project or with a proposed set of beacons. The
+ * storey is divided in a grid of cells (the bounding box of its building elements, or of the beacons if the project has no
+ * building elements) and, at the center of every walkable cell, the number of beacons in range and the geometric dilution of
+ * precision (GDOP) of the beacons in range are computed. A cell is "good" if it has at least min_beacons beacons in range
+ * and a GDOP up to max_gdop, "poor-geometry" if it has enough beacons but a worse GDOP and "insufficient-beacons" otherwise.
+ * Adjacent poorly covered cells are grouped in areas with a suggestion, biggest first.
+ * The heatmap can also be returned as an SVG or PNG image: a square per cell, z grows downwards and x to the right, green
+ * (GDOP up to 1.5), yellow (good), orange (poor geometry), red (insufficient beacons), white (not walkable) and the beacons
+ * as blue circles.
+ * NOTE: the y axis of the model points up, the grid is in the horizontal plane (x, z).
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {String} storey Id of the storey.
+ * @apiParam {Object[]} [beacons] Proposed beacons {x, y, z} of the storey, the beacons of the project in the storey if it is not sent.
+ * @apiParam {Number} [resolution=1000] Size of the cells (milimeters).
+ * @apiParam {Number} [max_range=10000] Beacons further away are not in range (milimeters).
+ * @apiParam {Number} [min_beacons=3] Beacons in range needed to estimate a location.
+ * @apiParam {Number} [max_gdop=3] Cells with a bigger GDOP have a poor geometry.
+ * @apiParam {String="json","svg","png"} [format="json"] Format of the heatmap.
+ * @apiParamExample {json} Request-Example:
+ * {
+ * 	storey: "7f1c2e6a-2d8e-4c3b-9a1e-0b5d8f3c4e21",
+ * 	resolution: 500,
+ * 	beacons: [{ x: 0, y: 2500, z: 0 }, { x: 8000, y: 2500, z: 0 }, { x: 4000, y: 2500, z: 7000 }]
+ * }
+ * @apiSuccess  (Success 200) {String} storey Id of the storey.
+ * @apiSuccess  (Success 200) {Object[]} beacons Beacons of the plan {x, y, z}.
+ * @apiSuccess  (Success 200) {Object} origin Corner {x, z} of the grid with the lowest coordinates.
+ * @apiSuccess  (Success 200) {Number} resolution Size of the cells (milimeters).
+ * @apiSuccess  (Success 200) {Number} columns Number of columns (x axis).
+ * @apiSuccess  (Success 200) {Number} rows Number of rows (z axis).
+ * @apiSuccess  (Success 200) {Number[][]} beacons_in_range Beacons in range of every cell [row][column], null if the cell is not walkable.
+ * @apiSuccess  (Success 200) {Number[][]} gdop GDOP of every cell [row][column], null if the cell is not walkable or the beacons in range do not define a location.
+ * @apiSuccess  (Success 200) {String[][]} coverage Coverage of every cell [row][column], null if the cell is not walkable.
+ * @apiSuccess  (Success 200) {Object} summary Number of walkable, good, poor geometry and insufficient beacons cells, coverage ratio (good / walkable) and mean GDOP.
+ * @apiSuccess  (Success 200) {Object[]} suggestions Poorly covered areas {issue, cells, area (m²), bounds, center, suggestion}.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *    "storey": "7f1c2e6a-2d8e-4c3b-9a1e-0b5d8f3c4e21",
+ *    "beacons": [{ "x": 0, "y": 2500, "z": 0 }, { "x": 8000, "y": 2500, "z": 0 }, { "x": 4000, "y": 2500, "z": 7000 }],
+ *    "origin": { "x": -2000, "z": -2000 },
+ *    "resolution": 500,
+ *    "columns": 24,
+ *    "rows": 22,
+ *    "beacons_in_range": [[3, 3, ...], ...],
+ *    "gdop": [[2.31, 2.12, ...], ...],
+ *    "coverage": [["good", "good", ...], ...],
+ *    "summary": {
+ *        "walkable_cells": 528,
+ *        "good_cells": 471,
+ *        "poor_geometry_cells": 57,
+ *        "insufficient_beacons_cells": 0,
+ *        "coverage_ratio": 0.892,
+ *        "mean_gdop": 1.64
+ *    },
+ *    "suggestions": [
+ *        {
+ *            "issue": "poor-geometry",
+ *            "cells": 31,
+ *            "area": 7.75,
+ *            "bounds": { "min": { "x": 8000, "z": -2000 }, "max": { "x": 10000, "z": 2000 } },
+ *            "center": { "x": 9020, "z": -310 },
+ *            "suggestion": "Add a beacon near (9020, -310) away from the line of the beacons in range"
+ *        },...
+ *    ]
+ *}
+ */
+router.post(
+	"/:project_id/beacons/placement-plan",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.getPlacementPlanValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.getPlacementPlan)
+);
 
 /**
  * @api {get} /projects/:project_id/beacons/:beacon_id Get information of Beacon
@@ -96,7 +388,17 @@ router.get(
  *       "Authorization": "TrackingAPI your-access-token-here"
  *     }
  * 
+ * @apiParam (Query) {String="model","geographic","both"} [coordinates=model] Coordinates of the returned locations. "geographic"
+ * replaces location by geographic_location {latitude, longitude, altitude}, "both" adds geographic_location. The project must have a geo-reference (409 otherwise).
+ *
  * @apiSuccess  (Success 200) {Object} beacon information about the current beacon
+ * @apiSuccess  (Success 200) {Object} [beacon.error] Error of the distances measured to the beacon, learned periodically from the stored
+ * measurements {variance, mean_error, samples, date} (milimeters). "beacon-multilateration" weights the beacon with 1/variance.
+ * @apiSuccess  (Success 200) {Object} [beacon.bimplus_location] Location of the BimPlus model, if a correction of the location was accepted.
+ * @apiSuccess  (Success 200) {Object} [beacon.position_correction] Proposed correction of the location (see Get Position Corrections).
+ * @apiSuccess  (Success 200) {Object} [beacon.health] Health of the beacon learned periodically from the stored measurements (see Get Health of Beacons).
+ * @apiSuccess  (Success 200) {Object} [beacon.telemetry] Latest telemetry of the beacon {battery_voltage, battery_level, temperature, tx_power,
+ * adv_count, uptime, low_battery, date} (see Add Telemetry of Beacons).
  * @apiSuccessExample {json} Success-Response
  *   HTTP/1.1 200 OK
  *{
@@ -119,6 +421,8 @@ router.get(
 	"/:project_id/beacons/:beacon_id",
 	verifyBimPlusToken,
 	verifyAccessToken,
+	beaconsValidator.getBeaconsValidation,
+	beaconsValidator.validator,
 	wrapper(beaconsController.getBeacon)
 );
 
@@ -148,4 +452,288 @@ router.patch(
 	verifyAccessToken,
 	wrapper(beaconsController.setBeaconUID)
 );
+
+/**
+ * @api {put} /projects/:project_id/beacons/:beacon_id/path-loss Set the path loss parameters of a Beacon
+ * @apiName Set Path Loss Parameters of Beacon
+ * @apiGroup Beacons
+ * @apiDescription Overrides the path loss parameters of the project for the beacon indicated by beacon_id.
+ * These parameters are used to convert the RSSI measured to this beacon to a distance. Parameters that are not sent
+ * are taken from the project.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ * @apiParam {Number} [reference_rssi] RSSI measured at 1 m from the beacon (dBm).
+ * @apiParam {Number} [path_loss_exponent] Path loss exponent.
+ * @apiSuccess  (Success 200) {Object} beacon the updated beacon
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *    "beacon": {
+ *        "is_active": true,
+ *        "_id": "3fe89152-46fc-428a-ba8a-18a165b92a91",
+ *        "uid_beacon": "beaconUID",
+ *        "name": "Beacon7:Beacon:2439889",
+ *        "location": {
+ *            "x": -8680.2,
+ *            "y": 6270,
+ *            "z": 7009.4
+ *        },
+ *        "path_loss": {
+ *            "reference_rssi": -65,
+ *            "path_loss_exponent": 2.4
+ *        }
+ *    }
+ *}
+ */
+router.put(
+	"/:project_id/beacons/:beacon_id/path-loss",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.setBeaconPathLossValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.setBeaconPathLoss)
+);
+
+/**
+ * @api {delete} /projects/:project_id/beacons/:beacon_id/path-loss Remove the path loss parameters of a Beacon
+ * @apiName Remove Path Loss Parameters of Beacon
+ * @apiGroup Beacons
+ * @apiDescription Removes the path loss parameters of the beacon, so that the parameters of the project are used.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ * @apiSuccess  (Success 200) {Object} beacon the updated beacon
+ */
+router.delete(
+	"/:project_id/beacons/:beacon_id/path-loss",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(beaconsController.deleteBeaconPathLoss)
+);
+
+/**
+ * @api {put} /projects/:project_id/beacons/:beacon_id/anchor-type Set the anchor type of a Beacon
+ * @apiName Set Anchor Type of Beacon
+ * @apiGroup Beacons
+ * @apiDescription Sets the radio of the beacon indicated by beacon_id. The UWB anchors are the beacons used by the
+ * "uwb-twr" and "uwb-tdoa" location methods, identified by their UID. Beacons are "ble" by default.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ * @apiParam {String="ble","uwb"} anchor_type Radio of the beacon.
+ * @apiSuccess  (Success 200) {Object} beacon the updated beacon
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *    "beacon": {
+ *        "is_active": true,
+ *        "_id": "3fe89152-46fc-428a-ba8a-18a165b92a91",
+ *        "uid_beacon": "anchorUID",
+ *        "name": "Beacon7:Beacon:2439889",
+ *        "anchor_type": "uwb",
+ *        "location": {
+ *            "x": -8680.2,
+ *            "y": 6270,
+ *            "z": 7009.4
+ *        }
+ *    }
+ *}
+ */
+router.put(
+	"/:project_id/beacons/:beacon_id/anchor-type",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.setBeaconAnchorTypeValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.setBeaconAnchorType)
+);
+
+/**
+ * @api {post} /projects/:project_id/beacons/:beacon_id/calibration Calibrate a Beacon
+ * @apiName Calibrate Beacon
+ * @apiGroup Beacons
+ * @apiDescription Calibrates the beacon with RSSI samples taken on site at known distances from the beacon.
+ * The reference RSSI (at 1 m) and the path loss exponent are fitted to the samples and stored as the path loss parameters of the beacon,
+ * so they are used automatically when locations are estimated with RSSI measurements.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ * @apiParam {json[]} samples List of samples (at least two different distances).
+ * @apiParam {Number} samples.distance Distance from the beacon where the sample was taken (in Milimeters).
+ * @apiParam {Number||[Number]} samples.rssi RSSI or Array of RSSIs measured at that distance (dBm).
+ * @apiParamExample {json} Request-Example:
+ * {
+ * 	samples:[
+ * 			{ distance: 1000, rssi: [-60,-61,-59] },
+ *			{ distance: 3000, rssi: -71 },
+ *			{ distance: 5000, rssi: [-75,-77] },
+ *      ]
+ * }
+ * @apiSuccess  (Success 201) {String} message Indicates success of the calibration.
+ * @apiSuccess  (Success 201) {Object} calibration Fitted parameters and samples.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 201 Created
+ *{
+ *    "message": "Successfully Calibrated Beacon",
+ *    "calibration": {
+ *        "reference_rssi": -60.1,
+ *        "path_loss_exponent": 2.3,
+ *        "r_squared": 0.97,
+ *        "rmse": 0.8,
+ *        "samples": [{ "distance": 1000, "rssi": -60 },...],
+ *        "date": "2020-10-11T17:00:42.072Z"
+ *    }
+ *}
+ */
+router.post(
+	"/:project_id/beacons/:beacon_id/calibration",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.setBeaconCalibrationValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.setBeaconCalibration)
+);
+
+/**
+ * @api {get} /projects/:project_id/beacons/:beacon_id/calibration Get calibration of a Beacon
+ * @apiName Get Calibration of Beacon
+ * @apiGroup Beacons
+ * @apiDescription Gets the last calibration of the beacon.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ * @apiSuccess  (Success 200) {Object} calibration Fitted parameters and samples.
+ */
+router.get(
+	"/:project_id/beacons/:beacon_id/calibration",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(beaconsController.getBeaconCalibration)
+);
+
+/**
+ * @api {delete} /projects/:project_id/beacons/:beacon_id/calibration Remove calibration of a Beacon
+ * @apiName Remove Calibration of Beacon
+ * @apiGroup Beacons
+ * @apiDescription Removes the calibration of the beacon and its path loss parameters, so that the parameters of the project are used.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ * @apiSuccess  (Success 200) {String} message Indicates success of the removal.
+ */
+router.delete(
+	"/:project_id/beacons/:beacon_id/calibration",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(beaconsController.deleteBeaconCalibration)
+);
+
+/**
+ * @api {get} /projects/:project_id/beacons/:beacon_id/telemetry Get Telemetry of Beacon
+ * @apiName Get Telemetry of Beacon
+ * @apiGroup Beacons
+ * @apiDescription Gets the telemetry readings of the beacon, newest first. Readings are kept for 90 days.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam (Query) {String} [from] Oldest date of the readings (ISO 8601).
+ * @apiParam (Query) {String} [to] Newest date of the readings (ISO 8601).
+ * @apiParam (Query) {Number} [limit=100] Maximum number of readings (1 to 1000).
+ *
+ * @apiSuccess  (Success 200) {Object[]} telemetry Readings {beacon_id, uid_beacon, date, battery_voltage, battery_level, temperature,
+ * tx_power, adv_count, uptime}.
+ */
+router.get(
+	"/:project_id/beacons/:beacon_id/telemetry",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.getBeaconTelemetryValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.getBeaconTelemetry)
+);
+
+/**
+ * @api {put} /projects/:project_id/beacons/:beacon_id/position-correction Accept the Position Correction of a Beacon
+ * @apiName Accept Position Correction
+ * @apiGroup Beacons
+ * @apiDescription Moves the beacon to the location of its proposed correction (see Get Position Corrections). The location of
+ * the BimPlus model is kept in bimplus_location. The learned error and health of the beacon are reset.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the update.
+ * @apiSuccess  (Success 200) {Object} beacon The updated beacon.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *    "message": "Successfully accepted the Position Correction",
+ *    "beacon": {
+ *        "is_active": true,
+ *        "_id": "3fe89152-46fc-428a-ba8a-18a165b92a91",
+ *        "uid_beacon": "beaconUID",
+ *        "name": "Beacon7:Beacon:2439889",
+ *        "location": { "x": -7950.8, "y": 6270, "z": 7215.1 },
+ *        "bimplus_location": { "x": -8680.2, "y": 6270, "z": 7009.4 }
+ *    }
+ *}
+ */
+router.put(
+	"/:project_id/beacons/:beacon_id/position-correction",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.positionCorrectionValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.acceptPositionCorrection)
+);
+
+/**
+ * @api {delete} /projects/:project_id/beacons/:beacon_id/position-correction Reject the Position Correction of a Beacon
+ * @apiName Reject Position Correction
+ * @apiGroup Beacons
+ * @apiDescription Removes the proposed correction of the location of the beacon. A new correction can be proposed by the next estimation.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the removal.
+ * @apiSuccess  (Success 200) {Object} beacon The updated beacon.
+ */
+router.delete(
+	"/:project_id/beacons/:beacon_id/position-correction",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	beaconsValidator.positionCorrectionValidation,
+	beaconsValidator.validator,
+	wrapper(beaconsController.rejectPositionCorrection)
+);
 module.exports = router;
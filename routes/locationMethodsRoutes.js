@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+
+const locationMethodsController = require("../controllers/location-methods");
+const verifyAccessToken = require("../middlewares/authentication/verifyToken");
+//wrapper to catch errors
+let wrapper = (fn) => (...args) => fn(...args).catch(args[2]);
+
+/**
+ * @api {get} /location-methods Get the supported Location Methods
+ * @apiName Get Location Methods
+ * @apiGroup Location Methods
+ * @apiDescription Lists the location methods supported by the server. The name is sent as location_method when the
+ * location of a tracked entity is put, and measurement_data must follow the measurement_schema (JSON Schema) of the method.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {Object[]} location_methods List of the location methods.
+ * @apiSuccess  (Success 200) {String} location_methods.name Name of the method.
+ * @apiSuccess  (Success 200) {String} location_methods.description Description of the method.
+ * @apiSuccess  (Success 200) {json} location_methods.measurement_schema JSON Schema of the measurement data of the method.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "location_methods": [
+ *    {
+ *      "name": "gps-location",
+ *      "description": "GPS location (WGS84) transformed to the coordinates of the model. The project must have a geo-reference.",
+ *      "measurement_schema": {
+ *        "type": "object",
+ *        "properties": {
+ *          "latitude": { "description": "degrees", "type": "number", "minimum": -90, "maximum": 90 },
+ *          "longitude": { "description": "degrees", "type": "number", "minimum": -180, "maximum": 180 },...
+ *        },
+ *        "required": ["latitude", "longitude"]
+ *      }
+ *    },...
+ *  ]
+ *}
+ */
+router.get("", verifyAccessToken, wrapper(locationMethodsController.getLocationMethods));
+
+module.exports = router;
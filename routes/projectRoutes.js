@@ -4,7 +4,7 @@ const router = express.Router();
 const projectController = require("../controllers/project");
 const verifyBimPlusToken = require("../middlewares/authentication/verifyBimPlusToken");
 const verifyAccessToken = require("../middlewares/authentication/verifyToken");
-// const projectValidator = require("../middlewares/validators/user");
+const projectValidator = require("../middlewares/validators/project");
 
 //wrapper to catch errors
 let wrapper = (fn) => (...args) => fn(...args).catch(args[2]);
@@ -247,4 +247,487 @@ router.get(
 	verifyAccessToken,
 	wrapper(projectController.getBeaconsModel)
 );
+
+/**
+ * @api {put} /projects/:project-id/building-elements Extract the building elements of the beacons model
+ * @apiName Set Building Elements
+ * @apiGroup Models
+ * @apiDescription Extracts the spaces (rooms), walls and slabs of the model that contains the beacons from BimPlus and stores their bounding boxes.
+ * Once they are set, the estimated locations are moved to the nearest walkable space of their storey (map matching) and the room of the
+ * tracked entities is recorded. Calling it again replaces the building elements.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the extraction.
+ * @apiSuccess  (Success 200) {json[]} building_elements Extracted elements {_id, name, category, storey, min, max}, min and max are the corners of the bounding box.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "message": "Successfully set Building Elements",
+ *  "building_elements": [
+ *    {
+ *      "_id": "6a1f0c2e-8c4b-4a51-9d0e-0d8c2b7c1f10",
+ *      "name": "Office 1.02",
+ *      "category": "space",
+ *      "storey": "2d5b6a3c-1e4f-4b7a-8c9d-0e1f2a3b4c5d",
+ *      "min": { "x": 0, "y": 0, "z": 0 },
+ *      "max": { "x": 5000, "y": 3000, "z": 4000 }
+ *    },...
+ *  ]
+ *}
+ */
+router.put(
+	"/:project_id/building-elements",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(projectController.setBuildingElements)
+);
+
+/**
+ * @api {get} /projects/:project-id/building-elements Get the building elements of the beacons model
+ * @apiName Get Building Elements
+ * @apiGroup Models
+ * @apiDescription Obtains the spaces (rooms), walls and slabs used for map matching.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam (Query) {String="space","wall","slab"} [category] Returns only the elements of the category.
+ *
+ * @apiSuccess  (Success 200) {json[]} building_elements Elements {_id, name, category, storey, min, max}.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "building_elements": [
+ *    {
+ *      "_id": "6a1f0c2e-8c4b-4a51-9d0e-0d8c2b7c1f10",
+ *      "name": "Office 1.02",
+ *      "category": "space",
+ *      "storey": "2d5b6a3c-1e4f-4b7a-8c9d-0e1f2a3b4c5d",
+ *      "min": { "x": 0, "y": 0, "z": 0 },
+ *      "max": { "x": 5000, "y": 3000, "z": 4000 }
+ *    },...
+ *  ]
+ *}
+ */
+router.get(
+	"/:project_id/building-elements",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.getBuildingElementsValidation,
+	projectValidator.validator,
+	wrapper(projectController.getBuildingElements)
+);
+
+/**
+ * @api {put} /projects/:project-id/path-loss Set the path loss parameters of the project
+ * @apiName Set Path Loss Parameters
+ * @apiGroup Project
+ * @apiDescription Sets the parameters of the log-distance path loss model that is used to convert the RSSI measurements to distances:
+ * RSSI(d) = reference_rssi - 10 * path_loss_exponent * log10(d / 1m).
+ * The parameters can be overridden for each beacon. If they are not set, reference_rssi = -59 dBm and path_loss_exponent = 2 are used.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {Number} reference_rssi RSSI measured at 1 m from the beacon (dBm).
+ * @apiParam {Number} path_loss_exponent Path loss exponent (2 in free space, usually between 2 and 4 indoors).
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the update.
+ * @apiSuccess  (Success 200) {Object} path_loss The path loss parameters of the project.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "message": "Successfully set Path Loss Parameters",
+ *  "path_loss": {
+ *    "reference_rssi": -59,
+ *    "path_loss_exponent": 2.2
+ *  }
+ *}
+ */
+router.put(
+	"/:project_id/path-loss",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.setPathLossValidation,
+	projectValidator.validator,
+	wrapper(projectController.setPathLoss)
+);
+
+/**
+ * @api {put} /projects/:project-id/outlier-rejection Set the outlier rejection of the project
+ * @apiName Set Outlier Rejection
+ * @apiGroup Project
+ * @apiDescription Sets how wrong beacon measurements (e.g. reflections) are discarded before the trilateration.
+ * A measurement is wrong if |distance(location, beacon) - measured distance| > max(threshold, relative_threshold * measured distance).
+ * At least 4 beacons (5 for beacon-multilateration) are needed for discarding a measurement.
+ * If the project has not set it, "ransac" with the default thresholds is used.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {String="ransac","residual","none"} method "ransac" finds the subset of beacons that agrees with most measurements,
+ * "residual" discards the measurement with the biggest residual until all of them agree, "none" does not discard any measurement.
+ * @apiParam {Number} [threshold=1000] Maximum residual (milimeters).
+ * @apiParam {Number} [relative_threshold=0.25] Maximum residual relative to the measured distance.
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the update.
+ * @apiSuccess  (Success 200) {Object} outlier_rejection The outlier rejection settings of the project.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "message": "Successfully set Outlier Rejection",
+ *  "outlier_rejection": {
+ *    "method": "ransac",
+ *    "threshold": 1500,
+ *    "relative_threshold": 0.3
+ *  }
+ *}
+ */
+router.put(
+	"/:project_id/outlier-rejection",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.setOutlierRejectionValidation,
+	projectValidator.validator,
+	wrapper(projectController.setOutlierRejection)
+);
+
+/**
+ * @api {put} /projects/:project-id/measurement-timing Set the measurement timing of the project
+ * @apiName Set Measurement Timing
+ * @apiGroup Project
+ * @apiDescription Sets how the timestamps of the measurements are used. Samples older than max_sample_age relative to
+ * the newest sample of the same request are discarded before the estimation. The timestamp of the newest sample is the date
+ * of the location, unless the clock of the device differs from the clock of the server more than max_clock_skew
+ * (then the date of the server is used). The settings that are not sent use the defaults.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {Number} [max_sample_age=5] Maximum age of a sample relative to the newest one (seconds).
+ * @apiParam {Number} [max_clock_skew=30] Maximum difference between the clock of the device and the server (seconds).
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the update.
+ * @apiSuccess  (Success 200) {Object} measurement_timing The measurement timing settings of the project.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "message": "Successfully set Measurement Timing",
+ *  "measurement_timing": {
+ *    "max_sample_age": 3,
+ *    "max_clock_skew": 60
+ *  }
+ *}
+ */
+router.put(
+	"/:project_id/measurement-timing",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.setMeasurementTimingValidation,
+	projectValidator.validator,
+	wrapper(projectController.setMeasurementTiming)
+);
+
+/**
+ * @api {put} /projects/:project-id/location-method-chain Set the location method chain of the project
+ * @apiName Set Location Method Chain
+ * @apiGroup Project
+ * @apiDescription Sets the location methods tried in turn by the "auto" location method. The first location that meets
+ * the acceptance criteria of its method is returned, together with the name of the method. Methods that do not accept the
+ * measurement data or fail are skipped. Without a chain, "auto" tries beacon-trilateration without fallback and then
+ * beacon-trilateration-2.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {Object[]} methods Location methods in the order they are tried.
+ * @apiParam {String} methods.method Name of the location method (any registered method except "auto").
+ * @apiParam {String="center-of-mass","none"} [methods.fallback_policy=none] Fallback policy passed to the method.
+ * @apiParam {Number} [methods.max_residual] Maximum root mean square of the range residuals (milimeters).
+ * @apiParam {Number} [methods.min_beacons] Minimum number of beacons used by the location.
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the update.
+ * @apiSuccess  (Success 200) {Object[]} location_method_chain The location method chain of the project.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "message": "Successfully set Location Method Chain",
+ *  "location_method_chain": [
+ *    { "method": "beacon-multilateration", "max_residual": 800, "min_beacons": 4 },
+ *    { "method": "beacon-trilateration", "fallback_policy": "none", "max_residual": 1500 },
+ *    { "method": "beacon-trilateration-2" }
+ *  ]
+ *}
+ */
+router.put(
+	"/:project_id/location-method-chain",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.setLocationMethodChainValidation,
+	projectValidator.validator,
+	wrapper(projectController.setLocationMethodChain)
+);
+
+/**
+ * @api {put} /projects/:project-id/beacon-health Set Beacon Health Settings
+ * @apiName Set Beacon Health Settings
+ * @apiGroup Project
+ * @apiDescription Sets the thresholds of the health of the beacons (see Get Health of Beacons and Add Telemetry of Beacons).
+ * The settings that are not sent use the defaults. When a beacon becomes "moved" or "silent" the alert {project_id, alerts:
+ * [{beacon_id, beacon_uid, name, status, last_heard, hit_rate, displacement}]} is sent with a POST request to the webhook.
+ * When the battery of a beacon becomes low the alert has status "low-battery" and {battery_voltage, battery_level, date}.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {Number} [max_displacement=1000] Beacons displaced further away are "moved" (milimeters).
+ * @apiParam {Number} [silent_after=3600] Time without being heard before a beacon is "silent" (seconds).
+ * @apiParam {Number} [min_missed=10] Locations near the beacon that did not hear it before it is "silent".
+ * @apiParam {Number} [hearing_range=10000] Beacons are expected to be heard by the locations this close (milimeters).
+ * @apiParam {Number} [low_battery_voltage=2500] Beacons whose telemetry reports a lower battery voltage raise a "low-battery" alert (milivolts).
+ * @apiParam {Number} [low_battery_level=20] Beacons whose telemetry reports a lower battery level raise a "low-battery" alert (percentage).
+ * @apiParam {String} [webhook_url] HTTPS URL, with a domain name, where the alerts are sent.
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the update.
+ * @apiSuccess  (Success 200) {Object} beacon_health The beacon health settings of the project.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "message": "Successfully set Beacon Health Settings",
+ *  "beacon_health": {
+ *    "max_displacement": 1500,
+ *    "silent_after": 1800,
+ *    "webhook_url": "https://example.com/beacon-alerts"
+ *  }
+ *}
+ */
+router.put(
+	"/:project_id/beacon-health",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.setBeaconHealthSettingsValidation,
+	projectValidator.validator,
+	wrapper(projectController.setBeaconHealthSettings)
+);
+
+/**
+ * @api {put} /projects/:project-id/geo-reference Set the geo-reference of the project
+ * @apiName Set Geo-Reference
+ * @apiGroup Project
+ * @apiDescription Sets where the model of the project is located on Earth, so that GPS locations (WGS84) can be transformed
+ * to coordinates of the model. The local East-North-Up frame at origin is rotated, scaled and moved to model_origin.
+ * NOTE: the y axis of the model points up; with rotation 0 the x axis points East and the -z axis points North.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {json} origin Geographic coordinates of the origin.
+ * @apiParam {Number} origin.latitude Latitude (degrees).
+ * @apiParam {Number} origin.longitude Longitude (degrees).
+ * @apiParam {Number} [origin.altitude=0] Altitude (meters).
+ * @apiParam {json} [model_origin={x:0,y:0,z:0}] Coordinates of the origin in the model.
+ * @apiParam {Number} [rotation=0] Angle (degrees, counterclockwise seen from above) from the x axis of the model to East.
+ * @apiParam {Number} [scale=1000] Model units per meter.
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the update.
+ * @apiSuccess  (Success 200) {Object} geo_reference The geo-reference of the project.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "message": "Successfully set Geo-Reference",
+ *  "geo_reference": {
+ *    "origin": { "latitude": 48.1496, "longitude": 11.5678, "altitude": 520 },
+ *    "model_origin": { "x": 0, "y": 0, "z": 0 },
+ *    "rotation": 12.5,
+ *    "scale": 1000
+ *  }
+ *}
+ */
+router.put(
+	"/:project_id/geo-reference",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.setGeoReferenceValidation,
+	projectValidator.validator,
+	wrapper(projectController.setGeoReference)
+);
+
+/**
+ * @api {get} /projects/:project-id/geo-reference Get the geo-reference of the project
+ * @apiName Get Geo-Reference
+ * @apiGroup Project
+ * @apiDescription Gets the geo-reference of the project
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {Object} geo_reference The geo-reference of the project.
+ */
+router.get(
+	"/:project_id/geo-reference",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(projectController.getGeoReference)
+);
+
+/**
+ * @api {post} /projects/:project-id/control-points Add a control point
+ * @apiName Add Control Point
+ * @apiGroup Project
+ * @apiDescription Adds a surveyed control point to the project, relating a point of the model with its geographic coordinates (WGS84).
+ * The control points are used for fitting the geo-reference of the project.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {String} [name] Name of the control point.
+ * @apiParam {json} model Coordinates of the point in the model {x,y,z}.
+ * @apiParam {json} geographic Geographic coordinates of the point.
+ * @apiParam {Number} geographic.latitude Latitude (degrees).
+ * @apiParam {Number} geographic.longitude Longitude (degrees).
+ * @apiParam {Number} [geographic.altitude] Altitude (meters). Control points without altitude are only used for the horizontal fit.
+ *
+ * @apiSuccess  (Success 201) {String} message Indicates success of the request.
+ * @apiSuccess  (Success 201) {Object} control_point The stored control point.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 201 Created
+ *{
+ *  "message": "Successfully added Control Point",
+ *  "control_point": {
+ *    "_id": "5f8b1d2e9c1a2b3c4d5e6f70",
+ *    "name": "North-West corner",
+ *    "model": { "x": 0, "y": 0, "z": 0 },
+ *    "geographic": { "latitude": 48.1496, "longitude": 11.5678, "altitude": 520 },
+ *    "date": "2020-10-17T16:46:22.000Z"
+ *  }
+ *}
+ */
+router.post(
+	"/:project_id/control-points",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.addControlPointValidation,
+	projectValidator.validator,
+	wrapper(projectController.addControlPoint)
+);
+
+/**
+ * @api {get} /projects/:project-id/control-points Get the control points
+ * @apiName Get Control Points
+ * @apiGroup Project
+ * @apiDescription Gets the surveyed control points of the project
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {Object[]} control_points List of control points.
+ */
+router.get(
+	"/:project_id/control-points",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(projectController.getControlPoints)
+);
+
+/**
+ * @api {delete} /projects/:project-id/control-points/:control_point_id Delete a control point
+ * @apiName Delete Control Point
+ * @apiGroup Project
+ * @apiDescription Deletes a control point of the project. The geo-reference is not fitted again.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the request.
+ */
+router.delete(
+	"/:project_id/control-points/:control_point_id",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	projectValidator.deleteControlPointValidation,
+	projectValidator.validator,
+	wrapper(projectController.deleteControlPoint)
+);
+
+/**
+ * @api {post} /projects/:project-id/geo-reference/fit Fit the geo-reference from the control points
+ * @apiName Fit Geo-Reference
+ * @apiGroup Project
+ * @apiDescription Fits the geo-reference of the project from its control points (at least two) and stores it.
+ * The transform is a similarity of the horizontal plane (rotation about the vertical axis, scale and translation)
+ * with a vertical offset. The residuals (fitted - surveyed, in model units) of every control point are reported.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the request.
+ * @apiSuccess  (Success 200) {Object} geo_reference The fitted geo-reference.
+ * @apiSuccess  (Success 200) {Number} geo_reference.fit.rmse Root mean square of the horizontal residuals (model units).
+ * @apiSuccess  (Success 200) {Number} [geo_reference.fit.vertical_rmse] Root mean square of the vertical residuals (model units).
+ * @apiSuccess  (Success 200) {Object[]} geo_reference.fit.residuals Residual {control_point, x, y, z} of every control point.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "message": "Successfully fitted Geo-Reference",
+ *  "geo_reference": {
+ *    "origin": { "latitude": 48.14965, "longitude": 11.56785, "altitude": 520 },
+ *    "model_origin": { "x": 3731.2, "y": 0, "z": -5561.3 },
+ *    "rotation": 12.49,
+ *    "scale": 1000.3,
+ *    "fit": {
+ *      "rmse": 12.4,
+ *      "vertical_rmse": 3.1,
+ *      "residuals": [{ "control_point": "5f8b1d2e9c1a2b3c4d5e6f70", "x": 10.2, "y": -3.1, "z": 7.0 },...],
+ *      "date": "2020-10-17T16:50:02.000Z"
+ *    }
+ *  }
+ *}
+ */
+router.post(
+	"/:project_id/geo-reference/fit",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(projectController.fitGeoReference)
+);
 module.exports = router;
@@ -0,0 +1,134 @@
+const express = require("express");
+const router = express.Router();
+
+const radioMapController = require("../controllers/radio-map");
+const verifyBimPlusToken = require("../middlewares/authentication/verifyBimPlusToken");
+const verifyAccessToken = require("../middlewares/authentication/verifyToken");
+const radioMapValidator = require("../middlewares/validators/radio-map");
+//wrapper to catch errors
+let wrapper = (fn) => (...args) => fn(...args).catch(args[2]);
+
+/**
+ * @api {post} /projects/:project_id/radio-map Record a Reference Point of the Radio Map
+ * @apiName Post Reference Point
+ * @apiGroup Radio Map
+ * @apiDescription Records the RSSI measured to the beacons at a known location (survey). The radio map is used by the
+ * "beacon-fingerprinting" location method. If several RSSIs are sent for a beacon, their mean is stored.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {json} location Location of the reference point (coordinates of the model)
+ * @apiParam {Number} location.x x coordinate
+ * @apiParam {Number} location.y y coordinate
+ * @apiParam {Number} location.z z coordinate
+ * @apiParam {json[]} measurement_data List of RSSIs measured at the reference point
+ * @apiParam {String} measurement_data.beacon_uid uid from Beacon that RSSI was taken from.
+ * @apiParam {Number||[Number]} measurement_data.rssi RSSI or Array of RSSIs measured to the beacon (dBm)
+ * @apiParamExample {json} Request-Example:
+ * {
+ * 	location: { x: -8680.2, y: 6270, z: 7009.4 },
+ * 	measurement_data:[
+ * 			{ rssi: -67, beacon_uid: "hereGoesBeaconUid" },
+ *			{ rssi: [-80,-82,-79], beacon_uid: "hereGoesBeaconUid" },
+ *      ]
+ * }
+ *
+ * @apiSuccess  (Success 201) {String} message Indicates success of saving the reference point.
+ * @apiSuccess  (Success 201) {json} fingerprint The stored reference point.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 201 Created
+ *{
+ *  "message": "Successfully Stored Reference Point",
+ *  "fingerprint": {
+ *    "_id": "5f833a39648d96391ca03ed0",
+ *    "project_ref": "5f3aaba0b8ee114a141cd0da",
+ *    "location": { "x": -8680.2, "y": 6270, "z": 7009.4 },
+ *    "rssi_vector": [
+ *      { "beacon_uid": "hereGoesBeaconUid", "rssi": -67, "samples": 1 },
+ *      { "beacon_uid": "hereGoesBeaconUid", "rssi": -80.33, "samples": 3 }
+ *    ],
+ *    "recorded_by": "5f1aaba0b8ee114a141cd0db",
+ *    "date": "2020-10-11T17:00:42.072Z"
+ *  }
+ *}
+ */
+router.post(
+	"/:project_id/radio-map",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	radioMapValidator.addFingerprintValidation,
+	radioMapValidator.validator,
+	wrapper(radioMapController.addFingerprint)
+);
+
+/**
+ * @api {get} /projects/:project_id/radio-map Get the Radio Map
+ * @apiName Get Radio Map
+ * @apiGroup Radio Map
+ * @apiDescription Gets all the reference points of the radio map of the project
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {json[]} fingerprints List of reference points.
+ */
+router.get(
+	"/:project_id/radio-map",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(radioMapController.getFingerprints)
+);
+
+/**
+ * @api {delete} /projects/:project_id/radio-map/:fingerprint_id Remove a Reference Point
+ * @apiName Delete Reference Point
+ * @apiGroup Radio Map
+ * @apiDescription Removes a reference point of the radio map
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the removal.
+ */
+router.delete(
+	"/:project_id/radio-map/:fingerprint_id",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	radioMapValidator.deleteFingerprintValidation,
+	radioMapValidator.validator,
+	wrapper(radioMapController.deleteFingerprint)
+);
+
+/**
+ * @api {delete} /projects/:project_id/radio-map Remove the Radio Map
+ * @apiName Delete Radio Map
+ * @apiGroup Radio Map
+ * @apiDescription Removes all the reference points of the radio map of the project. NOTE: Once removed, there is no way to recover information.
+ *
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiSuccess  (Success 200) {String} message Indicates success of the removal.
+ * @apiSuccess  (Success 200) {Number} removed_reference_points Number of removed reference points.
+ */
+router.delete(
+	"/:project_id/radio-map",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	wrapper(radioMapController.deleteRadioMap)
+);
+
+module.exports = router;
@@ -9,6 +9,74 @@ const trackedEntitiesValidator = require("../middlewares/validators/tracking-ent
 let wrapper = (fn) => (...args) => fn(...args).catch(args[2]);
 
 
+/**
+ * @api {post} /projects/:project-id/locate Estimate a location without storing it
+ * @apiName Locate
+ * @apiGroup Tracked User
+ * @apiDescription  Estimates the location with the same methods and parameters as the tracked users and tracked items, but
+ * the location is not stored and no event is emitted. The response has diagnostics of the estimation, it is meant for
+ * calibration and survey tools.
+ * @apiHeader {String} access-token User token generated by login in.
+ * @apiHeaderExample {json} Header-Example:
+ *     {
+ *       "Authorization": "TrackingAPI your-access-token-here"
+ *     }
+ *
+ * @apiParam {String} location_method Method that will be used to calculate the location (see Put Location of Tracked User).
+ * @apiParam {String="center-of-mass","none"} [fallback_policy="center-of-mass"] What to do if "beacon-trilateration" fails.
+ * @apiParam {json} measurement_data Measurements of the location method (see Put Location of Tracked User).
+ * @apiParam {json} [previous_location] Previous location {x, y, z, accuracy} for the methods that need it (e.g. "pdr-fusion").
+ *
+ * @apiParamExample {json} Request-Example:
+ * {
+ * 	location_method:"beacon-trilateration"
+ * 	measurement_data:[
+ * 			{ distance: 1500, beacon_uid: "000000001" },
+ *			{ distance: [2100,2200,2000], beacon_uid: "000000002" },
+ *			{ distance: 3000, beacon_uid: "000000003"},
+ *      ]
+ * }
+ *
+ * @apiSuccess  (Success 200) {json} location Estimated location {x, y, z, storey, room}.
+ * @apiSuccess  (Success 200) {json} estimation Information about how the location was estimated (see Put Location of Tracked User).
+ * @apiSuccess  (Success 200) {Number[][]} estimation.covariance 3x3 covariance of the location (coordinates of the model).
+ * @apiSuccess  (Success 200) {json} diagnostics Diagnostics of the estimation.
+ * @apiSuccess  (Success 200) {json[]} diagnostics.measurements Measured beacons {beacon_uid, distance, storey, used, discarded},
+ * distance is the distance used by the method (milimeters), used indicates if the beacon was used and discarded if it was rejected as outlier.
+ * @apiSuccess  (Success 200) {json[]} diagnostics.circles Circles (spheres for "beacon-multilateration") of the used beacons {beacon_uid, x, y, z, radius}.
+ * @apiSuccess  (Success 200) {json[]} diagnostics.intersection_points Intersection points {x, y, z} of the circles, in the horizontal plane of the location.
+ * @apiSuccessExample {json} Success-Response
+ *   HTTP/1.1 200 OK
+ *{
+ *  "location": { "x": 1210.5, "y": 0, "z": 830.2, "storey": "storey-id" },
+ *  "estimation": {
+ *    "algorithm": "weighted-trilateration",
+ *    "branch": "all-circles-intersect",
+ *    "fallback_used": false,
+ *    "fallback_policy": "center-of-mass",
+ *    "storey": "storey-id",
+ *    "accuracy": 424.3,
+ *    "gdop": 1.4,
+ *    "beacons_used": 3,
+ *    "discarded_beacons": [],
+ *    "covariance": [[90000, 0, 0], [0, 0, 0], [0, 0, 90000]]
+ *  },
+ *  "diagnostics": {
+ *    "measurements": [{ "beacon_uid": "000000001", "distance": 1500, "storey": "storey-id", "used": true, "discarded": false }],
+ *    "circles": [{ "beacon_uid": "000000001", "x": 0, "y": 2500, "z": 0, "radius": 1500 }],
+ *    "intersection_points": [{ "x": 1190.1, "y": 0, "z": 912.7 }]
+ *  }
+ *}
+ */
+router.post(
+	"/:project_id/locate",
+	verifyBimPlusToken,
+	verifyAccessToken,
+	trackedEntitiesValidator.locateValidation,
+	trackedEntitiesValidator.validator,
+	wrapper(trackingEntitiesController.locate)
+);
+
 /**
  * @api {put} /projects/:project-id/tracked-users Put the location of the user that is making the API call.
  * @apiName Put Location of Tracked User
@@ -23,13 +91,54 @@ let wrapper = (fn) => (...args) => fn(...args).catch(args[2]);
  * 
  * 
  *
- * @apiParam {String="beacon-trilateration","gps-location"} location_method Method that will be used to calculate the user's location
+ * @apiParam {String="beacon-trilateration","beacon-trilateration-2","beacon-multilateration","beacon-fingerprinting","gps-location","pdr-fusion","uwb-twr","uwb-tdoa","auto"} location_method Method that will be used to calculate the user's location.
+ * The methods supported by the server and the schema of their measurement_data are listed by GET /location-methods.
+ * "beacon-multilateration" solves the location in 3D using all the measured beacons (weighted least squares).
+ * "beacon-fingerprinting" compares the RSSIs with the radio map of the project (weighted k-nearest neighbours), measurements must contain the rssi.
+ * "pdr-fusion" moves the last stored location of the entity with the steps and heading of the phone (pedestrian dead-reckoning)
+ * and combines it with the beacon fix if beacon measurements are sent.
+ * "uwb-twr" and "uwb-tdoa" solve the location in 3D with the ranges or the time differences of arrival to the UWB anchors (beacons with anchor_type "uwb").
+ * If only one or two beacons are heard, the beacon methods return a proximity fix near the closest beacon (see estimation.proximity).
+ * "auto" tries the methods of the location method chain of the project in turn with the same measurement data and returns the first
+ * location that meets the acceptance criteria (see Set Location Method Chain). If no location is accepted it returns an error (420) with the attempts.
+ * @apiParam {String="center-of-mass","none"} [fallback_policy="center-of-mass"] What to do if "beacon-trilateration" fails.
+ * "center-of-mass" estimates the location with the weighted center of mass method, "none" returns an error (420).
  * 
  * @apiParam (Beacon Trilateration Parameter) {json[]} measurement_data List of Measurements taken for the localization
  * @apiParam (Beacon Trilateration Parameter) {Number||[Number]} measurement_data.distance distance from Beacon or Array of distances from beacon (in Milimeters)
+ * @apiParam (Beacon Trilateration Parameter) {Number||[Number]} [measurement_data.rssi] RSSI (dBm) or Array of RSSIs measured to the beacon. Can be sent instead of the distance,
+ * it is converted to a distance with the path loss parameters of the beacon/project.
+ * @apiParam (Beacon Trilateration Parameter) {Number} [measurement_data.tx_power] RSSI at 1 m advertised by the beacon (dBm), used if the beacon has no calibrated reference RSSI.
  * @apiParam (Beacon Trilateration Parameter) {String} measurement_data.beacon_uid uid from Beacon that distance was taken from.
+ * @apiParam (Beacon Trilateration Parameter) {Number||String||[Number||String]} [measurement_data.timestamp] Date of the samples (epoch milliseconds
+ * or ISO 8601) or Array with the date of each distance/rssi. Samples older than max_sample_age relative to the newest one are discarded.
  * 
- * @apiParam (GPS Parameter) {json} measurement_data JSON object with data (STILL NOT IMPLEMENTED)
+ * @apiParam (GPS Parameter) {json} measurement_data GPS location (WGS84). The project must have a geo-reference.
+ * @apiParam (GPS Parameter) {Number} measurement_data.latitude Latitude (degrees).
+ * @apiParam (GPS Parameter) {Number} measurement_data.longitude Longitude (degrees).
+ * @apiParam (GPS Parameter) {Number} [measurement_data.altitude] Altitude (meters). If not sent, the altitude of the geo-reference origin is used.
+ * @apiParam (GPS Parameter) {Number} [measurement_data.accuracy] Horizontal accuracy reported by the receiver (meters).
+ * @apiParam (GPS Parameter) {Number||String} [measurement_data.timestamp] Date of the fix (epoch milliseconds or ISO 8601).
+ * 
+ * @apiParam (PDR Fusion Parameter) {json} measurement_data Inertial deltas since the last reported location and/or beacon measurements.
+ * Without a recent location of the entity (5 minutes), the beacon measurements are needed.
+ * @apiParam (PDR Fusion Parameter) {json[]} [measurement_data.deltas] Steps walked in each heading.
+ * @apiParam (PDR Fusion Parameter) {Number} measurement_data.deltas.steps Number of steps.
+ * @apiParam (PDR Fusion Parameter) {Number} measurement_data.deltas.heading Heading (degrees clockwise from North).
+ * @apiParam (PDR Fusion Parameter) {Number} [measurement_data.deltas.step_length=0.7] Length of a step (meters).
+ * @apiParam (PDR Fusion Parameter) {Number} [measurement_data.pressure_change] Change of the barometric pressure (hPa), used to detect storey changes.
+ * @apiParam (PDR Fusion Parameter) {json[]} [measurement_data.beacons] Beacon measurements, as in the beacon trilateration parameters.
+ * @apiParam (PDR Fusion Parameter) {Number||String} [measurement_data.timestamp] Date of the deltas (epoch milliseconds or ISO 8601).
+ *
+ * @apiParam (UWB TWR Parameter) {json[]} measurement_data Ranges measured to the UWB anchors (at least 3).
+ * @apiParam (UWB TWR Parameter) {String} measurement_data.anchor_id UID of the UWB anchor.
+ * @apiParam (UWB TWR Parameter) {Number||[Number]} measurement_data.range Range or Array of ranges to the anchor (milimeters).
+ *
+ * @apiParam (UWB TDoA Parameter) {json} measurement_data Time differences of arrival to the UWB anchors (at least 3 besides the reference).
+ * @apiParam (UWB TDoA Parameter) {String} measurement_data.reference_anchor UID of the reference UWB anchor.
+ * @apiParam (UWB TDoA Parameter) {json[]} measurement_data.measurements Time differences {anchor_id, time_difference}.
+ * @apiParam (UWB TDoA Parameter) {String} measurement_data.measurements.anchor_id UID of the UWB anchor.
+ * @apiParam (UWB TDoA Parameter) {Number} measurement_data.measurements.time_difference Arrival time at the anchor minus arrival time at the reference anchor (nanoseconds).
  * 
  * @apiParamExample {json} Request-Example:
  * {
@@ -42,10 +151,42 @@ let wrapper = (fn) => (...args) => fn(...args).catch(args[2]);
  * }
  * 
  * @apiSuccess  (Success 200) {String} message Indicates success of saving the Users location.
+ * @apiSuccess  (Success 200) {json} estimation Information about how the location was estimated.
+ * @apiSuccess  (Success 200) {String} estimation.algorithm Algorithm that produced the location.
+ * @apiSuccess  (Success 200) {String} estimation.branch Case of the weighted trilateration that was used ("all-circles-intersect", "pair-intersections", "single-pair-intersection" or "no-intersections").
+ * @apiSuccess  (Success 200) {Boolean} estimation.fallback_used Indicates if the fallback algorithm was used.
+ * @apiSuccess  (Success 200) {String} estimation.fallback_policy Fallback policy that was applied.
+ * @apiSuccess  (Success 200) {String} [estimation.storey] Id of the storey of the location.
+ * @apiSuccess  (Success 200) {Number} estimation.accuracy Standard deviation of the horizontal error (milimeters), null if unknown.
+ * @apiSuccess  (Success 200) {Number} estimation.gdop Geometric dilution of precision of the used beacons, null if unknown.
+ * @apiSuccess  (Success 200) {Number} estimation.beacons_used Number of beacons used.
+ * @apiSuccess  (Success 200) {String[]} [estimation.discarded_beacons] UIDs of the beacons whose measurements were discarded as outliers.
+ * @apiSuccess  (Success 200) {String} [estimation.room] Id of the space (room) of the location, if the project has building elements.
+ * @apiSuccess  (Success 200) {Number} [estimation.snap_distance] Distance the location was moved to the walkable space (milimeters).
+ * @apiSuccess  (Success 200) {Boolean} [estimation.proximity] true if fewer than three beacons were heard: the location is the position
+ * of the closest beacon and the accuracy is the distance measured to it.
+ * @apiSuccess  (Success 200) {String} [estimation.near_beacon] UID of the beacon of a proximity fix.
+ * @apiSuccess  (Success 200) {Date} estimation.date Date of the location: the timestamp of the newest measurement, or the date of the server
+ * if the measurements have no timestamp or the clock of the device differs more than max_clock_skew (see Set Measurement Timing).
+ * @apiSuccess  (Success 200) {Number} [estimation.clock_skew] Difference between the clock of the device and the server (seconds).
+ * @apiSuccess  (Success 200) {Number} [estimation.discarded_samples] Number of samples discarded for being older than max_sample_age.
+ * @apiSuccess  (Success 200) {Number} [estimation.residual] Root mean square of the range residuals of the location (milimeters).
+ * @apiSuccess  (Success 200) {String} [estimation.location_method] Method of the chain that produced the location ("auto" location method).
+ * @apiSuccess  (Success 200) {Object[]} [estimation.chain_attempts] Methods of the chain that were tried: {method, accepted, reason}.
  * @apiSuccessExample {json} Success-Response
  *   HTTP/1.1 200 OK
  *{
- *  "message": "Successfully Stored User's Location"
+ *  "message": "Successfully Stored User's Location",
+ *  "estimation": {
+ *    "algorithm": "weighted-trilateration",
+ *    "branch": "pair-intersections",
+ *    "fallback_used": false,
+ *    "fallback_policy": "center-of-mass",
+ *    "accuracy": 812.4,
+ *    "gdop": 1.6,
+ *    "beacons_used": 4,
+ *    "discarded_beacons": ["000000005"]
+ *  }
  *}
  */
 router.put(
@@ -70,6 +211,9 @@ router.put(
  *     }
  * 
  * 
+ * @apiParam (Query) {String="model","geographic","both"} [coordinates=model] Coordinates of the returned locations. "geographic"
+ * replaces location by geographic_location {latitude, longitude, altitude}, "both" adds geographic_location. The locations of historicalData are converted as well. The project must have a geo-reference (409 otherwise).
+ *
  * @apiSuccess (Success 200) {json[]} tracked_users List of tracked users
  * @apiSuccess (Success 200) {String} tracked_users.entityType type of tracked Entity
  * @apiSuccess (Success 200) {json} tracked_users.location represents the coordinates of the item
@@ -107,7 +251,9 @@ router.get(
  * @api {get} /projects/:project-id/tracked-users/:user_id get Information about Specific Tracked User
  * @apiName Get  Location of Tracked User
  * @apiGroup Tracked User
- * @apiDescription  Will return information of tracked User
+ * @apiDescription  Will return information of tracked User. The location is filtered (Kalman filter) with the previous locations,
+ * raw_location contains the location as it was estimated. If the beacons model has storeys, location.storey is the id of the storey of the user.
+ * Every location has its quality: accuracy, covariance (3x3), gdop, beacons_used, algorithm and branch.
  * 
  * @apiHeader {String} access-token User token generated by login in.
  * @apiHeaderExample {json} Header-Example:
@@ -116,6 +262,9 @@ router.get(
  *     }
  * 
  * 
+ * @apiParam (Query) {String="model","geographic","both"} [coordinates=model] Coordinates of the returned locations. "geographic"
+ * replaces location by geographic_location {latitude, longitude, altitude}, "both" adds geographic_location. The locations of historicalData are converted as well. The project must have a geo-reference (409 otherwise).
+ *
  * @apiSuccessExample {json} Success-Response
  *   HTTP/1.1 200 OK
  *{
@@ -123,7 +272,8 @@ router.get(
  *	{
  *		entityType: 'TrackedUser',
  *		_id: 5f833a39648d96391ca03ed0,
- *		location: { x: 0, y: 2, z: 3 },
+ *		location: { x: 0, y: 1.5, z: 2.5 },
+ *		raw_location: { x: 0, y: 2, z: 3 },
  *		user: {
  *			_id: 5f1aaba0b8ee114a141cd0db,
  *			email: 'test@test.com',
@@ -161,7 +311,18 @@ router.get(
  * 
  * 
  *
- * @apiParam {String="beacon-trilateration","gps-location"} location_method Method that will be used to calculate the user's location
+ * @apiParam {String="beacon-trilateration","beacon-trilateration-2","beacon-multilateration","beacon-fingerprinting","gps-location","pdr-fusion","uwb-twr","uwb-tdoa","auto"} location_method Method that will be used to calculate the user's location.
+ * The methods supported by the server and the schema of their measurement_data are listed by GET /location-methods.
+ * "beacon-multilateration" solves the location in 3D using all the measured beacons (weighted least squares).
+ * "beacon-fingerprinting" compares the RSSIs with the radio map of the project (weighted k-nearest neighbours), measurements must contain the rssi.
+ * "pdr-fusion" moves the last stored location of the entity with the steps and heading of the phone (pedestrian dead-reckoning)
+ * and combines it with the beacon fix if beacon measurements are sent.
+ * "uwb-twr" and "uwb-tdoa" solve the location in 3D with the ranges or the time differences of arrival to the UWB anchors (beacons with anchor_type "uwb").
+ * If only one or two beacons are heard, the beacon methods return a proximity fix near the closest beacon (see estimation.proximity).
+ * "auto" tries the methods of the location method chain of the project in turn with the same measurement data and returns the first
+ * location that meets the acceptance criteria (see Set Location Method Chain). If no location is accepted it returns an error (420) with the attempts.
+ * @apiParam {String="center-of-mass","none"} [fallback_policy="center-of-mass"] What to do if "beacon-trilateration" fails.
+ * "center-of-mass" estimates the location with the weighted center of mass method, "none" returns an error (420).
  * @apiParam {String} item_id unique id of the Item
  * @apiParam {String} item_name name of the Item
  * @apiParam {String} item_description Description of item
@@ -170,9 +331,39 @@ router.get(
  * 
  * @apiParam (Beacon Trilateration Parameter) {json[]} measurement_data List of Measurements taken for the localization
  * @apiParam (Beacon Trilateration Parameter) {Number||[Number]} measurement_data.distance distance from Beacon or Array of distances from beacon (in Milimeters)
+ * @apiParam (Beacon Trilateration Parameter) {Number||[Number]} [measurement_data.rssi] RSSI (dBm) or Array of RSSIs measured to the beacon. Can be sent instead of the distance,
+ * it is converted to a distance with the path loss parameters of the beacon/project.
+ * @apiParam (Beacon Trilateration Parameter) {Number} [measurement_data.tx_power] RSSI at 1 m advertised by the beacon (dBm), used if the beacon has no calibrated reference RSSI.
  * @apiParam (Beacon Trilateration Parameter) {String} measurement_data.beacon_uid uid from Beacon that distance was taken from.
+ * @apiParam (Beacon Trilateration Parameter) {Number||String||[Number||String]} [measurement_data.timestamp] Date of the samples (epoch milliseconds
+ * or ISO 8601) or Array with the date of each distance/rssi. Samples older than max_sample_age relative to the newest one are discarded.
  * 
- * @apiParam (GPS Parameter) {json} measurement_data JSON object with data (STILL NOT IMPLEMENTED)
+ * @apiParam (GPS Parameter) {json} measurement_data GPS location (WGS84). The project must have a geo-reference.
+ * @apiParam (GPS Parameter) {Number} measurement_data.latitude Latitude (degrees).
+ * @apiParam (GPS Parameter) {Number} measurement_data.longitude Longitude (degrees).
+ * @apiParam (GPS Parameter) {Number} [measurement_data.altitude] Altitude (meters). If not sent, the altitude of the geo-reference origin is used.
+ * @apiParam (GPS Parameter) {Number} [measurement_data.accuracy] Horizontal accuracy reported by the receiver (meters).
+ * @apiParam (GPS Parameter) {Number||String} [measurement_data.timestamp] Date of the fix (epoch milliseconds or ISO 8601).
+ * 
+ * @apiParam (PDR Fusion Parameter) {json} measurement_data Inertial deltas since the last reported location and/or beacon measurements.
+ * Without a recent location of the entity (5 minutes), the beacon measurements are needed.
+ * @apiParam (PDR Fusion Parameter) {json[]} [measurement_data.deltas] Steps walked in each heading.
+ * @apiParam (PDR Fusion Parameter) {Number} measurement_data.deltas.steps Number of steps.
+ * @apiParam (PDR Fusion Parameter) {Number} measurement_data.deltas.heading Heading (degrees clockwise from North).
+ * @apiParam (PDR Fusion Parameter) {Number} [measurement_data.deltas.step_length=0.7] Length of a step (meters).
+ * @apiParam (PDR Fusion Parameter) {Number} [measurement_data.pressure_change] Change of the barometric pressure (hPa), used to detect storey changes.
+ * @apiParam (PDR Fusion Parameter) {json[]} [measurement_data.beacons] Beacon measurements, as in the beacon trilateration parameters.
+ * @apiParam (PDR Fusion Parameter) {Number||String} [measurement_data.timestamp] Date of the deltas (epoch milliseconds or ISO 8601).
+ *
+ * @apiParam (UWB TWR Parameter) {json[]} measurement_data Ranges measured to the UWB anchors (at least 3).
+ * @apiParam (UWB TWR Parameter) {String} measurement_data.anchor_id UID of the UWB anchor.
+ * @apiParam (UWB TWR Parameter) {Number||[Number]} measurement_data.range Range or Array of ranges to the anchor (milimeters).
+ *
+ * @apiParam (UWB TDoA Parameter) {json} measurement_data Time differences of arrival to the UWB anchors (at least 3 besides the reference).
+ * @apiParam (UWB TDoA Parameter) {String} measurement_data.reference_anchor UID of the reference UWB anchor.
+ * @apiParam (UWB TDoA Parameter) {json[]} measurement_data.measurements Time differences {anchor_id, time_difference}.
+ * @apiParam (UWB TDoA Parameter) {String} measurement_data.measurements.anchor_id UID of the UWB anchor.
+ * @apiParam (UWB TDoA Parameter) {Number} measurement_data.measurements.time_difference Arrival time at the anchor minus arrival time at the reference anchor (nanoseconds).
  * 
  * @apiParamExample {json} Request-Example:
  * {
@@ -187,11 +378,43 @@ router.get(
  *      ]
  * }
  * 
- * @apiSuccess  (Success 200) {String} message Indicates success of saving the Users location.
+ * @apiSuccess  (Success 200) {String} message Indicates success of saving the Item's location.
+ * @apiSuccess  (Success 200) {json} estimation Information about how the location was estimated.
+ * @apiSuccess  (Success 200) {String} estimation.algorithm Algorithm that produced the location.
+ * @apiSuccess  (Success 200) {String} estimation.branch Case of the weighted trilateration that was used ("all-circles-intersect", "pair-intersections", "single-pair-intersection" or "no-intersections").
+ * @apiSuccess  (Success 200) {Boolean} estimation.fallback_used Indicates if the fallback algorithm was used.
+ * @apiSuccess  (Success 200) {String} estimation.fallback_policy Fallback policy that was applied.
+ * @apiSuccess  (Success 200) {String} [estimation.storey] Id of the storey of the location.
+ * @apiSuccess  (Success 200) {Number} estimation.accuracy Standard deviation of the horizontal error (milimeters), null if unknown.
+ * @apiSuccess  (Success 200) {Number} estimation.gdop Geometric dilution of precision of the used beacons, null if unknown.
+ * @apiSuccess  (Success 200) {Number} estimation.beacons_used Number of beacons used.
+ * @apiSuccess  (Success 200) {String[]} [estimation.discarded_beacons] UIDs of the beacons whose measurements were discarded as outliers.
+ * @apiSuccess  (Success 200) {String} [estimation.room] Id of the space (room) of the location, if the project has building elements.
+ * @apiSuccess  (Success 200) {Number} [estimation.snap_distance] Distance the location was moved to the walkable space (milimeters).
+ * @apiSuccess  (Success 200) {Boolean} [estimation.proximity] true if fewer than three beacons were heard: the location is the position
+ * of the closest beacon and the accuracy is the distance measured to it.
+ * @apiSuccess  (Success 200) {String} [estimation.near_beacon] UID of the beacon of a proximity fix.
+ * @apiSuccess  (Success 200) {Date} estimation.date Date of the location: the timestamp of the newest measurement, or the date of the server
+ * if the measurements have no timestamp or the clock of the device differs more than max_clock_skew (see Set Measurement Timing).
+ * @apiSuccess  (Success 200) {Number} [estimation.clock_skew] Difference between the clock of the device and the server (seconds).
+ * @apiSuccess  (Success 200) {Number} [estimation.discarded_samples] Number of samples discarded for being older than max_sample_age.
+ * @apiSuccess  (Success 200) {Number} [estimation.residual] Root mean square of the range residuals of the location (milimeters).
+ * @apiSuccess  (Success 200) {String} [estimation.location_method] Method of the chain that produced the location ("auto" location method).
+ * @apiSuccess  (Success 200) {Object[]} [estimation.chain_attempts] Methods of the chain that were tried: {method, accepted, reason}.
  * @apiSuccessExample {json} Success-Response
  *   HTTP/1.1 200 OK
  *{
- *  "message": "Successfully Stored Item's Location"
+ *  "message": "Successfully Stored Item's Location",
+ *  "estimation": {
+ *    "algorithm": "weighted-trilateration",
+ *    "branch": "pair-intersections",
+ *    "fallback_used": false,
+ *    "fallback_policy": "center-of-mass",
+ *    "accuracy": 812.4,
+ *    "gdop": 1.6,
+ *    "beacons_used": 4,
+ *    "discarded_beacons": ["000000005"]
+ *  }
  *}
  */
 router.put(
@@ -215,6 +438,9 @@ router.put(
  *       "Authorization": "TrackingAPI your-access-token-here"
  *     }
  * 
+ * @apiParam (Query) {String="model","geographic","both"} [coordinates=model] Coordinates of the returned locations. "geographic"
+ * replaces location by geographic_location {latitude, longitude, altitude}, "both" adds geographic_location. The locations of historicalData are converted as well. The project must have a geo-reference (409 otherwise).
+ *
  * @apiSuccess  (Success 200) {json[]} tracked_items list of tracked Items
  * @apiSuccessExample {json} Success-Response
  *   HTTP/1.1 200 OK
@@ -251,6 +477,9 @@ router.get(
  *       "Authorization": "TrackingAPI your-access-token-here"
  *     }
  * 
+ * @apiParam (Query) {String="model","geographic","both"} [coordinates=model] Coordinates of the returned locations. "geographic"
+ * replaces location by geographic_location {latitude, longitude, altitude}, "both" adds geographic_location. The locations of historicalData are converted as well. The project must have a geo-reference (409 otherwise).
+ *
  * @apiSuccess  (Success 200) {json} tracked_item
  * @apiSuccessExample {json} Success-Response
  *   HTTP/1.1 200 OK
@@ -0,0 +1,175 @@
+const Project = require("../models/project");
+const MeasurementLog = require("../models/measurement-log");
+const beaconMeasurements = require("./location-methods/beacon-measurements");
+const beaconHealthServices = require("./beacon-health-services");
+const { toPlainObject } = require("./location-methods/project-context");
+/**
+ * Service that learns the error of the distances measured to each beacon from the measurement logs.
+ * The error of a measurement is the measured distance minus the distance from the beacon to the filtered location in
+ * 3D, as the measured distances are slant ranges to the beacon. The mean squared error of a beacon is
+ * its error variance; older measurements count less (forgetting factor) so that the variance follows the changes of
+ * the site. The weighted least squares estimator weights each measurement with the inverse of its variance.
+ */
+
+const DEFAULT_OPTIONS = {
+	//weight of the previous measurements each time the error is updated
+	forgettingFactor: 0.9,
+	//a beacon with fewer measurements uses the default error
+	minSamples: 20,
+	//standard deviation of the default error relative to the measured distance (same weights as 1/r²)
+	defaultRelativeStd: 0.1,
+	//lower limit of the standard deviation (milimeters), so that no beacon has an unlimited weight
+	minStd: 100,
+};
+
+/**
+ * Errors of the measured distances of each beacon
+ * @param {[JSON]} logs measurement logs [{measurements, filtered_location}]
+ * @param {[JSON]} beacons beacons of the project
+ * @param {JSON} projectPathLoss path loss parameters of the project, for the RSSI measurements
+ * @returns {JSON} {beacon_uid: [errors]} errors in milimeters
+ */
+const getResiduals = (logs, beacons, projectPathLoss) => {
+	const beaconsByUid = {};
+	beacons.filter((beacon) => beacon.uid_beacon).forEach((beacon) => (beaconsByUid[beacon.uid_beacon] = beacon));
+	const residuals = {};
+	logs.forEach((log) => {
+		const location = log.filtered_location;
+		//a proximity fix is the location of a beacon, not of the entity
+		if (!location || location.proximity) {
+			return;
+		}
+		(log.measurements || []).forEach((measurement) => {
+			const beacon = beaconsByUid[measurement.beacon_uid];
+			//distances to the beacons of other storeys are not horizontal
+			if (beacon === undefined || (location.storey && beacon.storey && beacon.storey !== location.storey)) {
+				return;
+			}
+			const distance = beaconMeasurements.getDistances(projectPathLoss, [measurement], [beacon])[0];
+			if (typeof distance !== "number" || !isFinite(distance)) {
+				return;
+			}
+			//slant range: the beacons are usually mounted above the entities
+			const expectedDistance = Math.hypot(
+				location.x - beacon.location.x,
+				location.y - beacon.location.y,
+				location.z - beacon.location.z
+			);
+			residuals[beacon.uid_beacon] = residuals[beacon.uid_beacon] || [];
+			residuals[beacon.uid_beacon].push(distance - expectedDistance);
+		});
+	});
+	return residuals;
+};
+
+/**
+ * Updates the error of a beacon with new errors
+ * @param {JSON} previousError {variance, mean_error, samples}, undefined if the beacon has no error yet
+ * @param {[Number]} residuals new errors (milimeters)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} error {variance, mean_error, samples, date}
+ */
+const updateBeaconError = (previousError, residuals, options = {}) => {
+	const { forgettingFactor } = { ...DEFAULT_OPTIONS, ...options };
+	const previous = previousError || { variance: 0, mean_error: 0, samples: 0 };
+	if (residuals.length === 0) {
+		return previousError;
+	}
+	const previousSamples = previous.samples * forgettingFactor;
+	const samples = previousSamples + residuals.length;
+	const sum = residuals.reduce((total, residual) => total + residual, 0);
+	const sumOfSquares = residuals.reduce((total, residual) => total + residual * residual, 0);
+	return {
+		variance: (previous.variance * previousSamples + sumOfSquares) / samples,
+		mean_error: ((previous.mean_error || 0) * previousSamples + sum) / samples,
+		samples: samples,
+		date: new Date(),
+	};
+};
+
+/**
+ * Error variance of a distance measured to a beacon. The learned variance is used if the beacon has enough
+ * measurements, otherwise the default error relative to the distance.
+ * @param {JSON} beacon {error}
+ * @param {Number} distance measured distance (milimeters)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {Number} variance (milimeters²)
+ */
+const getErrorVariance = (beacon, distance, options = {}) => {
+	const { minSamples, defaultRelativeStd, minStd } = { ...DEFAULT_OPTIONS, ...options };
+	const error = toPlainObject(beacon.error);
+	const defaultStd = defaultRelativeStd * distance;
+	const variance = error && error.samples >= minSamples ? error.variance : defaultStd * defaultStd;
+	return Math.max(variance, minStd * minStd);
+};
+
+/**
+ * Updates the error and the health (see services/beacon-health-services) of the beacons of a project with its
+ * measurement logs that were not processed yet. The alerts of the health of the beacons are sent afterwards.
+ * @param {String} projectId
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {[JSON]} beacons whose error was updated
+ */
+const updateBeaconErrors = async (projectId, options = {}) => {
+	const [project, logs] = await Promise.all([
+		Project.findById(projectId, { "beacons_model.beacons": 1, path_loss: 1, beacon_health: 1 }),
+		MeasurementLog.find({ project_ref: projectId, processed: false }),
+	]);
+	if (project === null) {
+		const error = new Error("Project was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beacons = project.beacons_model && project.beacons_model.beacons ? project.beacons_model.beacons : [];
+	const plainLogs = logs.map((log) => log.toObject());
+	const plainBeacons = beacons.map(toPlainObject);
+	const residuals = getResiduals(plainLogs, plainBeacons, toPlainObject(project.path_loss));
+	const { health, alerts } = beaconHealthServices.getBeaconsHealth(
+		plainLogs,
+		plainBeacons,
+		toPlainObject(project.path_loss),
+		beaconHealthServices.getHealthOptions(project.beacon_health)
+	);
+	const updatedBeacons = beacons.filter((beacon) => residuals[beacon.uid_beacon] !== undefined);
+	updatedBeacons.forEach((beacon) => {
+		beacon.error = updateBeaconError(toPlainObject(beacon.error), residuals[beacon.uid_beacon], options);
+	});
+	beacons
+		.filter((beacon) => health[beacon.uid_beacon] !== undefined)
+		.forEach((beacon) => (beacon.health = health[beacon.uid_beacon]));
+	if (updatedBeacons.length > 0 || Object.keys(health).length > 0) {
+		await project.save();
+	}
+	await MeasurementLog.updateMany({ _id: { $in: logs.map((log) => log._id) } }, { processed: true });
+	await beaconHealthServices.sendAlerts(
+		projectId,
+		alerts,
+		project.beacon_health ? project.beacon_health.webhook_url : undefined
+	);
+	return updatedBeacons;
+};
+
+/**
+ * Updates the error of the beacons of every project with new measurement logs
+ * @param {JSON} options see DEFAULT_OPTIONS
+ */
+const updateAllBeaconErrors = async (options = {}) => {
+	const projectIds = await MeasurementLog.distinct("project_ref", { processed: false });
+	//one project at a time, the logs of a project can be many
+	for (const projectId of projectIds) {
+		try {
+			await updateBeaconErrors(projectId, options);
+		} catch (err) {
+			console.log("Error of the beacons of project " + projectId + " could not be updated: " + err.message);
+		}
+	}
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	getResiduals,
+	updateBeaconError,
+	getErrorVariance,
+	updateBeaconErrors,
+	updateAllBeaconErrors,
+};
@@ -0,0 +1,322 @@
+const axios = require("axios");
+const Project = require("../models/project");
+const beaconMeasurements = require("./location-methods/beacon-measurements");
+const { toPlainObject } = require("./location-methods/project-context");
+const { emitBeaconAlert } = require("../util/SocketIO/events");
+/**
+ * Service that monitors the health of the beacons with the measurement logs of the tracked entities.
+ * For every stored location the beacons near it are expected to be heard:
+ *  - the hit rate of a beacon is how often it was heard when it was expected, and a beacon that is missed by many
+ *    locations in a row and was not heard for a while is "silent" (e.g. its battery died).
+ *  - the residuals of a beacon are its measured distances minus the distances to the locations. A beacon displaced by d
+ *    has residuals -u·d, where u is the direction from the beacon to the location, so the displacement is the least
+ *    squares solution of the residuals of locations around the beacon. A beacon displaced further than a threshold is
+ *    "moved" (e.g. it was knocked off the wall).
+ * Alerts are emitted to the socket and sent to the webhook of the project when a beacon becomes "moved" or
+ * "silent".
+ *
+ * NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP. The residuals are computed in the horizontal plane (x, z).
+ */
+
+const DEFAULT_OPTIONS = {
+	//weight of the previous statistics each time the health is updated
+	forgettingFactor: 0.9,
+	//beacons are expected to be heard by the entities this close (milimeters)
+	hearingRange: 10000,
+	//beacons displaced further away are "moved" (milimeters)
+	maxDisplacement: 1000,
+	//residuals needed to estimate the displacement of a beacon
+	minDisplacementSamples: 20,
+	//a beacon not heard for this time (seconds) and missed by minMissed locations near it is "silent"
+	silentAfter: 3600,
+	minMissed: 10,
+};
+
+//statuses that send an alert when a beacon changes to them
+const ALERT_STATUSES = ["moved", "silent"];
+
+//milliseconds to wait for the webhook
+const WEBHOOK_TIMEOUT = 5000;
+
+/**
+ * Options of the health of the beacons from the settings of a project
+ * @param {JSON} settings {max_displacement, silent_after, min_missed, hearing_range}
+ * @returns {JSON} options, see DEFAULT_OPTIONS
+ */
+const getHealthOptions = (settings) => {
+	const plainSettings = toPlainObject(settings) || {};
+	const options = {};
+	[
+		["max_displacement", "maxDisplacement"],
+		["silent_after", "silentAfter"],
+		["min_missed", "minMissed"],
+		["hearing_range", "hearingRange"],
+	].forEach(([setting, option]) => {
+		if (plainSettings[setting] !== undefined && plainSettings[setting] !== null) {
+			options[option] = plainSettings[setting];
+		}
+	});
+	return options;
+};
+
+/**
+ * Observations of each beacon in the measurement logs. Proximity fixes only tell that their beacons were heard.
+ * @param {[JSON]} logs measurement logs [{date, measurements, filtered_location}]
+ * @param {[JSON]} beacons beacons of the project
+ * @param {JSON} projectPathLoss path loss parameters of the project, for the RSSI measurements
+ * @param {Number} hearingRange milimeters
+ * @returns {JSON} {beacon_uid: {expected, heard, missed, last_heard, residuals: [{residual, x, z}]}} missed is the
+ * number of locations since the beacon was last heard, x and z are the direction from the beacon to the location
+ */
+const getObservations = (logs, beacons, projectPathLoss, hearingRange = DEFAULT_OPTIONS.hearingRange) => {
+	const locatedBeacons = beacons.filter((beacon) => beacon.uid_beacon && beacon.location);
+	const observations = {};
+	const getObservation = (uid) => {
+		if (observations[uid] === undefined) {
+			observations[uid] = { expected: 0, heard: 0, missed: 0, last_heard: undefined, residuals: [] };
+		}
+		return observations[uid];
+	};
+	logs
+		.filter((log) => log.filtered_location)
+		.sort((a, b) => new Date(a.date) - new Date(b.date))
+		.forEach((log) => {
+			const location = log.filtered_location;
+			const measurements = {};
+			(log.measurements || []).forEach((measurement) => (measurements[measurement.beacon_uid] = measurement));
+			locatedBeacons.forEach((beacon) => {
+				const measurement = measurements[beacon.uid_beacon];
+				if (measurement !== undefined) {
+					const observation = getObservation(beacon.uid_beacon);
+					observation.missed = 0;
+					observation.last_heard = new Date(log.date);
+				}
+				//a proximity fix is the location of a beacon and the beacons of other storeys are not horizontal
+				if (location.proximity || (location.storey && beacon.storey && beacon.storey !== location.storey)) {
+					return;
+				}
+				const dx = location.x - beacon.location.x;
+				const dz = location.z - beacon.location.z;
+				const range = Math.hypot(dx, dz);
+				if (measurement === undefined) {
+					if (range <= hearingRange) {
+						const observation = getObservation(beacon.uid_beacon);
+						observation.expected++;
+						observation.missed++;
+					}
+					return;
+				}
+				const observation = getObservation(beacon.uid_beacon);
+				observation.expected++;
+				observation.heard++;
+				const distance = beaconMeasurements.getDistances(projectPathLoss, [measurement], [beacon])[0];
+				if (typeof distance === "number" && isFinite(distance) && range > 0) {
+					observation.residuals.push({ residual: distance - range, x: dx / range, z: dz / range });
+				}
+			});
+		});
+	return observations;
+};
+
+/**
+ * Displacement of a beacon that explains its residuals: least squares solution of residual = -u·d
+ * @param {[JSON]} residuals [{residual, x, z}] x and z are the unit direction from the beacon to the location
+ * @returns {JSON} {x, z, distance} milimeters, null if the locations are not around the beacon
+ */
+const estimateDisplacement = (residuals) => {
+	let sxx = 0;
+	let sxz = 0;
+	let szz = 0;
+	let bx = 0;
+	let bz = 0;
+	residuals.forEach(({ residual, x, z }) => {
+		sxx += x * x;
+		sxz += x * z;
+		szz += z * z;
+		bx -= x * residual;
+		bz -= z * residual;
+	});
+	const determinant = sxx * szz - sxz * sxz;
+	const trace = sxx + szz;
+	//with the locations on one side of the beacon a displacement can not be told apart from a bias of the distances
+	if (trace === 0 || determinant < 0.04 * trace * trace) {
+		return null;
+	}
+	const x = (szz * bx - sxz * bz) / determinant;
+	const z = (sxx * bz - sxz * bx) / determinant;
+	return { x, z, distance: Math.hypot(x, z) };
+};
+
+/**
+ * Status of a beacon
+ * @param {JSON} health {last_heard, missed, displacement}
+ * @param {Number} now milliseconds
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {String} "silent", "moved", "ok" or "unknown" if the beacon was never heard
+ */
+const getStatus = (health, now = Date.now(), options = {}) => {
+	const { maxDisplacement, silentAfter, minMissed } = { ...DEFAULT_OPTIONS, ...options };
+	const lastHeard = health.last_heard ? new Date(health.last_heard).getTime() : undefined;
+	if (health.missed >= minMissed && (lastHeard === undefined || now - lastHeard > silentAfter * 1000)) {
+		return "silent";
+	}
+	if (health.displacement && health.displacement.distance > maxDisplacement) {
+		return "moved";
+	}
+	return lastHeard !== undefined ? "ok" : "unknown";
+};
+
+/**
+ * Updates the health of a beacon with new observations
+ * @param {JSON} previousHealth health of the beacon, undefined if it has none yet
+ * @param {JSON} observation {expected, heard, missed, last_heard, residuals} (see getObservations(...))
+ * @param {Number} now milliseconds
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} health {status, last_heard, expected, heard, hit_rate, missed, residual_samples, mean_residual,
+ * rms_residual, displacement, date}
+ */
+const updateBeaconHealth = (previousHealth, observation, now = Date.now(), options = {}) => {
+	const { forgettingFactor, minDisplacementSamples } = { ...DEFAULT_OPTIONS, ...options };
+	const previous = { expected: 0, heard: 0, missed: 0, residual_samples: 0, ...(previousHealth || {}) };
+	const expected = previous.expected * forgettingFactor + observation.expected;
+	const heard = previous.heard * forgettingFactor + observation.heard;
+	const residuals = observation.residuals.map((element) => element.residual);
+	const previousSamples = previous.residual_samples * forgettingFactor;
+	const samples = previousSamples + residuals.length;
+	const sum = residuals.reduce((total, residual) => total + residual, 0);
+	const sumOfSquares = residuals.reduce((total, residual) => total + residual * residual, 0);
+	const previousMeanSquare = previous.rms_residual ? previous.rms_residual * previous.rms_residual : 0;
+	const displacement =
+		observation.residuals.length >= minDisplacementSamples ? estimateDisplacement(observation.residuals) : null;
+	const health = {
+		last_heard: observation.last_heard || previous.last_heard,
+		expected: expected,
+		heard: heard,
+		hit_rate: expected > 0 ? heard / expected : undefined,
+		//the locations that missed the beacon before it was heard again do not count
+		missed: observation.last_heard !== undefined ? observation.missed : previous.missed + observation.missed,
+		residual_samples: samples,
+		mean_residual: samples > 0 ? ((previous.mean_residual || 0) * previousSamples + sum) / samples : undefined,
+		rms_residual:
+			samples > 0 ? Math.sqrt((previousMeanSquare * previousSamples + sumOfSquares) / samples) : undefined,
+		displacement: displacement !== null ? displacement : toPlainObject(previous.displacement),
+		date: new Date(now),
+	};
+	health.status = getStatus(health, now, options);
+	return health;
+};
+
+/**
+ * Alerts of the beacons whose status changed to "moved" or "silent"
+ * @param {[JSON]} beacons beacons of the project with their previous health
+ * @param {JSON} health {beacon_uid: health} updated health of the beacons
+ * @returns {[JSON]} alerts [{beacon_id, beacon_uid, name, status, last_heard, hit_rate, displacement}]
+ */
+const getAlerts = (beacons, health) =>
+	beacons
+		.filter((beacon) => {
+			const updatedHealth = health[beacon.uid_beacon];
+			const previousStatus = beacon.health ? beacon.health.status : undefined;
+			return (
+				updatedHealth !== undefined &&
+				ALERT_STATUSES.includes(updatedHealth.status) &&
+				updatedHealth.status !== previousStatus
+			);
+		})
+		.map((beacon) => {
+			const updatedHealth = health[beacon.uid_beacon];
+			return {
+				beacon_id: beacon._id,
+				beacon_uid: beacon.uid_beacon,
+				name: beacon.name,
+				status: updatedHealth.status,
+				last_heard: updatedHealth.last_heard,
+				hit_rate: updatedHealth.hit_rate,
+				displacement: updatedHealth.displacement,
+			};
+		});
+
+/**
+ * Updates the health of the beacons with measurement logs
+ * @param {[JSON]} logs measurement logs
+ * @param {[JSON]} beacons beacons of the project with their previous health
+ * @param {JSON} projectPathLoss path loss parameters of the project
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @param {Number} now milliseconds
+ * @returns {JSON} {health: {beacon_uid: health}, alerts} only the beacons with observations are updated
+ */
+const getBeaconsHealth = (logs, beacons, projectPathLoss, options = {}, now = Date.now()) => {
+	const { hearingRange } = { ...DEFAULT_OPTIONS, ...options };
+	const observations = getObservations(logs, beacons, projectPathLoss, hearingRange);
+	const health = {};
+	beacons
+		.filter((beacon) => observations[beacon.uid_beacon] !== undefined)
+		.forEach((beacon) => {
+			const observation = observations[beacon.uid_beacon];
+			health[beacon.uid_beacon] = updateBeaconHealth(beacon.health, observation, now, options);
+		});
+	return { health, alerts: getAlerts(beacons, health) };
+};
+
+/**
+ * Emits the alerts to the socket and sends them to the webhook of the project
+ * @param {String} projectId
+ * @param {[JSON]} alerts see getAlerts(...)
+ * @param {String} webhookUrl HTTPS URL of the webhook of the project, undefined if it has none
+ */
+const sendAlerts = async (projectId, alerts, webhookUrl) => {
+	if (alerts.length === 0) {
+		return;
+	}
+	alerts.forEach((alert) => emitBeaconAlert(projectId, alert));
+	//webhooks stored before HTTPS was required are not called
+	if (webhookUrl && webhookUrl.startsWith("https://")) {
+		try {
+			await axios.post(webhookUrl, { project_id: projectId, alerts: alerts }, { timeout: WEBHOOK_TIMEOUT });
+		} catch (err) {
+			console.log("Beacon alerts of project " + projectId + " could not be sent: " + err.message);
+		}
+	}
+};
+
+/**
+ * Health of the beacons of a project. The status is updated to the current time, so that a beacon that is not heard
+ * anymore becomes "silent" even if there are no new measurements.
+ * @param {String} projectId
+ * @returns {[JSON]} [{_id, uid_beacon, name, storey, is_active, health}]
+ */
+const getHealthReport = async (projectId) => {
+	const project = await Project.findById(projectId, { "beacons_model.beacons": 1, beacon_health: 1 });
+	if (project === null) {
+		const error = new Error("Project was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const options = getHealthOptions(project.beacon_health);
+	const beacons = project.beacons_model && project.beacons_model.beacons ? project.beacons_model.beacons : [];
+	const now = Date.now();
+	return beacons.map(toPlainObject).map((beacon) => {
+		const health = beacon.health || { status: "unknown", expected: 0, heard: 0, missed: 0 };
+		return {
+			_id: beacon._id,
+			uid_beacon: beacon.uid_beacon,
+			name: beacon.name,
+			storey: beacon.storey,
+			is_active: beacon.is_active,
+			health: { ...health, status: beacon.uid_beacon ? getStatus(health, now, options) : "unknown" },
+		};
+	});
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	getHealthOptions,
+	getObservations,
+	estimateDisplacement,
+	getStatus,
+	updateBeaconHealth,
+	getAlerts,
+	getBeaconsHealth,
+	sendAlerts,
+	getHealthReport,
+};
@@ -0,0 +1,334 @@
+const Project = require("../models/project");
+const MeasurementLog = require("../models/measurement-log");
+const trilaterationServices = require("./trilateration-services");
+const beaconErrorServices = require("./beacon-error-services");
+const beaconMeasurements = require("./location-methods/beacon-measurements");
+const { toPlainObject } = require("./location-methods/project-context");
+/**
+ * Service that estimates the locations where the beacons were actually mounted from the measurement logs.
+ * The locations of the beacons come from the BimPlus model (design), so a beacon can be some meters away from them.
+ * The stored locations with high confidence (accurate, estimated with many beacons) are used as anchors and the
+ * distances measured to the beacon as ranges: the corrected location is the weighted least squares multilateration of
+ * the beacon, starting at its current location. Corrections are proposed for review and only applied when they are
+ * accepted; the location of the BimPlus model is kept.
+ *
+ * NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP. The beacons are corrected in the horizontal plane (x, z).
+ */
+
+const DEFAULT_OPTIONS = {
+	//stored locations less accurate than this (milimeters) are not used
+	maxAccuracy: 1000,
+	//stored locations estimated with fewer beacons are not used
+	minBeaconsUsed: 4,
+	//measurements needed to propose a correction
+	minSamples: 30,
+	//smaller corrections (milimeters) are not proposed
+	minCorrection: 300,
+	//age of the oldest measurement logs used (seconds)
+	maxAge: 7 * 24 * 3600,
+};
+
+/**
+ * Checks if a stored location is confident enough to be used as anchor
+ * @param {JSON} location {accuracy, beacons_used, proximity}
+ * @param {JSON} options see DEFAULT_OPTIONS
+ */
+const isConfidentLocation = (location, options = {}) => {
+	const { maxAccuracy, minBeaconsUsed } = { ...DEFAULT_OPTIONS, ...options };
+	return (
+		location !== undefined &&
+		location !== null &&
+		!location.proximity &&
+		typeof location.accuracy === "number" &&
+		location.accuracy <= maxAccuracy &&
+		location.beacons_used >= minBeaconsUsed
+	);
+};
+
+/**
+ * Measurements of each beacon from the confident locations of the measurement logs
+ * @param {[JSON]} logs measurement logs [{measurements, filtered_location}]
+ * @param {[JSON]} beacons beacons of the project
+ * @param {JSON} projectPathLoss path loss parameters of the project, for the RSSI measurements
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {beacon_uid: [{radius, x, y, z, weight}]} the stored locations as anchors at the height of the beacon
+ */
+const getSamples = (logs, beacons, projectPathLoss, options = {}) => {
+	const beaconsByUid = {};
+	beacons
+		.filter((beacon) => beacon.uid_beacon && beacon.location)
+		.forEach((beacon) => (beaconsByUid[beacon.uid_beacon] = beacon));
+	const samples = {};
+	logs
+		.filter((log) => isConfidentLocation(log.filtered_location, options))
+		.forEach((log) => {
+			const location = log.filtered_location;
+			(log.measurements || []).forEach((measurement) => {
+				const beacon = beaconsByUid[measurement.beacon_uid];
+				if (beacon === undefined || (location.storey && beacon.storey && beacon.storey !== location.storey)) {
+					return;
+				}
+				const distance = beaconMeasurements.getDistances(projectPathLoss, [measurement], [beacon])[0];
+				if (typeof distance !== "number" || !isFinite(distance) || distance <= 0) {
+					return;
+				}
+				//the error of the distance and the error of the location add up
+				const variance =
+					beaconErrorServices.getErrorVariance(beacon, distance) + location.accuracy * location.accuracy;
+				samples[beacon.uid_beacon] = samples[beacon.uid_beacon] || [];
+				samples[beacon.uid_beacon].push({
+					radius: distance,
+					x: location.x,
+					y: beacon.location.y,
+					z: location.z,
+					weight: 1 / variance,
+				});
+			});
+		});
+	return samples;
+};
+
+/**
+ * Root mean square of the differences between the measured distances and the distances to a location
+ * @param {[JSON]} samples [{radius, x, z}]
+ * @param {JSON} location {x, z}
+ */
+const getRmsResidual = (samples, location) => {
+	const sumOfSquares = samples.reduce((total, sample) => {
+		const residual = Math.hypot(sample.x - location.x, sample.z - location.z) - sample.radius;
+		return total + residual * residual;
+	}, 0);
+	return Math.sqrt(sumOfSquares / samples.length);
+};
+
+/**
+ * Checks if the anchors are around the location, otherwise its position along the direction of the anchors can not
+ * be told apart from a bias of the distances
+ * @param {[JSON]} samples [{x, z}]
+ * @param {JSON} location {x, z}
+ */
+const isSurrounded = (samples, location) => {
+	let sxx = 0;
+	let sxz = 0;
+	let szz = 0;
+	samples.forEach((sample) => {
+		const distance = Math.hypot(sample.x - location.x, sample.z - location.z);
+		if (distance > 0) {
+			const ux = (sample.x - location.x) / distance;
+			const uz = (sample.z - location.z) / distance;
+			sxx += ux * ux;
+			sxz += ux * uz;
+			szz += uz * uz;
+		}
+	});
+	const trace = sxx + szz;
+	return trace > 0 && sxx * szz - sxz * sxz >= 0.04 * trace * trace;
+};
+
+/**
+ * Estimates the corrected location of a beacon
+ * @param {JSON} beacon {location}
+ * @param {[JSON]} samples measurements of the beacon (see getSamples(...))
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {location, correction, samples, rms_residual, previous_rms_residual}, null if there are not enough
+ * measurements, the correction is too small or it does not explain the measurements better
+ */
+const estimateBeaconPosition = (beacon, samples, options = {}) => {
+	const { minSamples, minCorrection } = { ...DEFAULT_OPTIONS, ...options };
+	if (samples.length < minSamples || !isSurrounded(samples, beacon.location)) {
+		return null;
+	}
+	const estimated = trilaterationServices.weightedLeastSquaresMultilateration(samples, {
+		initialGuess: beacon.location,
+	});
+	const location = { x: estimated.x, y: beacon.location.y, z: estimated.z };
+	const correction = Math.hypot(location.x - beacon.location.x, location.z - beacon.location.z);
+	const rmsResidual = getRmsResidual(samples, location);
+	const previousRmsResidual = getRmsResidual(samples, beacon.location);
+	if (!isFinite(correction) || correction < minCorrection || rmsResidual >= previousRmsResidual) {
+		return null;
+	}
+	return {
+		location: location,
+		correction: correction,
+		samples: samples.length,
+		rms_residual: rmsResidual,
+		previous_rms_residual: previousRmsResidual,
+	};
+};
+
+/**
+ * Corrections of the locations of the beacons of a project
+ * @param {[JSON]} logs measurement logs
+ * @param {[JSON]} beacons beacons of the project
+ * @param {JSON} projectPathLoss path loss parameters of the project
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {beacon_uid: correction} only the beacons with a correction
+ */
+const getPositionCorrections = (logs, beacons, projectPathLoss, options = {}) => {
+	const samples = getSamples(logs, beacons, projectPathLoss, options);
+	const corrections = {};
+	beacons
+		.filter((beacon) => samples[beacon.uid_beacon] !== undefined)
+		.forEach((beacon) => {
+			const correction = estimateBeaconPosition(beacon, samples[beacon.uid_beacon], options);
+			if (correction !== null) {
+				corrections[beacon.uid_beacon] = correction;
+			}
+		});
+	return corrections;
+};
+
+/**
+ * Gets the project with its beacons, throws 404 if it does not exist
+ * @param {String} projectId
+ */
+const getProjectBeacons = async (projectId) => {
+	const project = await Project.findById(projectId, { "beacons_model.beacons": 1, path_loss: 1 });
+	if (project === null) {
+		const error = new Error("Project was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	if (!project.beacons_model || !project.beacons_model.beacons) {
+		const error = new Error("Project has not defined a beacons model");
+		error.statusCode = 409;
+		throw error;
+	}
+	return project;
+};
+
+/**
+ * Proposes corrections of the locations of the beacons of a project with its recent measurement logs. The proposals of
+ * the beacons without a new correction are kept.
+ * @param {String} projectId
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {[JSON]} beacons with a new proposal
+ */
+const updatePositionCorrections = async (projectId, options = {}) => {
+	const { maxAge } = { ...DEFAULT_OPTIONS, ...options };
+	const [project, logs] = await Promise.all([
+		getProjectBeacons(projectId),
+		MeasurementLog.find({ project_ref: projectId, date: { $gte: new Date(Date.now() - maxAge * 1000) } }),
+	]);
+	const beacons = project.beacons_model.beacons;
+	const corrections = getPositionCorrections(
+		logs.map((log) => log.toObject()),
+		beacons.map(toPlainObject),
+		toPlainObject(project.path_loss),
+		options
+	);
+	const updatedBeacons = beacons.filter((beacon) => corrections[beacon.uid_beacon] !== undefined);
+	updatedBeacons.forEach((beacon) => {
+		beacon.position_correction = { ...corrections[beacon.uid_beacon], date: new Date() };
+	});
+	if (updatedBeacons.length > 0) {
+		await project.save();
+	}
+	return updatedBeacons;
+};
+
+/**
+ * Proposes corrections of the locations of the beacons of every project with recent measurement logs
+ * @param {JSON} options see DEFAULT_OPTIONS
+ */
+const updateAllPositionCorrections = async (options = {}) => {
+	const { maxAge } = { ...DEFAULT_OPTIONS, ...options };
+	const projectIds = await MeasurementLog.distinct("project_ref", {
+		date: { $gte: new Date(Date.now() - maxAge * 1000) },
+	});
+	//one project at a time, the logs of a project can be many
+	for (const projectId of projectIds) {
+		try {
+			await updatePositionCorrections(projectId, options);
+		} catch (err) {
+			console.log("Location of the beacons of project " + projectId + " could not be estimated: " + err.message);
+		}
+	}
+};
+
+/**
+ * Beacons of a project with a proposed correction of their location
+ * @param {String} projectId
+ * @returns {[JSON]} [{_id, uid_beacon, name, storey, location, position_correction}]
+ */
+const getProposedCorrections = async (projectId) => {
+	const project = await getProjectBeacons(projectId);
+	return project.beacons_model.beacons
+		.filter((beacon) => beacon.position_correction)
+		.map((beacon) => ({
+			_id: beacon._id,
+			uid_beacon: beacon.uid_beacon,
+			name: beacon.name,
+			storey: beacon.storey,
+			location: beacon.location,
+			position_correction: beacon.position_correction,
+		}));
+};
+
+/**
+ * Gets a beacon with a proposed correction of its location, throws 404 if it does not exist
+ */
+const getProposal = (project, beaconId) => {
+	const beacon = project.beacons_model.beacons.id(beaconId);
+	if (beacon === null) {
+		const error = new Error("Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	if (!beacon.position_correction) {
+		const error = new Error("Beacon has no proposed correction of its location");
+		error.statusCode = 404;
+		throw error;
+	}
+	return beacon;
+};
+
+/**
+ * Accepts the proposed correction of the location of a beacon. The location of the BimPlus model is kept in
+ * bimplus_location.
+ * @param {String} projectId
+ * @param {String} beaconId
+ * @returns the updated beacon
+ */
+const acceptPositionCorrection = async (projectId, beaconId) => {
+	const project = await getProjectBeacons(projectId);
+	const beacon = getProposal(project, beaconId);
+	if (!beacon.bimplus_location) {
+		beacon.bimplus_location = toPlainObject(beacon.location);
+	}
+	beacon.location = toPlainObject(beacon.position_correction.location);
+	beacon.position_correction = undefined;
+	//the error and the health were learned with the previous location
+	beacon.error = undefined;
+	beacon.health = undefined;
+	await project.save();
+	return beacon;
+};
+
+/**
+ * Rejects the proposed correction of the location of a beacon
+ * @param {String} projectId
+ * @param {String} beaconId
+ * @returns the updated beacon
+ */
+const rejectPositionCorrection = async (projectId, beaconId) => {
+	const project = await getProjectBeacons(projectId);
+	const beacon = getProposal(project, beaconId);
+	beacon.position_correction = undefined;
+	await project.save();
+	return beacon;
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	isConfidentLocation,
+	getSamples,
+	estimateBeaconPosition,
+	getPositionCorrections,
+	updatePositionCorrections,
+	updateAllPositionCorrections,
+	getProposedCorrections,
+	acceptPositionCorrection,
+	rejectPositionCorrection,
+};
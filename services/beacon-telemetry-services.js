@@ -0,0 +1,203 @@
+const Project = require("../models/project");
+const BeaconTelemetry = require("../models/beacon-telemetry");
+const measurementTimingServices = require("./measurement-timing-services");
+const beaconHealthServices = require("./beacon-health-services");
+const beaconsInfoServices = require("./beacons-info-services");
+const beaconMeasurements = require("./location-methods/beacon-measurements");
+const { toPlainObject } = require("./location-methods/project-context");
+/**
+ * Service for the telemetry of the beacons (battery, temperature, TX power) sent by the devices or the gateways that
+ * receive their Eddystone-TLM or vendor frames. Every reading is stored as a time series of the beacon and the latest
+ * one is stored in the beacon. A beacon whose battery drops below the thresholds of the project raises a low battery
+ * alert (socket and webhook, as the alerts of the health of the beacons).
+ */
+
+const DEFAULT_OPTIONS = {
+	//milivolts, a coin cell (3 V nominal) is nearly empty below this voltage
+	lowBatteryVoltage: 2500,
+	//percentage
+	lowBatteryLevel: 20,
+};
+
+//values of a telemetry reading
+const TELEMETRY_FIELDS = ["battery_voltage", "battery_level", "temperature", "tx_power", "adv_count", "uptime"];
+
+/**
+ * Options of the telemetry from the settings of the health of the beacons of a project
+ * @param {JSON} settings {low_battery_voltage, low_battery_level}
+ * @returns {JSON} options, see DEFAULT_OPTIONS
+ */
+const getTelemetryOptions = (settings) => {
+	const plainSettings = toPlainObject(settings) || {};
+	const options = {};
+	if (plainSettings.low_battery_voltage !== undefined && plainSettings.low_battery_voltage !== null) {
+		options.lowBatteryVoltage = plainSettings.low_battery_voltage;
+	}
+	if (plainSettings.low_battery_level !== undefined && plainSettings.low_battery_level !== null) {
+		options.lowBatteryLevel = plainSettings.low_battery_level;
+	}
+	return options;
+};
+
+/**
+ * Checks if the battery of a beacon is low. Readings without battery values are not low.
+ * @param {JSON} reading {battery_voltage, battery_level}
+ * @param {JSON} options see DEFAULT_OPTIONS
+ */
+const isLowBattery = (reading, options = {}) => {
+	const { lowBatteryVoltage, lowBatteryLevel } = { ...DEFAULT_OPTIONS, ...options };
+	const isSet = (value) => typeof value === "number" && isFinite(value);
+	return (
+		(isSet(reading.battery_voltage) && reading.battery_voltage < lowBatteryVoltage) ||
+		(isSet(reading.battery_level) && reading.battery_level < lowBatteryLevel)
+	);
+};
+
+/**
+ * Reading of the telemetry sent for a beacon
+ * @param {JSON} telemetry {uid_beacon, battery_voltage, battery_level, temperature, tx_power, adv_count, uptime,
+ * timestamp}
+ * @param {Number} now milliseconds, date of the telemetry without timestamp
+ * @param {Number} maxClockSkew seconds, the date of the server is used if the timestamp differs more than this
+ * (see measurement-timing-services.getLocationDate(...), its default if undefined)
+ * @returns {JSON} reading with the values that were sent and its date
+ */
+const toReading = (telemetry, now = Date.now(), maxClockSkew) => {
+	const reading = {};
+	TELEMETRY_FIELDS.filter((field) => telemetry[field] !== undefined && telemetry[field] !== null).forEach(
+		(field) => (reading[field] = Number(telemetry[field]))
+	);
+	const timestamp = measurementTimingServices.parseTimestamp(telemetry.timestamp);
+	reading.date = measurementTimingServices.getLocationDate(timestamp, maxClockSkew, now).date;
+	return reading;
+};
+
+/**
+ * Latest reading of each beacon and the low battery alerts
+ * @param {[JSON]} beacons beacons of the project with their latest telemetry
+ * @param {[JSON]} readings [{beacon, reading}] new readings of the beacons
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {latest: {beacon_id: reading}, alerts} only the beacons whose latest reading changed; an alert is
+ * raised when the battery of a beacon becomes low
+ */
+const getLatestReadings = (beacons, readings, options = {}) => {
+	const latest = {};
+	const alerts = [];
+	beacons.forEach((beacon) => {
+		const newReadings = readings
+			.filter((element) => element.beacon._id === beacon._id)
+			.map((element) => element.reading)
+			.sort((a, b) => a.date - b.date);
+		const previous = toPlainObject(beacon.telemetry);
+		const newest = newReadings[newReadings.length - 1];
+		if (newest === undefined || (previous && previous.date && new Date(previous.date) > newest.date)) {
+			return;
+		}
+		latest[beacon._id] = { ...newest, low_battery: isLowBattery(newest, options) };
+		if (latest[beacon._id].low_battery && !(previous && previous.low_battery)) {
+			alerts.push({
+				beacon_id: beacon._id,
+				beacon_uid: beacon.uid_beacon,
+				name: beacon.name,
+				status: "low-battery",
+				battery_voltage: newest.battery_voltage,
+				battery_level: newest.battery_level,
+				date: newest.date,
+			});
+		}
+	});
+	return { latest, alerts };
+};
+
+/**
+ * Stores the telemetry of the beacons of a project
+ * @param {String} projectId
+ * @param {[JSON]} telemetry [{uid_beacon, battery_voltage, battery_level, temperature, tx_power, adv_count, uptime,
+ * timestamp}]
+ * @returns {JSON} {stored, unknown_beacons, alerts} number of stored readings, UIDs that are not beacons of the project
+ * and the low battery alerts that were sent
+ */
+const addTelemetry = async (projectId, telemetry) => {
+	const project = await Project.findById(projectId, {
+		"beacons_model.beacons": 1,
+		beacon_health: 1,
+		measurement_timing: 1,
+	});
+	if (project === null) {
+		const error = new Error("Project was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beacons = project.beacons_model && project.beacons_model.beacons ? project.beacons_model.beacons : [];
+	const beaconsByUid = {};
+	beacons.filter((beacon) => beacon.uid_beacon).forEach((beacon) => (beaconsByUid[beacon.uid_beacon] = beacon));
+	const unknownBeacons = [];
+	const readings = [];
+	const now = Date.now();
+	const { max_clock_skew } = beaconMeasurements.getMeasurementTiming(project);
+	telemetry.forEach((element) => {
+		const beacon = beaconsByUid[element.uid_beacon];
+		if (beacon === undefined) {
+			unknownBeacons.push(element.uid_beacon);
+			return;
+		}
+		readings.push({ beacon: beacon, reading: toReading(element, now, max_clock_skew) });
+	});
+
+	const { latest, alerts } = getLatestReadings(
+		beacons.map(toPlainObject),
+		readings.map(({ beacon, reading }) => ({ beacon: toPlainObject(beacon), reading })),
+		getTelemetryOptions(project.beacon_health)
+	);
+	if (readings.length > 0) {
+		await BeaconTelemetry.insertMany(
+			readings.map(({ beacon, reading }) => ({
+				project_ref: projectId,
+				beacon_id: beacon._id,
+				uid_beacon: beacon.uid_beacon,
+				...reading,
+			}))
+		);
+	}
+	const updatedBeacons = beacons.filter((beacon) => latest[beacon._id] !== undefined);
+	updatedBeacons.forEach((beacon) => (beacon.telemetry = latest[beacon._id]));
+	if (updatedBeacons.length > 0) {
+		await project.save();
+	}
+	await beaconHealthServices.sendAlerts(
+		projectId,
+		alerts,
+		project.beacon_health ? project.beacon_health.webhook_url : undefined
+	);
+	return { stored: readings.length, unknown_beacons: unknownBeacons, alerts: alerts };
+};
+
+/**
+ * Telemetry of a beacon, newest first
+ * @param {String} projectId
+ * @param {String} beaconId
+ * @param {JSON} filter {from, to, limit} from and to are dates, limit is the maximum number of readings
+ * @returns {[JSON]} readings
+ */
+const getTelemetry = async (projectId, beaconId, { from, to, limit = 100 } = {}) => {
+	//throws 404 if the beacon does not exist
+	await beaconsInfoServices.getBeacon(projectId, beaconId);
+	const query = { project_ref: projectId, beacon_id: beaconId };
+	if (from !== undefined || to !== undefined) {
+		query.date = {};
+		if (from !== undefined) query.date.$gte = new Date(from);
+		if (to !== undefined) query.date.$lte = new Date(to);
+	}
+	const readings = await BeaconTelemetry.find(query, { project_ref: 0, __v: 0 }).sort({ date: -1 }).limit(limit);
+	return readings;
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	getTelemetryOptions,
+	isLowBattery,
+	toReading,
+	getLatestReadings,
+	addTelemetry,
+	getTelemetry,
+};
@@ -1,5 +1,6 @@
 const bimPlusServices = require("./bim-plus-services");
 const Project = require("../models/project");
+const pathLossServices = require("./path-loss-services");
 
 /** 
  * Get all the beacons from a project
@@ -66,11 +67,12 @@ const getBeacon = async (projectId, beaconId) => {
 };
 
 /**
- * Gets location of desired beacons
+ * Gets the desired beacons identified by their UIDs (in the same order)
  * @params {String} projectId 
  * @params {[String]} beaconsUID 
+ * @returns {[JSON]} list of beacons
  */
-const getBeaconsLocation = async (projectId, beaconsUid) => {
+const getBeaconsByUid = async (projectId, beaconsUid) => {
 	const project = await Project.findById(projectId, {
 		"beacons_model.beacons": 1,
 	});
@@ -80,7 +82,7 @@ const getBeaconsLocation = async (projectId, beaconsUid) => {
 		throw error;
 	}
 
-	const locations = [];
+	const foundBeacons = [];
 	const beacons = project.beacons_model.beacons;
 
 	for (let beaconUid of beaconsUid) {
@@ -90,10 +92,40 @@ const getBeaconsLocation = async (projectId, beaconsUid) => {
 			error.statusCode = 404;
 			throw error;
 		}
-		locations.push(beacon.location);
+		foundBeacons.push(beacon);
+	}
+
+	return foundBeacons;
+};
+
+/**
+ * Gets the storeys of the beacons model of a project
+ * @params {String} projectId
+ * @returns {[JSON]} storeys [{_id, name, elevation}], empty if the model has no storeys
+ */
+const getStoreys = async (projectId) => {
+	const project = await Project.findById(projectId, {
+		"beacons_model.storeys": 1,
+	});
+	if (project === null) {
+		const error = new Error("Project Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	if (!project.beacons_model || !project.beacons_model.storeys) {
+		return [];
 	}
+	return project.beacons_model.storeys;
+};
 
-	return locations;
+/**
+ * Gets location of desired beacons
+ * @params {String} projectId 
+ * @params {[String]} beaconsUID 
+ */
+const getBeaconsLocation = async (projectId, beaconsUid) => {
+	const beacons = await getBeaconsByUid(projectId, beaconsUid);
+	return beacons.map((beacon) => beacon.location);
 };
 
 /**
@@ -175,11 +207,200 @@ const deleteBeaconUID = async (projectId, beaconId) => {
 	return beacon;
 };
 
+/**
+ * Sets the path loss parameters of a beacon. They override the parameters of the project for this beacon.
+ * @params {String} projectId 
+ * @params {String} beaconId 
+ * @params {JSON} pathLoss {reference_rssi, path_loss_exponent}
+ */
+const setBeaconPathLoss = async (projectId, beaconId, pathLoss) => {
+	const project = await Project.findById(projectId, {
+		"beacons_model.beacons": 1,
+	});
+
+	if (project === null) {
+		const error = new Error("Project/Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beacon = project.beacons_model.beacons.id(beaconId);
+	if (beacon === null) {
+		const error = new Error("Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	beacon.path_loss = {
+		reference_rssi: pathLoss.reference_rssi,
+		path_loss_exponent: pathLoss.path_loss_exponent,
+	};
+	await beacon.save({ suppressWarning: true }); //validate Subdocument Beacon
+	await project.save(); //save Project Document
+	return beacon;
+};
+
+/**
+ * Sets the radio of a beacon. UWB anchors are used by the uwb location methods.
+ * @params {String} projectId 
+ * @params {String} beaconId 
+ * @params {String} anchorType "ble" or "uwb"
+ */
+const setBeaconAnchorType = async (projectId, beaconId, anchorType) => {
+	const project = await Project.findById(projectId, {
+		"beacons_model.beacons": 1,
+	});
+
+	if (project === null) {
+		const error = new Error("Project/Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beacon = project.beacons_model.beacons.id(beaconId);
+	if (beacon === null) {
+		const error = new Error("Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	beacon.anchor_type = anchorType;
+	await beacon.save({ suppressWarning: true }); //validate Subdocument Beacon
+	await project.save(); //save Project Document
+	return beacon;
+};
+
+/**
+ * Removes the path loss parameters of a beacon. The parameters of the project are used again.
+ * @params {String} projectId 
+ * @params {String} beaconId 
+ */
+const deleteBeaconPathLoss = async (projectId, beaconId) => {
+	const project = await Project.findById(projectId, {
+		"beacons_model.beacons": 1,
+	});
+
+	if (project === null) {
+		const error = new Error("Project/Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beacon = project.beacons_model.beacons.id(beaconId);
+	if (beacon === null) {
+		const error = new Error("Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	beacon.path_loss = undefined;
+	await beacon.save({ suppressWarning: true }); //validate Subdocument Beacon
+	await project.save(); //save Project Document
+	return beacon;
+};
+
+/**
+ * Calibrates a beacon with RSSI samples taken at known distances. The path loss parameters are fitted
+ * and stored in the beacon, so they are used when estimating locations with RSSI measurements.
+ * @params {String} projectId 
+ * @params {String} beaconId 
+ * @params {[JSON]} samples [{distance, rssi}] rssi can be a number or an array of RSSIs taken at the same distance
+ * @returns {JSON} the calibrated beacon
+ */
+const setBeaconCalibration = async (projectId, beaconId, samples) => {
+	const project = await Project.findById(projectId, {
+		"beacons_model.beacons": 1,
+	});
+
+	if (project === null) {
+		const error = new Error("Project/Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beacon = project.beacons_model.beacons.id(beaconId);
+	if (beacon === null) {
+		const error = new Error("Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	//one sample per RSSI reading
+	const flatSamples = samples
+		.map((sample) =>
+			[].concat(sample.rssi).map((rssi) => ({ distance: Number(sample.distance), rssi: Number(rssi) }))
+		)
+		.flat();
+	const fit = pathLossServices.fitPathLossModel(flatSamples);
+
+	beacon.calibration = {
+		...fit,
+		samples: flatSamples,
+		date: Date.now(),
+	};
+	beacon.path_loss = {
+		reference_rssi: fit.reference_rssi,
+		path_loss_exponent: fit.path_loss_exponent,
+	};
+	await beacon.save({ suppressWarning: true }); //validate Subdocument Beacon
+	await project.save(); //save Project Document
+	return beacon;
+};
+
+/**
+ * Gets the calibration of a beacon
+ * @params {String} projectId 
+ * @params {String} beaconId 
+ * @returns {JSON} calibration of the beacon
+ */
+const getBeaconCalibration = async (projectId, beaconId) => {
+	const beacon = await getBeacon(projectId, beaconId);
+	if (beacon.calibration === undefined || beacon.calibration === null) {
+		const error = new Error("Beacon has not been calibrated");
+		error.statusCode = 404;
+		throw error;
+	}
+	return beacon.calibration;
+};
+
+/**
+ * Removes the calibration of a beacon and the path loss parameters obtained with it.
+ * @params {String} projectId 
+ * @params {String} beaconId 
+ */
+const deleteBeaconCalibration = async (projectId, beaconId) => {
+	const project = await Project.findById(projectId, {
+		"beacons_model.beacons": 1,
+	});
+
+	if (project === null) {
+		const error = new Error("Project/Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beacon = project.beacons_model.beacons.id(beaconId);
+	if (beacon === null) {
+		const error = new Error("Beacon Was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	beacon.calibration = undefined;
+	beacon.path_loss = undefined;
+	await beacon.save({ suppressWarning: true }); //validate Subdocument Beacon
+	await project.save(); //save Project Document
+	return beacon;
+};
+
 module.exports = {
 	getBeacons,
 	getActiveBeacons,
 	getBeacon,
+	getBeaconsByUid,
+	getStoreys,
 	getBeaconsLocation,
 	setBeaconUID,
 	deleteBeaconUID,
+	setBeaconPathLoss,
+	deleteBeaconPathLoss,
+	setBeaconAnchorType,
+	setBeaconCalibration,
+	getBeaconCalibration,
+	deleteBeaconCalibration,
 };
@@ -0,0 +1,75 @@
+/**
+ * Location estimation by RF fingerprinting. A live scan (RSSI to each beacon) is compared with the
+ * reference points of the radio map and the location is obtained with the weighted k-nearest neighbours algorithm.
+ */
+
+const DEFAULT_OPTIONS = {
+	k: 3, //number of neighbours
+	missingRssi: -100, //RSSI (dBm) assumed for a beacon that was not heard
+};
+
+/**
+ * Distance in signal space between a scan and a fingerprint. Beacons heard only in one of them
+ * are compared against the missing RSSI value.
+ * @param {JSON} scan {beacon_uid: rssi}
+ * @param {JSON} fingerprint {beacon_uid: rssi}
+ * @param {Number} missingRssi
+ * @returns {Number} euclidean distance (dB)
+ */
+const signalDistance = (scan, fingerprint, missingRssi) => {
+	const beaconsUids = new Set([...Object.keys(scan), ...Object.keys(fingerprint)]);
+	let sum = 0;
+	beaconsUids.forEach((beaconUid) => {
+		const scanRssi = scan[beaconUid] !== undefined ? scan[beaconUid] : missingRssi;
+		const fingerprintRssi = fingerprint[beaconUid] !== undefined ? fingerprint[beaconUid] : missingRssi;
+		sum += (scanRssi - fingerprintRssi) * (scanRssi - fingerprintRssi);
+	});
+	return Math.sqrt(sum);
+};
+
+/**
+ * Estimates the location of a scan with the weighted k-nearest neighbours of the radio map
+ * @param {[JSON]} scan [{beacon_uid, rssi}]
+ * @param {[JSON]} fingerprints reference points of the radio map [{location:{x,y,z}, rssi_vector:[{beacon_uid,rssi}]}]
+ * @param {JSON} options {k, missingRssi}
+ * @returns {JSON} location {x,y,z}
+ */
+const weightedKNearestNeighbours = (scan, fingerprints, options = {}) => {
+	const { k, missingRssi } = { ...DEFAULT_OPTIONS, ...options };
+	if (!fingerprints || fingerprints.length === 0) {
+		throw new Error("The radio map has no reference points.");
+	}
+	if (scan.length === 0) {
+		throw new Error("Number of measurements too low.");
+	}
+	const toMap = (rssiVector) =>
+		rssiVector.reduce((map, measurement) => {
+			map[measurement.beacon_uid] = measurement.rssi;
+			return map;
+		}, {});
+	const scanMap = toMap(scan);
+
+	const neighbours = fingerprints
+		.map((fingerprint) => ({
+			location: fingerprint.location,
+			distance: signalDistance(scanMap, toMap(fingerprint.rssi_vector), missingRssi),
+		}))
+		.sort((a, b) => a.distance - b.distance)
+		.slice(0, k);
+
+	//a reference point with the same RSSIs is the location
+	if (neighbours[0].distance === 0) {
+		const { x, y, z } = neighbours[0].location;
+		return { x, y, z };
+	}
+
+	const weights = neighbours.map((neighbour) => 1 / neighbour.distance);
+	const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+	const weightedAxis = (axis) =>
+		neighbours.reduce((sum, neighbour, i) => sum + neighbour.location[axis] * weights[i], 0) / totalWeight;
+	return { x: weightedAxis("x"), y: weightedAxis("y"), z: weightedAxis("z") };
+};
+
+module.exports = {
+	weightedKNearestNeighbours,
+};
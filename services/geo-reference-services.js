@@ -0,0 +1,290 @@
+/**
+ * Service for transforming geographic coordinates (WGS84) to the coordinate system of the BimPlus model and back.
+ *
+ * A geo-reference of a project is defined by:
+ *  - origin: {latitude, longitude, altitude} point on Earth where the local East-North-Up (ENU) frame is placed
+ *  - model_origin: {x,y,z} coordinates of the origin in the model
+ *  - rotation: angle (degrees, counterclockwise seen from above) from the x axis of the model to the East axis
+ *  - scale: model units per meter (1000 if the model is in milimeters)
+ *
+ * NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP. The horizontal plane of the model is (x, -z), so
+ * that with rotation 0 the x axis points East and the -z axis points North.
+ */
+
+//WGS84 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137.0;
+const FLATTENING = 1 / 298.257223563;
+const ECCENTRICITY_SQUARED = FLATTENING * (2 - FLATTENING);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Converts geographic coordinates to Earth-Centered Earth-Fixed coordinates
+ * @param {JSON} point {latitude, longitude, altitude} degrees and meters
+ * @returns {[Number]} [x,y,z] in meters
+ */
+const geodeticToEcef = ({ latitude, longitude, altitude = 0 }) => {
+	const lat = toRadians(latitude);
+	const lon = toRadians(longitude);
+	const primeVerticalRadius = SEMI_MAJOR_AXIS / Math.sqrt(1 - ECCENTRICITY_SQUARED * Math.sin(lat) * Math.sin(lat));
+	return [
+		(primeVerticalRadius + altitude) * Math.cos(lat) * Math.cos(lon),
+		(primeVerticalRadius + altitude) * Math.cos(lat) * Math.sin(lon),
+		(primeVerticalRadius * (1 - ECCENTRICITY_SQUARED) + altitude) * Math.sin(lat),
+	];
+};
+
+/**
+ * Converts Earth-Centered Earth-Fixed coordinates to geographic coordinates (iterative method)
+ * @param {[Number]} ecef [x,y,z] in meters
+ * @returns {JSON} {latitude, longitude, altitude}
+ */
+const ecefToGeodetic = ([x, y, z]) => {
+	const longitude = Math.atan2(y, x);
+	const p = Math.hypot(x, y);
+	let latitude = Math.atan2(z, p * (1 - ECCENTRICITY_SQUARED));
+	let altitude = 0;
+	for (let i = 0; i < 10; i++) {
+		const primeVerticalRadius =
+			SEMI_MAJOR_AXIS / Math.sqrt(1 - ECCENTRICITY_SQUARED * Math.sin(latitude) * Math.sin(latitude));
+		altitude = p / Math.cos(latitude) - primeVerticalRadius;
+		latitude = Math.atan2(z, p * (1 - (ECCENTRICITY_SQUARED * primeVerticalRadius) / (primeVerticalRadius + altitude)));
+	}
+	return { latitude: toDegrees(latitude), longitude: toDegrees(longitude), altitude: altitude };
+};
+
+/**
+ * Converts geographic coordinates to the local East-North-Up frame placed at origin
+ * @param {JSON} point {latitude, longitude, altitude}
+ * @param {JSON} origin {latitude, longitude, altitude}
+ * @returns {JSON} {east, north, up} in meters
+ */
+const geodeticToEnu = (point, origin) => {
+	const pointEcef = geodeticToEcef(point);
+	const originEcef = geodeticToEcef(origin);
+	const [dx, dy, dz] = pointEcef.map((value, i) => value - originEcef[i]);
+	const lat = toRadians(origin.latitude);
+	const lon = toRadians(origin.longitude);
+	return {
+		east: -Math.sin(lon) * dx + Math.cos(lon) * dy,
+		north: -Math.sin(lat) * Math.cos(lon) * dx - Math.sin(lat) * Math.sin(lon) * dy + Math.cos(lat) * dz,
+		up: Math.cos(lat) * Math.cos(lon) * dx + Math.cos(lat) * Math.sin(lon) * dy + Math.sin(lat) * dz,
+	};
+};
+
+/**
+ * Converts coordinates of the local East-North-Up frame placed at origin to geographic coordinates
+ * @param {JSON} enu {east, north, up} in meters
+ * @param {JSON} origin {latitude, longitude, altitude}
+ * @returns {JSON} {latitude, longitude, altitude}
+ */
+const enuToGeodetic = ({ east, north, up }, origin) => {
+	const lat = toRadians(origin.latitude);
+	const lon = toRadians(origin.longitude);
+	const originEcef = geodeticToEcef(origin);
+	const dx = -Math.sin(lon) * east - Math.sin(lat) * Math.cos(lon) * north + Math.cos(lat) * Math.cos(lon) * up;
+	const dy = Math.cos(lon) * east - Math.sin(lat) * Math.sin(lon) * north + Math.cos(lat) * Math.sin(lon) * up;
+	const dz = Math.cos(lat) * north + Math.sin(lat) * up;
+	return ecefToGeodetic([originEcef[0] + dx, originEcef[1] + dy, originEcef[2] + dz]);
+};
+
+/**
+ * Returns the parameters of the geo-reference with its default values
+ * @param {JSON} geoReference
+ */
+const getParameters = (geoReference) => {
+	if (!geoReference || !geoReference.origin) {
+		const error = new Error("Project has not defined a geo-reference");
+		error.statusCode = 409;
+		throw error;
+	}
+	const modelOrigin = geoReference.model_origin || {};
+	return {
+		origin: {
+			latitude: geoReference.origin.latitude,
+			longitude: geoReference.origin.longitude,
+			altitude: geoReference.origin.altitude || 0,
+		},
+		modelOrigin: { x: modelOrigin.x || 0, y: modelOrigin.y || 0, z: modelOrigin.z || 0 },
+		rotation: toRadians(geoReference.rotation || 0),
+		scale: geoReference.scale || 1000,
+	};
+};
+
+/**
+ * Transforms geographic coordinates to coordinates of the model
+ * @param {JSON} geoReference geo-reference of the project
+ * @param {JSON} point {latitude, longitude, altitude} if altitude is not defined, the altitude of the origin is used
+ * @returns {JSON} {x,y,z} coordinates of the model
+ */
+const geodeticToModel = (geoReference, point) => {
+	const { origin, modelOrigin, rotation, scale } = getParameters(geoReference);
+	const altitude = point.altitude !== undefined && point.altitude !== null ? point.altitude : origin.altitude;
+	const { east, north, up } = geodeticToEnu(
+		{ latitude: point.latitude, longitude: point.longitude, altitude: altitude },
+		origin
+	);
+	//rotate (counterclockwise) and scale the horizontal plane
+	const horizontalX = scale * (Math.cos(rotation) * east - Math.sin(rotation) * north);
+	const horizontalNorth = scale * (Math.sin(rotation) * east + Math.cos(rotation) * north);
+	return {
+		x: modelOrigin.x + horizontalX,
+		y: modelOrigin.y + scale * up,
+		z: modelOrigin.z - horizontalNorth,
+	};
+};
+
+/**
+ * Transforms coordinates of the model to geographic coordinates
+ * @param {JSON} geoReference geo-reference of the project
+ * @param {JSON} location {x,y,z} coordinates of the model
+ * @returns {JSON} {latitude, longitude, altitude}
+ */
+const modelToGeodetic = (geoReference, location) => {
+	const { origin, modelOrigin, rotation, scale } = getParameters(geoReference);
+	const horizontalX = (location.x - modelOrigin.x) / scale;
+	const horizontalNorth = -(location.z - modelOrigin.z) / scale;
+	//inverse rotation
+	const east = Math.cos(rotation) * horizontalX + Math.sin(rotation) * horizontalNorth;
+	const north = -Math.sin(rotation) * horizontalX + Math.cos(rotation) * horizontalNorth;
+	const up = (location.y - modelOrigin.y) / scale;
+	return enuToGeodetic({ east, north, up }, origin);
+};
+
+/**
+ * Fits the geo-reference (2D similarity transform of the horizontal plane and a vertical offset) that best relates
+ * the control points in the least squares sense. The rotation is only about the vertical axis.
+ * Control points without altitude are only used for the horizontal fit.
+ * @param {[JSON]} controlPoints [{_id, model:{x,y,z}, geographic:{latitude,longitude,altitude}}]
+ * @returns {JSON} geo-reference {origin, model_origin, rotation, scale, fit:{rmse, vertical_rmse, residuals}}
+ */
+const fitGeoReference = (controlPoints) => {
+	if (!controlPoints || controlPoints.length < 2) {
+		const error = new Error("At least two control points are needed to fit the geo-reference");
+		error.statusCode = 400;
+		throw error;
+	}
+	const hasAltitude = (point) => point.geographic.altitude !== undefined && point.geographic.altitude !== null;
+	const pointsWithAltitude = controlPoints.filter(hasAltitude);
+
+	//the origin of the local frame is the centroid of the control points
+	const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+	const origin = {
+		latitude: mean(controlPoints.map((point) => point.geographic.latitude)),
+		longitude: mean(controlPoints.map((point) => point.geographic.longitude)),
+		altitude: pointsWithAltitude.length > 0 ? mean(pointsWithAltitude.map((point) => point.geographic.altitude)) : 0,
+	};
+
+	//q: horizontal coordinates in the local frame (meters), p: horizontal coordinates in the model (x, -z)
+	const enus = controlPoints.map((point) =>
+		geodeticToEnu({ ...point.geographic, altitude: hasAltitude(point) ? point.geographic.altitude : origin.altitude }, origin)
+	);
+	const q = enus.map((enu) => [enu.east, enu.north]);
+	const p = controlPoints.map((point) => [point.model.x, -point.model.z]);
+	const qMean = [mean(q.map((value) => value[0])), mean(q.map((value) => value[1]))];
+	const pMean = [mean(p.map((value) => value[0])), mean(p.map((value) => value[1]))];
+
+	//closed form solution of p = [a -b; b a] q + t
+	let sumSquares = 0;
+	let sumA = 0;
+	let sumB = 0;
+	q.forEach((value, i) => {
+		const qx = value[0] - qMean[0];
+		const qy = value[1] - qMean[1];
+		const px = p[i][0] - pMean[0];
+		const py = p[i][1] - pMean[1];
+		sumSquares += qx * qx + qy * qy;
+		sumA += qx * px + qy * py;
+		sumB += qx * py - qy * px;
+	});
+	//control points closer than 1 cm cannot define the rotation and scale
+	if (sumSquares < 1e-4) {
+		const error = new Error("Control points must be at different locations to fit the geo-reference");
+		error.statusCode = 400;
+		throw error;
+	}
+	const a = sumA / sumSquares;
+	const b = sumB / sumSquares;
+	const scale = Math.hypot(a, b);
+	const translation = [pMean[0] - (a * qMean[0] - b * qMean[1]), pMean[1] - (b * qMean[0] + a * qMean[1])];
+
+	//vertical offset with the fitted scale
+	const verticalPoints = pointsWithAltitude.length > 0 ? pointsWithAltitude : controlPoints;
+	const modelOriginY = mean(
+		verticalPoints.map((point) => point.model.y - scale * enus[controlPoints.indexOf(point)].up)
+	);
+
+	const geoReference = {
+		origin: origin,
+		model_origin: { x: translation[0], y: modelOriginY, z: -translation[1] },
+		rotation: toDegrees(Math.atan2(b, a)),
+		scale: scale,
+	};
+
+	//residuals: fitted location - surveyed location
+	const residuals = controlPoints.map((point) => {
+		const location = geodeticToModel(geoReference, point.geographic);
+		return {
+			control_point: point._id !== undefined ? String(point._id) : undefined,
+			x: location.x - point.model.x,
+			y: location.y - point.model.y,
+			z: location.z - point.model.z,
+		};
+	});
+	const rmse = Math.sqrt(mean(residuals.map((residual) => residual.x * residual.x + residual.z * residual.z)));
+	const verticalResiduals = residuals.filter((_, i) => hasAltitude(controlPoints[i]));
+	geoReference.fit = {
+		rmse: rmse,
+		vertical_rmse:
+			verticalResiduals.length > 0
+				? Math.sqrt(mean(verticalResiduals.map((residual) => residual.y * residual.y)))
+				: undefined,
+		residuals: residuals,
+		date: new Date(),
+	};
+	return geoReference;
+};
+
+//fields of the entities with locations in the coordinates of the model
+const LOCATION_FIELDS = ["location", "raw_location", "bimplus_location"];
+
+/**
+ * Returns a copy of the entity with its locations in the requested coordinates
+ * @param {JSON} geoReference geo-reference of the project (not needed for "model" coordinates)
+ * @param {JSON} entity plain object with a location (and optionally a raw_location, a bimplus_location or the
+ * historicalData of a tracked entity), like a beacon or a tracked entity
+ * @param {String} coordinates "model" (default) returns the entity as it is, "geographic" replaces every location
+ * with geographic_location (geographic_raw_location...), "both" adds them
+ * @returns {JSON} entity
+ */
+const formatCoordinates = (geoReference, entity, coordinates = "model") => {
+	if (coordinates === "model") {
+		return entity;
+	}
+	const formattedEntity = { ...entity };
+	LOCATION_FIELDS.forEach((field) => {
+		if (!entity[field]) {
+			return;
+		}
+		formattedEntity["geographic_" + field] = modelToGeodetic(geoReference, entity[field]);
+		if (coordinates === "geographic") {
+			delete formattedEntity[field];
+		}
+	});
+	if (Array.isArray(entity.historicalData)) {
+		formattedEntity.historicalData = entity.historicalData.map((element) =>
+			formatCoordinates(geoReference, element, coordinates)
+		);
+	}
+	return formattedEntity;
+};
+
+module.exports = {
+	geodeticToEnu,
+	enuToGeodetic,
+	geodeticToModel,
+	modelToGeodetic,
+	fitGeoReference,
+	formatCoordinates,
+};
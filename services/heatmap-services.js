@@ -0,0 +1,216 @@
+const zlib = require("zlib");
+/**
+ * Service for rendering the coverage heatmap of a storey (see placement-planner-services.planCoverage) as an image.
+ * Every cell of the grid is a square of the image coloured by its coverage and GDOP. The first row of the image is the
+ * row of the grid with the lowest z, so z grows downwards and x to the right.
+ */
+
+const DEFAULT_OPTIONS = {
+	//pixels of a cell
+	cellSize: 10,
+	//cells with a GDOP up to this value are excellent
+	excellentGdop: 1.5,
+};
+
+//colours [r, g, b]
+const COLOURS = {
+	excellent: [26, 152, 80],
+	good: [254, 224, 139],
+	"poor-geometry": [252, 141, 89],
+	"insufficient-beacons": [215, 48, 39],
+	notWalkable: [255, 255, 255],
+	beacon: [33, 102, 172],
+};
+
+/**
+ * Colour of a cell
+ * @param {String} coverage see placement-planner-services.getCoverage(...)
+ * @param {Number} gdop
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {[Number]} [r, g, b]
+ */
+const getColour = (coverage, gdop, options = {}) => {
+	const { excellentGdop } = { ...DEFAULT_OPTIONS, ...options };
+	if (coverage === null) {
+		return COLOURS.notWalkable;
+	}
+	if (coverage === "good") {
+		return gdop <= excellentGdop ? COLOURS.excellent : COLOURS.good;
+	}
+	return COLOURS[coverage];
+};
+
+/**
+ * Pixel of a point of the storey
+ * @param {JSON} plan {origin, resolution}
+ * @param {JSON} point {x, z}
+ * @param {Number} cellSize
+ */
+const toPixel = (plan, point, cellSize) => ({
+	x: ((point.x - plan.origin.x) / plan.resolution) * cellSize,
+	y: ((point.z - plan.origin.z) / plan.resolution) * cellSize,
+});
+
+/**
+ * Renders the heatmap as SVG
+ * @param {JSON} plan see placement-planner-services.planCoverage(...)
+ * @param {[JSON]} beacons beacons drawn over the heatmap [{x, z}]
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {String} SVG document
+ */
+const toSvg = (plan, beacons = [], options = {}) => {
+	const settings = { ...DEFAULT_OPTIONS, ...options };
+	const { cellSize } = settings;
+	const width = plan.columns * cellSize;
+	const height = plan.rows * cellSize;
+	const elements = [];
+	plan.coverage.forEach((row, i) =>
+		row.forEach((coverage, j) => {
+			const title =
+				coverage === null
+					? "not walkable"
+					: coverage + ", beacons in range: " + plan.beacons_in_range[i][j] + ", GDOP: " + plan.gdop[i][j];
+			elements.push(
+				'<rect x="' +
+					j * cellSize +
+					'" y="' +
+					i * cellSize +
+					'" width="' +
+					cellSize +
+					'" height="' +
+					cellSize +
+					'" fill="rgb(' +
+					getColour(coverage, plan.gdop[i][j], settings).join(",") +
+					')"><title>' +
+					title +
+					"</title></rect>"
+			);
+		})
+	);
+	beacons.forEach((beacon) => {
+		const pixel = toPixel(plan, beacon, cellSize);
+		elements.push(
+			'<circle cx="' +
+				pixel.x +
+				'" cy="' +
+				pixel.y +
+				'" r="' +
+				cellSize / 2 +
+				'" fill="rgb(' +
+				COLOURS.beacon.join(",") +
+				')" stroke="black"/>'
+		);
+	});
+	return (
+		'<svg xmlns="http://www.w3.org/2000/svg" width="' +
+		width +
+		'" height="' +
+		height +
+		'" viewBox="0 0 ' +
+		width +
+		" " +
+		height +
+		'">' +
+		elements.join("") +
+		"</svg>"
+	);
+};
+
+//CRC-32 table of the PNG chunks
+const CRC_TABLE = [...Array(256).keys()].map((n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer
+ * @param {Buffer} buffer
+ * @returns {Number}
+ */
+const crc32 = (buffer) => {
+	let crc = 0xffffffff;
+	for (let i = 0; i < buffer.length; i++) {
+		crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * PNG chunk: length, type, data and CRC of the type and data
+ * @param {String} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+const getChunk = (type, data) => {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(typeAndData));
+	return Buffer.concat([length, typeAndData, crc]);
+};
+
+/**
+ * Renders the heatmap as PNG (8 bit RGB)
+ * @param {JSON} plan see placement-planner-services.planCoverage(...)
+ * @param {[JSON]} beacons beacons drawn over the heatmap [{x, z}]
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {Buffer} PNG image
+ */
+const toPng = (plan, beacons = [], options = {}) => {
+	const settings = { ...DEFAULT_OPTIONS, ...options };
+	const { cellSize } = settings;
+	const width = plan.columns * cellSize;
+	const height = plan.rows * cellSize;
+	const pixels = Buffer.alloc(width * height * 3);
+	const setPixel = (x, y, colour) => {
+		if (x >= 0 && x < width && y >= 0 && y < height) {
+			pixels.set(colour, (y * width + x) * 3);
+		}
+	};
+	for (let y = 0; y < height; y++) {
+		const i = Math.floor(y / cellSize);
+		for (let x = 0; x < width; x++) {
+			const j = Math.floor(x / cellSize);
+			setPixel(x, y, getColour(plan.coverage[i][j], plan.gdop[i][j], settings));
+		}
+	}
+	const radius = cellSize / 2;
+	beacons.forEach((beacon) => {
+		const center = toPixel(plan, beacon, cellSize);
+		for (let y = Math.floor(center.y - radius); y <= Math.ceil(center.y + radius); y++) {
+			for (let x = Math.floor(center.x - radius); x <= Math.ceil(center.x + radius); x++) {
+				if (Math.hypot(x - center.x, y - center.y) <= radius) {
+					setPixel(x, y, COLOURS.beacon);
+				}
+			}
+		}
+	});
+
+	//every scanline starts with the filter type (0, none)
+	const scanlines = Buffer.alloc(height * (width * 3 + 1));
+	for (let y = 0; y < height; y++) {
+		pixels.copy(scanlines, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+	}
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	//bit depth 8, colour type 2 (RGB), compression 0, filter 0, no interlace
+	header.set([8, 2, 0, 0, 0], 8);
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		getChunk("IHDR", header),
+		getChunk("IDAT", zlib.deflateSync(scanlines)),
+		getChunk("IEND", Buffer.alloc(0)),
+	]);
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	getColour,
+	toSvg,
+	toPng,
+};
@@ -0,0 +1,114 @@
+const matrixFunctions = require("./matrix-functions");
+/**
+ * Kalman filter used for smoothing the estimated locations of a tracked entity.
+ * Constant velocity model in 3D. The state vector is [x, y, z, vx, vy, vz] and only the position is measured.
+ * Units are the units of the model (milimeters) and seconds.
+ *
+ * Reference:
+ * Cantón Paterna, V.; Calveras Augé, A.; Paradells Aspas, J.; Pérez Bullones, M.A.
+ * A Bluetooth Low Energy Indoor Positioning System with Channel Diversity, Weighted Trilateration and Kalman Filtering.
+ * Sensors 2017, 17, 2927. https://doi.org/10.3390/s17122927
+ */
+
+const DEFAULT_OPTIONS = {
+	//standard deviation of an estimated location
+	measurementStd: 1500,
+	//spectral density of the acceleration noise (a walking person changes its speed around 500 mm/s²)
+	processNoise: 500 * 500,
+	//standard deviation of the velocity when the filter starts
+	initialVelocityStd: 1000,
+	//if the entity was not updated for this time (seconds), the filter is restarted
+	maxTimeGap: 60,
+};
+
+const AXES = ["x", "y", "z"];
+
+/**
+ * Creates a new filter state from the first estimated location
+ * @param {JSON} location {x,y,z}
+ * @param {Date} date date of the location
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} filter state {position, velocity, covariance, date}
+ */
+const createFilterState = (location, date = new Date(), options = {}) => {
+	const { measurementStd, initialVelocityStd } = { ...DEFAULT_OPTIONS, ...options };
+	const covariance = matrixFunctions.identity(6).map((row, i) =>
+		row.map((value) => value * (i < 3 ? measurementStd * measurementStd : initialVelocityStd * initialVelocityStd))
+	);
+	return {
+		position: { x: location.x, y: location.y, z: location.z },
+		velocity: { x: 0, y: 0, z: 0 },
+		covariance: covariance,
+		date: new Date(date),
+	};
+};
+
+/**
+ * Predicts the state until date and corrects it with the new estimated location
+ * @param {JSON} filterState previous state {position, velocity, covariance, date}
+ * @param {JSON} location new estimated location {x,y,z}
+ * @param {Date} date date of the new location
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} new filter state {position, velocity, covariance, date}
+ */
+const updateFilterState = (filterState, location, date = new Date(), options = {}) => {
+	const { measurementStd, processNoise, maxTimeGap } = { ...DEFAULT_OPTIONS, ...options };
+	if (!filterState || !filterState.date || !filterState.covariance || filterState.covariance.length !== 6) {
+		return createFilterState(location, date, options);
+	}
+	const dt = Math.max((new Date(date) - new Date(filterState.date)) / 1000, 0);
+	if (dt > maxTimeGap) {
+		return createFilterState(location, date, options);
+	}
+
+	//prediction: x = F x, P = F P Fᵀ + Q
+	const transition = matrixFunctions.identity(6);
+	for (let i = 0; i < 3; i++) {
+		transition[i][i + 3] = dt;
+	}
+	const processCovariance = Array.from({ length: 6 }, () => new Array(6).fill(0));
+	for (let i = 0; i < 3; i++) {
+		processCovariance[i][i] = (processNoise * dt * dt * dt) / 3;
+		processCovariance[i][i + 3] = (processNoise * dt * dt) / 2;
+		processCovariance[i + 3][i] = (processNoise * dt * dt) / 2;
+		processCovariance[i + 3][i + 3] = processNoise * dt;
+	}
+	const state = [
+		...AXES.map((axis) => filterState.position[axis]),
+		...AXES.map((axis) => filterState.velocity[axis]),
+	];
+	const predictedState = matrixFunctions.multiply(transition, state);
+	const predictedCovariance = matrixFunctions
+		.multiply(matrixFunctions.multiply(transition, filterState.covariance), matrixFunctions.transpose(transition))
+		.map((row, i) => row.map((value, j) => value + processCovariance[i][j]));
+
+	//correction: only the position is measured (H = [I 0])
+	const measurementVariance = measurementStd * measurementStd;
+	const innovation = AXES.map((axis, i) => location[axis] - predictedState[i]);
+	//S = H P Hᵀ + R
+	const innovationCovariance = predictedCovariance
+		.slice(0, 3)
+		.map((row, i) => row.slice(0, 3).map((value, j) => (i === j ? value + measurementVariance : value)));
+	//K = P Hᵀ S⁻¹
+	const gain = matrixFunctions.multiply(
+		predictedCovariance.map((row) => row.slice(0, 3)),
+		matrixFunctions.invert(innovationCovariance)
+	);
+	const newState = predictedState.map((value, i) => value + gain[i].reduce((sum, k, j) => sum + k * innovation[j], 0));
+	//P = (I - K H) P
+	const newCovariance = predictedCovariance.map((row, i) =>
+		row.map((value, j) => value - gain[i].reduce((sum, k, l) => sum + k * predictedCovariance[l][j], 0))
+	);
+
+	return {
+		position: { x: newState[0], y: newState[1], z: newState[2] },
+		velocity: { x: newState[3], y: newState[4], z: newState[5] },
+		covariance: newCovariance,
+		date: new Date(date),
+	};
+};
+
+module.exports = {
+	createFilterState,
+	updateFilterState,
+};
@@ -1,92 +1,96 @@
-const trilaterationServices = require("./trilateration-services");
-const beaconInfoServices = require("./beacons-info-services");
+const locationMethods = require("./location-methods");
+const projectContext = require("./location-methods/project-context");
+const mapMatchingServices = require("./map-matching-services");
+const measurementTimingServices = require("./measurement-timing-services");
+const beaconMeasurements = require("./location-methods/beacon-measurements");
 /**
  * Service to Estimate The Location of the Entity
- * selects the method depending on the location Method
- * TODO Implement checks to see if weighted trilateration should be ran or use GPS data to calculate it
+ * selects the method depending on the location Method. The supported methods are registered in ./location-methods
+ * If the project has building elements, the estimated location is moved to the walkable space of the building.
+ * The date of the location is the timestamp of the measurements if the clock of the device can be trusted.
  *
  */
 
 /**
- * Estimates the Data based on the Location method Selected
- * @param {JSON} data for beacon-trilateration: [{distance,beacon_uid}] || for gps-location
- * @param {String} locationMethod
+ * Map matching: moves the estimated location to the nearest walkable space of its storey and records its room
+ * @param {JSON} estimatedLocation {x,y,z,storey}
+ * @param {JSON} project
+ * @returns {JSON} location with room and snap_distance if the project has building elements
  */
-const estimateLocation = async (projectId, data, locationMethod) => {
-	if ("beacon-trilateration" == locationMethod || "beacon-trilateration-2" == locationMethod) {
-		//extract measurement data from data
-		const beaconsUids = data.map((beaconMeasurement) => beaconMeasurement.beacon_uid);
-		let distances = data.map((beaconMeasurement) => beaconMeasurement.distance);
-
-		//get Single distance measurement per beacon
-		distances = distances.map((distanceMeasurement) => {
-			//if distances[i] is an array of distance measurement of beacon, return the median
-			if (Array.isArray(distanceMeasurement)) {
-				const mid = Math.floor(distanceMeasurement.length / 2);
-				//sort from smallest to biggest measurements
-				distanceMeasurement.sort((a, b) => a - b);
-				//return median value of measurements
-				return distanceMeasurement.length % 2 !== 0
-					? distanceMeasurement[mid]
-					: (distanceMeasurement[mid - 1] + distanceMeasurement[mid]) / 2;
-			}
-			//if distances[i] is a single measurement
-			return distanceMeasurement;
-		});
-
-		const locationBeacons = await beaconInfoServices.getBeaconsLocation(projectId, beaconsUids);
-
-		const beaconsMeasurements = [];
-		locationBeacons.forEach((locationBeacon, i) =>
-			beaconsMeasurements.push({
-				radius: distances[i],
-				x: locationBeacon.x,
-				y: locationBeacon.z,
-			})
-		);
-
-		console.log("server is Calculating trilateration with ", JSON.stringify(beaconsMeasurements));
+const matchToBuilding = (estimatedLocation, project) => {
+	if (!project.building_elements || project.building_elements.length === 0) {
+		return estimatedLocation;
+	}
+	const elements = project.building_elements.map(projectContext.toPlainObject);
+	const { x, z, room, snap_distance } = mapMatchingServices.snapToWalkableSpace(estimatedLocation, elements);
+	return Object.assign(estimatedLocation, { x, z, room, snap_distance });
+};
 
-		let estimatedLocation;
+/**
+ * Dates the location with the timestamp of its newest measurement, the date of the server is used if the
+ * measurements have no timestamp or the clock of the device differs more than max_clock_skew
+ * @param {JSON} estimatedLocation {measured_at}
+ * @param {JSON} project
+ * @returns {JSON} location with date and clock_skew
+ */
+const dateLocation = (estimatedLocation, project) => {
+	const { max_clock_skew } = beaconMeasurements.getMeasurementTiming(project);
+	const { date, clock_skew } = measurementTimingServices.getLocationDate(estimatedLocation.measured_at, max_clock_skew);
+	delete estimatedLocation.measured_at;
+	return Object.assign(estimatedLocation, { date, clock_skew });
+};
 
-		if ("beacon-trilateration" == locationMethod) {
-			try {
-				estimatedLocation = await trilaterationServices.weightedTrilateration(beaconsMeasurements);
-			} catch (err) {
-				console.log("Base Trilateration method failed... Trying Weighted Trilateration/CenterOfMass");
-				try {
-					estimatedLocation = await trilaterationServices.weightedTrilaterationCenterOfMass(beaconsMeasurements);
-				} catch (err2) {
-					const error = new Error("Trilateration Failed");
-					error.statusCode = 420;
-					throw error;
-				}
-			}
-		} else {
-			//Weighted Trilateration center of mass
-			try {
-				estimatedLocation = await trilaterationServices.weightedTrilaterationCenterOfMass(beaconsMeasurements);
-			} catch (err) {
-				const error = new Error("Trilateration Failed");
-				error.statusCode = 420;
-				throw error;
-			}
-		}
-		//NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP!!!!!!!!!
-		estimatedLocation.z = estimatedLocation.y;
-		estimatedLocation.y = locationBeacons[0].y;
-		return estimatedLocation;
-	} else if ("gps-location" == locationMethod) {
-		const error = new Error("Method is still not implemented");
-		error.statusCode = 500;
-		throw error;
-	} else {
+/**
+ * Estimates the Data based on the Location method Selected
+ * @param {JSON} data for beacon-trilateration/beacon-multilateration: [{distance,beacon_uid}] or [{rssi,tx_power,beacon_uid}]
+ * || for beacon-fingerprinting: [{rssi,beacon_uid}] || for gps-location: {latitude,longitude,altitude,accuracy}
+ * || for pdr-fusion: {deltas:[{steps,heading,step_length}],pressure_change,beacons}
+ * @param {String} locationMethod
+ * @param {String} fallbackPolicy what to do if "beacon-trilateration" fails: "center-of-mass" (default) tries the
+ * weighted center of mass method, "none" fails the estimation.
+ * @param {JSON} options {previousLocation, diagnostics, context}
+ * previousLocation: last stored location of the entity {x,y,z,accuracy,storey,date}, used by the methods that need it
+ * (see usesPreviousLocation(...)).
+ * diagnostics: if true, the location has the information of how it was estimated (diagnostics: {measurements,
+ * circles, intersection_points}).
+ * context: data of the project (see location-methods/project-context), the database is used if it is undefined
+ * @returns {JSON} location {x,y,z} with the algorithm that produced it, its branch, if a fallback was used and
+ * its quality (accuracy, covariance, gdop and beacons_used). For beacon methods, discarded_beacons has the UIDs of
+ * the beacons whose measurements were rejected as outliers. room is the id of the space that contains the location
+ * and snap_distance how much the location was moved to the walkable space. date is the date of the measurements
+ * (see dateLocation), clock_skew the difference between the clock of the device and the server (seconds) and
+ * discarded_samples the number of samples discarded for being older than max_sample_age.
+ */
+const estimateLocation = async (projectId, data, locationMethod, fallbackPolicy = "center-of-mass", options = {}) => {
+	const method = locationMethods.getLocationMethod(locationMethod);
+	if (method === undefined) {
 		const error = new Error("location Method is invalid");
 		error.statusCode = 400;
 		throw error;
 	}
+	//the same context for the method and the post-processing, the project is only read once
+	const context = projectContext.getContext(projectId, { context: options.context });
+	const estimatedLocation = await method.estimate(projectId, data, {
+		fallbackPolicy: fallbackPolicy,
+		previousLocation: options.previousLocation,
+		diagnostics: options.diagnostics === true,
+		context: context,
+	});
+	const project = await context.getProject();
+	return dateLocation(matchToBuilding(estimatedLocation, project), project);
+};
+
+/**
+ * Checks if the location method needs the last stored location of the entity
+ * @param {String} locationMethod
+ * @returns {Boolean}
+ */
+const usesPreviousLocation = (locationMethod) => {
+	const method = locationMethods.getLocationMethod(locationMethod);
+	return method !== undefined && method.usesPreviousLocation === true;
 };
 
 module.exports = {
 	estimateLocation,
+	usesPreviousLocation,
 };
@@ -0,0 +1,64 @@
+const projectContext = require("./project-context");
+const fingerprintingServices = require("../fingerprinting-services");
+const measurementTimingServices = require("../measurement-timing-services");
+const beaconMeasurements = require("./beacon-measurements");
+
+/**
+ * Compares the RSSIs with the radio map of the project (weighted k-nearest neighbours)
+ */
+const estimate = async (projectId, data, options = {}) => {
+	if (!Array.isArray(data) || !data.every((measurement) => measurement.rssi !== undefined && measurement.rssi !== null)) {
+		const error = new Error("Fingerprinting needs the RSSI of every measurement");
+		error.statusCode = 400;
+		throw error;
+	}
+	const context = projectContext.getContext(projectId, options);
+	const [project, fingerprints] = await Promise.all([context.getProject(), context.getFingerprints()]);
+	const recentSamples = measurementTimingServices.discardStaleSamples(
+		data,
+		beaconMeasurements.getMeasurementTiming(project).max_sample_age
+	);
+	//single RSSI per beacon
+	const scan = recentSamples.data.map((measurement) => ({
+		beacon_uid: measurement.beacon_uid,
+		rssi: beaconMeasurements.getMedian(measurement.rssi),
+	}));
+
+	try {
+		const estimatedLocation = fingerprintingServices.weightedKNearestNeighbours(scan, fingerprints);
+		estimatedLocation.algorithm = "weighted-knn";
+		estimatedLocation.fallback_used = false;
+		//the radio map gives no geometric information about the quality of the location
+		Object.assign(estimatedLocation, { accuracy: null, covariance: null, gdop: null, beacons_used: scan.length });
+		estimatedLocation.measured_at = recentSamples.newestTimestamp;
+		estimatedLocation.discarded_samples = recentSamples.discardedSamples;
+		if (options.diagnostics) {
+			estimatedLocation.diagnostics = { measurements: scan, circles: [], intersection_points: [] };
+		}
+		return estimatedLocation;
+	} catch (err) {
+		const error = new Error("Fingerprinting Failed: " + err.message);
+		error.statusCode = 420;
+		throw error;
+	}
+};
+
+module.exports = {
+	name: "beacon-fingerprinting",
+	description:
+		"Compares the RSSIs with the radio map of the project (weighted k-nearest neighbours), measurements must contain the rssi.",
+	measurementSchema: {
+		type: "array",
+		items: {
+			type: "object",
+			properties: {
+				beacon_uid: beaconMeasurements.measurementSchema.items.properties.beacon_uid,
+				rssi: beaconMeasurements.measurementSchema.items.properties.rssi,
+				timestamp: beaconMeasurements.measurementSchema.items.properties.timestamp,
+			},
+			required: ["beacon_uid", "rssi"],
+		},
+	},
+	validate: (data) => beaconMeasurements.validateMeasurements(data, { requireRssi: true }),
+	estimate,
+};
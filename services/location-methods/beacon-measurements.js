@@ -0,0 +1,364 @@
+const projectContext = require("./project-context");
+const pathLossServices = require("../path-loss-services");
+const storeyServices = require("../storey-services");
+const outlierRejectionServices = require("../outlier-rejection-services");
+const locationQualityServices = require("../location-quality-services");
+const trilaterationServices = require("../trilateration-services");
+const measurementTimingServices = require("../measurement-timing-services");
+/**
+ * Helpers shared by the location methods that use the distances (or RSSIs) measured to the beacons.
+ */
+
+//fewer beacons can not be trilaterated, the location is then a proximity fix
+const MIN_TRILATERATION_BEACONS = 3;
+
+const INVALID_MEASUREMENTS_MESSAGE =
+	"Measurement Data is not valid. Each measurement must have a distance or a rssi and the beacon_uid";
+const INVALID_RSSI_MEASUREMENTS_MESSAGE = "Measurement Data is not valid. Each measurement must have a rssi and the beacon_uid";
+const INVALID_TIMESTAMP_MESSAGE =
+	"Measurement Data is not valid. The timestamp must be a date or a list with a date per distance/rssi";
+
+//schema (JSON Schema) of a measurement to a beacon
+const measurementSchema = {
+	type: "array",
+	items: {
+		type: "object",
+		properties: {
+			beacon_uid: { type: "string" },
+			distance: {
+				description: "distance (milimeters) or list of distances to the beacon",
+				oneOf: [{ type: "number" }, { type: "array", items: { type: "number" } }],
+			},
+			rssi: {
+				description: "RSSI (dBm) or list of RSSIs measured to the beacon, used if there is no distance",
+				oneOf: [{ type: "number" }, { type: "array", items: { type: "number" } }],
+			},
+			tx_power: { description: "RSSI at 1 m advertised by the beacon (dBm)", type: "number" },
+			timestamp: {
+				description: "date (epoch milliseconds or ISO 8601) of the samples or list with the date of each sample",
+				oneOf: [{ type: ["number", "string"] }, { type: "array", items: { type: ["number", "string"] } }],
+			},
+		},
+		required: ["beacon_uid"],
+		anyOf: [{ required: ["distance"] }, { required: ["rssi"] }],
+	},
+};
+
+/**
+ * Checks that a measurement is a number or an Array of numbers
+ * @param {Number|[Number]} value
+ */
+const isNumberOrArrayOfNumbers = (value) => {
+	if (value === undefined || value === null || value === "") {
+		return false;
+	}
+	if (Array.isArray(value)) {
+		return value.length > 0 && value.every((element) => element !== null && element !== "" && !isNaN(element));
+	}
+	return !isNaN(value);
+};
+
+/**
+ * Validates a list of measurements to beacons
+ * @param {[JSON]} data [{distance,beacon_uid}] or [{rssi,tx_power,beacon_uid}]
+ * @param {JSON} options {requireRssi} if every measurement must have the RSSI
+ * @returns {Boolean} true, throws an error with the reason if the data is not valid
+ */
+const validateMeasurements = (data, options = {}) => {
+	const message = options.requireRssi ? INVALID_RSSI_MEASUREMENTS_MESSAGE : INVALID_MEASUREMENTS_MESSAGE;
+	if (!Array.isArray(data)) {
+		throw new Error(message);
+	}
+	data.forEach((measurement) => {
+		if (measurement === null || typeof measurement !== "object" || typeof measurement.beacon_uid !== "string") {
+			throw new Error(message);
+		}
+		const hasDistance = !options.requireRssi && measurement.distance !== undefined;
+		if (hasDistance && !isNumberOrArrayOfNumbers(measurement.distance)) {
+			throw new Error(message);
+		}
+		if (!hasDistance && !isNumberOrArrayOfNumbers(measurement.rssi)) {
+			throw new Error(message);
+		}
+		if (measurement.tx_power !== undefined && (measurement.tx_power === null || isNaN(measurement.tx_power))) {
+			throw new Error(message);
+		}
+		const samples = hasDistance ? measurement.distance : measurement.rssi;
+		if (!measurementTimingServices.isValidTimestamp(measurement.timestamp, samples)) {
+			throw new Error(INVALID_TIMESTAMP_MESSAGE);
+		}
+	});
+	return true;
+};
+
+/**
+ * Returns the median of the measurements if it is an array of measurements, or the measurement if it is a single one
+ * @param {Number|[Number]} measurement
+ */
+const getMedian = (measurement) => {
+	//if it is an array of measurements, return the median
+	if (Array.isArray(measurement)) {
+		const mid = Math.floor(measurement.length / 2);
+		//sort from smallest to biggest measurements
+		const sortedMeasurement = [...measurement].sort((a, b) => a - b);
+		//return median value of measurements
+		return sortedMeasurement.length % 2 !== 0
+			? sortedMeasurement[mid]
+			: (sortedMeasurement[mid - 1] + sortedMeasurement[mid]) / 2;
+	}
+	//if it is a single measurement
+	return measurement;
+};
+
+/**
+ * Obtains a single distance per beacon measurement. Measurements can be distances or RSSIs. RSSIs are converted
+ * to distances with the path loss parameters of the beacon or of the project.
+ * @param {JSON} projectPathLoss path loss parameters of the project
+ * @param {JSON} data [{distance,beacon_uid}] or [{rssi,tx_power,beacon_uid}]
+ * @param {[JSON]} beacons beacons of the measurements (in the same order)
+ * @returns {[Number]} distances (in milimeters)
+ */
+const getDistances = (projectPathLoss, data, beacons) => {
+	const hasDistance = (measurement) => measurement.distance !== undefined && measurement.distance !== null;
+	return data.map((measurement, i) => {
+		if (hasDistance(measurement)) {
+			return getMedian(measurement.distance);
+		}
+		//median is calculated with the RSSI (dBm) and then converted to distance
+		const pathLoss = pathLossServices.getPathLossParameters(projectPathLoss, beacons[i].path_loss, measurement.tx_power);
+		return pathLossServices.rssiToDistance(
+			getMedian(measurement.rssi),
+			pathLoss.reference_rssi,
+			pathLoss.path_loss_exponent
+		);
+	});
+};
+
+/**
+ * Settings of the timestamps of the measurements of a project, the defaults are used for the ones not set
+ * @param {JSON} project
+ * @returns {JSON} {max_sample_age, max_clock_skew} seconds
+ */
+const getMeasurementTiming = (project) => {
+	const timing = projectContext.toPlainObject(project.measurement_timing) || {};
+	const getSetting = (name) =>
+		timing[name] !== undefined && timing[name] !== null
+			? timing[name]
+			: measurementTimingServices.DEFAULT_OPTIONS[name];
+	return { max_sample_age: getSetting("max_sample_age"), max_clock_skew: getSetting("max_clock_skew") };
+};
+
+/**
+ * Obtains the beacons and a single distance per beacon, decides the storey and discards the outliers
+ * @param {String} projectId
+ * @param {JSON} data [{distance,beacon_uid}] or [{rssi,tx_power,beacon_uid}]
+ * @param {JSON} options {horizontal} if the location is estimated in the horizontal plane (only the beacons of the
+ * storey are used) or in 3D (all the beacons are used), {context} data of the project (see project-context)
+ * @returns {JSON} {beacons, distances, storeyId, storey, discardedBeacons, measuredBeacons, measuredDistances,
+ * measuredAt, discardedSamples} beacons and distances are the ones used for the estimation, measuredBeacons and
+ * measuredDistances are all the measured ones with recent samples, measuredAt is the timestamp of the newest sample and
+ * discardedSamples the number of samples that were too old (see measurement-timing-services)
+ */
+const resolveMeasurements = async (projectId, data, options = { horizontal: true }) => {
+	if (!Array.isArray(data)) {
+		const error = new Error("Beacon methods need a list of measurements");
+		error.statusCode = 400;
+		throw error;
+	}
+	const context = projectContext.getContext(projectId, options);
+	//extract measurement data from data
+	const beaconsUids = data.map((beaconMeasurement) => beaconMeasurement.beacon_uid);
+	const [allBeacons, project] = await Promise.all([context.getBeaconsByUid(beaconsUids), context.getProject()]);
+
+	//samples much older than the newest one were measured somewhere else
+	const recentSamples = measurementTimingServices.discardStaleSamples(
+		data,
+		getMeasurementTiming(project).max_sample_age
+	);
+	const measuredBeacons = recentSamples.keptMeasurements.map((i) => allBeacons[i]);
+
+	//get Single distance measurement per beacon
+	const measuredDistances = getDistances(project.path_loss, recentSamples.data, measuredBeacons);
+
+	//decide the storey of the entity and use only the beacons of that storey (if there are enough of them)
+	const storeyId = storeyServices.selectStorey(measuredBeacons, measuredDistances);
+	let storey;
+	let beacons = measuredBeacons;
+	let distances = measuredDistances;
+	if (storeyId !== undefined) {
+		const storeys = await context.getStoreys();
+		storey = storeys.find((element) => element._id === storeyId);
+		const storeyBeaconsIndexes = measuredBeacons
+			.map((beacon, i) => (beacon.storey === storeyId ? i : -1))
+			.filter((i) => i !== -1);
+		if (options.horizontal && storeyBeaconsIndexes.length >= 3) {
+			beacons = storeyBeaconsIndexes.map((i) => measuredBeacons[i]);
+			distances = storeyBeaconsIndexes.map((i) => measuredDistances[i]);
+		}
+	}
+
+	//discard the measurements that do not agree with the rest (e.g. reflections)
+	const outlierRejection = projectContext.toPlainObject(project.outlier_rejection) || {};
+	const outliers = outlierRejectionServices.findOutliers(
+		beacons.map((beacon, i) => ({
+			radius: distances[i],
+			x: beacon.location.x,
+			//2D measurements are in the horizontal plane of the model
+			y: options.horizontal ? beacon.location.z : beacon.location.y,
+			z: options.horizontal ? undefined : beacon.location.z,
+		})),
+		outlierRejection
+	);
+	return {
+		beacons: beacons.filter((_, i) => !outliers.includes(i)),
+		distances: distances.filter((_, i) => !outliers.includes(i)),
+		storeyId: storeyId,
+		storey: storey,
+		discardedBeacons: outliers.map((i) => beacons[i].uid_beacon),
+		measuredBeacons: measuredBeacons,
+		measuredDistances: measuredDistances,
+		measuredAt: recentSamples.newestTimestamp,
+		discardedSamples: recentSamples.discardedSamples,
+	};
+};
+
+/**
+ * Measurements of the horizontal plane {radius, x, y} used by the trilateration algorithms
+ * @param {JSON} resolvedMeasurements result of resolveMeasurements(...)
+ * @returns {[JSON]} [{radius,x,y}]
+ */
+const getHorizontalMeasurements = ({ beacons, distances }) =>
+	beacons.map((beacon, i) => ({
+		radius: distances[i],
+		x: beacon.location.x,
+		y: beacon.location.z,
+	}));
+
+/**
+ * Completes a location estimated in the horizontal plane: adds its quality and transforms it to the coordinates of
+ * the model, the entity is on the floor of its storey (if the storey is unknown the height of the beacons is used)
+ * @param {JSON} estimatedLocation {x,y} in the horizontal plane, {used_measurements} if the algorithm only used some of
+ * the measurements (e.g. the 3 closest beacons of the trilateration)
+ * @param {[JSON]} measurements horizontal measurements given to the algorithm
+ * @param {JSON} resolvedMeasurements result of resolveMeasurements(...)
+ * @returns {JSON} location {x,y,z}
+ */
+const toModelLocation = (
+	estimatedLocation,
+	measurements,
+	{ beacons, storeyId, storey, discardedBeacons, measuredAt, discardedSamples }
+) => {
+	const usedMeasurements = estimatedLocation.used_measurements || measurements;
+	delete estimatedLocation.used_measurements;
+	//quality is estimated in the horizontal plane, before changing the coordinates, only with the beacons that were used
+	Object.assign(estimatedLocation, locationQualityServices.estimateQuality(estimatedLocation, usedMeasurements));
+	//NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP!!!!!!!!!
+	estimatedLocation.z = estimatedLocation.y;
+	estimatedLocation.y =
+		storey !== undefined && storey.elevation !== undefined && storey.elevation !== null
+			? storey.elevation
+			: beacons[0].location.y;
+	estimatedLocation.storey = storeyId;
+	estimatedLocation.discarded_beacons = discardedBeacons;
+	estimatedLocation.measured_at = measuredAt;
+	estimatedLocation.discarded_samples = discardedSamples;
+	return estimatedLocation;
+};
+
+/**
+ * Checks if there are too few beacons for the trilateration, but enough for a proximity fix
+ * @param {JSON} resolvedMeasurements result of resolveMeasurements(...)
+ * @returns {Boolean}
+ */
+const needsProximityFix = ({ beacons }) => beacons.length > 0 && beacons.length < MIN_TRILATERATION_BEACONS;
+
+/**
+ * Proximity (zone-level) location: the entity is near the closest beacon, on the floor of its storey. The accuracy is
+ * the distance measured to that beacon.
+ * @param {JSON} resolvedMeasurements result of resolveMeasurements(...)
+ * @param {String} fallbackPolicy
+ * @returns {JSON} location {x,y,z} in the coordinates of the model with proximity true and near_beacon the UID of the beacon
+ */
+const getProximityLocation = (resolvedMeasurements, fallbackPolicy) => {
+	const { beacons, distances, storeyId, storey, discardedBeacons, measuredAt, discardedSamples } = resolvedMeasurements;
+	const closest = distances.reduce((best, distance, i) => (distance < distances[best] ? i : best), 0);
+	const beacon = beacons[closest];
+	const accuracy = distances[closest];
+	//the entity can be anywhere in the circle around the beacon
+	const variance = (accuracy * accuracy) / 2;
+	return {
+		x: beacon.location.x,
+		y:
+			storey !== undefined && storey.elevation !== undefined && storey.elevation !== null
+				? storey.elevation
+				: beacon.location.y,
+		z: beacon.location.z,
+		algorithm: "proximity",
+		branch: "proximity",
+		fallback_used: false,
+		fallback_policy: fallbackPolicy,
+		storey: storeyId !== undefined ? storeyId : beacon.storey,
+		accuracy: accuracy,
+		covariance: [
+			[variance, 0, 0],
+			[0, 0, 0],
+			[0, 0, variance],
+		],
+		gdop: null,
+		beacons_used: beacons.length,
+		discarded_beacons: discardedBeacons,
+		proximity: true,
+		near_beacon: beacon.uid_beacon,
+		measured_at: measuredAt,
+		discarded_samples: discardedSamples,
+	};
+};
+
+/**
+ * Diagnostics of an estimation: the measured beacons, the circles (or spheres) used and their intersection points
+ * @param {JSON} estimatedLocation location in the coordinates of the model {x,y,z}
+ * @param {JSON} resolvedMeasurements result of resolveMeasurements(...)
+ * @param {JSON} options {horizontal} if the location was estimated in the horizontal plane
+ * @returns {JSON} {measurements: [{beacon_uid, distance, storey, used, discarded}], circles: [{beacon_uid, x, y, z, radius}],
+ * intersection_points: [{x,y,z}]}, intersection points are only calculated in the horizontal plane at the height of the location
+ */
+const getDiagnostics = (estimatedLocation, resolvedMeasurements, options = { horizontal: true }) => {
+	const { beacons, distances, discardedBeacons, measuredBeacons, measuredDistances } = resolvedMeasurements;
+	const circles = beacons.map((beacon, i) => ({
+		beacon_uid: beacon.uid_beacon,
+		x: beacon.location.x,
+		y: beacon.location.y,
+		z: beacon.location.z,
+		radius: distances[i],
+	}));
+	const intersectionPoints = options.horizontal
+		? trilaterationServices
+				.getCircleIntersections(getHorizontalMeasurements(resolvedMeasurements))
+				.map((ip) => ({ x: ip.x, y: estimatedLocation.y, z: ip.y }))
+		: [];
+	return {
+		measurements: measuredBeacons.map((beacon, i) => ({
+			beacon_uid: beacon.uid_beacon,
+			distance: measuredDistances[i],
+			storey: beacon.storey,
+			used: beacons.includes(beacon),
+			discarded: discardedBeacons.includes(beacon.uid_beacon),
+		})),
+		circles: circles,
+		intersection_points: intersectionPoints,
+	};
+};
+
+module.exports = {
+	measurementSchema,
+	validateMeasurements,
+	getMedian,
+	getDistances,
+	getMeasurementTiming,
+	resolveMeasurements,
+	getHorizontalMeasurements,
+	toModelLocation,
+	needsProximityFix,
+	getProximityLocation,
+	getDiagnostics,
+};
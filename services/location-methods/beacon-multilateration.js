@@ -0,0 +1,63 @@
+const trilaterationServices = require("../trilateration-services");
+const locationQualityServices = require("../location-quality-services");
+const beaconMeasurements = require("./beacon-measurements");
+const beaconErrorServices = require("../beacon-error-services");
+
+/**
+ * Full 3D weighted least squares over all the beacons (coordinates are kept in the BimPlus coordinate system).
+ * Each measurement is weighted with the inverse of the error variance of its beacon (see beacon-error-services).
+ * With fewer than three beacons, it returns a proximity fix.
+ */
+const estimate = async (projectId, data, { fallbackPolicy, context, diagnostics = false } = {}) => {
+	const resolvedMeasurements = await beaconMeasurements.resolveMeasurements(projectId, data, {
+		horizontal: false,
+		context: context,
+	});
+	if (beaconMeasurements.needsProximityFix(resolvedMeasurements)) {
+		const estimatedLocation = beaconMeasurements.getProximityLocation(resolvedMeasurements, fallbackPolicy);
+		if (diagnostics) {
+			estimatedLocation.diagnostics = beaconMeasurements.getDiagnostics(estimatedLocation, resolvedMeasurements, {
+				horizontal: false,
+			});
+		}
+		return estimatedLocation;
+	}
+	const measurements = resolvedMeasurements.beacons.map((beacon, i) => ({
+		radius: resolvedMeasurements.distances[i],
+		x: beacon.location.x,
+		y: beacon.location.y,
+		z: beacon.location.z,
+		weight: 1 / beaconErrorServices.getErrorVariance(beacon, resolvedMeasurements.distances[i]),
+	}));
+	console.log("server is Calculating multilateration with ", JSON.stringify(measurements));
+	try {
+		const estimatedLocation = await trilaterationServices.weightedLeastSquaresMultilateration(measurements);
+		estimatedLocation.algorithm = "weighted-least-squares";
+		estimatedLocation.fallback_used = false;
+		estimatedLocation.storey = resolvedMeasurements.storeyId;
+		estimatedLocation.discarded_beacons = resolvedMeasurements.discardedBeacons;
+		estimatedLocation.measured_at = resolvedMeasurements.measuredAt;
+		estimatedLocation.discarded_samples = resolvedMeasurements.discardedSamples;
+		Object.assign(estimatedLocation, locationQualityServices.estimateQuality(estimatedLocation, measurements));
+		if (diagnostics) {
+			estimatedLocation.diagnostics = beaconMeasurements.getDiagnostics(estimatedLocation, resolvedMeasurements, {
+				horizontal: false,
+			});
+		}
+		return estimatedLocation;
+	} catch (err) {
+		const error = new Error("Multilateration Failed");
+		error.statusCode = 420;
+		throw error;
+	}
+};
+
+module.exports = {
+	name: "beacon-multilateration",
+	description:
+		"Solves the location in 3D using all the measured beacons (weighted least squares), unreliable beacons are down-weighted. " +
+		"With one or two beacons, the location is a proximity fix near the closest beacon.",
+	measurementSchema: beaconMeasurements.measurementSchema,
+	validate: (data) => beaconMeasurements.validateMeasurements(data),
+	estimate,
+};
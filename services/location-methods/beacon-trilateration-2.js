@@ -0,0 +1,50 @@
+const trilaterationServices = require("../trilateration-services");
+const beaconMeasurements = require("./beacon-measurements");
+
+/**
+ * Weighted center of mass of the intersections of the circles in the horizontal plane. With fewer than three beacons,
+ * it returns a proximity fix.
+ */
+const estimate = async (projectId, data, { fallbackPolicy = "center-of-mass", context, diagnostics = false } = {}) => {
+	const resolvedMeasurements = await beaconMeasurements.resolveMeasurements(projectId, data, {
+		horizontal: true,
+		context: context,
+	});
+	//with one or two beacons only the area of the entity is known
+	if (beaconMeasurements.needsProximityFix(resolvedMeasurements)) {
+		const estimatedLocation = beaconMeasurements.getProximityLocation(resolvedMeasurements, fallbackPolicy);
+		if (diagnostics) {
+			estimatedLocation.diagnostics = beaconMeasurements.getDiagnostics(estimatedLocation, resolvedMeasurements);
+		}
+		return estimatedLocation;
+	}
+	const measurements = beaconMeasurements.getHorizontalMeasurements(resolvedMeasurements);
+	console.log("server is Calculating trilateration with ", JSON.stringify(measurements));
+
+	let estimatedLocation;
+	try {
+		estimatedLocation = await trilaterationServices.weightedTrilaterationCenterOfMass(measurements);
+		estimatedLocation.algorithm = "weighted-center-of-mass";
+		estimatedLocation.fallback_used = false;
+	} catch (err) {
+		const error = new Error("Trilateration Failed");
+		error.statusCode = 420;
+		throw error;
+	}
+	estimatedLocation.fallback_policy = fallbackPolicy;
+	beaconMeasurements.toModelLocation(estimatedLocation, measurements, resolvedMeasurements);
+	if (diagnostics) {
+		estimatedLocation.diagnostics = beaconMeasurements.getDiagnostics(estimatedLocation, resolvedMeasurements);
+	}
+	return estimatedLocation;
+};
+
+module.exports = {
+	name: "beacon-trilateration-2",
+	description:
+		"Weighted center of mass of the intersections of the circles around the beacons, in the horizontal plane. " +
+		"With one or two beacons, the location is a proximity fix near the closest beacon.",
+	measurementSchema: beaconMeasurements.measurementSchema,
+	validate: (data) => beaconMeasurements.validateMeasurements(data),
+	estimate,
+};
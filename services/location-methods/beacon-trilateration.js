@@ -0,0 +1,65 @@
+const trilaterationServices = require("../trilateration-services");
+const beaconMeasurements = require("./beacon-measurements");
+
+/**
+ * Weighted trilateration in the horizontal plane. If it fails and the fallback policy is "center-of-mass",
+ * the weighted center of mass method is used. With fewer than three beacons, it returns a proximity fix.
+ */
+const estimate = async (projectId, data, { fallbackPolicy = "center-of-mass", context, diagnostics = false } = {}) => {
+	const resolvedMeasurements = await beaconMeasurements.resolveMeasurements(projectId, data, {
+		horizontal: true,
+		context: context,
+	});
+	//with one or two beacons only the area of the entity is known
+	if (beaconMeasurements.needsProximityFix(resolvedMeasurements)) {
+		const estimatedLocation = beaconMeasurements.getProximityLocation(resolvedMeasurements, fallbackPolicy);
+		if (diagnostics) {
+			estimatedLocation.diagnostics = beaconMeasurements.getDiagnostics(estimatedLocation, resolvedMeasurements);
+		}
+		return estimatedLocation;
+	}
+	const measurements = beaconMeasurements.getHorizontalMeasurements(resolvedMeasurements);
+	console.log("server is Calculating trilateration with ", JSON.stringify(measurements));
+
+	let estimatedLocation;
+	try {
+		estimatedLocation = await trilaterationServices.weightedTrilateration(measurements);
+		estimatedLocation.algorithm = "weighted-trilateration";
+		estimatedLocation.fallback_used = false;
+	} catch (err) {
+		if (fallbackPolicy === "none") {
+			const error = new Error("Trilateration Failed");
+			error.statusCode = 420;
+			error.data = { algorithm: "weighted-trilateration", fallback_policy: fallbackPolicy };
+			throw error;
+		}
+		console.log("Base Trilateration method failed... Trying Weighted Trilateration/CenterOfMass");
+		try {
+			estimatedLocation = await trilaterationServices.weightedTrilaterationCenterOfMass(measurements);
+			estimatedLocation.algorithm = "weighted-center-of-mass";
+			estimatedLocation.fallback_used = true;
+		} catch (err2) {
+			const error = new Error("Trilateration Failed");
+			error.statusCode = 420;
+			error.data = { algorithm: "weighted-center-of-mass", fallback_policy: fallbackPolicy };
+			throw error;
+		}
+	}
+	estimatedLocation.fallback_policy = fallbackPolicy;
+	beaconMeasurements.toModelLocation(estimatedLocation, measurements, resolvedMeasurements);
+	if (diagnostics) {
+		estimatedLocation.diagnostics = beaconMeasurements.getDiagnostics(estimatedLocation, resolvedMeasurements);
+	}
+	return estimatedLocation;
+};
+
+module.exports = {
+	name: "beacon-trilateration",
+	description:
+		"Weighted trilateration in the horizontal plane with the distances (or RSSIs) to the beacons. " +
+		"Uses the weighted center of mass method if it fails and fallback_policy is 'center-of-mass'. " +
+		"With one or two beacons, the location is a proximity fix near the closest beacon.",
+	measurementSchema: beaconMeasurements.measurementSchema,
+	validate: (data) => beaconMeasurements.validateMeasurements(data),
+	estimate,
+};
@@ -0,0 +1,96 @@
+const projectContext = require("./project-context");
+const geoReferenceServices = require("../geo-reference-services");
+const storeyServices = require("../storey-services");
+const measurementTimingServices = require("../measurement-timing-services");
+
+const INVALID_MEASUREMENT_MESSAGE =
+	"Measurement Data is not valid. A GPS location must have the latitude (-90..90) and the longitude (-180..180)";
+const INVALID_TIMESTAMP_MESSAGE = "Measurement Data is not valid. The timestamp must be a date";
+
+/**
+ * Validates a GPS location
+ * @param {JSON} data {latitude, longitude, altitude, accuracy, timestamp}
+ * @returns {Boolean} true, throws an error with the reason if the data is not valid
+ */
+const validate = (data) => {
+	const isNumber = (value) => typeof value === "number" && isFinite(value);
+	if (data === null || typeof data !== "object" || Array.isArray(data)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (!isNumber(data.latitude) || Math.abs(data.latitude) > 90) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (!isNumber(data.longitude) || Math.abs(data.longitude) > 180) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (data.altitude !== undefined && !isNumber(data.altitude)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (data.accuracy !== undefined && (!isNumber(data.accuracy) || data.accuracy < 0)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (Array.isArray(data.timestamp) || !measurementTimingServices.isValidTimestamp(data.timestamp)) {
+		throw new Error(INVALID_TIMESTAMP_MESSAGE);
+	}
+	return true;
+};
+
+/**
+ * Transforms the GPS location to the coordinates of the model with the geo-reference of the project
+ */
+const estimate = async (projectId, data, options = {}) => {
+	if (Array.isArray(data) || !data || data.latitude === undefined || data.longitude === undefined) {
+		const error = new Error("GPS location needs the latitude and the longitude");
+		error.statusCode = 400;
+		throw error;
+	}
+	const project = await projectContext.getContext(projectId, options).getProject();
+	if (!project.geo_reference || !project.geo_reference.origin) {
+		const error = new Error("Project has not defined a geo-reference");
+		error.statusCode = 409;
+		throw error;
+	}
+	const estimatedLocation = geoReferenceServices.geodeticToModel(project.geo_reference, data);
+	if (project.beacons_model && project.beacons_model.storeys && project.beacons_model.storeys.length > 0) {
+		const storey = storeyServices.getStoreyByElevation(project.beacons_model.storeys, estimatedLocation.y);
+		estimatedLocation.storey = storey._id;
+	}
+	estimatedLocation.algorithm = "gps";
+	estimatedLocation.fallback_used = false;
+	Object.assign(estimatedLocation, { accuracy: null, covariance: null, gdop: null, beacons_used: 0 });
+	if (data.timestamp !== undefined) {
+		estimatedLocation.measured_at = measurementTimingServices.parseTimestamp(data.timestamp);
+	}
+	if (data.accuracy !== undefined && data.accuracy !== null) {
+		//accuracy of the receiver is given in meters and it is the same in every horizontal direction
+		estimatedLocation.accuracy = data.accuracy * (project.geo_reference.scale || 1000);
+		const variance = (estimatedLocation.accuracy * estimatedLocation.accuracy) / 2;
+		estimatedLocation.covariance = [
+			[variance, 0, 0],
+			[0, 0, 0],
+			[0, 0, variance],
+		];
+	}
+	return estimatedLocation;
+};
+
+module.exports = {
+	name: "gps-location",
+	description: "GPS location (WGS84) transformed to the coordinates of the model. The project must have a geo-reference.",
+	measurementSchema: {
+		type: "object",
+		properties: {
+			latitude: { description: "degrees", type: "number", minimum: -90, maximum: 90 },
+			longitude: { description: "degrees", type: "number", minimum: -180, maximum: 180 },
+			altitude: {
+				description: "meters, if not sent the altitude of the geo-reference origin is used",
+				type: "number",
+			},
+			accuracy: { description: "horizontal accuracy reported by the receiver (meters)", type: "number", minimum: 0 },
+			timestamp: { description: "date of the fix (epoch milliseconds or ISO 8601)", type: ["number", "string"] },
+		},
+		required: ["latitude", "longitude"],
+	},
+	validate,
+	estimate,
+};
@@ -0,0 +1,64 @@
+/**
+ * Registry of the location methods supported by the server.
+ *
+ * A location method is a module that exports:
+ *  - name {String}: identifier sent by the clients as location_method
+ *  - description {String}
+ *  - measurementSchema {JSON}: JSON Schema of the measurement_data of the method
+ *  - validate {Function} (measurementData) => true, throws an Error with the reason if the data is not valid
+ *  - estimate {Function} async (projectId, measurementData, options) => estimated location {x,y,z,...}
+ *    options: {fallbackPolicy, previousLocation, context, diagnostics}, context gives the data of the project
+ *    (see project-context), if diagnostics is true the location has the information of how it was estimated (diagnostics)
+ *  - usesPreviousLocation {Boolean} (optional): if the method needs the last stored location of the entity
+ *    (options.previousLocation {x,y,z,accuracy,storey,date})
+ */
+
+const { createMethodChain } = require("./method-chain");
+
+const locationMethods = new Map();
+
+/**
+ * Adds a location method to the registry
+ * @param {JSON} locationMethod
+ */
+const registerLocationMethod = (locationMethod) => {
+	if (typeof locationMethod.name !== "string" || typeof locationMethod.estimate !== "function") {
+		throw new Error("A location method needs a name and an estimate function");
+	}
+	if (locationMethods.has(locationMethod.name)) {
+		throw new Error("Location method " + locationMethod.name + " is already registered");
+	}
+	locationMethods.set(locationMethod.name, locationMethod);
+};
+
+/**
+ * Gets a location method
+ * @param {String} name
+ * @returns {JSON} location method, undefined if it is not registered
+ */
+const getLocationMethod = (name) => locationMethods.get(name);
+
+/**
+ * Gets all the registered location methods
+ * @returns {[JSON]} location methods
+ */
+const getLocationMethods = () => [...locationMethods.values()];
+
+[
+	require("./beacon-trilateration"),
+	require("./beacon-trilateration-2"),
+	require("./beacon-multilateration"),
+	require("./beacon-fingerprinting"),
+	require("./gps-location"),
+	require("./pdr-fusion"),
+	require("./uwb-twr"),
+	require("./uwb-tdoa"),
+	//tries the other methods of the registry with the chain of the project
+	createMethodChain(getLocationMethod),
+].forEach(registerLocationMethod);
+
+module.exports = {
+	registerLocationMethod,
+	getLocationMethod,
+	getLocationMethods,
+};
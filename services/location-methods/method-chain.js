@@ -0,0 +1,117 @@
+const projectContext = require("./project-context");
+
+//chain used if the project has not defined one: trilateration without fallback, then the weighted center of mass
+const DEFAULT_CHAIN = [
+	{ method: "beacon-trilateration", fallback_policy: "none" },
+	{ method: "beacon-trilateration-2" },
+];
+
+/**
+ * Location method chain of a project
+ * @param {JSON} project
+ * @returns {[JSON]} steps [{method, fallback_policy, max_residual, min_beacons}]
+ */
+const getChain = (project) =>
+	project.location_method_chain && project.location_method_chain.length > 0
+		? project.location_method_chain.map(projectContext.toPlainObject)
+		: DEFAULT_CHAIN;
+
+/**
+ * Checks the acceptance criteria of a step of the chain. A criterion is not checked if the location has no value for it
+ * (e.g. a GPS location has no residual).
+ * @param {JSON} location estimated location {residual, beacons_used}
+ * @param {JSON} step {max_residual, min_beacons}
+ * @returns {String} reason why the location is rejected, undefined if it is accepted
+ */
+const checkAcceptance = (location, step) => {
+	const isSet = (value) => value !== undefined && value !== null;
+	if (isSet(step.min_beacons) && isSet(location.beacons_used) && location.beacons_used < step.min_beacons) {
+		return "Used " + location.beacons_used + " beacons, the minimum is " + step.min_beacons;
+	}
+	if (isSet(step.max_residual) && isSet(location.residual) && location.residual > step.max_residual) {
+		return "Residual " + Math.round(location.residual) + " is bigger than " + step.max_residual;
+	}
+	return undefined;
+};
+
+/**
+ * Creates the "auto" location method, that tries the methods of the chain of the project in turn
+ * @param {Function} getLocationMethod (name) => location method of the registry
+ */
+const createMethodChain = (getLocationMethod) => {
+	/**
+	 * Tries the methods of the chain in turn and returns the first location that meets the criteria of its step.
+	 * Methods that do not accept the measurement data or fail (4xx errors) are skipped. The fallback policy of a step
+	 * is "none" if it does not set one.
+	 */
+	const estimate = async (projectId, data, options = {}) => {
+		const context = projectContext.getContext(projectId, options);
+		const chain = getChain(await context.getProject());
+		const attempts = [];
+		for (const step of chain) {
+			const method = getLocationMethod(step.method);
+			if (method === undefined || method.name === "auto") {
+				attempts.push({ method: step.method, accepted: false, reason: "The Method is not implemented" });
+				continue;
+			}
+			try {
+				method.validate(data);
+			} catch (err) {
+				attempts.push({ method: step.method, accepted: false, reason: err.message });
+				continue;
+			}
+			let location;
+			try {
+				location = await method.estimate(projectId, data, {
+					...options,
+					context: context,
+					//the next steps of the chain are the fallback of a step that does not set one
+					fallbackPolicy: step.fallback_policy || "none",
+				});
+			} catch (err) {
+				//errors of the server are not a reason to try the next method
+				if (!err.statusCode || err.statusCode >= 500) {
+					throw err;
+				}
+				attempts.push({ method: step.method, accepted: false, reason: err.message });
+				continue;
+			}
+			const rejection = checkAcceptance(location, step);
+			attempts.push({ method: step.method, accepted: rejection === undefined, reason: rejection });
+			if (rejection === undefined) {
+				return { ...location, location_method: step.method, chain_attempts: attempts };
+			}
+		}
+		const error = new Error("No location method of the chain was accepted");
+		error.statusCode = 420;
+		error.data = { chain_attempts: attempts };
+		throw error;
+	};
+
+	return {
+		name: "auto",
+		description:
+			"Tries the location methods of the chain of the project in turn and returns the first location that meets the " +
+			"acceptance criteria (max_residual, min_beacons). The measurement data is passed to every method of the chain.",
+		measurementSchema: {
+			description: "measurement data of the methods of the chain",
+			type: ["array", "object"],
+		},
+		//a method of the chain can need it (e.g. pdr-fusion)
+		usesPreviousLocation: true,
+		validate: (data) => {
+			if (data === undefined || data === null) {
+				throw new Error("Measurement Data is not valid. It must be the measurement data of the methods of the chain");
+			}
+			return true;
+		},
+		estimate,
+	};
+};
+
+module.exports = {
+	DEFAULT_CHAIN,
+	getChain,
+	checkAcceptance,
+	createMethodChain,
+};
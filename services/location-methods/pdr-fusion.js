@@ -0,0 +1,186 @@
+const projectContext = require("./project-context");
+const storeyServices = require("../storey-services");
+const pdrServices = require("../pdr-services");
+const measurementTimingServices = require("../measurement-timing-services");
+const beaconMeasurements = require("./beacon-measurements");
+const beaconTrilateration = require("./beacon-trilateration");
+
+const INVALID_MEASUREMENT_MESSAGE =
+	"Measurement Data is not valid. It must have inertial deltas [{steps, heading, step_length}] and/or beacon measurements";
+
+//a previous location older than this time (seconds) is not used for dead-reckoning
+const MAX_PREVIOUS_LOCATION_AGE = 300;
+
+/**
+ * Validates the inertial deltas and the beacon measurements
+ * @param {JSON} data {deltas, pressure_change, beacons, timestamp}
+ * @returns {Boolean} true, throws an error with the reason if the data is not valid
+ */
+const validate = (data) => {
+	const isNumber = (value) => typeof value === "number" && isFinite(value);
+	if (data === null || typeof data !== "object" || Array.isArray(data)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	const hasDeltas = data.deltas !== undefined;
+	const hasBeacons = data.beacons !== undefined && data.beacons !== null;
+	if (!hasDeltas && !hasBeacons) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (hasDeltas) {
+		if (!Array.isArray(data.deltas)) {
+			throw new Error(INVALID_MEASUREMENT_MESSAGE);
+		}
+		data.deltas.forEach((delta) => {
+			if (delta === null || typeof delta !== "object") {
+				throw new Error(INVALID_MEASUREMENT_MESSAGE);
+			}
+			if (!isNumber(delta.steps) || delta.steps < 0 || !isNumber(delta.heading)) {
+				throw new Error(INVALID_MEASUREMENT_MESSAGE);
+			}
+			if (delta.step_length !== undefined && (!isNumber(delta.step_length) || delta.step_length <= 0)) {
+				throw new Error(INVALID_MEASUREMENT_MESSAGE);
+			}
+		});
+	}
+	if (data.pressure_change !== undefined && !isNumber(data.pressure_change)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (Array.isArray(data.timestamp) || !measurementTimingServices.isValidTimestamp(data.timestamp)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (hasBeacons) {
+		beaconMeasurements.validateMeasurements(data.beacons);
+	}
+	return true;
+};
+
+/**
+ * Checks if the previous location of the entity can be used for dead-reckoning
+ * @param {JSON} previousLocation {x,y,z,accuracy,storey,date}
+ */
+const isRecent = (previousLocation) =>
+	previousLocation !== undefined &&
+	previousLocation !== null &&
+	(!previousLocation.date || (Date.now() - new Date(previousLocation.date)) / 1000 <= MAX_PREVIOUS_LOCATION_AGE);
+
+/**
+ * Location estimated with the beacon measurements, undefined if there are no measurements or the trilateration failed
+ */
+const getBeaconFix = async (projectId, data, { fallbackPolicy, context, diagnostics }, canFail) => {
+	if (!data.beacons || data.beacons.length === 0) {
+		return undefined;
+	}
+	try {
+		return await beaconTrilateration.estimate(projectId, data.beacons, {
+			fallbackPolicy: fallbackPolicy,
+			context: context,
+			diagnostics: diagnostics,
+		});
+	} catch (err) {
+		//without a fix the user keeps walking from the previous location
+		if (err.statusCode === 420 && canFail) {
+			return undefined;
+		}
+		throw err;
+	}
+};
+
+/**
+ * Timestamp of the deltas sent by the phone, or of the newest beacon sample if the deltas have no timestamp
+ */
+const getMeasuredAt = (data, fix) => {
+	if (data.timestamp !== undefined) {
+		return measurementTimingServices.parseTimestamp(data.timestamp);
+	}
+	return fix !== undefined ? fix.measured_at : undefined;
+};
+
+/**
+ * Moves the previous location of the entity with the inertial deltas and combines it with the beacon fix (if there is one)
+ */
+const estimate = async (
+	projectId,
+	data,
+	{ fallbackPolicy = "center-of-mass", previousLocation, context, diagnostics = false } = {}
+) => {
+	const hasPreviousLocation = isRecent(previousLocation);
+	const fix = await getBeaconFix(projectId, data, { fallbackPolicy, context, diagnostics }, hasPreviousLocation);
+	if (!hasPreviousLocation) {
+		if (fix === undefined) {
+			const error = new Error("pdr-fusion needs a recent location of the entity or beacon measurements");
+			error.statusCode = 409;
+			throw error;
+		}
+		return { ...fix, algorithm: "pdr-fusion", branch: "beacon-fix", measured_at: getMeasuredAt(data, fix) };
+	}
+
+	const projectData = projectContext.getContext(projectId, { context: context });
+	const project = await projectData.getProject();
+	const displacement = pdrServices.getDisplacement(data.deltas || [], project.geo_reference);
+	const prediction = pdrServices.predict(previousLocation, displacement);
+	prediction.storey = previousLocation.storey;
+	if (data.pressure_change !== undefined && data.pressure_change !== null) {
+		//the barometer detects the change of storey
+		const height = previousLocation.y + pdrServices.getHeightChange(data.pressure_change, project.geo_reference);
+		const storey = storeyServices.getStoreyByElevation(await projectData.getStoreys(), height);
+		prediction.y = storey !== undefined ? storey.elevation : height;
+		prediction.storey = storey !== undefined ? storey._id : previousLocation.storey;
+	}
+
+	const location = fix !== undefined ? pdrServices.fuse(prediction, fix) : prediction;
+	const variance = location.variance;
+	return {
+		x: location.x,
+		y: location.y,
+		z: location.z,
+		algorithm: "pdr-fusion",
+		branch: fix !== undefined ? "fused" : "dead-reckoning",
+		fallback_used: fix !== undefined ? fix.fallback_used : false,
+		fallback_policy: fallbackPolicy,
+		storey: fix !== undefined ? fix.storey : prediction.storey,
+		accuracy: Math.sqrt(variance),
+		covariance: [
+			[variance / 2, 0, 0],
+			[0, 0, 0],
+			[0, 0, variance / 2],
+		],
+		gdop: fix !== undefined ? fix.gdop : null,
+		beacons_used: fix !== undefined ? fix.beacons_used : 0,
+		discarded_beacons: fix !== undefined ? fix.discarded_beacons : undefined,
+		diagnostics: fix !== undefined ? fix.diagnostics : undefined,
+		measured_at: getMeasuredAt(data, fix),
+		discarded_samples: fix !== undefined ? fix.discarded_samples : undefined,
+	};
+};
+
+module.exports = {
+	name: "pdr-fusion",
+	description:
+		"Pedestrian dead-reckoning: the last location of the entity is moved with the steps and heading reported by the phone " +
+		"and combined with the beacon fix when there are beacon measurements. The barometric pressure change detects storey changes.",
+	measurementSchema: {
+		type: "object",
+		properties: {
+			deltas: {
+				description: "inertial deltas since the last reported location",
+				type: "array",
+				items: {
+					type: "object",
+					properties: {
+						steps: { type: "number", minimum: 0 },
+						heading: { description: "degrees clockwise from North", type: "number" },
+						step_length: { description: "meters, 0.7 if not sent", type: "number", exclusiveMinimum: 0 },
+					},
+					required: ["steps", "heading"],
+				},
+			},
+			pressure_change: { description: "change of the barometric pressure since the last location (hPa)", type: "number" },
+			timestamp: { description: "date of the deltas (epoch milliseconds or ISO 8601)", type: ["number", "string"] },
+			beacons: beaconMeasurements.measurementSchema,
+		},
+		anyOf: [{ required: ["deltas"] }, { required: ["beacons"] }],
+	},
+	usesPreviousLocation: true,
+	validate,
+	estimate,
+};
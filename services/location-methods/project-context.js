@@ -0,0 +1,77 @@
+const projectServices = require("../project-services");
+const beaconInfoServices = require("../beacons-info-services");
+const radioMapServices = require("../radio-map-services");
+/**
+ * Access of the location methods to the data of a project (settings, beacons, storeys and radio map).
+ * By default the data is read from the database, a context created from a plain project object lets the methods run
+ * without database (e.g. in the simulation tool).
+ *
+ * A context has the async functions:
+ *  - getProject() => project {path_loss, outlier_rejection, geo_reference, beacons_model}
+ *  - getBeaconsByUid(beaconsUid) => beacons in the same order as the UIDs
+ *  - getStoreys() => storeys [{_id, name, elevation}]
+ *  - getFingerprints() => reference points of the radio map
+ */
+
+/**
+ * Context that reads the data of the project from the database. The project is read once, the location method and
+ * the post-processing of an estimation share it.
+ * @param {String} projectId
+ */
+const createDatabaseContext = (projectId) => {
+	let project;
+	return {
+		getProject: () => {
+			if (project === undefined) {
+				project = projectServices.get(projectId);
+			}
+			return project;
+		},
+		getBeaconsByUid: (beaconsUid) => beaconInfoServices.getBeaconsByUid(projectId, beaconsUid),
+		getStoreys: () => beaconInfoServices.getStoreys(projectId),
+		getFingerprints: () => radioMapServices.getFingerprints(projectId),
+	};
+};
+
+/**
+ * Context that reads the data of a project object loaded in memory
+ * @param {JSON} project {path_loss, outlier_rejection, geo_reference, beacons_model: {beacons, storeys}, fingerprints}
+ */
+const createProjectContext = (project) => {
+	const beaconsModel = project.beacons_model || {};
+	return {
+		getProject: async () => project,
+		getBeaconsByUid: async (beaconsUid) =>
+			beaconsUid.map((beaconUid) => {
+				const beacon = (beaconsModel.beacons || []).find((element) => element.uid_beacon === beaconUid);
+				if (beacon === undefined) {
+					const error = new Error("A Beacon UID  Is not found Found");
+					error.statusCode = 404;
+					throw error;
+				}
+				return beacon;
+			}),
+		getStoreys: async () => beaconsModel.storeys || [],
+		getFingerprints: async () => project.fingerprints || [],
+	};
+};
+
+/**
+ * Context of the estimation: the one passed in the options of the location method or the database
+ * @param {String} projectId
+ * @param {JSON} options options of the location method {context}
+ */
+const getContext = (projectId, options = {}) => options.context || createDatabaseContext(projectId);
+
+/**
+ * Converts a subdocument of the project to a plain object (projects of a context can be plain objects)
+ * @param {JSON} value mongoose subdocument or object
+ */
+const toPlainObject = (value) => (value && typeof value.toObject === "function" ? value.toObject() : value);
+
+module.exports = {
+	createDatabaseContext,
+	createProjectContext,
+	getContext,
+	toPlainObject,
+};
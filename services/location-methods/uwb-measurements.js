@@ -0,0 +1,78 @@
+const storeyServices = require("../storey-services");
+/**
+ * Helpers shared by the location methods that use ultra-wideband (UWB) anchors. The anchors are the beacons of the
+ * project with anchor_type "uwb", identified by their UID.
+ */
+
+//standard deviation of the UWB ranges (milimeters), lower bound of the error used for the quality of the location
+const UWB_RANGE_STD = 100;
+
+//speed of light (milimeters per nanosecond)
+const SPEED_OF_LIGHT = 299.792458;
+
+/**
+ * Obtains the anchors of the UIDs
+ * @param {JSON} context data of the project (see project-context)
+ * @param {[String]} anchorsUid
+ * @returns {[JSON]} anchors in the same order as the UIDs, throws an error if a beacon is not a UWB anchor
+ */
+const getAnchors = async (context, anchorsUid) => {
+	const anchors = await context.getBeaconsByUid(anchorsUid);
+	const notAnchor = anchors.find((anchor) => anchor.anchor_type !== "uwb");
+	if (notAnchor !== undefined) {
+		const error = new Error("Beacon " + notAnchor.uid_beacon + " is not a UWB anchor");
+		error.statusCode = 409;
+		throw error;
+	}
+	return anchors;
+};
+
+/**
+ * Completes a location estimated in 3D with its storey (the storey whose elevation is below the location)
+ * @param {JSON} estimatedLocation {x,y,z}
+ * @param {JSON} context data of the project (see project-context)
+ * @returns {JSON} location with storey
+ */
+const addStorey = async (estimatedLocation, context) => {
+	const storey = storeyServices.getStoreyByElevation(await context.getStoreys(), estimatedLocation.y);
+	if (storey !== undefined) {
+		estimatedLocation.storey = storey._id;
+	}
+	return estimatedLocation;
+};
+
+/**
+ * Diagnostics of an estimation with UWB anchors: the measured anchors and the spheres of the ranges
+ * @param {[JSON]} anchors
+ * @param {[Number]} ranges range to each anchor (milimeters), undefined if the ranges were not measured (TDoA)
+ * @returns {JSON} {measurements: [{beacon_uid, distance, storey, used, discarded}], circles: [{beacon_uid, x, y, z, radius}],
+ * intersection_points: []}
+ */
+const getDiagnostics = (anchors, ranges) => ({
+	measurements: anchors.map((anchor, i) => ({
+		beacon_uid: anchor.uid_beacon,
+		distance: ranges !== undefined ? ranges[i] : undefined,
+		storey: anchor.storey,
+		used: true,
+		discarded: false,
+	})),
+	circles:
+		ranges !== undefined
+			? anchors.map((anchor, i) => ({
+					beacon_uid: anchor.uid_beacon,
+					x: anchor.location.x,
+					y: anchor.location.y,
+					z: anchor.location.z,
+					radius: ranges[i],
+			  }))
+			: [],
+	intersection_points: [],
+});
+
+module.exports = {
+	UWB_RANGE_STD,
+	SPEED_OF_LIGHT,
+	getAnchors,
+	addStorey,
+	getDiagnostics,
+};
@@ -0,0 +1,109 @@
+const projectContext = require("./project-context");
+const trilaterationServices = require("../trilateration-services");
+const locationQualityServices = require("../location-quality-services");
+const uwbMeasurements = require("./uwb-measurements");
+
+const INVALID_MEASUREMENT_MESSAGE =
+	"Measurement Data is not valid. It must have the reference_anchor and the measurements [{anchor_id, time_difference}]";
+
+/**
+ * Validates the time differences of arrival to the UWB anchors
+ * @param {JSON} data {reference_anchor, measurements: [{anchor_id, time_difference}]}
+ * @returns {Boolean} true, throws an error with the reason if the data is not valid
+ */
+const validate = (data) => {
+	if (data === null || typeof data !== "object" || Array.isArray(data)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	if (typeof data.reference_anchor !== "string" || !Array.isArray(data.measurements)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	data.measurements.forEach((measurement) => {
+		if (measurement === null || typeof measurement !== "object" || typeof measurement.anchor_id !== "string") {
+			throw new Error(INVALID_MEASUREMENT_MESSAGE);
+		}
+		if (typeof measurement.time_difference !== "number" || !isFinite(measurement.time_difference)) {
+			throw new Error(INVALID_MEASUREMENT_MESSAGE);
+		}
+		if (measurement.anchor_id === data.reference_anchor) {
+			throw new Error(INVALID_MEASUREMENT_MESSAGE);
+		}
+	});
+	return true;
+};
+
+/**
+ * Time difference of arrival: each time difference places the entity on a hyperboloid with foci at the anchor and the
+ * reference anchor, the hyperboloids are solved in 3D (see trilateration-services.tdoaMultilateration)
+ */
+const estimate = async (projectId, data, options = {}) => {
+	if (!data || !Array.isArray(data.measurements)) {
+		const error = new Error("UWB TDoA needs the reference anchor and the time differences");
+		error.statusCode = 400;
+		throw error;
+	}
+	const context = projectContext.getContext(projectId, options);
+	const [reference, ...anchors] = await uwbMeasurements.getAnchors(context, [
+		data.reference_anchor,
+		...data.measurements.map((measurement) => measurement.anchor_id),
+	]);
+	const measurements = anchors.map((anchor, i) => ({
+		//time differences are in nanoseconds
+		rangeDifference: data.measurements[i].time_difference * uwbMeasurements.SPEED_OF_LIGHT,
+		x: anchor.location.x,
+		y: anchor.location.y,
+		z: anchor.location.z,
+	}));
+	const referenceLocation = { x: reference.location.x, y: reference.location.y, z: reference.location.z };
+	console.log("server is Calculating UWB TDoA with ", JSON.stringify(measurements));
+	let estimatedLocation;
+	try {
+		estimatedLocation = trilaterationServices.tdoaMultilateration(referenceLocation, measurements);
+	} catch (err) {
+		const error = new Error("UWB TDoA Failed");
+		error.statusCode = 420;
+		throw error;
+	}
+	estimatedLocation.algorithm = "uwb-tdoa";
+	estimatedLocation.fallback_used = false;
+	Object.assign(
+		estimatedLocation,
+		locationQualityServices.estimateTdoaQuality(estimatedLocation, referenceLocation, measurements, {
+			minRangeStd: uwbMeasurements.UWB_RANGE_STD,
+		})
+	);
+	if (options.diagnostics) {
+		estimatedLocation.diagnostics = uwbMeasurements.getDiagnostics([reference, ...anchors]);
+	}
+	return await uwbMeasurements.addStorey(estimatedLocation, context);
+};
+
+module.exports = {
+	name: "uwb-tdoa",
+	description:
+		"Ultra-wideband time difference of arrival: the time differences between the UWB anchors (beacons with anchor_type " +
+		"'uwb') and a reference anchor are solved in 3D (hyperbolic least squares). At least 3 time differences are needed.",
+	measurementSchema: {
+		type: "object",
+		properties: {
+			reference_anchor: { description: "UID of the reference UWB anchor", type: "string" },
+			measurements: {
+				type: "array",
+				items: {
+					type: "object",
+					properties: {
+						anchor_id: { description: "UID of the UWB anchor", type: "string" },
+						time_difference: {
+							description: "arrival time at the anchor minus arrival time at the reference anchor (nanoseconds)",
+							type: "number",
+						},
+					},
+					required: ["anchor_id", "time_difference"],
+				},
+			},
+		},
+		required: ["reference_anchor", "measurements"],
+	},
+	validate,
+	estimate,
+};
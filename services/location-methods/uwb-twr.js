@@ -0,0 +1,96 @@
+const projectContext = require("./project-context");
+const trilaterationServices = require("../trilateration-services");
+const locationQualityServices = require("../location-quality-services");
+const beaconMeasurements = require("./beacon-measurements");
+const uwbMeasurements = require("./uwb-measurements");
+
+const INVALID_MEASUREMENT_MESSAGE =
+	"Measurement Data is not valid. Each measurement must have the anchor_id and a positive range (milimeters)";
+
+/**
+ * Validates the ranges measured to the UWB anchors
+ * @param {JSON} data [{anchor_id, range}]
+ * @returns {Boolean} true, throws an error with the reason if the data is not valid
+ */
+const validate = (data) => {
+	const isPositive = (value) => typeof value === "number" && isFinite(value) && value > 0;
+	if (!Array.isArray(data)) {
+		throw new Error(INVALID_MEASUREMENT_MESSAGE);
+	}
+	data.forEach((measurement) => {
+		if (measurement === null || typeof measurement !== "object" || typeof measurement.anchor_id !== "string") {
+			throw new Error(INVALID_MEASUREMENT_MESSAGE);
+		}
+		const ranges = Array.isArray(measurement.range) ? measurement.range : [measurement.range];
+		if (ranges.length === 0 || !ranges.every(isPositive)) {
+			throw new Error(INVALID_MEASUREMENT_MESSAGE);
+		}
+	});
+	return true;
+};
+
+/**
+ * Two-way ranging: the ranges to the UWB anchors are solved in 3D with weighted least squares. The ranges of UWB have
+ * a similar error at any distance, so every anchor has the same weight.
+ */
+const estimate = async (projectId, data, options = {}) => {
+	const context = projectContext.getContext(projectId, options);
+	const anchors = await uwbMeasurements.getAnchors(context, data.map((measurement) => measurement.anchor_id));
+	const measurements = anchors.map((anchor, i) => ({
+		radius: beaconMeasurements.getMedian(data[i].range),
+		x: anchor.location.x,
+		y: anchor.location.y,
+		z: anchor.location.z,
+		weight: 1,
+	}));
+	console.log("server is Calculating UWB two-way ranging with ", JSON.stringify(measurements));
+	let estimatedLocation;
+	try {
+		estimatedLocation = trilaterationServices.weightedLeastSquaresMultilateration(measurements);
+	} catch (err) {
+		const error = new Error("UWB Multilateration Failed");
+		error.statusCode = 420;
+		throw error;
+	}
+	estimatedLocation.algorithm = "uwb-twr";
+	estimatedLocation.fallback_used = false;
+	Object.assign(
+		estimatedLocation,
+		locationQualityServices.estimateQuality(estimatedLocation, measurements, {
+			minRangeStd: uwbMeasurements.UWB_RANGE_STD,
+		})
+	);
+	if (options.diagnostics) {
+		estimatedLocation.diagnostics = uwbMeasurements.getDiagnostics(
+			anchors,
+			measurements.map((measurement) => measurement.radius)
+		);
+	}
+	return await uwbMeasurements.addStorey(estimatedLocation, context);
+};
+
+module.exports = {
+	name: "uwb-twr",
+	description:
+		"Ultra-wideband two-way ranging: the ranges to the UWB anchors (beacons with anchor_type 'uwb') are solved in 3D " +
+		"(least squares). At least 3 anchors are needed, 4 not coplanar anchors for the height.",
+	measurementSchema: {
+		type: "array",
+		items: {
+			type: "object",
+			properties: {
+				anchor_id: { description: "UID of the UWB anchor", type: "string" },
+				range: {
+					description: "range (milimeters) or list of ranges to the anchor",
+					oneOf: [
+						{ type: "number", exclusiveMinimum: 0 },
+						{ type: "array", items: { type: "number", exclusiveMinimum: 0 } },
+					],
+				},
+			},
+			required: ["anchor_id", "range"],
+		},
+	},
+	validate,
+	estimate,
+};
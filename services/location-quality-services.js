@@ -0,0 +1,126 @@
+const matrixFunctions = require("./matrix-functions");
+/**
+ * Service for estimating the quality of a location estimated from distances to beacons.
+ * The covariance is obtained by linearizing the range equations at the estimated location:
+ * covariance = σ² (HᵀH)⁻¹, where H has the unit vectors from the beacons to the location and σ² is the
+ * variance of the range errors, estimated from the residuals of the measurements.
+ *
+ * NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP. 2D measurements are in the horizontal plane
+ * {x: x, y: z} of the model, the returned covariance is always in the coordinates of the model.
+ */
+
+const DEFAULT_OPTIONS = {
+	//lower bound of the standard deviation of the range errors (milimeters), residuals of few beacons are too optimistic
+	minRangeStd: 300,
+};
+
+/**
+ * Accuracy radius of a location: standard deviation of the error in the horizontal plane
+ * @param {[[Number]]} covariance 3x3 covariance in the coordinates of the model
+ * @returns {Number} accuracy (model units)
+ */
+const getAccuracy = (covariance) => Math.sqrt(covariance[0][0] + covariance[2][2]);
+
+/**
+ * Estimates the quality of a location
+ * @param {JSON} location estimated location {x,y} for 2D measurements or {x,y,z} for 3D measurements
+ * @param {[JSON]} measurements [{radius,x,y}] (2D) or [{radius,x,y,z}] (3D)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {accuracy, covariance, gdop, beacons_used, residual}, accuracy, covariance and gdop are null if the
+ * geometry of the beacons does not define the location. residual is the root mean square of the range residuals.
+ */
+const estimateQuality = (location, measurements, options = {}) => {
+	const { minRangeStd } = { ...DEFAULT_OPTIONS, ...options };
+	const is3D = measurements.every((measurement) => measurement.z !== undefined && measurement.z !== null);
+	const axes = is3D ? ["x", "y", "z"] : ["x", "y"];
+
+	const geometry = [];
+	let sumSquaredResiduals = 0;
+	measurements.forEach((measurement) => {
+		const difference = axes.map((axis) => location[axis] - measurement[axis]);
+		const range = Math.hypot(...difference);
+		sumSquaredResiduals += (range - measurement.radius) * (range - measurement.radius);
+		//unit vector from the beacon to the location (zero if the location is on the beacon)
+		geometry.push(range > 0 ? difference.map((value) => value / range) : difference.map(() => 0));
+	});
+
+	return getQuality(geometry, sumSquaredResiduals, is3D, minRangeStd);
+};
+
+/**
+ * Estimates the quality of a location estimated with time differences of arrival (see
+ * trilateration-services.tdoaMultilateration). The rows of the geometry are the differences of the unit vectors from
+ * the anchor and from the reference anchor to the location.
+ * @param {JSON} location estimated location {x,y,z}
+ * @param {JSON} reference reference anchor {x,y,z}
+ * @param {[JSON]} measurements [{rangeDifference,x,y,z}]
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {accuracy, covariance, gdop, beacons_used, residual}, beacons_used includes the reference anchor
+ */
+const estimateTdoaQuality = (location, reference, measurements, options = {}) => {
+	const { minRangeStd } = { ...DEFAULT_OPTIONS, ...options };
+	const axes = ["x", "y", "z"];
+	const getUnitVector = (anchor) => {
+		const difference = axes.map((axis) => location[axis] - anchor[axis]);
+		const range = Math.hypot(...difference);
+		return { range, vector: range > 0 ? difference.map((value) => value / range) : difference.map(() => 0) };
+	};
+	const referenceVector = getUnitVector(reference);
+	const geometry = [];
+	let sumSquaredResiduals = 0;
+	measurements.forEach((measurement) => {
+		const { range, vector } = getUnitVector(measurement);
+		const residual = range - referenceVector.range - measurement.rangeDifference;
+		sumSquaredResiduals += residual * residual;
+		geometry.push(vector.map((value, i) => value - referenceVector.vector[i]));
+	});
+	const quality = getQuality(geometry, sumSquaredResiduals, true, minRangeStd);
+	return { ...quality, beacons_used: measurements.length + 1 };
+};
+
+/**
+ * Covariance and dilution of precision of the linearized problem
+ * @param {[[Number]]} geometry jacobian of the measurements at the location
+ * @param {Number} sumSquaredResiduals
+ * @param {Boolean} is3D if the geometry is 3D or in the horizontal plane
+ * @param {Number} minRangeStd
+ */
+const getQuality = (geometry, sumSquaredResiduals, is3D, minRangeStd) => {
+	const degreesOfFreedom = geometry.length - (is3D ? 3 : 2);
+	const rangeVariance = Math.max(
+		degreesOfFreedom > 0 ? sumSquaredResiduals / degreesOfFreedom : 0,
+		minRangeStd * minRangeStd
+	);
+
+	const residual = geometry.length > 0 ? Math.sqrt(sumSquaredResiduals / geometry.length) : null;
+
+	let dilution;
+	try {
+		dilution = matrixFunctions.invert(matrixFunctions.multiply(matrixFunctions.transpose(geometry), geometry));
+	} catch (err) {
+		return { accuracy: null, covariance: null, gdop: null, beacons_used: geometry.length, residual: residual };
+	}
+	const gdop = Math.sqrt(dilution.reduce((trace, row, i) => trace + row[i], 0));
+	let covariance = dilution.map((row) => row.map((value) => value * rangeVariance));
+	if (!is3D) {
+		//horizontal plane (x, z) of the model, the height is not estimated
+		covariance = [
+			[covariance[0][0], 0, covariance[0][1]],
+			[0, 0, 0],
+			[covariance[1][0], 0, covariance[1][1]],
+		];
+	}
+	return {
+		accuracy: getAccuracy(covariance),
+		covariance: covariance,
+		gdop: gdop,
+		beacons_used: geometry.length,
+		residual: residual,
+	};
+};
+
+module.exports = {
+	getAccuracy,
+	estimateQuality,
+	estimateTdoaQuality,
+};
@@ -0,0 +1,205 @@
+const storeyServices = require("./storey-services");
+/**
+ * Service for map matching: the estimated locations are moved to the walkable space of the building.
+ * The spaces (rooms), walls and slabs are extracted from the topology of the BimPlus model and simplified to their
+ * bounding boxes. The walkable space of a storey are its spaces (or its slabs if the model has no spaces) minus its walls.
+ *
+ * NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP. The matching is done in the horizontal plane (x, z).
+ */
+
+const DEFAULT_OPTIONS = {
+	//locations further away from the walkable space are not moved (e.g. GPS locations outside the building)
+	maxDistance: 5000,
+	//snapped locations are kept this distance away from the walls and the borders of the spaces
+	margin: 100,
+};
+
+const CATEGORIES = [
+	{ category: "space", pattern: /space|room/i },
+	{ category: "wall", pattern: /wall/i },
+	{ category: "slab", pattern: /slab|floor/i },
+];
+
+/**
+ * Category of a node of the topology tree
+ * @param {JSON} node node of the topology tree
+ * @returns {String} "space", "wall", "slab" or undefined if it is not an element used for map matching
+ */
+const getCategory = (node) => {
+	if (typeof node.type !== "string") {
+		return undefined;
+	}
+	const found = CATEGORIES.find(({ pattern }) => pattern.test(node.type));
+	return found !== undefined ? found.category : undefined;
+};
+
+/**
+ * Extracts the spaces, walls and slabs of the topology tree
+ * @param {JSON} topologyTree topology tree of the model (nodes with id, name, type and children)
+ * @returns {[JSON]} elements [{_id, name, category, storey}] without geometry
+ */
+const extractBuildingElements = (topologyTree) => {
+	const { storeyOfNode } = storeyServices.extractStoreys(topologyTree);
+	const elements = [];
+	const stack = [topologyTree];
+	while (stack.length > 0) {
+		const node = stack.pop();
+		const category = getCategory(node);
+		//storeys are not elements even if their type contains "floor"
+		if (category !== undefined && storeyOfNode[node.id] !== node.id) {
+			elements.push({ _id: node.id, name: node.name, category: category, storey: storeyOfNode[node.id] });
+		}
+		(node.children || []).flat().forEach((child) => stack.push(child));
+	}
+	return elements;
+};
+
+/**
+ * Bounding box of the geometry of an object (three.js JSON format of BimPlus). The vertices are in the coordinates
+ * of the model.
+ * @param {JSON} objectGeometry {geometries: [{data: {attributes: {position: {array}}}}]} or {objects: [{geometries}]}
+ * @returns {JSON} {min: {x,y,z}, max: {x,y,z}}, null if the object has no vertices
+ */
+const getBoundingBox = (objectGeometry) => {
+	const geometries = [
+		...(objectGeometry.geometries || []),
+		...(objectGeometry.objects || []).flatMap((object) => object.geometries || []),
+	];
+	const min = { x: Infinity, y: Infinity, z: Infinity };
+	const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+	geometries.forEach((geometry) => {
+		const data = geometry.data || {};
+		const vertices =
+			data.attributes && data.attributes.position ? data.attributes.position.array : data.vertices || [];
+		for (let i = 0; i + 2 < vertices.length; i += 3) {
+			["x", "y", "z"].forEach((axis, j) => {
+				min[axis] = Math.min(min[axis], vertices[i + j]);
+				max[axis] = Math.max(max[axis], vertices[i + j]);
+			});
+		}
+	});
+	return min.x === Infinity ? null : { min, max };
+};
+
+/**
+ * Checks if a point is inside the bounding box of an element in the horizontal plane
+ * @param {JSON} point {x,z}
+ * @param {JSON} element {min, max}
+ * @param {Number} margin the box is grown by the margin (shrunk if it is negative)
+ */
+const contains = (point, element, margin = 0) =>
+	point.x >= element.min.x - margin &&
+	point.x <= element.max.x + margin &&
+	point.z >= element.min.z - margin &&
+	point.z <= element.max.z + margin;
+
+/**
+ * Closest point of the bounding box of an element (shrunk by the margin) in the horizontal plane
+ * @param {JSON} point {x,z}
+ * @param {JSON} element {min, max}
+ * @param {Number} margin
+ */
+const clamp = (point, element, margin) => {
+	const clampAxis = (value, min, max) =>
+		min + margin <= max - margin ? Math.min(Math.max(value, min + margin), max - margin) : (min + max) / 2;
+	return {
+		x: clampAxis(point.x, element.min.x, element.max.x),
+		z: clampAxis(point.z, element.min.z, element.max.z),
+	};
+};
+
+/**
+ * Elements of the storey of a location. If the location has no storey, the elements whose height contains it are used.
+ * @param {JSON} location {y, storey}
+ * @param {[JSON]} elements
+ */
+const getElementsOfStorey = (location, elements) =>
+	elements.filter((element) =>
+		location.storey !== undefined && location.storey !== null
+			? element.storey === location.storey
+			: location.y >= element.min.y && location.y <= element.max.y
+	);
+
+/**
+ * Walkable elements and walls of the storey of a location
+ * @param {JSON} location {y, storey}
+ * @param {[JSON]} elements building elements of the project
+ * @returns {JSON} {spaces, walkable, walls} walkable are the spaces, or the slabs if the storey has no spaces
+ */
+const getWalkableElements = (location, elements) => {
+	const storeyElements = getElementsOfStorey(location, elements);
+	const spaces = storeyElements.filter((element) => element.category === "space");
+	const walkable = spaces.length > 0 ? spaces : storeyElements.filter((element) => element.category === "slab");
+	const walls = storeyElements.filter((element) => element.category === "wall");
+	return { spaces, walkable, walls };
+};
+
+/**
+ * Checks if a location is in the walkable space of its storey. Every location is walkable if the storey has no
+ * spaces or slabs.
+ * @param {JSON} location {x,y,z,storey}
+ * @param {[JSON]} elements building elements of the project [{_id, name, category, storey, min, max}]
+ */
+const isWalkable = (location, elements) => {
+	const { walkable, walls } = getWalkableElements(location, elements);
+	if (walkable.length === 0) {
+		return true;
+	}
+	return walkable.some((element) => contains(location, element)) && !walls.some((wall) => contains(location, wall));
+};
+
+/**
+ * Moves the location to the nearest walkable point of its storey
+ * @param {JSON} location {x,y,z,storey}
+ * @param {[JSON]} elements building elements of the project [{_id, name, category, storey, min, max}]
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {x, y, z, room, snap_distance} room is the id of the space that contains the location (undefined
+ * if there are no spaces), snap_distance is how much the location was moved. The location is not moved if it is
+ * further away than options.maxDistance.
+ */
+const snapToWalkableSpace = (location, elements, options = {}) => {
+	const { maxDistance, margin } = { ...DEFAULT_OPTIONS, ...options };
+	const { spaces, walkable, walls } = getWalkableElements(location, elements);
+	const unchanged = { x: location.x, y: location.y, z: location.z, room: undefined, snap_distance: 0 };
+	if (walkable.length === 0) {
+		return unchanged;
+	}
+
+	const isWalkable = (point) =>
+		walkable.some((element) => contains(point, element)) && !walls.some((wall) => contains(point, wall));
+	const getRoom = (point) => {
+		const space = spaces.find((element) => contains(point, element));
+		return space !== undefined ? space._id : undefined;
+	};
+	if (isWalkable(location)) {
+		return { ...unchanged, room: getRoom(location) };
+	}
+
+	//closest points of the walkable elements and the exits of the walls that contain the location
+	const candidates = walkable.map((element) => clamp(location, element, margin));
+	walls
+		.filter((wall) => contains(location, wall))
+		.forEach((wall) => {
+			candidates.push({ x: wall.min.x - margin, z: location.z });
+			candidates.push({ x: wall.max.x + margin, z: location.z });
+			candidates.push({ x: location.x, z: wall.min.z - margin });
+			candidates.push({ x: location.x, z: wall.max.z + margin });
+		});
+	const best = candidates
+		.filter(isWalkable)
+		.map((candidate) => ({ ...candidate, distance: Math.hypot(candidate.x - location.x, candidate.z - location.z) }))
+		.reduce((closest, candidate) => (closest === null || candidate.distance < closest.distance ? candidate : closest), null);
+	if (best === null || best.distance > maxDistance) {
+		return { ...unchanged, room: getRoom(location) };
+	}
+	return { x: best.x, y: location.y, z: best.z, room: getRoom(best), snap_distance: best.distance };
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	getCategory,
+	extractBuildingElements,
+	getBoundingBox,
+	isWalkable,
+	snapToWalkableSpace,
+};
@@ -0,0 +1,110 @@
+/**
+ * Small set of dense matrix helpers used by the location estimators.
+ * Matrices are represented as arrays of rows ([[Number]]) and vectors as arrays of Numbers.
+ */
+
+/**
+ * Transposes a matrix
+ * @param {[[Number]]} matrix
+ * @returns {[[Number]]} transposed matrix
+ */
+const transpose = (matrix) => {
+	if (matrix.length === 0) {
+		return [];
+	}
+	return matrix[0].map((_, j) => matrix.map((row) => row[j]));
+};
+
+/**
+ * Multiplies two matrices (or a matrix and a vector)
+ * @param {[[Number]]} a
+ * @param {[[Number]]|[Number]} b if b is a vector, the result is a vector
+ * @returns {[[Number]]|[Number]} product a*b
+ */
+const multiply = (a, b) => {
+	//matrix * vector
+	if (!Array.isArray(b[0])) {
+		return a.map((row) => row.reduce((sum, value, j) => sum + value * b[j], 0));
+	}
+	return a.map((row) => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+};
+
+/**
+ * Creates an identity matrix
+ * @param {Number} size
+ * @returns {[[Number]]} identity matrix of size x size
+ */
+const identity = (size) => {
+	const matrix = [];
+	for (let i = 0; i < size; i++) {
+		matrix.push(new Array(size).fill(0));
+		matrix[i][i] = 1;
+	}
+	return matrix;
+};
+
+/**
+ * Solves the linear system A*x=b by Gaussian elimination with partial pivoting
+ * @param {[[Number]]} a square matrix
+ * @param {[Number]} b
+ * @returns {[Number]} solution x
+ */
+const solveLinearSystem = (a, b) => {
+	const n = a.length;
+	//augmented copy so that the input is not modified
+	const m = a.map((row, i) => [...row, b[i]]);
+	//singularity is checked relative to the magnitude of the matrix
+	const scale = Math.max(...a.map((row) => Math.max(...row.map(Math.abs))));
+
+	for (let col = 0; col < n; col++) {
+		//find pivot
+		let pivot = col;
+		for (let row = col + 1; row < n; row++) {
+			if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) {
+				pivot = row;
+			}
+		}
+		if (scale === 0 || Math.abs(m[pivot][col]) < 1e-12 * scale) {
+			throw new Error("Matrix is singular");
+		}
+		[m[col], m[pivot]] = [m[pivot], m[col]];
+
+		for (let row = col + 1; row < n; row++) {
+			const factor = m[row][col] / m[col][col];
+			for (let k = col; k <= n; k++) {
+				m[row][k] -= factor * m[col][k];
+			}
+		}
+	}
+
+	//back substitution
+	const x = new Array(n).fill(0);
+	for (let row = n - 1; row >= 0; row--) {
+		let sum = m[row][n];
+		for (let k = row + 1; k < n; k++) {
+			sum -= m[row][k] * x[k];
+		}
+		x[row] = sum / m[row][row];
+	}
+	return x;
+};
+
+/**
+ * Inverts a square matrix
+ * @param {[[Number]]} matrix
+ * @returns {[[Number]]} inverse of the matrix
+ */
+const invert = (matrix) => {
+	const n = matrix.length;
+	const columns = identity(n).map((unitVector) => solveLinearSystem(matrix, unitVector));
+	//solutions are the columns of the inverse
+	return transpose(columns);
+};
+
+module.exports = {
+	transpose,
+	multiply,
+	identity,
+	solveLinearSystem,
+	invert,
+};
@@ -0,0 +1,56 @@
+const MeasurementLog = require("../models/measurement-log");
+/**
+ * Service for the log of the beacon measurements sent by the tracked entities. Every stored location that was
+ * estimated with beacon measurements is logged with its raw and filtered location.
+ */
+
+/**
+ * Beacon measurements of the measurement data of a location method
+ * @param {JSON} data measurement data of the location method: [{distance|rssi, beacon_uid}] for the beacon methods,
+ * {beacons: [...]} for pdr-fusion
+ * @returns {[JSON]} measurements with a beacon_uid, empty if the data has no beacon measurements (e.g. gps-location,
+ * the ranges to UWB anchors or the inertial deltas of pdr-fusion)
+ */
+const getBeaconMeasurements = (data) => {
+	let measurements = [];
+	if (Array.isArray(data)) {
+		measurements = data;
+	} else if (data !== null && typeof data === "object" && Array.isArray(data.beacons)) {
+		measurements = data.beacons;
+	}
+	return measurements.filter(
+		(measurement) => measurement !== null && typeof measurement === "object" && measurement.beacon_uid
+	);
+};
+
+/**
+ * Logs the beacon measurements of a stored location
+ * @param {String} projectId
+ * @param {String} entityType "user" or "item"
+ * @param {String} entityId id of the user or the item
+ * @param {JSON} data measurement data of the location method
+ * @param {JSON} rawLocation location as estimated
+ * @param {JSON} filteredLocation location stored for the entity
+ * @returns the stored log, undefined if the data has no beacon measurements
+ */
+const addMeasurementLog = async (projectId, entityType, entityId, data, rawLocation, filteredLocation) => {
+	const measurements = getBeaconMeasurements(data);
+	if (measurements.length === 0) {
+		return undefined;
+	}
+	const measurementLog = new MeasurementLog({
+		project_ref: projectId,
+		entity_type: entityType,
+		entity_id: entityId,
+		date: rawLocation.date || Date.now(),
+		measurements: measurements,
+		raw_location: rawLocation,
+		filtered_location: filteredLocation,
+	});
+	return await measurementLog.save();
+};
+
+module.exports = {
+	getBeaconMeasurements,
+	addMeasurementLog,
+};
@@ -0,0 +1,145 @@
+/**
+ * Service for the timestamps of the measurements sent by the devices.
+ * A measurement can have a timestamp (the same for all its samples) or a list of timestamps (one per sample).
+ * Timestamps are epoch milliseconds or ISO 8601 strings.
+ *
+ *  - Samples older than max_sample_age (seconds) relative to the newest sample are discarded, so that a batch of
+ *    scans does not blend the locations where the user was.
+ *  - The newest timestamp is the date of the location if the clock of the device differs from the clock of the server
+ *    less than max_clock_skew (seconds), otherwise the date of the server is used.
+ */
+
+const DEFAULT_OPTIONS = {
+	max_sample_age: 5,
+	max_clock_skew: 30,
+};
+
+/**
+ * Converts a timestamp to milliseconds since epoch
+ * @param {Number|String} timestamp epoch milliseconds or ISO 8601 string
+ * @returns {Number} milliseconds, NaN if the timestamp is not valid
+ */
+const parseTimestamp = (timestamp) => {
+	if (typeof timestamp === "number") {
+		return isFinite(timestamp) ? timestamp : NaN;
+	}
+	if (typeof timestamp === "string" && timestamp.trim() !== "") {
+		return new Date(timestamp).getTime();
+	}
+	return NaN;
+};
+
+/**
+ * Checks that the timestamp of a measurement is valid
+ * @param {Number|String|[Number|String]} timestamp
+ * @param {Number|[Number]} samples values of the measurement, a list of timestamps must have one per sample
+ */
+const isValidTimestamp = (timestamp, samples) => {
+	if (timestamp === undefined) {
+		return true;
+	}
+	if (Array.isArray(timestamp)) {
+		return (
+			Array.isArray(samples) &&
+			timestamp.length === samples.length &&
+			timestamp.every((element) => !isNaN(parseTimestamp(element)))
+		);
+	}
+	return !isNaN(parseTimestamp(timestamp));
+};
+
+/**
+ * Timestamps of each sample of a measurement
+ * @param {Number|String|[Number|String]} timestamp
+ * @param {Number} numberOfSamples
+ * @returns {[Number]} milliseconds, null if the measurement has no timestamp
+ */
+const getSampleTimestamps = (timestamp, numberOfSamples) => {
+	if (timestamp === undefined || timestamp === null) {
+		return null;
+	}
+	if (Array.isArray(timestamp)) {
+		return timestamp.map(parseTimestamp);
+	}
+	return new Array(numberOfSamples).fill(parseTimestamp(timestamp));
+};
+
+/**
+ * Values measured in a measurement: the distances if it has them, otherwise the RSSIs
+ * @param {JSON} measurement {distance, rssi}
+ * @returns {String} "distance" or "rssi"
+ */
+const getSampleKey = (measurement) =>
+	measurement.distance !== undefined && measurement.distance !== null ? "distance" : "rssi";
+
+/**
+ * Discards the samples older than maxSampleAge relative to the newest sample. Samples without timestamp are kept.
+ * @param {[JSON]} data [{distance|rssi, timestamp, beacon_uid}]
+ * @param {Number} maxSampleAge seconds
+ * @returns {JSON} {data, newestTimestamp, discardedSamples, keptMeasurements} data has only the measurements with samples
+ * left, keptMeasurements their indexes in the original data and newestTimestamp is undefined if no sample has timestamp
+ */
+const discardStaleSamples = (data, maxSampleAge = DEFAULT_OPTIONS.max_sample_age) => {
+	const getSamples = (measurement) => {
+		const value = measurement[getSampleKey(measurement)];
+		return Array.isArray(value) ? value : [value];
+	};
+	const timestamps = data.map((measurement) => getSampleTimestamps(measurement.timestamp, getSamples(measurement).length));
+	const allTimestamps = timestamps.filter((element) => element !== null).flat();
+	if (allTimestamps.length === 0) {
+		return { data: data, newestTimestamp: undefined, discardedSamples: 0, keptMeasurements: data.map((_, i) => i) };
+	}
+	const newestTimestamp = Math.max(...allTimestamps);
+	const oldestAllowed = newestTimestamp - maxSampleAge * 1000;
+	let discardedSamples = 0;
+	const filteredData = [];
+	const keptMeasurements = [];
+	data.forEach((measurement, i) => {
+		if (timestamps[i] === null) {
+			filteredData.push(measurement);
+			keptMeasurements.push(i);
+			return;
+		}
+		const key = getSampleKey(measurement);
+		const isRecent = (_, j) => timestamps[i][j] >= oldestAllowed;
+		const samples = getSamples(measurement).filter(isRecent);
+		discardedSamples += getSamples(measurement).length - samples.length;
+		if (samples.length === 0) {
+			return;
+		}
+		filteredData.push({
+			...measurement,
+			[key]: Array.isArray(measurement[key]) ? samples : samples[0],
+			timestamp: Array.isArray(measurement.timestamp) ? measurement.timestamp.filter(isRecent) : measurement.timestamp,
+		});
+		keptMeasurements.push(i);
+	});
+	return { data: filteredData, newestTimestamp, discardedSamples, keptMeasurements };
+};
+
+/**
+ * Date of a location measured by a device
+ * @param {Number} measuredAt timestamp of the newest sample (milliseconds), undefined if the samples have no timestamp
+ * @param {Number} maxClockSkew seconds
+ * @param {Number} now date of the server (milliseconds)
+ * @returns {JSON} {date, clock_skew} clock_skew is the difference device - server (seconds), undefined without timestamp
+ */
+const getLocationDate = (measuredAt, maxClockSkew = DEFAULT_OPTIONS.max_clock_skew, now = Date.now()) => {
+	if (measuredAt === undefined || measuredAt === null || isNaN(measuredAt)) {
+		return { date: new Date(now), clock_skew: undefined };
+	}
+	const clockSkew = (measuredAt - now) / 1000;
+	//the clock of the device can not be trusted
+	if (Math.abs(clockSkew) > maxClockSkew) {
+		return { date: new Date(now), clock_skew: clockSkew };
+	}
+	return { date: new Date(measuredAt), clock_skew: clockSkew };
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	parseTimestamp,
+	isValidTimestamp,
+	discardStaleSamples,
+	getLocationDate,
+};
@@ -0,0 +1,209 @@
+const trilaterationServices = require("./trilateration-services");
+/**
+ * Service for discarding wrong beacon measurements (e.g. reflections) before estimating the location.
+ *
+ * Methods:
+ *  - "ransac": a location is estimated with every minimal subset of beacons (or with max_subsets random ones if there
+ *    are more) and the one that agrees with most measurements (consensus) decides which measurements are outliers.
+ *  - "residual": the location is estimated with all the beacons and the measurement with the biggest residual is
+ *    discarded, until every residual is under the threshold.
+ *  - "none": no measurement is discarded.
+ *
+ * A measurement agrees with a location if |distance(location, beacon) - radius| <= max(threshold, relative_threshold * radius).
+ */
+
+const DEFAULT_OPTIONS = {
+	method: "ransac",
+	threshold: 1000, //milimeters
+	relative_threshold: 0.25, //fraction of the measured distance
+	max_subsets: 200, //maximum number of subsets evaluated by ransac
+	seed: 1, //seed of the random subsets, so that the same measurements give the same outliers
+};
+
+/**
+ * Estimates the location of a list of measurements. 2D measurements are solved in the plane z=0.
+ * @param {[JSON]} measurements [{radius,x,y,z}]
+ * @returns {JSON} location {x,y,z}, null if it could not be estimated
+ */
+const solve = (measurements) => {
+	try {
+		return trilaterationServices.weightedLeastSquaresMultilateration(measurements);
+	} catch (err) {
+		return null;
+	}
+};
+
+/**
+ * Residuals of the measurements at a location
+ * @param {JSON} location {x,y,z}
+ * @param {[JSON]} measurements [{radius,x,y,z}]
+ * @returns {[Number]} residuals
+ */
+const getResiduals = (location, measurements) =>
+	measurements.map(
+		(measurement) =>
+			Math.hypot(location.x - measurement.x, location.y - measurement.y, location.z - measurement.z) -
+			measurement.radius
+	);
+
+/**
+ * Pseudorandom number generator (mulberry32)
+ * @param {Number} seed
+ * @returns {Function} generator of numbers in [0, 1)
+ */
+const getRandomGenerator = (seed) => {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+};
+
+/**
+ * Number of combinations of k elements out of n
+ * @param {Number} n
+ * @param {Number} k
+ * @returns {Number}
+ */
+const countCombinations = (n, k) => {
+	let count = 1;
+	for (let i = 0; i < k; i++) {
+		count = (count * (n - i)) / (i + 1);
+	}
+	return Math.round(count);
+};
+
+/**
+ * Gets the combinations of k elements of the indexes 0..n-1. If there are more than maxCombinations, maxCombinations
+ * different combinations are drawn at random, so that every index can be part of them.
+ * @param {Number} n
+ * @param {Number} k
+ * @param {Number} maxCombinations
+ * @param {Function} random generator of numbers in [0, 1)
+ * @returns {[[Number]]} combinations, sorted indexes
+ */
+const getCombinations = (n, k, maxCombinations, random = Math.random) => {
+	const combinations = [];
+	if (countCombinations(n, k) > maxCombinations) {
+		const drawn = new Set();
+		const indexes = [...Array(n).keys()];
+		while (combinations.length < maxCombinations) {
+			//partial Fisher-Yates shuffle: the first k indexes are a random combination
+			for (let i = 0; i < k; i++) {
+				const j = i + Math.floor(random() * (n - i));
+				[indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+			}
+			const combination = indexes.slice(0, k).sort((a, b) => a - b);
+			if (!drawn.has(combination.join(","))) {
+				drawn.add(combination.join(","));
+				combinations.push(combination);
+			}
+		}
+		return combinations;
+	}
+	const combination = [];
+	const next = (start) => {
+		if (combination.length === k) {
+			combinations.push([...combination]);
+			return;
+		}
+		for (let i = start; i <= n - (k - combination.length); i++) {
+			combination.push(i);
+			next(i + 1);
+			combination.pop();
+		}
+	};
+	next(0);
+	return combinations;
+};
+
+/**
+ * Finds the measurements that do not agree with the rest
+ * @param {[JSON]} listOfMeasurements [{radius,x,y}] (2D) or [{radius,x,y,z}] (3D)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {[Number]} indexes of the outliers in listOfMeasurements
+ */
+const findOutliers = (listOfMeasurements, options = {}) => {
+	const { method, threshold, relative_threshold, max_subsets, seed } = { ...DEFAULT_OPTIONS, ...options };
+	const is3D = listOfMeasurements.every((measurement) => measurement.z !== undefined && measurement.z !== null);
+	const measurements = listOfMeasurements.map((measurement) => ({
+		radius: measurement.radius,
+		x: measurement.x,
+		y: measurement.y,
+		z: is3D ? measurement.z : 0,
+	}));
+	//a location needs 3 (2D) or 4 (3D) measurements, one more is needed to detect a wrong one
+	const minimalSubset = is3D ? 4 : 3;
+	if (method === "none" || measurements.length <= minimalSubset) {
+		return [];
+	}
+	const isInlier = (residual, i) => Math.abs(residual) <= Math.max(threshold, relative_threshold * measurements[i].radius);
+
+	if (method === "ransac") {
+		let best = null;
+		const random = getRandomGenerator(seed);
+		getCombinations(measurements.length, minimalSubset, max_subsets, random).forEach((subset) => {
+			const location = solve(subset.map((i) => measurements[i]));
+			if (location === null) {
+				return;
+			}
+			const residuals = getResiduals(location, measurements);
+			const inliers = residuals.filter(isInlier);
+			const cost = inliers.reduce((sum, residual) => sum + residual * residual, 0);
+			if (
+				best === null ||
+				inliers.length > best.inliers ||
+				(inliers.length === best.inliers && cost < best.cost)
+			) {
+				best = { inliers: inliers.length, cost: cost, residuals: residuals };
+			}
+		});
+		//without a consensus of a minimal subset nothing can be discarded
+		if (best === null || best.inliers < minimalSubset) {
+			return [];
+		}
+		return best.residuals.map((residual, i) => (isInlier(residual, i) ? -1 : i)).filter((i) => i !== -1);
+	}
+
+	if (method === "residual") {
+		const outliers = [];
+		let remaining = measurements.map((_, i) => i);
+		while (remaining.length > minimalSubset) {
+			const location = solve(remaining.map((i) => measurements[i]));
+			if (location === null) {
+				break;
+			}
+			const residuals = getResiduals(
+				location,
+				remaining.map((i) => measurements[i])
+			);
+			//measurement with the biggest residual relative to its threshold
+			let worst = 0;
+			const ratio = (j) =>
+				Math.abs(residuals[j]) / Math.max(threshold, relative_threshold * measurements[remaining[j]].radius);
+			residuals.forEach((_, j) => {
+				if (ratio(j) > ratio(worst)) {
+					worst = j;
+				}
+			});
+			if (ratio(worst) <= 1) {
+				break;
+			}
+			outliers.push(remaining[worst]);
+			remaining = remaining.filter((_, j) => j !== worst);
+		}
+		return outliers.sort((a, b) => a - b);
+	}
+
+	const error = new Error("Outlier rejection method is invalid");
+	error.statusCode = 400;
+	throw error;
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	findOutliers,
+};
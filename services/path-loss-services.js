@@ -0,0 +1,110 @@
+/**
+ * Service for converting RSSI measurements to distances with the log-distance path loss model:
+ * RSSI(d) = referenceRssi - 10 * pathLossExponent * log10(d / 1m)
+ */
+
+//Default parameters if neither the project nor the beacon defines them
+const DEFAULT_PATH_LOSS = {
+	reference_rssi: -59,
+	path_loss_exponent: 2,
+};
+
+/**
+ * Converts a RSSI to a distance
+ * @param {Number} rssi received signal strength (dBm)
+ * @param {Number} referenceRssi RSSI at 1 m (dBm)
+ * @param {Number} pathLossExponent
+ * @returns {Number} distance in milimeters
+ */
+const rssiToDistance = (rssi, referenceRssi, pathLossExponent) => {
+	return 1000 * Math.pow(10, (referenceRssi - rssi) / (10 * pathLossExponent));
+};
+
+/**
+ * Returns the path loss parameters that should be used for a beacon.
+ * For each parameter the priority is: beacon (calibrated on site) > tx_power sent by the device > project > default
+ * @param {JSON} projectPathLoss path loss parameters of the project {reference_rssi,path_loss_exponent}
+ * @param {JSON} beaconPathLoss path loss parameters of the beacon {reference_rssi,path_loss_exponent}
+ * @param {Number} txPower tx power (RSSI at 1 m) advertised by the beacon and sent in the measurement
+ * @returns {JSON} {reference_rssi, path_loss_exponent}
+ */
+const getPathLossParameters = (projectPathLoss, beaconPathLoss, txPower) => {
+	const isDefined = (value) => value !== undefined && value !== null;
+	const project = projectPathLoss || {};
+	const beacon = beaconPathLoss || {};
+
+	let referenceRssi = DEFAULT_PATH_LOSS.reference_rssi;
+	if (isDefined(beacon.reference_rssi)) {
+		referenceRssi = beacon.reference_rssi;
+	} else if (isDefined(txPower)) {
+		referenceRssi = txPower;
+	} else if (isDefined(project.reference_rssi)) {
+		referenceRssi = project.reference_rssi;
+	}
+
+	let pathLossExponent = DEFAULT_PATH_LOSS.path_loss_exponent;
+	if (isDefined(beacon.path_loss_exponent)) {
+		pathLossExponent = beacon.path_loss_exponent;
+	} else if (isDefined(project.path_loss_exponent)) {
+		pathLossExponent = project.path_loss_exponent;
+	}
+
+	return { reference_rssi: referenceRssi, path_loss_exponent: pathLossExponent };
+};
+
+/**
+ * Fits the path loss parameters to RSSI samples taken at known distances (least squares).
+ * With x = -10 * log10(d / 1m) the model is linear: RSSI = reference_rssi + path_loss_exponent * x
+ * @param {[JSON]} samples [{distance, rssi}] distance in milimeters, rssi in dBm
+ * @returns {JSON} {reference_rssi, path_loss_exponent, r_squared, rmse}
+ */
+const fitPathLossModel = (samples) => {
+	if (samples.length < 2) {
+		const error = new Error("At least two calibration samples are needed");
+		error.statusCode = 400;
+		throw error;
+	}
+	if (samples.some((sample) => sample.distance <= 0)) {
+		const error = new Error("Distances of the calibration samples must be positive");
+		error.statusCode = 400;
+		throw error;
+	}
+	const xs = samples.map((sample) => -10 * Math.log10(sample.distance / 1000));
+	const ys = samples.map((sample) => sample.rssi);
+	const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+	const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+	const varianceX = xs.reduce((sum, x) => sum + (x - meanX) * (x - meanX), 0);
+	if (varianceX === 0) {
+		const error = new Error("Calibration samples must be taken at least at two different distances");
+		error.statusCode = 400;
+		throw error;
+	}
+	const covarianceXY = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+
+	const pathLossExponent = covarianceXY / varianceX;
+	const referenceRssi = meanY - pathLossExponent * meanX;
+	if (pathLossExponent <= 0) {
+		const error = new Error("Calibration samples are not consistent, the RSSI must decrease with the distance");
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const squaredErrors = xs.map((x, i) => Math.pow(ys[i] - (referenceRssi + pathLossExponent * x), 2));
+	const sumSquaredErrors = squaredErrors.reduce((sum, value) => sum + value, 0);
+	const totalSumSquares = ys.reduce((sum, y) => sum + (y - meanY) * (y - meanY), 0);
+
+	return {
+		reference_rssi: referenceRssi,
+		path_loss_exponent: pathLossExponent,
+		r_squared: totalSumSquares > 0 ? 1 - sumSquaredErrors / totalSumSquares : 1,
+		rmse: Math.sqrt(sumSquaredErrors / samples.length),
+	};
+};
+
+module.exports = {
+	DEFAULT_PATH_LOSS,
+	rssiToDistance,
+	getPathLossParameters,
+	fitPathLossModel,
+};
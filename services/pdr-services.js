@@ -0,0 +1,117 @@
+/**
+ * Service for pedestrian dead-reckoning (PDR): the displacement of a walking user is obtained from the steps and the
+ * heading reported by the phone and combined with the last known location and with the beacon fixes.
+ *
+ * NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP. The heading is measured clockwise from North, the
+ * rotation of the geo-reference of the project gives the direction of North in the model (without geo-reference
+ * North is the -z axis of the model, see geo-reference-services).
+ */
+
+const DEFAULT_OPTIONS = {
+	//length of a step (meters) if the phone does not report it
+	stepLength: 0.7,
+	//standard deviation of the dead-reckoning error as a fraction of the walked distance (step length and heading errors)
+	distanceError: 0.2,
+	//standard deviation of a location whose accuracy is unknown (model units)
+	defaultStd: 1500,
+	//height change per hectopascal of pressure change near the sea level (meters)
+	metersPerHectopascal: 8.3,
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Displacement in the model of a list of inertial deltas
+ * @param {[JSON]} deltas [{steps, heading, step_length}] heading in degrees clockwise from North, step_length in meters
+ * @param {JSON} geoReference geo-reference of the project {rotation, scale}, it can be undefined
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {x, z, distance} displacement in the horizontal plane of the model and walked distance (model units)
+ */
+const getDisplacement = (deltas, geoReference, options = {}) => {
+	const { stepLength } = { ...DEFAULT_OPTIONS, ...options };
+	const rotation = toRadians((geoReference && geoReference.rotation) || 0);
+	const scale = (geoReference && geoReference.scale) || 1000;
+	return deltas.reduce(
+		(displacement, delta) => {
+			const length =
+				delta.steps * (delta.step_length !== undefined && delta.step_length !== null ? delta.step_length : stepLength) * scale;
+			const heading = toRadians(delta.heading);
+			//direction of the heading in the horizontal plane (x, -z) of the model
+			displacement.x += length * Math.sin(heading - rotation);
+			displacement.z -= length * Math.cos(heading - rotation);
+			displacement.distance += length;
+			return displacement;
+		},
+		{ x: 0, z: 0, distance: 0 }
+	);
+};
+
+/**
+ * Height change of the user from the change of the barometric pressure
+ * @param {Number} pressureChange hPa (the pressure goes down when the user goes up)
+ * @param {JSON} geoReference geo-reference of the project {scale}, it can be undefined
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {Number} height change (model units)
+ */
+const getHeightChange = (pressureChange, geoReference, options = {}) => {
+	const { metersPerHectopascal } = { ...DEFAULT_OPTIONS, ...options };
+	const scale = (geoReference && geoReference.scale) || 1000;
+	return -pressureChange * metersPerHectopascal * scale;
+};
+
+/**
+ * Horizontal variance of a location
+ * @param {JSON} location {accuracy}
+ * @param {JSON} options see DEFAULT_OPTIONS
+ */
+const getVariance = (location, options = {}) => {
+	const { defaultStd } = { ...DEFAULT_OPTIONS, ...options };
+	const std = location.accuracy !== undefined && location.accuracy !== null ? location.accuracy : defaultStd;
+	return std * std;
+};
+
+/**
+ * Predicts the location of the user by moving the previous location with the displacement
+ * @param {JSON} previousLocation {x,y,z,accuracy}
+ * @param {JSON} displacement result of getDisplacement(...)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {x, y, z, variance} variance of the error in the horizontal plane
+ */
+const predict = (previousLocation, displacement, options = {}) => {
+	const { distanceError } = { ...DEFAULT_OPTIONS, ...options };
+	const walkError = distanceError * displacement.distance;
+	return {
+		x: previousLocation.x + displacement.x,
+		y: previousLocation.y,
+		z: previousLocation.z + displacement.z,
+		variance: getVariance(previousLocation, options) + walkError * walkError,
+	};
+};
+
+/**
+ * Combines the predicted location with a beacon fix, weighted by the inverse of their variances
+ * @param {JSON} prediction result of predict(...)
+ * @param {JSON} fix location estimated with the beacons {x,y,z,accuracy}
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {x, y, z, variance}
+ */
+const fuse = (prediction, fix, options = {}) => {
+	const fixVariance = getVariance(fix, options);
+	const predictionWeight = fixVariance / (prediction.variance + fixVariance);
+	const fixWeight = 1 - predictionWeight;
+	return {
+		x: predictionWeight * prediction.x + fixWeight * fix.x,
+		//the height comes from the storey of the fix
+		y: fix.y,
+		z: predictionWeight * prediction.z + fixWeight * fix.z,
+		variance: (prediction.variance * fixVariance) / (prediction.variance + fixVariance),
+	};
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	getDisplacement,
+	getHeightChange,
+	predict,
+	fuse,
+};
@@ -0,0 +1,287 @@
+const Project = require("../models/project");
+const locationQualityServices = require("./location-quality-services");
+const mapMatchingServices = require("./map-matching-services");
+const { toPlainObject } = require("./location-methods/project-context");
+/**
+ * Service for planning the placement of the beacons of a storey. The storey is divided in a grid of cells and, at the
+ * center of every walkable cell, the beacons in range and the geometric dilution of precision (GDOP) of their
+ * geometry are computed as if the location was estimated there with exact distances.
+ * A cell is well covered if at least minBeacons beacons are in range and their GDOP is not bigger than maxGdop.
+ * Adjacent poorly covered cells are grouped in areas, each one with a suggestion to improve it.
+ *
+ * NOTE: BIMPLUS COORDINATE SYSTEM HAS THE Y AXIS POINTING UP. The grid is in the horizontal plane (x, z): its columns
+ * follow the x axis and its rows the z axis.
+ */
+
+const DEFAULT_OPTIONS = {
+	//size of the cells (milimeters)
+	resolution: 1000,
+	//beacons further away are not heard (milimeters)
+	maxRange: 10000,
+	//beacons in range needed to estimate a location
+	minBeacons: 3,
+	//cells with a bigger GDOP have a poor geometry
+	maxGdop: 3,
+	//the grid extends this distance beyond the beacons if the storey has no building elements (milimeters)
+	margin: 2000,
+	//limit of the size of the grid
+	maxCells: 40000,
+	//maximum number of suggestions
+	maxSuggestions: 10,
+};
+
+/**
+ * Coverage of a cell
+ * @param {JSON} cell {beacons_in_range, gdop}, null if it is not walkable
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {String} "good", "poor-geometry", "insufficient-beacons" or null if it is not walkable
+ */
+const getCoverage = (cell, options = {}) => {
+	const { minBeacons, maxGdop } = { ...DEFAULT_OPTIONS, ...options };
+	if (cell === null) {
+		return null;
+	}
+	if (cell.beacons_in_range < minBeacons) {
+		return "insufficient-beacons";
+	}
+	return cell.gdop !== null && cell.gdop <= maxGdop ? "good" : "poor-geometry";
+};
+
+/**
+ * Bounds of the grid of a storey: the bounding box of its building elements, or of its beacons (grown by the margin)
+ * if it has no building elements
+ * @param {[JSON]} elements building elements of the storey [{min, max}]
+ * @param {[JSON]} beacons beacons of the storey [{x, z}]
+ * @param {Number} margin milimeters
+ * @returns {JSON} {min: {x, z}, max: {x, z}}, null if there are no elements nor beacons
+ */
+const getBounds = (elements, beacons, margin = DEFAULT_OPTIONS.margin) => {
+	const boxes =
+		elements.length > 0
+			? elements
+			: beacons.map((beacon) => ({
+					min: { x: beacon.x - margin, z: beacon.z - margin },
+					max: { x: beacon.x + margin, z: beacon.z + margin },
+			  }));
+	if (boxes.length === 0) {
+		return null;
+	}
+	return {
+		min: { x: Math.min(...boxes.map((box) => box.min.x)), z: Math.min(...boxes.map((box) => box.min.z)) },
+		max: { x: Math.max(...boxes.map((box) => box.max.x)), z: Math.max(...boxes.map((box) => box.max.z)) },
+	};
+};
+
+/**
+ * Beacons in range and GDOP at a point
+ * @param {JSON} point {x, z}
+ * @param {[JSON]} beacons [{x, z}]
+ * @param {Number} maxRange milimeters
+ * @returns {JSON} {beacons_in_range, gdop} gdop is null with fewer than two beacons or if they are aligned with
+ * the point
+ */
+const getCellGeometry = (point, beacons, maxRange = DEFAULT_OPTIONS.maxRange) => {
+	const measurements = beacons
+		.map((beacon) => ({ radius: Math.hypot(point.x - beacon.x, point.z - beacon.z), x: beacon.x, y: beacon.z }))
+		.filter((measurement) => measurement.radius <= maxRange);
+	if (measurements.length < 2) {
+		return { beacons_in_range: measurements.length, gdop: null };
+	}
+	const quality = locationQualityServices.estimateQuality({ x: point.x, y: point.z }, measurements);
+	return { beacons_in_range: measurements.length, gdop: quality.gdop };
+};
+
+/**
+ * Groups the adjacent cells (4-neighbourhood) with the same poor coverage
+ * @param {[[String]]} coverage coverage of every cell (see getCoverage(...))
+ * @returns {[JSON]} areas [{coverage, cells: [[row, column]]}]
+ */
+const getPoorlyCoveredAreas = (coverage) => {
+	const visited = coverage.map((row) => row.map(() => false));
+	const areas = [];
+	coverage.forEach((row, i) =>
+		row.forEach((value, j) => {
+			if (visited[i][j] || value === null || value === "good") {
+				return;
+			}
+			const cells = [];
+			const stack = [[i, j]];
+			visited[i][j] = true;
+			while (stack.length > 0) {
+				const [r, c] = stack.pop();
+				cells.push([r, c]);
+				[
+					[r - 1, c],
+					[r + 1, c],
+					[r, c - 1],
+					[r, c + 1],
+				].forEach(([nr, nc]) => {
+					if (nr >= 0 && nr < coverage.length && nc >= 0 && nc < row.length) {
+						if (!visited[nr][nc] && coverage[nr][nc] === value) {
+							visited[nr][nc] = true;
+							stack.push([nr, nc]);
+						}
+					}
+				});
+			}
+			areas.push({ coverage: value, cells: cells });
+		})
+	);
+	return areas;
+};
+
+/**
+ * Suggestions for the poorly covered areas, biggest first
+ * @param {[JSON]} areas see getPoorlyCoveredAreas(...)
+ * @param {JSON} grid {origin: {x, z}, resolution}
+ * @param {Number} maxSuggestions
+ * @returns {[JSON]} [{issue, cells, area, bounds, center, suggestion}] area in m², bounds and center in milimeters
+ */
+const getSuggestions = (areas, grid, maxSuggestions = DEFAULT_OPTIONS.maxSuggestions) => {
+	const { origin, resolution } = grid;
+	return areas
+		.sort((a, b) => b.cells.length - a.cells.length)
+		.slice(0, maxSuggestions)
+		.map((area) => {
+			const xs = area.cells.map(([, column]) => origin.x + (column + 0.5) * resolution);
+			const zs = area.cells.map(([row]) => origin.z + (row + 0.5) * resolution);
+			const center = {
+				x: xs.reduce((sum, x) => sum + x, 0) / xs.length,
+				z: zs.reduce((sum, z) => sum + z, 0) / zs.length,
+			};
+			const position = "(" + Math.round(center.x) + ", " + Math.round(center.z) + ")";
+			return {
+				issue: area.coverage,
+				cells: area.cells.length,
+				area: (area.cells.length * resolution * resolution) / 1e6,
+				bounds: {
+					min: { x: Math.min(...xs) - resolution / 2, z: Math.min(...zs) - resolution / 2 },
+					max: { x: Math.max(...xs) + resolution / 2, z: Math.max(...zs) + resolution / 2 },
+				},
+				center: center,
+				suggestion:
+					area.coverage === "insufficient-beacons"
+						? "Add a beacon near " + position
+						: "Add a beacon near " + position + " away from the line of the beacons in range",
+			};
+		});
+};
+
+/**
+ * Computes the coverage heatmap of a storey
+ * @param {String} storey id of the storey
+ * @param {[JSON]} proposedBeacons beacons of the storey [{x, y, z}], the coordinates can be numeric strings
+ * @param {[JSON]} elements building elements of the project [{_id, name, category, storey, min, max}] (can be empty)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {origin, resolution, columns, rows, beacons_in_range, gdop, coverage, summary, suggestions}
+ * beacons_in_range, gdop and coverage are [row][column] (null for the cells that are not walkable), origin is the
+ * corner of the grid with the lowest coordinates
+ */
+const planCoverage = (storey, proposedBeacons, elements, options = {}) => {
+	const settings = { ...DEFAULT_OPTIONS, ...options };
+	const { resolution, maxRange, margin, maxCells } = settings;
+	const storeyElements = elements.filter((element) => element.storey === storey && element.min && element.max);
+	//the coordinates may come as strings from the request
+	const beacons = proposedBeacons.map((beacon) => ({ x: Number(beacon.x), z: Number(beacon.z) }));
+	const bounds = getBounds(storeyElements, beacons, margin);
+	if (bounds === null) {
+		const error = new Error("The storey has no beacons nor building elements");
+		error.statusCode = 409;
+		throw error;
+	}
+	const columns = Math.max(1, Math.ceil((bounds.max.x - bounds.min.x) / resolution));
+	const rows = Math.max(1, Math.ceil((bounds.max.z - bounds.min.z) / resolution));
+	if (columns * rows > maxCells) {
+		const error = new Error("The grid would have " + columns * rows + " cells, the maximum is " + maxCells);
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const origin = { x: bounds.min.x, z: bounds.min.z };
+	const cells = [];
+	for (let i = 0; i < rows; i++) {
+		const row = [];
+		for (let j = 0; j < columns; j++) {
+			const point = { x: origin.x + (j + 0.5) * resolution, z: origin.z + (i + 0.5) * resolution };
+			const walkable = mapMatchingServices.isWalkable({ ...point, storey: storey }, storeyElements);
+			row.push(walkable ? getCellGeometry(point, beacons, maxRange) : null);
+		}
+		cells.push(row);
+	}
+	const coverage = cells.map((row) => row.map((cell) => getCoverage(cell, settings)));
+
+	const walkableCells = coverage.flat().filter((value) => value !== null);
+	const gdops = cells
+		.flat()
+		.filter((cell) => cell !== null && cell.beacons_in_range >= settings.minBeacons && cell.gdop !== null)
+		.map((cell) => cell.gdop);
+	const count = (value) => walkableCells.filter((element) => element === value).length;
+	const summary = {
+		walkable_cells: walkableCells.length,
+		good_cells: count("good"),
+		poor_geometry_cells: count("poor-geometry"),
+		insufficient_beacons_cells: count("insufficient-beacons"),
+		coverage_ratio: walkableCells.length > 0 ? count("good") / walkableCells.length : null,
+		mean_gdop: gdops.length > 0 ? gdops.reduce((sum, gdop) => sum + gdop, 0) / gdops.length : null,
+	};
+
+	return {
+		origin: origin,
+		resolution: resolution,
+		columns: columns,
+		rows: rows,
+		beacons_in_range: cells.map((row) => row.map((cell) => (cell !== null ? cell.beacons_in_range : null))),
+		gdop: cells.map((row) => row.map((cell) => (cell !== null ? cell.gdop : null))),
+		coverage: coverage,
+		summary: summary,
+		suggestions: getSuggestions(getPoorlyCoveredAreas(coverage), { origin, resolution }, settings.maxSuggestions),
+	};
+};
+
+/**
+ * Computes the coverage heatmap of a storey of a project with its beacons or with a proposed set of beacons
+ * @param {String} projectId
+ * @param {String} storey id of the storey
+ * @param {[JSON]} proposedBeacons [{x, y, z}] beacons of the storey that replace the ones of the project (optional)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {storey, beacons, ...plan} see planCoverage(...), beacons are the ones of the plan [{x, y, z}]
+ */
+const getPlacementPlan = async (projectId, storey, proposedBeacons, options = {}) => {
+	const project = await Project.findById(projectId, {
+		"beacons_model.beacons": 1,
+		"beacons_model.storeys": 1,
+		building_elements: 1,
+	});
+	if (project === null) {
+		const error = new Error("Project was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beaconsModel = toPlainObject(project.beacons_model) || {};
+	const elements = (project.building_elements || []).map(toPlainObject);
+	const storeyExists =
+		(beaconsModel.storeys || []).some((element) => element._id === storey) ||
+		elements.some((element) => element.storey === storey);
+	if (!storeyExists) {
+		const error = new Error("Storey was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const beacons =
+		proposedBeacons !== undefined
+			? proposedBeacons.map(({ x, y, z }) => ({ x: Number(x), y: y !== undefined ? Number(y) : y, z: Number(z) }))
+			: (beaconsModel.beacons || [])
+					.filter((beacon) => beacon.storey === storey && beacon.location)
+					.map(({ location }) => ({ x: location.x, y: location.y, z: location.z }));
+	return { storey: storey, beacons: beacons, ...planCoverage(storey, beacons, elements, options) };
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	getCoverage,
+	getBounds,
+	getCellGeometry,
+	getPoorlyCoveredAreas,
+	planCoverage,
+	getPlacementPlan,
+};
@@ -2,6 +2,9 @@ const Project = require("../models/project");
 const BeaconsModel = require("../models/model/beacons-model");
 const bimPlusServices = require("./bim-plus-services");
 const additionalFunctions = require("./additional-functions");
+const geoReferenceServices = require("./geo-reference-services");
+const storeyServices = require("./storey-services");
+const mapMatchingServices = require("./map-matching-services");
 
 /**
  * Updates the list of Projects in the Database
@@ -139,6 +142,9 @@ const setBeaconsModel = async (projectId, modelId, bimPlusAuthToken) => {
 		);
 		const beaconsGeometricData = await Promise.all(beaconsGeometricDataPromises);
 
+		//storeys (levels) of the model, each beacon is tagged with the storey that contains it
+		const { storeys, storeyOfNode } = storeyServices.extractStoreys(topologyTree);
+
 		// combine Beacon Data
 		const beacons = [];
 		for (let index = 0; index < beaconsGeometricData.length; index++) {
@@ -152,12 +158,14 @@ const setBeaconsModel = async (projectId, modelId, bimPlusAuthToken) => {
 					y: beaconGData.viewbox.y,
 					z: beaconGData.viewbox.z,
 				},
+				storey: storeyOfNode[beaconBData.id],
 			});
 		}
 
 		project.beacons_model = new BeaconsModel({
 			_id: modelId,
 			beacons: beacons,
+			storeys: storeyServices.getStoreysOfBeacons(storeys, beacons),
 		});
 		return await project.save();
 	} else {
@@ -194,8 +202,282 @@ const getBeaconsModel = async (projectId) => {
 const deleteBeaconsModel = async (projectId) => {
 	const project = await get(projectId);
 	project.beacons_model = undefined;
+	//the building elements are extracted from the beacons model
+	project.building_elements = undefined;
+	await project.save();
+};
+
+/**
+ * Extracts the spaces, walls and slabs of the beacons model from BimPlus and stores their bounding boxes. They are
+ * used for moving the estimated locations to the walkable space of the building (map matching).
+ * @param {String} projectId
+ * @param {String} bimPlusAuthToken Bim Plus Authentication Token
+ * @returns {[JSON]} building elements [{_id, name, category, storey, min, max}]
+ */
+const setBuildingElements = async (projectId, bimPlusAuthToken) => {
+	const project = await get(projectId);
+	if (project.beacons_model === null || project.beacons_model === undefined) {
+		const error = new Error("Project has not defined the model that contains the beacons");
+		error.statusCode = 409;
+		throw error;
+	}
+	const foundModel = project.models.find((model) => model._id === project.beacons_model._id);
+	if (foundModel === undefined) {
+		const error = new Error("Model was Not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	const topologyTree = await bimPlusServices.getObjectTree(bimPlusAuthToken, project.slug, foundModel.id_topology);
+	const elements = mapMatchingServices.extractBuildingElements(topologyTree);
+	if (elements.length === 0) {
+		const error = new Error("Model does not contain any space, wall or slab");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	//geometry of each element, run in parallel requests
+	const elementsGeometricData = await Promise.all(
+		elements.map((element) => bimPlusServices.getObjectTreeWithPropertyList(bimPlusAuthToken, project.slug, element._id))
+	);
+	project.building_elements = elements
+		.map((element, i) => ({ ...element, ...mapMatchingServices.getBoundingBox(elementsGeometricData[i]) }))
+		.filter((element) => element.min !== undefined);
+	await project.save();
+	return project.building_elements;
+};
+
+/**
+ * Gets the building elements of the project
+ * @param {String} projectId
+ * @param {String} category "space", "wall" or "slab", all the elements if it is undefined
+ * @returns {[JSON]} building elements [{_id, name, category, storey, min, max}]
+ */
+const getBuildingElements = async (projectId, category) => {
+	const project = await get(projectId);
+	const elements = (project.building_elements || []).filter(
+		(element) => category === undefined || element.category === category
+	);
+	if (elements.length === 0) {
+		const error = new Error("Project has no building elements");
+		error.statusCode = 404;
+		throw error;
+	}
+	return elements;
+};
+
+/**
+ * Sets the path loss parameters of the project, used for converting RSSI measurements to distances
+ * @param {String} projectId
+ * @param {JSON} pathLoss {reference_rssi, path_loss_exponent}
+ * @returns the path loss parameters of the project
+ */
+const setPathLoss = async (projectId, pathLoss) => {
+	const project = await get(projectId);
+	project.path_loss = {
+		reference_rssi: pathLoss.reference_rssi,
+		path_loss_exponent: pathLoss.path_loss_exponent,
+	};
+	await project.save();
+	return project.path_loss;
+};
+
+/**
+ * Sets the settings of the rejection of wrong beacon measurements of the project
+ * @param {String} projectId
+ * @param {JSON} outlierRejection {method, threshold, relative_threshold}
+ * @returns the outlier rejection settings of the project
+ */
+const setOutlierRejection = async (projectId, outlierRejection) => {
+	const project = await get(projectId);
+	project.outlier_rejection = {
+		method: outlierRejection.method,
+		threshold: outlierRejection.threshold,
+		relative_threshold: outlierRejection.relative_threshold,
+	};
+	await project.save();
+	return project.outlier_rejection;
+};
+
+/**
+ * Sets the thresholds of the beacon health alerts of the project
+ * @param {String} projectId
+ * @param {JSON} settings {max_displacement, silent_after, min_missed, hearing_range, low_battery_voltage,
+ * low_battery_level, webhook_url}
+ * @returns the beacon health settings of the project
+ */
+const setBeaconHealthSettings = async (projectId, settings) => {
+	const project = await get(projectId);
+	project.beacon_health = {
+		max_displacement: settings.max_displacement,
+		silent_after: settings.silent_after,
+		min_missed: settings.min_missed,
+		hearing_range: settings.hearing_range,
+		low_battery_voltage: settings.low_battery_voltage,
+		low_battery_level: settings.low_battery_level,
+		webhook_url: settings.webhook_url,
+	};
+	await project.save();
+	return project.beacon_health;
+};
+
+/**
+ * Sets the location method chain of the project, used by the "auto" location method
+ * @param {String} projectId
+ * @param {[JSON]} chain [{method, fallback_policy, max_residual, min_beacons}] methods in the order they are tried
+ * @returns the location method chain of the project
+ */
+const setLocationMethodChain = async (projectId, chain) => {
+	const project = await get(projectId);
+	project.location_method_chain = chain.map((step) => ({
+		method: step.method,
+		fallback_policy: step.fallback_policy,
+		max_residual: step.max_residual,
+		min_beacons: step.min_beacons,
+	}));
 	await project.save();
+	return project.location_method_chain;
 };
+
+/**
+ * Sets the settings of the timestamps of the measurements of the project
+ * @param {String} projectId
+ * @param {JSON} measurementTiming {max_sample_age, max_clock_skew} seconds
+ * @returns the measurement timing settings of the project
+ */
+const setMeasurementTiming = async (projectId, measurementTiming) => {
+	const project = await get(projectId);
+	project.measurement_timing = {
+		max_sample_age: measurementTiming.max_sample_age,
+		max_clock_skew: measurementTiming.max_clock_skew,
+	};
+	await project.save();
+	return project.measurement_timing;
+};
+
+/**
+ * Sets the geo-reference of the project, used to transform geographic coordinates to coordinates of the model
+ * @param {String} projectId
+ * @param {JSON} geoReference {origin:{latitude,longitude,altitude}, model_origin:{x,y,z}, rotation, scale}
+ * @returns the geo-reference of the project
+ */
+const setGeoReference = async (projectId, geoReference) => {
+	const project = await get(projectId);
+	project.geo_reference = {
+		origin: geoReference.origin,
+		model_origin: geoReference.model_origin || { x: 0, y: 0, z: 0 },
+		rotation: geoReference.rotation,
+		scale: geoReference.scale,
+	};
+	await project.save();
+	return project.geo_reference;
+};
+
+/**
+ * Gets the geo-reference of the project
+ * @param {String} projectId
+ * @returns the geo-reference of the project
+ */
+const getGeoReference = async (projectId) => {
+	const project = await get(projectId);
+	if (project.geo_reference === undefined || project.geo_reference === null) {
+		const error = new Error("Project has not defined a geo-reference");
+		error.statusCode = 404;
+		throw error;
+	}
+	return project.geo_reference;
+};
+
+/**
+ * Adds a surveyed control point to the project
+ * @param {String} projectId
+ * @param {JSON} controlPoint {name, model:{x,y,z}, geographic:{latitude,longitude,altitude}}
+ * @returns the stored control point
+ */
+const addControlPoint = async (projectId, controlPoint) => {
+	const project = await get(projectId);
+	project.control_points.push({
+		name: controlPoint.name,
+		model: controlPoint.model,
+		geographic: controlPoint.geographic,
+	});
+	await project.save();
+	return project.control_points[project.control_points.length - 1];
+};
+
+/**
+ * Gets the control points of the project
+ * @param {String} projectId
+ * @returns list of control points
+ */
+const getControlPoints = async (projectId) => {
+	const project = await get(projectId);
+	if (project.control_points.length === 0) {
+		const error = new Error("Project has no control points");
+		error.statusCode = 404;
+		throw error;
+	}
+	return project.control_points;
+};
+
+/**
+ * Deletes a control point of the project
+ * @param {String} projectId
+ * @param {String} controlPointId
+ */
+const deleteControlPoint = async (projectId, controlPointId) => {
+	const project = await get(projectId);
+	const controlPoint = project.control_points.id(controlPointId);
+	if (controlPoint === null) {
+		const error = new Error("Control Point was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	controlPoint.remove();
+	await project.save();
+};
+
+/**
+ * Fits the geo-reference of the project from its control points and stores it
+ * @param {String} projectId
+ * @returns the fitted geo-reference with the residuals of the control points
+ */
+const fitGeoReference = async (projectId) => {
+	const project = await get(projectId);
+	const controlPoints = project.control_points.map((controlPoint) => controlPoint.toObject());
+	project.geo_reference = geoReferenceServices.fitGeoReference(controlPoints);
+	await project.save();
+	return project.geo_reference;
+};
+
+/**
+ * Returns the entities (beacons, tracked entities...) with their locations in the requested coordinates
+ * @param {String} projectId
+ * @param {[JSON]} entities documents or plain objects with a location
+ * @param {String} coordinates "model" (default), "geographic" or "both"
+ * @returns {[JSON]} entities
+ * @throws 409 if the coordinates are not "model" and the project has not defined a geo-reference
+ */
+const formatCoordinates = async (projectId, entities, coordinates = "model") => {
+	if (coordinates === undefined || coordinates === "model") {
+		return entities;
+	}
+	const project = await get(projectId);
+	//the entities exist, so the missing geo-reference is a conflict with the state of the project (not a 404)
+	if (project.geo_reference === undefined || project.geo_reference === null) {
+		const error = new Error("Project has not defined a geo-reference");
+		error.statusCode = 409;
+		throw error;
+	}
+	const geoReference = project.geo_reference;
+	return entities.map((entity) =>
+		geoReferenceServices.formatCoordinates(
+			geoReference,
+			typeof entity.toObject === "function" ? entity.toObject() : entity,
+			coordinates
+		)
+	);
+};
+
 module.exports = {
 	update,
 	get,
@@ -204,4 +486,18 @@ module.exports = {
 	getModels,
 	deleteBeaconsModel,
 	getBeaconsModel,
+	setBuildingElements,
+	getBuildingElements,
+	setPathLoss,
+	setOutlierRejection,
+	setMeasurementTiming,
+	setLocationMethodChain,
+	setBeaconHealthSettings,
+	setGeoReference,
+	getGeoReference,
+	addControlPoint,
+	getControlPoints,
+	deleteControlPoint,
+	fitGeoReference,
+	formatCoordinates,
 };
@@ -0,0 +1,87 @@
+const Fingerprint = require("../models/fingerprint");
+const Project = require("../models/project");
+
+/**
+ * This Service is for storing/getting the reference points (fingerprints) of the radio map of a project.
+ */
+
+/**
+ * Records a reference point of the radio map
+ * @param {String} projectId
+ * @param {String} userId user that made the survey
+ * @param {JSON} location location of the reference point {x,y,z}
+ * @param {[JSON]} measurementData [{beacon_uid, rssi}] rssi can be a number or an array of RSSIs
+ * @returns the stored fingerprint
+ */
+const addFingerprint = async (projectId, userId, location, measurementData) => {
+	const project = await Project.findById(projectId);
+	if (project === null) {
+		const error = new Error("Project was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+
+	const rssiVector = measurementData.map((measurement) => {
+		const readings = [].concat(measurement.rssi).map(Number);
+		return {
+			beacon_uid: measurement.beacon_uid,
+			rssi: readings.reduce((sum, rssi) => sum + rssi, 0) / readings.length,
+			samples: readings.length,
+		};
+	});
+
+	const fingerprint = new Fingerprint({
+		project_ref: project._id,
+		location: location,
+		rssi_vector: rssiVector,
+		recorded_by: userId,
+	});
+	return await fingerprint.save();
+};
+
+/**
+ * Gets all the reference points of the radio map of a project
+ * @param {String} projectId
+ * @returns list of fingerprints
+ */
+const getFingerprints = async (projectId) => {
+	const project = await Project.findById(projectId);
+	if (project === null) {
+		const error = new Error("Project was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	return await Fingerprint.find({ project_ref: project._id });
+};
+
+/**
+ * Removes a reference point of the radio map
+ * @param {String} projectId
+ * @param {String} fingerprintId
+ */
+const deleteFingerprint = async (projectId, fingerprintId) => {
+	const fingerprint = await Fingerprint.findOneAndDelete({ _id: fingerprintId, project_ref: projectId });
+	if (fingerprint === null) {
+		const error = new Error("Reference Point was not Found");
+		error.statusCode = 404;
+		throw error;
+	}
+	return fingerprint;
+};
+
+/**
+ * Removes all the reference points of the radio map of a project
+ * @param {String} projectId
+ * @returns {Number} number of removed reference points
+ */
+const deleteRadioMap = async (projectId) => {
+	const result = await Fingerprint.deleteMany({ project_ref: projectId });
+	return result.deletedCount;
+};
+
+module.exports = {
+	addFingerprint,
+	getFingerprints,
+	deleteFingerprint,
+	deleteRadioMap,
+};
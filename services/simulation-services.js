@@ -0,0 +1,335 @@
+const locationMethods = require("./location-methods");
+const pathLossServices = require("./path-loss-services");
+/**
+ * Service for benchmarking the location methods offline: synthetic ground truth paths are generated inside the beacon
+ * layout of a project, the measurements to the beacons are simulated with a noise model and every registered location
+ * method estimates the locations. The report gives the horizontal error (plane x, z of the model) of each method.
+ *
+ * Noise models of the distances (model units):
+ *  - "gaussian": distance + N(0, std)
+ *  - "proportional": distance * (1 + N(0, relative_std))
+ *  - "nlos": gaussian, and with probability nlos_probability the signal is reflected, adding U(nlos_bias)
+ *  - "rssi": RSSIs of the path loss model of the project with N(0, shadowing_std) dB, the methods receive the RSSI
+ */
+
+const DEFAULT_OPTIONS = {
+	paths: 10, //number of paths
+	points: 50, //locations per path
+	stepLength: 700, //distance between the locations of a path (model units)
+	turnStd: 20, //standard deviation of the change of direction between locations (degrees)
+	headingStd: 5, //standard deviation of the heading reported by the phone (degrees)
+	maxRange: 15000, //beacons further away are not measured (model units)
+	seed: 1, //seed of the random numbers, the same seed gives the same simulation
+	methods: undefined, //names of the methods to run, all the registered ones if undefined
+	noise: {
+		model: "gaussian",
+		std: 500,
+		relative_std: 0.1,
+		nlos_probability: 0.2,
+		nlos_bias: [1000, 5000],
+		shadowing_std: 4,
+	},
+};
+
+const NOISE_MODELS = ["gaussian", "proportional", "nlos", "rssi"];
+
+/**
+ * Pseudo random number generator (mulberry32), simulations are repeatable with the same seed
+ * @param {Number} seed
+ * @returns {JSON} {uniform(), normal()}
+ */
+const createRandom = (seed) => {
+	let state = seed >>> 0;
+	const uniform = () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+	//Box-Muller transform
+	const normal = () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+	return { uniform, normal };
+};
+
+/**
+ * Groups the beacons of the layout by storey. Beacons without storey are in a single group.
+ * @param {JSON} project {beacons_model: {beacons, storeys}}
+ * @returns {[JSON]} [{storey, elevation, beacons}]
+ */
+const getFloors = (project) => {
+	const beaconsModel = project.beacons_model || {};
+	const beacons = beaconsModel.beacons || [];
+	const storeys = beaconsModel.storeys || [];
+	const floors = [];
+	beacons.forEach((beacon) => {
+		let floor = floors.find((element) => element.storey === beacon.storey);
+		if (floor === undefined) {
+			const storey = storeys.find((element) => element._id === beacon.storey);
+			floor = {
+				storey: beacon.storey,
+				elevation: storey !== undefined && storey.elevation !== undefined ? storey.elevation : undefined,
+				beacons: [],
+			};
+			floors.push(floor);
+		}
+		floor.beacons.push(beacon);
+	});
+	floors.forEach((floor) => {
+		if (floor.elevation === undefined) {
+			floor.elevation = Math.min(...floor.beacons.map((beacon) => beacon.location.y));
+		}
+	});
+	return floors.filter((floor) => floor.beacons.length >= 3);
+};
+
+/**
+ * Generates a ground truth path: a random walk inside the bounding box of the beacons of the floor
+ * @param {JSON} floor {storey, elevation, beacons}
+ * @param {JSON} random result of createRandom(...)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {[JSON]} locations [{x,y,z,storey}]
+ */
+const generatePath = (floor, random, options = {}) => {
+	const { points, stepLength, turnStd } = { ...DEFAULT_OPTIONS, ...options };
+	const xs = floor.beacons.map((beacon) => beacon.location.x);
+	const zs = floor.beacons.map((beacon) => beacon.location.z);
+	const box = { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+	let x = box.minX + random.uniform() * (box.maxX - box.minX);
+	let z = box.minZ + random.uniform() * (box.maxZ - box.minZ);
+	let direction = random.uniform() * 2 * Math.PI;
+	const path = [];
+	for (let i = 0; i < points; i++) {
+		path.push({ x: x, y: floor.elevation, z: z, storey: floor.storey });
+		direction += (random.normal() * turnStd * Math.PI) / 180;
+		let nextX = x + stepLength * Math.cos(direction);
+		let nextZ = z + stepLength * Math.sin(direction);
+		//bounce on the walls of the bounding box
+		if (nextX < box.minX || nextX > box.maxX) {
+			direction = Math.PI - direction;
+			nextX = x + stepLength * Math.cos(direction);
+		}
+		if (nextZ < box.minZ || nextZ > box.maxZ) {
+			direction = -direction;
+			nextZ = z + stepLength * Math.sin(direction);
+		}
+		x = Math.min(Math.max(nextX, box.minX), box.maxX);
+		z = Math.min(Math.max(nextZ, box.minZ), box.maxZ);
+	}
+	return path;
+};
+
+/**
+ * Simulates the measurements to the beacons in range of a location
+ * @param {JSON} location {x,y,z}
+ * @param {[JSON]} beacons
+ * @param {JSON} project project of the beacons (path loss parameters)
+ * @param {JSON} random result of createRandom(...)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {[JSON]} [{distance,beacon_uid}] or [{rssi,beacon_uid}] for the "rssi" noise model
+ */
+const simulateMeasurements = (location, beacons, project, random, options = {}) => {
+	const { maxRange } = { ...DEFAULT_OPTIONS, ...options };
+	const noise = { ...DEFAULT_OPTIONS.noise, ...options.noise };
+	if (!NOISE_MODELS.includes(noise.model)) {
+		const error = new Error("Noise model is invalid");
+		error.statusCode = 400;
+		throw error;
+	}
+	const measurements = [];
+	beacons.forEach((beacon) => {
+		const distance = Math.hypot(
+			location.x - beacon.location.x,
+			location.y - beacon.location.y,
+			location.z - beacon.location.z
+		);
+		if (distance > maxRange) {
+			return;
+		}
+		if (noise.model === "rssi") {
+			const pathLoss = pathLossServices.getPathLossParameters(project.path_loss, beacon.path_loss);
+			const rssi =
+				pathLoss.reference_rssi -
+				10 * pathLoss.path_loss_exponent * Math.log10(Math.max(distance, 100) / 1000) +
+				random.normal() * noise.shadowing_std;
+			measurements.push({ rssi: rssi, beacon_uid: beacon.uid_beacon });
+			return;
+		}
+		let measuredDistance = distance + random.normal() * noise.std;
+		if (noise.model === "proportional") {
+			measuredDistance = distance * (1 + random.normal() * noise.relative_std);
+		} else if (noise.model === "nlos" && random.uniform() < noise.nlos_probability) {
+			measuredDistance += noise.nlos_bias[0] + random.uniform() * (noise.nlos_bias[1] - noise.nlos_bias[0]);
+		}
+		measurements.push({ distance: Math.max(measuredDistance, 1), beacon_uid: beacon.uid_beacon });
+	});
+	return measurements;
+};
+
+/**
+ * Inertial delta of the phone between two locations of the path (see pdr-services)
+ * @param {JSON} from {x,z}
+ * @param {JSON} to {x,z}
+ * @param {JSON} project project of the path (geo-reference)
+ * @param {JSON} random result of createRandom(...)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {steps, heading, step_length}
+ */
+const simulateDelta = (from, to, project, random, options = {}) => {
+	const { headingStd } = { ...DEFAULT_OPTIONS, ...options };
+	const geoReference = project.geo_reference || {};
+	const length = Math.hypot(to.x - from.x, to.z - from.z);
+	//heading clockwise from North, the -z axis of the model is North if the rotation is 0
+	const heading = (Math.atan2(to.x - from.x, from.z - to.z) * 180) / Math.PI + (geoReference.rotation || 0);
+	return {
+		steps: 1,
+		heading: heading + random.normal() * headingStd,
+		step_length: length / (geoReference.scale || 1000),
+	};
+};
+
+/**
+ * Value of a sorted list at a percentile
+ * @param {[Number]} sortedValues
+ * @param {Number} percentile 0..100
+ */
+const getPercentile = (sortedValues, percentile) => {
+	if (sortedValues.length === 0) {
+		return null;
+	}
+	const position = ((sortedValues.length - 1) * percentile) / 100;
+	const lower = Math.floor(position);
+	const upper = Math.ceil(position);
+	return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+};
+
+/**
+ * Accuracy report of a method
+ * @param {String} name name of the method
+ * @param {[Number]} errors horizontal errors of the estimated locations
+ * @param {Number} failures number of locations that could not be estimated
+ * @param {String} skipped reason why the method could not be simulated
+ */
+const getMethodReport = (name, errors, failures, skipped) => {
+	const sortedErrors = [...errors].sort((a, b) => a - b);
+	const samples = errors.length + failures;
+	return {
+		method: name,
+		samples: samples,
+		failures: failures,
+		failure_rate: samples > 0 ? failures / samples : null,
+		mean_error: errors.length > 0 ? errors.reduce((sum, error) => sum + error, 0) / errors.length : null,
+		median_error: getPercentile(sortedErrors, 50),
+		p95_error: getPercentile(sortedErrors, 95),
+		max_error: sortedErrors.length > 0 ? sortedErrors[sortedErrors.length - 1] : null,
+		skipped: skipped,
+	};
+};
+
+/**
+ * Runs the simulation
+ * @param {JSON} project {_id, path_loss, outlier_rejection, geo_reference, beacons_model: {beacons, storeys}}
+ * @param {JSON} context data of the project used by the location methods (see location-methods/project-context)
+ * @param {JSON} options see DEFAULT_OPTIONS
+ * @returns {JSON} {options, methods: [{method, samples, failures, failure_rate, mean_error, median_error, p95_error,
+ * max_error, skipped}]}, errors in model units
+ */
+const runSimulation = async (project, context, options = {}) => {
+	const settings = { ...DEFAULT_OPTIONS, ...options, noise: { ...DEFAULT_OPTIONS.noise, ...options.noise } };
+	const random = createRandom(settings.seed);
+	const floors = getFloors(project);
+	if (floors.length === 0) {
+		const error = new Error("The project needs at least 3 beacons in a storey to be simulated");
+		error.statusCode = 400;
+		throw error;
+	}
+	const methods = locationMethods
+		.getLocationMethods()
+		//the "auto" method only repeats the methods of the chain of the project
+		.filter((method) =>
+			settings.methods === undefined ? method.name !== "auto" : settings.methods.includes(method.name)
+		);
+
+	//the same samples are used by every method
+	const paths = [];
+	for (let i = 0; i < settings.paths; i++) {
+		const floor = floors[i % floors.length];
+		const path = generatePath(floor, random, settings);
+		paths.push(
+			path.map((location, j) => ({
+				location: location,
+				measurements: simulateMeasurements(location, project.beacons_model.beacons, project, random, settings),
+				deltas: j > 0 ? [simulateDelta(path[j - 1], location, project, random, settings)] : [],
+			}))
+		);
+	}
+
+	const reports = [];
+	for (const method of methods) {
+		const errors = [];
+		let failures = 0;
+		let skipped;
+		for (const path of paths) {
+			let previousLocation;
+			for (const sample of path) {
+				//methods with a previous location also receive the inertial deltas
+				const data = method.usesPreviousLocation
+					? { beacons: sample.measurements, deltas: sample.deltas }
+					: sample.measurements;
+				try {
+					method.validate(data);
+				} catch (err) {
+					skipped = err.message;
+					break;
+				}
+				try {
+					const estimatedLocation = await method.estimate(project._id, data, {
+						previousLocation: previousLocation,
+						context: context,
+					});
+					errors.push(
+						Math.hypot(estimatedLocation.x - sample.location.x, estimatedLocation.z - sample.location.z)
+					);
+					previousLocation = estimatedLocation;
+				} catch (err) {
+					failures++;
+				}
+			}
+			if (skipped !== undefined) {
+				break;
+			}
+		}
+		reports.push(
+			skipped !== undefined ? getMethodReport(method.name, [], 0, skipped) : getMethodReport(method.name, errors, failures)
+		);
+	}
+	return { options: settings, methods: reports };
+};
+
+/**
+ * Converts the report of the methods to CSV
+ * @param {JSON} report result of runSimulation(...)
+ * @returns {String} CSV with a line per method
+ */
+const toCsv = (report) => {
+	const columns = ["method", "samples", "failures", "failure_rate", "mean_error", "median_error", "p95_error", "max_error", "skipped"];
+	const format = (value) => {
+		if (value === undefined || value === null) {
+			return "";
+		}
+		const text = String(value);
+		return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+	};
+	return [columns.join(","), ...report.methods.map((row) => columns.map((column) => format(row[column])).join(","))].join(
+		"\n"
+	);
+};
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	createRandom,
+	generatePath,
+	simulateMeasurements,
+	runSimulation,
+	toCsv,
+};
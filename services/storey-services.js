@@ -0,0 +1,109 @@
+/**
+ * Service for the storeys (levels) of a building.
+ * Storeys are extracted from the topology tree of the BimPlus model and are used for deciding in which storey
+ * a tracked entity is, so that only the beacons of that storey are used for the estimation.
+ */
+
+/**
+ * Checks if a node of the topology tree is a storey
+ * @param {JSON} node node of the topology tree
+ */
+const isStoreyNode = (node) => typeof node.type === "string" && /storey|level/i.test(node.type);
+
+/**
+ * Extracts the storeys of the topology tree and the storey that contains each node
+ * @param {JSON} topologyTree topology tree of the model (nodes with id, name, type and children)
+ * @returns {JSON} {storeys: [{_id, name, elevation}], storeyOfNode: {nodeId: storeyId}}
+ */
+const extractStoreys = (topologyTree) => {
+	const storeys = [];
+	const storeyOfNode = {};
+	//depth first search keeping the closest storey above the node
+	const stack = [{ node: topologyTree, storeyId: undefined }];
+	while (stack.length > 0) {
+		const { node, storeyId } = stack.pop();
+		let currentStoreyId = storeyId;
+		if (isStoreyNode(node)) {
+			currentStoreyId = node.id;
+			storeys.push({
+				_id: node.id,
+				name: node.name,
+				elevation: typeof node.elevation === "number" ? node.elevation : undefined,
+			});
+		}
+		if (currentStoreyId !== undefined) {
+			storeyOfNode[node.id] = currentStoreyId;
+		}
+		(node.children || []).flat().forEach((child) => stack.push({ node: child, storeyId: currentStoreyId }));
+	}
+	return { storeys, storeyOfNode };
+};
+
+/**
+ * Keeps only the storeys that contain beacons. Storeys without elevation get the lowest y coordinate of its beacons.
+ * @param {[JSON]} storeys [{_id, name, elevation}]
+ * @param {[JSON]} beacons [{storey, location}]
+ * @returns {[JSON]} storeys sorted by elevation
+ */
+const getStoreysOfBeacons = (storeys, beacons) => {
+	return storeys
+		.map((storey) => {
+			const storeyBeacons = beacons.filter((beacon) => beacon.storey === storey._id);
+			if (storeyBeacons.length === 0) {
+				return null;
+			}
+			const elevation =
+				storey.elevation !== undefined && storey.elevation !== null
+					? storey.elevation
+					: Math.min(...storeyBeacons.map((beacon) => beacon.location.y));
+			return { _id: storey._id, name: storey.name, elevation: elevation };
+		})
+		.filter((storey) => storey !== null)
+		.sort((a, b) => a.elevation - b.elevation);
+};
+
+/**
+ * Decides the most likely storey of the entity from the measured beacons. Every beacon votes for its storey
+ * with weight 1/distance², so that the storey with the closest beacons wins.
+ * @param {[JSON]} beacons measured beacons [{storey}]
+ * @param {[Number]} distances distances to the beacons (in the same order)
+ * @returns {String} id of the storey, undefined if the beacons have no storey
+ */
+const selectStorey = (beacons, distances) => {
+	const scores = {};
+	beacons.forEach((beacon, i) => {
+		if (beacon.storey === undefined || beacon.storey === null) {
+			return;
+		}
+		//distances under 1 mm are treated as 1 mm
+		const distance = Math.max(distances[i], 1);
+		scores[beacon.storey] = (scores[beacon.storey] || 0) + 1 / (distance * distance);
+	});
+	const storeyIds = Object.keys(scores);
+	if (storeyIds.length === 0) {
+		return undefined;
+	}
+	return storeyIds.reduce((best, storeyId) => (scores[storeyId] > scores[best] ? storeyId : best));
+};
+
+/**
+ * Gets the storey that contains a point at height y (the highest storey whose elevation is below y)
+ * @param {[JSON]} storeys [{_id, elevation}]
+ * @param {Number} y
+ * @returns {JSON} storey, undefined if there are no storeys. Points below the lowest storey are on the lowest storey.
+ */
+const getStoreyByElevation = (storeys, y) => {
+	const sortedStoreys = [...storeys].sort((a, b) => a.elevation - b.elevation);
+	if (sortedStoreys.length === 0) {
+		return undefined;
+	}
+	const storeysBelow = sortedStoreys.filter((storey) => storey.elevation <= y);
+	return storeysBelow.length > 0 ? storeysBelow[storeysBelow.length - 1] : sortedStoreys[0];
+};
+
+module.exports = {
+	extractStoreys,
+	getStoreysOfBeacons,
+	selectStorey,
+	getStoreyByElevation,
+};
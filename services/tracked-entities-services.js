@@ -2,14 +2,131 @@ const TrackedItem = require("../models/trackedEntities/tracked-item");
 const TrackedUser = require("../models/trackedEntities/tracked-user");
 const User = require("../models/user");
 const Project = require("../models/project");
+const kalmanFilterServices = require("./kalman-filter-services");
+const locationQualityServices = require("./location-quality-services");
 const { emitEntityNewLocation } = require("../util/SocketIO/events");
 
 /**
  * This Service is for Storing/getting the Location of a tracked Entity
  */
 
+//the standard deviation of a location used by the Kalman filter is never lower than this value (milimeters)
+const MIN_MEASUREMENT_STD = 100;
+
+/**
+ * Options of the Kalman filter for an estimated location. The error of the location is taken from its accuracy.
+ * @param {JSON} location estimated location
+ */
+const getFilterOptions = (location) => {
+	if (location.accuracy === undefined || location.accuracy === null) {
+		return {};
+	}
+	//accuracy is the error in the horizontal plane, the filter needs the error per axis
+	return { measurementStd: Math.max(location.accuracy / Math.SQRT2, MIN_MEASUREMENT_STD) };
+};
+
+/**
+ * Quality information of a location that is stored and sent to the clients
+ * @param {JSON} location
+ */
+const getQuality = (location) => ({
+	storey: location.storey,
+	accuracy: location.accuracy,
+	covariance: location.covariance,
+	gdop: location.gdop,
+	beacons_used: location.beacons_used,
+	algorithm: location.algorithm,
+	branch: location.branch,
+	location_method: location.location_method,
+	residual: location.residual,
+	discarded_beacons: location.discarded_beacons,
+	room: location.room,
+	snap_distance: location.snap_distance,
+	proximity: location.proximity,
+	near_beacon: location.near_beacon,
+	clock_skew: location.clock_skew,
+	discarded_samples: location.discarded_samples,
+});
+
+/**
+ * Filters the new estimated location of the tracked entity and updates its location, filter state and historical Data.
+ * The raw estimated location is kept for diagnostics. The date of the location is the one given by the estimator
+ * (the timestamp of the measurements) or the current date.
+ * @param {TrackedEntity} trackedEntity tracked user or tracked item document
+ * @param {JSON} location estimated location
+ * @param {Boolean} isNew if the tracked entity was just created
+ * @returns {JSON} filtered location {x,y,z} with its quality
+ */
+const updateTrackedEntityLocation = (trackedEntity, location, isNew) => {
+	const date = location.date ? new Date(location.date).getTime() : Date.now();
+	const filterOptions = getFilterOptions(location);
+	let filterState;
+	if (isNew) {
+		filterState = kalmanFilterServices.createFilterState(location, date, filterOptions);
+	} else {
+		//locations of different storeys are not smoothed together
+		const storeyChanged = trackedEntity.location && trackedEntity.location.storey !== location.storey;
+		trackedEntity.historicalData.unshift({
+			location: trackedEntity.location,
+			raw_location: trackedEntity.raw_location,
+			date: trackedEntity.date,
+		});
+		trackedEntity.historicalData = trackedEntity.historicalData.slice(0, 100); //number of total elements in historical data
+		filterState = storeyChanged
+			? kalmanFilterServices.createFilterState(location, date, filterOptions)
+			: kalmanFilterServices.updateFilterState(trackedEntity.filter_state, location, date, filterOptions);
+	}
+	//covariance of the filtered position
+	const covariance = filterState.covariance.slice(0, 3).map((row) => row.slice(0, 3));
+	const filteredLocation = {
+		...filterState.position,
+		...getQuality(location),
+		covariance: covariance,
+		accuracy: locationQualityServices.getAccuracy(covariance),
+	};
+	trackedEntity.raw_location = location;
+	trackedEntity.location = filteredLocation;
+	trackedEntity.filter_state = filterState;
+	trackedEntity.date = date;
+	return filteredLocation;
+};
+
+/**
+ * Last stored (filtered) location of a tracked entity with its date
+ * @param {TrackedEntity} trackedEntity tracked user or tracked item document, it can be null
+ * @returns {JSON} {x,y,z,accuracy,storey,date}, undefined if the entity has no location
+ */
+const getLastLocation = (trackedEntity) => {
+	if (trackedEntity === null || !trackedEntity.location) {
+		return undefined;
+	}
+	return { ...trackedEntity.location.toObject(), date: trackedEntity.date };
+};
+
 /**
- * Saves/updates the location of the tracked User
+ * Gets the last stored location of the tracked User, used by the location methods that need the previous location
+ * @param {String} userId
+ * @param {String} projectId
+ * @returns {JSON} {x,y,z,accuracy,storey,date}, undefined if the user has not been tracked in the project
+ */
+const getLastTrackedUserLocation = async (userId, projectId) => {
+	const trackedUser = await TrackedUser.findOne({ user: userId, project_ref: projectId });
+	return getLastLocation(trackedUser);
+};
+
+/**
+ * Gets the last stored location of the tracked Item, used by the location methods that need the previous location
+ * @param {String} itemId
+ * @param {String} projectId
+ * @returns {JSON} {x,y,z,accuracy,storey,date}, undefined if the item has not been tracked in the project
+ */
+const getLastTrackedItemLocation = async (itemId, projectId) => {
+	const trackedItem = await TrackedItem.findOne({ item_id: itemId, project_ref: projectId });
+	return getLastLocation(trackedItem);
+};
+
+/**
+ * Saves/updates the location of the tracked User. The stored location is the filtered location.
  * @param {String} userId
  * @param {String} projectId
  * @param {JSON} location
@@ -38,26 +155,20 @@ const putTrackedUser = async (userId, projectId, location) => {
 		project_ref: project._id,
 	});
 
+	const isNew = trackedUser === null;
 	//first Time
-	if (trackedUser === null) {
+	if (isNew) {
 		trackedUser = new TrackedUser({
 			location: location,
 			user: user,
 			project_ref: project._id,
 		});
-	} else {
-		//update Tracked User
-
-		trackedUser.historicalData.unshift({
-			location: trackedUser.location,
-			date: trackedUser.date,
-		});
-		trackedUser.historicalData = trackedUser.historicalData.slice(0, 100); //number of total elements in historical data
-		trackedUser.location = location;
-		trackedUser.date = Date.now();
 	}
-	let { x, y, z } = location;
-	emitEntityNewLocation(projectId, userId, x, y, z);
+	//update Tracked User
+	const filteredLocation = updateTrackedEntityLocation(trackedUser, location, isNew);
+
+	let { x, y, z } = filteredLocation;
+	emitEntityNewLocation(projectId, userId, x, y, z, getQuality(filteredLocation));
 	return await trackedUser.save();
 };
 
@@ -123,7 +234,7 @@ const getTrackedUsers = async (projectId) => {
 };
 
 /**
- * Saves/updates the location of a tracked Item
+ * Saves/updates the location of a tracked Item. The stored location is the filtered location.
  * @param {String} userId
  * @param {String} projectId
  * @param {String} itemId
@@ -155,8 +266,9 @@ const putTrackedItem = async (userId, projectId, itemId, itemName, itemDescripti
 		project_ref: project._id,
 	});
 
+	const isNew = trackedItem === null;
 	//first Time
-	if (trackedItem === null) {
+	if (isNew) {
 		trackedItem = new TrackedItem({
 			location: location,
 			posted_by: user,
@@ -172,13 +284,6 @@ const putTrackedItem = async (userId, projectId, itemId, itemName, itemDescripti
 		}
 	} else {
 		//update Tracked Item
-		trackedItem.historicalData.unshift({
-			location: trackedItem.location,
-			date: trackedItem.date,
-		});
-		trackedItem.historicalData = trackedItem.historicalData.slice(0, 100); //number of total elements in historical data
-		trackedItem.location = location;
-		trackedItem.date = Date.now();
 		trackedItem.last_updated_by = user;
 		trackedItem.description = itemDescription;
 		trackedItem.name = itemName;
@@ -187,9 +292,11 @@ const putTrackedItem = async (userId, projectId, itemId, itemName, itemDescripti
 			trackedItem.notes.push(itemNote);
 		}
 	}
+	const filteredLocation = updateTrackedEntityLocation(trackedItem, location, isNew);
+
 	//emit Location
-	let { x, y, z } = location;
-	emitEntityNewLocation(projectId, itemId, x, y, z);
+	let { x, y, z } = filteredLocation;
+	emitEntityNewLocation(projectId, itemId, x, y, z, getQuality(filteredLocation));
 	return await trackedItem.save();
 };
 
@@ -254,8 +361,10 @@ const getTrackedItems = async (projectId) => {
 module.exports = {
 	putTrackedUser,
 	getTrackedUser,
+	getLastTrackedUserLocation,
 	getTrackedUsers,
 	putTrackedItem,
 	getTrackedItem,
+	getLastTrackedItemLocation,
 	getTrackedItems,
 };
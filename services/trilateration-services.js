@@ -1,4 +1,5 @@
 const { point, segment, circle, Vector, matrix } = require("@flatten-js/core");
+const matrixFunctions = require("./matrix-functions");
 /**
  * Calculates the location based on a list of measurements where
  * each item of the list is the distance measured to the beacon and its components
@@ -13,6 +14,8 @@ const { point, segment, circle, Vector, matrix } = require("@flatten-js/core");
  * A Bluetooth Low Energy Indoor Positioning System with Channel Diversity, Weighted Trilateration and Kalman Filtering.
  * Sensors 2017, 17, 2927.
  * https://doi.org/10.3390/s17122927
+ * @returns {JSON} location {x,y,branch,used_measurements} where branch indicates which intersection case of the circles
+ * was used and used_measurements are the 3 closest measurements, the only ones used
  */
 const weightedTrilateration = (listOfMeasurements) => {
 	if (listOfMeasurements.length < 3) {
@@ -77,8 +80,10 @@ const weightedTrilateration = (listOfMeasurements) => {
 	});
 
 	let locationPoint;
+	let branch;
 
 	if (numOfIntersections === 6) {
+		branch = "all-circles-intersect";
 		//Obtain the centerPoints in the intersection area
 		//(Area where it is more probable for the tracked item to be located at) and the distance to the center of the other Circle
 		//{distance,segment}
@@ -112,8 +117,29 @@ const weightedTrilateration = (listOfMeasurements) => {
 		locationPoint = scaledLine.end;
 	} else if (numOfIntersections === 4) {
 		//circles intersect in Pairs (Example, Circle A intersects with B and C but C and B do not intersect.)
+		branch = "pair-intersections";
+		//pair i is formed by circles i and i+1, the pair that does not intersect is formed by circles A and B
+		const missingPair = distancesToIPsList.findIndex((distances) => distances.length === 0);
+		const indexA = missingPair;
+		const indexB = (missingPair + 1) % listOfCircles.length;
+
+		//for the pairs that intersect, get the intersection point that is closest to the center of the third circle
+		//(pair A-C is at index missingPair+2, pair B-C at index missingPair+1)
+		const closestIntersection = (pairIndex) =>
+			distancesToIPsList[pairIndex].reduce((prev, curr) => (prev[0] < curr[0] ? prev : curr))[1].ps;
+		const pointA = closestIntersection((missingPair + 2) % listOfCircles.length);
+		const pointB = closestIntersection((missingPair + 1) % listOfCircles.length);
+
+		//weighted point between both intersection points. The point of the smallest circle gets the biggest weight
+		// weight of circle A relative to B is w_AB = min(rA/rB, rB/rA)
+		const ratio =
+			listOfCircles[indexA].r <= listOfCircles[indexB].r
+				? weigths[indexA][indexB] / (1 + weigths[indexA][indexB])
+				: 1 / (1 + weigths[indexA][indexB]);
+		locationPoint = pointA.translate(new Vector(pointA, pointB).multiply(ratio));
 	} else if (numOfIntersections === 2) {
 		//Two circles intersect
+		branch = "single-pair-intersection";
 		// flattens list of Distances and finds the shortests Segment
 		//(Returns only [1] as the [0] contains the length of the segment and [1] contains the Segment Object)
 		const shortestLine = distancesToIPsList.flat().reduce(
@@ -125,6 +151,7 @@ const weightedTrilateration = (listOfMeasurements) => {
 		locationPoint = shortestLine.start;
 	} else {
 		//no circles Intersect
+		branch = "no-intersections";
 
 		//weights of circles radiuses
 		//biggest and smallest circle
@@ -153,6 +180,8 @@ const weightedTrilateration = (listOfMeasurements) => {
 
 	locationPoint = locationPoint.toJSON();
 	delete locationPoint.name;
+	locationPoint.branch = branch;
+	locationPoint.used_measurements = sortedListOfMeasurements;
 	return locationPoint;
 };
 
@@ -163,6 +192,7 @@ const weightedTrilateration = (listOfMeasurements) => {
  *
  * Implementation proposed by us. Use weighted barycenter for calculating the location of the item. (Center Of Mass formulation)
  * @param {[JSON]} listOfMeasurements
+ * @returns {JSON} location {x,y,used_measurements} where used_measurements are the 3 closest measurements, the only ones used
  */
 const weightedTrilaterationCenterOfMass = (listOfMeasurements) => {
 	if (listOfMeasurements.length < 3) {
@@ -204,10 +234,237 @@ const weightedTrilaterationCenterOfMass = (listOfMeasurements) => {
 	//transform object to json and return only coordinates of data
 	locationPoint = locationPoint.toJSON();
 	delete locationPoint.name;
+	locationPoint.used_measurements = sortedListOfMeasurements;
 	return locationPoint;
 };
 
+/**
+ * Solves the weighted non-linear least squares problem  min Σ w_i r_i(p)²  with the Levenberg-Marquardt algorithm
+ * @param {Function} linearize returns the residuals and the jacobian {residuals, jacobian} at the location p [x,y,z]
+ * @param {[Number]} weights weight of each residual
+ * @param {[Number]} initialLocation [x,y,z]
+ * @param {JSON} options {maxIterations, tolerance}
+ * @returns {[Number]} location [x,y,z]
+ */
+const levenbergMarquardt = (linearize, weights, initialLocation, { maxIterations, tolerance }) => {
+	let location = initialLocation;
+	const cost = (residuals) => residuals.reduce((sum, residual, i) => sum + weights[i] * residual * residual, 0);
+
+	let { residuals, jacobian } = linearize(location);
+	let currentCost = cost(residuals);
+	let lambda;
+	let minLambda;
+
+	for (let iteration = 0; iteration < maxIterations; iteration++) {
+		//normal equations (JᵀWJ + λI)δ = -JᵀWr
+		const weightedJacobianT = matrixFunctions.transpose(jacobian.map((row, i) => row.map((value) => value * weights[i])));
+		const normalMatrix = matrixFunctions.multiply(weightedJacobianT, jacobian);
+		const gradient = matrixFunctions.multiply(weightedJacobianT, residuals);
+		if (lambda === undefined) {
+			const maxDiagonal = Math.max(...normalMatrix.map((row, i) => row[i]));
+			lambda = 1e-3 * maxDiagonal;
+			//keeps the damped matrix invertible when a direction is not observable (e.g. coplanar beacons)
+			minLambda = 1e-6 * maxDiagonal;
+		}
+
+		const dampedMatrix = normalMatrix.map((row, i) => row.map((value, j) => (i === j ? value + lambda : value)));
+		const step = matrixFunctions.solveLinearSystem(
+			dampedMatrix,
+			gradient.map((value) => -value)
+		);
+		const candidate = location.map((value, i) => value + step[i]);
+		const linearizedCandidate = linearize(candidate);
+		const candidateCost = cost(linearizedCandidate.residuals);
+
+		if (candidateCost < currentCost) {
+			//accept step and move towards Gauss-Newton
+			location = candidate;
+			residuals = linearizedCandidate.residuals;
+			jacobian = linearizedCandidate.jacobian;
+			const improvement = currentCost - candidateCost;
+			currentCost = candidateCost;
+			lambda = Math.max(lambda / 10, minLambda);
+			if (Math.hypot(...step) < tolerance || improvement < tolerance * tolerance) {
+				break;
+			}
+		} else {
+			//reject step and move towards gradient descent
+			lambda = lambda * 10;
+			if (Math.hypot(...step) < tolerance) {
+				break;
+			}
+		}
+	}
+
+	return location;
+};
+
+/**
+ * Calculates the location in 3D based on a list of measurements where
+ * each item of the list is the distance measured to the beacon and its components (x,y,z).
+ * Unlike the 2D trilateration methods, every measurement is used. The location is obtained by solving the weighted
+ * non-linear least squares problem  min Σ w_i (|p - b_i| - r_i)² with the Levenberg-Marquardt algorithm.
+ * If a measurement has no weight, the weight is taken as 1/r² (closer beacons are more reliable).
+ * Note: if all the beacons are at the same height, the height can not be resolved and the solution stays on their plane.
+ *
+ * @param {[JSON]} listOfMeasurements [{radius,x,y,z,weight}]
+ * @param {JSON} options {initialGuess:{x,y,z}, maxIterations, tolerance}
+ * @returns {JSON} location {x,y,z}
+ */
+const weightedLeastSquaresMultilateration = (listOfMeasurements, options = {}) => {
+	if (listOfMeasurements.length < 3) {
+		throw new Error("Number of measurements too low.");
+	}
+	if (listOfMeasurements.some((measurement) => measurement.radius <= 0)) {
+		throw new Error("Negative measurements are not possible");
+	}
+	const maxIterations = options.maxIterations || 100;
+	const tolerance = options.tolerance || 1e-6;
+
+	const beacons = listOfMeasurements.map((measurement) => [measurement.x, measurement.y, measurement.z]);
+	const radiuses = listOfMeasurements.map((measurement) => measurement.radius);
+	const weights = listOfMeasurements.map((measurement) =>
+		measurement.weight !== undefined && measurement.weight !== null
+			? measurement.weight
+			: 1 / (measurement.radius * measurement.radius)
+	);
+	const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+	//initial guess is the weighted center of the beacons
+	let location = options.initialGuess
+		? [options.initialGuess.x, options.initialGuess.y, options.initialGuess.z]
+		: [0, 1, 2].map((axis) => beacons.reduce((sum, beacon, i) => sum + beacon[axis] * weights[i], 0) / totalWeight);
+
+	//returns residuals and jacobian of the problem at the location p
+	const linearize = (p) => {
+		const residuals = [];
+		const jacobian = [];
+		beacons.forEach((beacon, i) => {
+			const difference = [p[0] - beacon[0], p[1] - beacon[1], p[2] - beacon[2]];
+			const distance = Math.hypot(...difference);
+			residuals.push(distance - radiuses[i]);
+			jacobian.push(distance > 0 ? difference.map((component) => component / distance) : [0, 0, 0]);
+		});
+		return { residuals, jacobian };
+	};
+
+	location = levenbergMarquardt(linearize, weights, location, { maxIterations, tolerance });
+	return { x: location[0], y: location[1], z: location[2] };
+};
+
+/**
+ * Calculates the location in 3D with time differences of arrival (TDoA). Each measurement is the difference between the
+ * distance to its anchor and the distance to the reference anchor (range difference = speed of light * time difference),
+ * so the location is on a hyperboloid with foci at both anchors. The location is obtained by solving the weighted
+ * non-linear least squares problem  min Σ w_i (|p - b_i| - |p - b_0| - d_i)²  with the Levenberg-Marquardt algorithm.
+ * With 4 or more range differences, the iterations start at the closed form solution of the linearized problem,
+ * otherwise at the center of the anchors.
+ * Note: if all the anchors are at the same height, the height can not be resolved and the solution stays on their plane.
+ *
+ * Reference:
+ * Chan, Y.T.; Ho, K.C. A simple and efficient estimator for hyperbolic location.
+ * IEEE Transactions on Signal Processing 1994, 42, 1905–1915.
+ * https://doi.org/10.1109/78.301830
+ *
+ * @param {JSON} reference reference anchor {x,y,z}
+ * @param {[JSON]} listOfMeasurements [{rangeDifference,x,y,z,weight}] rangeDifference = |p - b_i| - |p - b_0|
+ * @param {JSON} options {initialGuess:{x,y,z}, maxIterations, tolerance}
+ * @returns {JSON} location {x,y,z}
+ */
+const tdoaMultilateration = (reference, listOfMeasurements, options = {}) => {
+	if (listOfMeasurements.length < 3) {
+		throw new Error("Number of measurements too low.");
+	}
+	const maxIterations = options.maxIterations || 100;
+	const tolerance = options.tolerance || 1e-6;
+
+	//the problem is solved with the reference anchor at the origin
+	const anchors = listOfMeasurements.map((measurement) => [
+		measurement.x - reference.x,
+		measurement.y - reference.y,
+		measurement.z - reference.z,
+	]);
+	const rangeDifferences = listOfMeasurements.map((measurement) => measurement.rangeDifference);
+	const weights = listOfMeasurements.map((measurement) =>
+		measurement.weight !== undefined && measurement.weight !== null ? measurement.weight : 1
+	);
+
+	//initial guess: 2 b_i·p + 2 d_i |p| = |b_i|² - d_i², linear in (p, |p|)
+	const getInitialGuess = () => {
+		if (options.initialGuess) {
+			return [
+				options.initialGuess.x - reference.x,
+				options.initialGuess.y - reference.y,
+				options.initialGuess.z - reference.z,
+			];
+		}
+		const center = [0, 1, 2].map(
+			(axis) => anchors.reduce((sum, anchor) => sum + anchor[axis], 0) / (anchors.length + 1)
+		);
+		if (anchors.length < 4) {
+			return center;
+		}
+		const a = anchors.map((anchor, i) => [2 * anchor[0], 2 * anchor[1], 2 * anchor[2], 2 * rangeDifferences[i]]);
+		const b = anchors.map((anchor, i) => {
+			const squaredNorm = anchor.reduce((sum, component) => sum + component * component, 0);
+			return [squaredNorm - rangeDifferences[i] * rangeDifferences[i]];
+		});
+		try {
+			const aT = matrixFunctions.transpose(a);
+			const solution = matrixFunctions.solveLinearSystem(
+				matrixFunctions.multiply(aT, a),
+				matrixFunctions.multiply(aT, b).map((row) => row[0])
+			);
+			return solution.slice(0, 3);
+		} catch (err) {
+			//the anchors are coplanar
+			return center;
+		}
+	};
+
+	//returns residuals and jacobian of the problem at the location p
+	const linearize = (p) => {
+		const residuals = [];
+		const jacobian = [];
+		const referenceDistance = Math.hypot(...p);
+		const referenceGradient =
+			referenceDistance > 0 ? p.map((component) => component / referenceDistance) : [0, 0, 0];
+		anchors.forEach((anchor, i) => {
+			const difference = [p[0] - anchor[0], p[1] - anchor[1], p[2] - anchor[2]];
+			const distance = Math.hypot(...difference);
+			residuals.push(distance - referenceDistance - rangeDifferences[i]);
+			const gradient = distance > 0 ? difference.map((component) => component / distance) : [0, 0, 0];
+			jacobian.push(gradient.map((component, j) => component - referenceGradient[j]));
+		});
+		return { residuals, jacobian };
+	};
+
+	const location = levenbergMarquardt(linearize, weights, getInitialGuess(), { maxIterations, tolerance });
+	return { x: location[0] + reference.x, y: location[1] + reference.y, z: location[2] + reference.z };
+};
+
+/**
+ * Calculates the intersection points of every pair of circles of the measurements (2D). Used for diagnostics.
+ * @param {[JSON]} listOfMeasurements [{radius,x,y}]
+ * @returns {[JSON]} intersection points [{x,y}]
+ */
+const getCircleIntersections = (listOfMeasurements) => {
+	const listOfCircles = listOfMeasurements.map((measurement) =>
+		circle(point(measurement.x, measurement.y), measurement.radius)
+	);
+	const intersectionPoints = [];
+	for (let i = 0; i < listOfCircles.length; i++) {
+		for (let j = i + 1; j < listOfCircles.length; j++) {
+			listOfCircles[i].intersect(listOfCircles[j]).forEach((ip) => intersectionPoints.push({ x: ip.x, y: ip.y }));
+		}
+	}
+	return intersectionPoints;
+};
+
 module.exports = {
+	getCircleIntersections,
 	weightedTrilateration,
-	weightedTrilaterationCenterOfMass
+	weightedTrilaterationCenterOfMass,
+	weightedLeastSquaresMultilateration,
+	tdoaMultilateration,
 };
@@ -0,0 +1,95 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const beaconErrorServices = require("../../services/beacon-error-services");
+
+describe("Services: Beacon Error Services", () => {
+	const beacons = [
+		{ uid_beacon: "beacon0", storey: "ground", location: { x: 0, y: 2500, z: 0 } },
+		{ uid_beacon: "beacon1", storey: "ground", location: { x: 6000, y: 2500, z: 0 } },
+		{ uid_beacon: "beacon2", storey: "first", location: { x: 0, y: 5500, z: 0 } },
+	];
+
+	describe("getResiduals(...)", () => {
+		it("should compare the measured distances with the distance to the filtered location", () => {
+			const logs = [
+				{
+					measurements: [
+						{ beacon_uid: "beacon0", distance: [5100, 5000, 5200] },
+						{ beacon_uid: "beacon1", distance: 4500 },
+					],
+					filtered_location: { x: 3000, y: 2500, z: 4000, storey: "ground" },
+				},
+			];
+			const residuals = beaconErrorServices.getResiduals(logs, beacons, undefined);
+			expect(residuals.beacon0).to.deep.equal([100]);
+			expect(residuals.beacon1).to.deep.equal([-500]);
+		});
+
+		it("should use the slant distance to a beacon mounted above the location", () => {
+			//the beacon is 2.5 meters above the location: the slant distance is 5.59 meters, 5 meters horizontally
+			const slantDistance = Math.hypot(3000, 2500, 4000);
+			const logs = [
+				{
+					measurements: [{ beacon_uid: "beacon0", distance: slantDistance }],
+					filtered_location: { x: 3000, y: 0, z: 4000, storey: "ground" },
+				},
+			];
+			const residuals = beaconErrorServices.getResiduals(logs, beacons, undefined);
+			expect(residuals.beacon0[0]).to.be.closeTo(0, 1e-6);
+		});
+
+		it("should ignore proximity fixes, unknown beacons and beacons of other storeys", () => {
+			const logs = [
+				{
+					measurements: [{ beacon_uid: "beacon0", distance: 1000 }],
+					filtered_location: { x: 0, y: 0, z: 0, proximity: true },
+				},
+				{
+					measurements: [
+						{ beacon_uid: "unknown", distance: 1000 },
+						{ beacon_uid: "beacon2", distance: 1000 },
+					],
+					filtered_location: { x: 0, y: 0, z: 0, storey: "ground" },
+				},
+			];
+			expect(beaconErrorServices.getResiduals(logs, beacons, undefined)).to.deep.equal({});
+		});
+	});
+
+	describe("updateBeaconError(...)", () => {
+		it("should compute the mean squared error and the bias", () => {
+			const error = beaconErrorServices.updateBeaconError(undefined, [100, -100, 300]);
+			expect(error.variance).to.be.closeTo((100 * 100 + 100 * 100 + 300 * 300) / 3, 1e-6);
+			expect(error.mean_error).to.be.closeTo(100, 1e-6);
+			expect(error.samples).to.equal(3);
+		});
+
+		it("should count the previous measurements less", () => {
+			const previous = { variance: 10000, mean_error: 0, samples: 10 };
+			const error = beaconErrorServices.updateBeaconError(previous, [1000], { forgettingFactor: 0.5 });
+			expect(error.samples).to.equal(6);
+			expect(error.variance).to.be.closeTo((10000 * 5 + 1000 * 1000) / 6, 1e-6);
+		});
+
+		it("should keep the previous error if there are no new measurements", () => {
+			const previous = { variance: 10000, mean_error: 0, samples: 10 };
+			expect(beaconErrorServices.updateBeaconError(previous, [])).to.equal(previous);
+		});
+	});
+
+	describe("getErrorVariance(...)", () => {
+		it("should use the learned variance if the beacon has enough measurements", () => {
+			const beacon = { error: { variance: 250000, samples: 50 } };
+			expect(beaconErrorServices.getErrorVariance(beacon, 5000)).to.equal(250000);
+		});
+
+		it("should use the default error relative to the distance otherwise", () => {
+			expect(beaconErrorServices.getErrorVariance({ error: { variance: 1, samples: 5 } }, 5000)).to.be.closeTo(
+				500 * 500,
+				1e-6
+			);
+			expect(beaconErrorServices.getErrorVariance({}, 10)).to.equal(100 * 100);
+		});
+	});
+});
@@ -0,0 +1,133 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const beaconHealthServices = require("../../services/beacon-health-services");
+
+describe("Services: Beacon Health Services", () => {
+	const beacons = [
+		{ _id: "id0", uid_beacon: "beacon0", name: "beacon0", storey: "ground", location: { x: 0, y: 2500, z: 0 } },
+		{ _id: "id1", uid_beacon: "beacon1", name: "beacon1", storey: "ground", location: { x: 20000, y: 2500, z: 0 } },
+	];
+
+	/**
+	 * Logs of locations on a circle around beacon0 that measure the distance to a displaced beacon0
+	 */
+	const getLogs = (displacement, numberOfLogs = 24) =>
+		[...Array(numberOfLogs).keys()].map((i) => {
+			const angle = (2 * Math.PI * i) / numberOfLogs;
+			const location = { x: 4000 * Math.cos(angle), y: 0, z: 4000 * Math.sin(angle), storey: "ground" };
+			return {
+				date: new Date(1000 * i),
+				measurements: [
+					{
+						beacon_uid: "beacon0",
+						distance: Math.hypot(location.x - displacement.x, location.z - displacement.z),
+					},
+				],
+				filtered_location: location,
+			};
+		});
+
+	describe("getObservations(...)", () => {
+		it("should count the locations near the beacon and the ones that heard it", () => {
+			const logs = [
+				{
+					date: 0,
+					measurements: [{ beacon_uid: "beacon0", distance: 3100 }],
+					filtered_location: { x: 3000, z: 0 },
+				},
+				{ date: 1000, measurements: [], filtered_location: { x: 3000, z: 0 } },
+				{ date: 2000, measurements: [], filtered_location: { x: 3000, z: 0 } },
+			];
+			const observations = beaconHealthServices.getObservations(logs, beacons, undefined);
+			expect(observations.beacon0).to.include({ expected: 3, heard: 1, missed: 2 });
+			expect(observations.beacon0.last_heard.getTime()).to.equal(0);
+			expect(observations.beacon0.residuals).to.deep.equal([{ residual: 100, x: 1, z: 0 }]);
+			//beacon1 is out of the hearing range
+			expect(observations.beacon1).to.equal(undefined);
+		});
+
+		it("should only use proximity fixes to know that the beacon was heard", () => {
+			const logs = [
+				{ date: 0, measurements: [], filtered_location: { x: 3000, z: 0 } },
+				{
+					date: 1000,
+					measurements: [{ beacon_uid: "beacon0", distance: 500 }],
+					filtered_location: { x: 0, z: 0, proximity: true },
+				},
+			];
+			const observations = beaconHealthServices.getObservations(logs, beacons, undefined);
+			expect(observations.beacon0).to.include({ expected: 1, heard: 0, missed: 0 });
+			expect(observations.beacon0.residuals).to.have.length(0);
+		});
+	});
+
+	describe("estimateDisplacement(...)", () => {
+		it("should find the displacement that explains the residuals", () => {
+			const logs = getLogs({ x: 1500, z: -500 });
+			const observations = beaconHealthServices.getObservations(logs, beacons, undefined);
+			const displacement = beaconHealthServices.estimateDisplacement(observations.beacon0.residuals);
+			expect(displacement.x).to.be.closeTo(1500, 150);
+			expect(displacement.z).to.be.closeTo(-500, 150);
+		});
+
+		it("should not tell a displacement if all the locations are on the same side of the beacon", () => {
+			const residuals = [...Array(10).keys()].map(() => ({ residual: 500, x: 1, z: 0 }));
+			expect(beaconHealthServices.estimateDisplacement(residuals)).to.equal(null);
+		});
+
+		it("should not confuse a bias of the distances with a displacement", () => {
+			const observations = beaconHealthServices.getObservations(getLogs({ x: 0, z: 0 }), beacons, undefined);
+			const biased = observations.beacon0.residuals.map((element) => ({
+				...element,
+				residual: element.residual + 800,
+			}));
+			expect(beaconHealthServices.estimateDisplacement(biased).distance).to.be.closeTo(0, 1e-6);
+		});
+	});
+
+	describe("updateBeaconHealth(...)", () => {
+		it("should mark a displaced beacon as moved", () => {
+			const observations = beaconHealthServices.getObservations(getLogs({ x: 2000, z: 0 }), beacons, undefined);
+			const health = beaconHealthServices.updateBeaconHealth(undefined, observations.beacon0, 24000);
+			expect(health.status).to.equal("moved");
+			expect(health.hit_rate).to.equal(1);
+			expect(health.displacement.distance).to.be.closeTo(2000, 200);
+		});
+
+		it("should mark a beacon as silent if it was missed for a while", () => {
+			const observation = { expected: 12, heard: 0, missed: 12, last_heard: undefined, residuals: [] };
+			const previousHealth = { expected: 10, heard: 10, missed: 0, last_heard: new Date(0), status: "ok" };
+			const recently = beaconHealthServices.updateBeaconHealth(previousHealth, observation, 60 * 1000);
+			expect(recently.status).to.equal("ok");
+			const later = beaconHealthServices.updateBeaconHealth(previousHealth, observation, 7200 * 1000);
+			expect(later.status).to.equal("silent");
+			expect(later.missed).to.equal(12);
+			expect(later.hit_rate).to.be.closeTo(9 / 21, 1e-9);
+		});
+	});
+
+	describe("getBeaconsHealth(...)", () => {
+		it("should send an alert only when the status changes", () => {
+			const logs = getLogs({ x: 2000, z: 0 });
+			const { health, alerts } = beaconHealthServices.getBeaconsHealth(logs, beacons, undefined, {}, 24000);
+			expect(Object.keys(health)).to.deep.equal(["beacon0"]);
+			expect(alerts).to.have.length(1);
+			expect(alerts[0]).to.include({ beacon_id: "id0", beacon_uid: "beacon0", status: "moved" });
+
+			const movedBeacons = beacons.map((beacon) => ({ ...beacon, health: health[beacon.uid_beacon] }));
+			const next = beaconHealthServices.getBeaconsHealth(logs, movedBeacons, undefined, {}, 48000);
+			expect(next.health.beacon0.status).to.equal("moved");
+			expect(next.alerts).to.have.length(0);
+		});
+
+		it("should use the thresholds of the project", () => {
+			const settings = { max_displacement: 5000, webhook_url: "https://example.com/hook" };
+			const options = beaconHealthServices.getHealthOptions(settings);
+			expect(options).to.deep.equal({ maxDisplacement: 5000 });
+			const logs = getLogs({ x: 2000, z: 0 });
+			const { alerts } = beaconHealthServices.getBeaconsHealth(logs, beacons, undefined, options);
+			expect(alerts).to.have.length(0);
+		});
+	});
+});
@@ -0,0 +1,90 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const beaconPositionServices = require("../../services/beacon-position-services");
+const locationMethods = require("../../services/location-methods");
+const projectContext = require("../../services/location-methods/project-context");
+
+describe("Services: Beacon Position Services", () => {
+	//the beacon was mounted 1 meter away from its location in the model
+	const mountedLocation = { x: 1000, y: 2500, z: -400 };
+	const beacons = [{ uid_beacon: "beacon0", storey: "ground", location: { x: 0, y: 2500, z: 0 } }];
+
+	/**
+	 * Logs of accurate locations on a grid around the beacon that measure the distance to the mounted beacon
+	 */
+	const getLogs = (location = {}) => {
+		const logs = [];
+		for (let x = -6000; x <= 6000; x += 2000) {
+			for (let z = -6000; z <= 6000; z += 2000) {
+				logs.push({
+					measurements: [
+						{ beacon_uid: "beacon0", distance: Math.hypot(x - mountedLocation.x, z - mountedLocation.z) },
+					],
+					filtered_location: { x, y: 0, z, storey: "ground", accuracy: 500, beacons_used: 5, ...location },
+				});
+			}
+		}
+		return logs;
+	};
+
+	describe("isConfidentLocation(...)", () => {
+		it("should only use accurate locations estimated with many beacons", () => {
+			expect(beaconPositionServices.isConfidentLocation({ accuracy: 500, beacons_used: 5 })).to.equal(true);
+			expect(beaconPositionServices.isConfidentLocation({ accuracy: 2000, beacons_used: 5 })).to.equal(false);
+			expect(beaconPositionServices.isConfidentLocation({ accuracy: 500, beacons_used: 3 })).to.equal(false);
+			expect(beaconPositionServices.isConfidentLocation({ accuracy: null, beacons_used: 5 })).to.equal(false);
+			const proximity = { accuracy: 500, beacons_used: 5, proximity: true };
+			expect(beaconPositionServices.isConfidentLocation(proximity)).to.equal(false);
+		});
+
+		it("should not use a trilateration fix, it only uses 3 of the measured beacons", async () => {
+			const measuredBeacons = [
+				[0, 0],
+				[6000, 0],
+				[0, 6000],
+				[6000, 6000],
+				[12000, 0],
+				[12000, 6000],
+			].map(([x, z], i) => ({ uid_beacon: "beacon" + i, location: { x: x, y: 2500, z: z } }));
+			const context = projectContext.createProjectContext({ beacons_model: { beacons: measuredBeacons } });
+			const data = measuredBeacons.map((beacon) => ({
+				beacon_uid: beacon.uid_beacon,
+				distance: Math.hypot(beacon.location.x - 2000, beacon.location.z - 3000),
+			}));
+			const trilateration = await locationMethods
+				.getLocationMethod("beacon-trilateration")
+				.estimate("project", data, { context: context });
+			//accurate, but not estimated with enough beacons
+			expect(trilateration.accuracy).to.be.below(1000);
+			expect(trilateration.beacons_used).to.equal(3);
+			expect(beaconPositionServices.isConfidentLocation(trilateration)).to.equal(false);
+		});
+	});
+
+	describe("getPositionCorrections(...)", () => {
+		it("should propose the location where the beacon was mounted", () => {
+			const corrections = beaconPositionServices.getPositionCorrections(getLogs(), beacons, undefined);
+			const correction = corrections.beacon0;
+			expect(correction.location.x).to.be.closeTo(mountedLocation.x, 1);
+			expect(correction.location.y).to.equal(2500);
+			expect(correction.location.z).to.be.closeTo(mountedLocation.z, 1);
+			expect(correction.correction).to.be.closeTo(Math.hypot(1000, 400), 1);
+			expect(correction.samples).to.equal(49);
+			expect(correction.rms_residual).to.be.below(correction.previous_rms_residual);
+		});
+
+		it("should not propose corrections without enough confident locations", () => {
+			const inaccurate = getLogs({ accuracy: 3000 });
+			expect(beaconPositionServices.getPositionCorrections(inaccurate, beacons, undefined)).to.deep.equal({});
+			const otherStorey = getLogs({ storey: "first" });
+			expect(beaconPositionServices.getPositionCorrections(otherStorey, beacons, undefined)).to.deep.equal({});
+		});
+
+		it("should not propose small corrections", () => {
+			const mountedBeacons = [{ ...beacons[0], location: { ...mountedLocation, x: mountedLocation.x + 100 } }];
+			const corrections = beaconPositionServices.getPositionCorrections(getLogs(), mountedBeacons, undefined);
+			expect(corrections).to.deep.equal({});
+		});
+	});
+});
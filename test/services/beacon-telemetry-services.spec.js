@@ -0,0 +1,83 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const beaconTelemetryServices = require("../../services/beacon-telemetry-services");
+
+describe("Services: Beacon Telemetry Services", () => {
+	describe("toReading(...)", () => {
+		it("should keep the values that were sent and date the reading", () => {
+			const telemetry = {
+				uid_beacon: "beacon0",
+				battery_voltage: "2950",
+				temperature: 21.5,
+				timestamp: "2020-12-01T10:00:00Z",
+			};
+			const reading = beaconTelemetryServices.toReading(telemetry, Date.parse("2020-12-01T10:00:05Z"));
+			expect(reading).to.deep.equal({
+				battery_voltage: 2950,
+				temperature: 21.5,
+				date: new Date("2020-12-01T10:00:00Z"),
+			});
+		});
+
+		it("should use the date of the server if the clock of the device is skewed", () => {
+			const now = Date.parse("2020-12-01T10:00:00Z");
+			//a year ahead: the reading would be the latest one until then
+			const telemetry = { uid_beacon: "beacon0", battery_voltage: 2950, timestamp: "2021-12-01T10:00:00Z" };
+			expect(beaconTelemetryServices.toReading(telemetry, now).date).to.deep.equal(new Date(now));
+			const skewed = { ...telemetry, timestamp: "2020-12-01T10:01:00Z" };
+			expect(beaconTelemetryServices.toReading(skewed, now, 30).date).to.deep.equal(new Date(now));
+			expect(beaconTelemetryServices.toReading(skewed, now, 120).date).to.deep.equal(new Date(skewed.timestamp));
+		});
+
+		it("should use the date of the server without timestamp", () => {
+			expect(beaconTelemetryServices.toReading({ uid_beacon: "beacon0", tx_power: -4 }, 1000)).to.deep.equal({
+				tx_power: -4,
+				date: new Date(1000),
+			});
+		});
+	});
+
+	describe("isLowBattery(...)", () => {
+		it("should compare the voltage and the level with the thresholds", () => {
+			expect(beaconTelemetryServices.isLowBattery({ battery_voltage: 2400 })).to.equal(true);
+			expect(beaconTelemetryServices.isLowBattery({ battery_voltage: 2900 })).to.equal(false);
+			expect(beaconTelemetryServices.isLowBattery({ battery_level: 10 })).to.equal(true);
+			expect(beaconTelemetryServices.isLowBattery({ temperature: 20 })).to.equal(false);
+			const options = { lowBatteryVoltage: 3000 };
+			expect(beaconTelemetryServices.isLowBattery({ battery_voltage: 2900 }, options)).to.equal(true);
+		});
+	});
+
+	describe("getLatestReadings(...)", () => {
+		const beacons = [
+			{ _id: "id0", uid_beacon: "beacon0", name: "beacon0" },
+			{
+				_id: "id1",
+				uid_beacon: "beacon1",
+				name: "beacon1",
+				telemetry: { battery_voltage: 2300, low_battery: true, date: new Date(5000) },
+			},
+		];
+
+		it("should keep the newest reading of each beacon and raise an alert when the battery becomes low", () => {
+			const readings = [
+				{ beacon: beacons[0], reading: { battery_voltage: 2400, date: new Date(2000) } },
+				{ beacon: beacons[0], reading: { battery_voltage: 2600, date: new Date(1000) } },
+				{ beacon: beacons[1], reading: { battery_voltage: 2200, date: new Date(6000) } },
+			];
+			const { latest, alerts } = beaconTelemetryServices.getLatestReadings(beacons, readings);
+			expect(latest.id0).to.deep.equal({ battery_voltage: 2400, low_battery: true, date: new Date(2000) });
+			expect(latest.id1.battery_voltage).to.equal(2200);
+			//beacon1 already had a low battery
+			expect(alerts).to.have.length(1);
+			expect(alerts[0]).to.include({ beacon_id: "id0", beacon_uid: "beacon0", status: "low-battery" });
+		});
+
+		it("should not replace the latest reading with an older one", () => {
+			const readings = [{ beacon: beacons[1], reading: { battery_voltage: 3000, date: new Date(4000) } }];
+			const { latest } = beaconTelemetryServices.getLatestReadings(beacons, readings);
+			expect(latest).to.deep.equal({});
+		});
+	});
+});
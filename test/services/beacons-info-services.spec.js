@@ -219,6 +219,69 @@ describe("Services: Project Services", () => {
 		});
 	});
 
+	describe("setBeaconPathLoss(...)", () => {
+		it("should throw if the beacon_id is not in beacons_model", async () => {
+			await expect(
+				beaconsInfoServices.setBeaconPathLoss("123456", "000000008", { reference_rssi: -65, path_loss_exponent: 2 })
+			)
+				.to.be.rejectedWith(Error)
+				.and.eventually.have.property("statusCode")
+				.that.equals(404);
+		});
+		it("should set the path loss parameters of the beacon", async () => {
+			const beacon = await beaconsInfoServices.setBeaconPathLoss("123456", "000000002", {
+				reference_rssi: -65,
+				path_loss_exponent: 2.5,
+			});
+			expect(beacon).to.have.property("path_loss").to.have.property("reference_rssi", -65);
+			expect(beacon).to.have.property("path_loss").to.have.property("path_loss_exponent", 2.5);
+		});
+	});
+
+	describe("deleteBeaconPathLoss(...)", () => {
+		it("should remove the path loss parameters of the beacon", async () => {
+			const beacon = await beaconsInfoServices.deleteBeaconPathLoss("123456", "000000002");
+			expect(beacon.path_loss).to.be.undefined;
+		});
+	});
+
+	describe("setBeaconCalibration(...)", () => {
+		it("should throw if the beacon_id is not in beacons_model", async () => {
+			await expect(
+				beaconsInfoServices.setBeaconCalibration("123456", "000000008", [
+					{ distance: 1000, rssi: -60 },
+					{ distance: 2000, rssi: -66 },
+				])
+			)
+				.to.be.rejectedWith(Error)
+				.and.eventually.have.property("statusCode")
+				.that.equals(404);
+		});
+		it("should store the calibration and the fitted path loss parameters", async () => {
+			const beacon = await beaconsInfoServices.setBeaconCalibration("123456", "000000003", [
+				{ distance: 1000, rssi: [-60, -60] },
+				{ distance: 10000, rssi: -80 },
+			]);
+			expect(beacon).to.have.property("calibration").to.have.property("samples").to.have.length(3);
+			expect(beacon).to.have.property("path_loss").to.have.property("reference_rssi").closeTo(-60, 0.00001);
+			expect(beacon).to.have.property("path_loss").to.have.property("path_loss_exponent").closeTo(2, 0.00001);
+		});
+	});
+
+	describe("deleteBeaconCalibration(...)", () => {
+		it("should remove the calibration and the path loss parameters", async () => {
+			const beacon = await beaconsInfoServices.deleteBeaconCalibration("123456", "000000003");
+			expect(beacon.calibration).to.be.undefined;
+			expect(beacon.path_loss).to.be.undefined;
+		});
+		it("should throw when getting the calibration of a beacon that is not calibrated", async () => {
+			await expect(beaconsInfoServices.getBeaconCalibration("123456", "000000003"))
+				.to.be.rejectedWith(Error)
+				.and.eventually.have.property("statusCode")
+				.that.equals(404);
+		});
+	});
+
 	after(async () => {
 		await Project.deleteMany({});
 		return await mongoose.disconnect();
@@ -0,0 +1,62 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const fingerprintingServices = require("../../services/fingerprinting-services");
+
+describe("Services: Fingerprinting Services", () => {
+	describe("weightedKNearestNeighbours(...)", () => {
+		const fingerprints = [
+			{
+				location: { x: 0, y: 0, z: 0 },
+				rssi_vector: [
+					{ beacon_uid: "A", rssi: -50 },
+					{ beacon_uid: "B", rssi: -80 },
+				],
+			},
+			{
+				location: { x: 10, y: 0, z: 0 },
+				rssi_vector: [
+					{ beacon_uid: "A", rssi: -80 },
+					{ beacon_uid: "B", rssi: -50 },
+				],
+			},
+			{
+				location: { x: 5, y: 0, z: 10 },
+				rssi_vector: [
+					{ beacon_uid: "A", rssi: -65 },
+					{ beacon_uid: "B", rssi: -65 },
+					{ beacon_uid: "C", rssi: -55 },
+				],
+			},
+		];
+
+		it("should throw if the radio map is empty", () => {
+			expect(() => fingerprintingServices.weightedKNearestNeighbours([{ beacon_uid: "A", rssi: -50 }], [])).to.throw(
+				Error
+			);
+		});
+
+		it("should return the reference point if the scan is the same", () => {
+			const location = fingerprintingServices.weightedKNearestNeighbours(
+				[
+					{ beacon_uid: "A", rssi: -80 },
+					{ beacon_uid: "B", rssi: -50 },
+				],
+				fingerprints
+			);
+			expect(location).to.deep.equal({ x: 10, y: 0, z: 0 });
+		});
+
+		it("should weight the nearest neighbours in signal space", () => {
+			const location = fingerprintingServices.weightedKNearestNeighbours(
+				[
+					{ beacon_uid: "A", rssi: -52 },
+					{ beacon_uid: "B", rssi: -78 },
+				],
+				fingerprints,
+				{ k: 2 }
+			);
+			expect(location.x).to.be.greaterThan(0).and.lessThan(5);
+		});
+	});
+});
@@ -0,0 +1,151 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const geoReferenceServices = require("../../services/geo-reference-services");
+
+describe("Services: Geo-Reference Services", () => {
+	const geoReference = {
+		origin: { latitude: 48.1496, longitude: 11.5678, altitude: 520 },
+		model_origin: { x: 1000, y: 0, z: -2000 },
+		rotation: 0,
+		scale: 1000,
+	};
+
+	describe("geodeticToModel(...)", () => {
+		it("should map the origin to the origin in the model", () => {
+			const location = geoReferenceServices.geodeticToModel(geoReference, geoReference.origin);
+			expect(location.x).to.be.closeTo(1000, 0.001);
+			expect(location.y).to.be.closeTo(0, 0.001);
+			expect(location.z).to.be.closeTo(-2000, 0.001);
+		});
+
+		it("should map North to the -z axis and East to the x axis", () => {
+			const north = geoReferenceServices.geodeticToModel(geoReference, {
+				latitude: 48.1497,
+				longitude: 11.5678,
+				altitude: 520,
+			});
+			expect(north.x).to.be.closeTo(1000, 1);
+			expect(north.z).to.be.lessThan(-2000 - 10000);
+
+			const east = geoReferenceServices.geodeticToModel(geoReference, {
+				latitude: 48.1496,
+				longitude: 11.5679,
+				altitude: 520,
+			});
+			expect(east.x).to.be.greaterThan(1000 + 5000);
+			expect(east.z).to.be.closeTo(-2000, 1);
+		});
+
+		it("should rotate the horizontal plane", () => {
+			//East is 90 degrees counterclockwise from the x axis, so East points to -z
+			const rotated = { ...geoReference, rotation: 90 };
+			const east = geoReferenceServices.geodeticToModel(rotated, {
+				latitude: 48.1496,
+				longitude: 11.5679,
+				altitude: 520,
+			});
+			expect(east.x).to.be.closeTo(1000, 1);
+			expect(east.z).to.be.lessThan(-2000 - 5000);
+		});
+
+		it("should throw an error if the project has no geo-reference", () => {
+			expect(() => geoReferenceServices.geodeticToModel(undefined, { latitude: 0, longitude: 0 }))
+				.to.throw("Project has not defined a geo-reference")
+				.with.property("statusCode", 409);
+		});
+	});
+
+	describe("modelToGeodetic(...)", () => {
+		it("should be the inverse of geodeticToModel(...)", () => {
+			const rotated = { ...geoReference, rotation: 33.3 };
+			const point = { latitude: 48.15, longitude: 11.568, altitude: 530 };
+			const location = geoReferenceServices.geodeticToModel(rotated, point);
+			const geodetic = geoReferenceServices.modelToGeodetic(rotated, location);
+			expect(geodetic.latitude).to.be.closeTo(point.latitude, 1e-9);
+			expect(geodetic.longitude).to.be.closeTo(point.longitude, 1e-9);
+			expect(geodetic.altitude).to.be.closeTo(point.altitude, 1e-4);
+		});
+	});
+
+	describe("fitGeoReference(...)", () => {
+		const expected = { ...geoReference, rotation: 25, scale: 1000 };
+		const controlPoints = [
+			{ latitude: 48.1496, longitude: 11.5678, altitude: 520 },
+			{ latitude: 48.1499, longitude: 11.5678, altitude: 523 },
+			{ latitude: 48.1496, longitude: 11.5684, altitude: 526 },
+			{ latitude: 48.1501, longitude: 11.5681, altitude: 520 },
+		].map((geographic, i) => ({
+			_id: "point" + i,
+			geographic: geographic,
+			model: geoReferenceServices.geodeticToModel(expected, geographic),
+		}));
+
+		it("should recover the geo-reference of exact control points", () => {
+			const fitted = geoReferenceServices.fitGeoReference(controlPoints);
+			//the local frame of the fit is placed at another origin, so there are small differences
+			expect(fitted.rotation).to.be.closeTo(25, 1e-3);
+			expect(fitted.scale).to.be.closeTo(1000, 1e-2);
+			expect(fitted.fit.rmse).to.be.lessThan(1);
+			expect(fitted.fit.vertical_rmse).to.be.lessThan(1);
+			expect(fitted.fit.residuals).to.have.length(4);
+			expect(fitted.fit.residuals[0].control_point).to.equal("point0");
+
+			const location = geoReferenceServices.geodeticToModel(fitted, { latitude: 48.15, longitude: 11.568, altitude: 521 });
+			const expectedLocation = geoReferenceServices.geodeticToModel(expected, {
+				latitude: 48.15,
+				longitude: 11.568,
+				altitude: 521,
+			});
+			expect(location.x).to.be.closeTo(expectedLocation.x, 1);
+			expect(location.y).to.be.closeTo(expectedLocation.y, 1);
+			expect(location.z).to.be.closeTo(expectedLocation.z, 1);
+		});
+
+		it("should report the residuals of a wrong control point", () => {
+			const wrongControlPoints = controlPoints.map((point, i) =>
+				i === 3 ? { ...point, model: { ...point.model, x: point.model.x + 2000 } } : point
+			);
+			const fitted = geoReferenceServices.fitGeoReference(wrongControlPoints);
+			expect(fitted.fit.rmse).to.be.greaterThan(100);
+			expect(Math.abs(fitted.fit.residuals[3].x)).to.be.greaterThan(Math.abs(fitted.fit.residuals[0].x));
+		});
+
+		it("should throw an error with less than two control points", () => {
+			expect(() => geoReferenceServices.fitGeoReference(controlPoints.slice(0, 1))).to.throw(
+				"At least two control points are needed to fit the geo-reference"
+			);
+		});
+	});
+
+	describe("formatCoordinates(...)", () => {
+		const beacon = { _id: "beacon", location: { x: 1000, y: 0, z: -2000 } };
+
+		it("should return the entity as it is for model coordinates", () => {
+			expect(geoReferenceServices.formatCoordinates(geoReference, beacon)).to.equal(beacon);
+		});
+
+		it("should add the geographic location", () => {
+			const formatted = geoReferenceServices.formatCoordinates(geoReference, beacon, "both");
+			expect(formatted.location).to.deep.equal(beacon.location);
+			expect(formatted.geographic_location.latitude).to.be.closeTo(48.1496, 1e-9);
+			expect(formatted.geographic_location.longitude).to.be.closeTo(11.5678, 1e-9);
+		});
+
+		it("should replace the location by the geographic location", () => {
+			const formatted = geoReferenceServices.formatCoordinates(geoReference, beacon, "geographic");
+			expect(formatted).to.not.have.property("location");
+			expect(formatted.geographic_location.altitude).to.be.closeTo(520, 1e-4);
+		});
+
+		it("should convert the historical locations of a tracked entity", () => {
+			const trackedEntity = { location: beacon.location, historicalData: [{ location: beacon.location, date: 0 }] };
+			const formatted = geoReferenceServices.formatCoordinates(geoReference, trackedEntity, "geographic");
+			expect(formatted.historicalData).to.have.length(1);
+			expect(formatted.historicalData[0]).to.not.have.property("location");
+			expect(formatted.historicalData[0].date).to.equal(0);
+			expect(formatted.historicalData[0].geographic_location.latitude).to.be.closeTo(48.1496, 1e-9);
+			expect(trackedEntity.historicalData[0]).to.have.property("location");
+		});
+	});
+});
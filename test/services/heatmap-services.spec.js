@@ -0,0 +1,43 @@
+const chai = require("chai");
+const expect = chai.expect;
+const zlib = require("zlib");
+
+const heatmapServices = require("../../services/heatmap-services");
+
+describe("Services: Heatmap Services", () => {
+	const plan = {
+		origin: { x: 0, z: 0 },
+		resolution: 1000,
+		columns: 2,
+		rows: 1,
+		beacons_in_range: [[4, null]],
+		gdop: [[1.2, null]],
+		coverage: [["good", null]],
+	};
+
+	describe("toSvg(...)", () => {
+		it("should draw a square per cell and the beacons", () => {
+			const svg = heatmapServices.toSvg(plan, [{ x: 500, z: 500 }], { cellSize: 10 });
+			expect(svg).to.match(/^<svg [^>]*width="20" height="10"/);
+			expect(svg.match(/<rect /g)).to.have.length(2);
+			expect(svg).to.include('<circle cx="5" cy="5" r="5"');
+			expect(svg).to.include("not walkable");
+		});
+	});
+
+	describe("toPng(...)", () => {
+		it("should encode the cells as RGB pixels", () => {
+			const png = heatmapServices.toPng(plan, [], { cellSize: 2 });
+			expect(png.slice(1, 4).toString("ascii")).to.equal("PNG");
+			//IHDR: width 4, height 2
+			expect(png.readUInt32BE(16)).to.equal(4);
+			expect(png.readUInt32BE(20)).to.equal(2);
+			const dataLength = png.readUInt32BE(33);
+			const scanlines = zlib.inflateSync(png.slice(41, 41 + dataLength));
+			expect(scanlines.length).to.equal(2 * (4 * 3 + 1));
+			const excellent = heatmapServices.getColour("good", 1.2);
+			expect([...scanlines.slice(1, 4)]).to.deep.equal(excellent);
+			expect([...scanlines.slice(7, 10)]).to.deep.equal([255, 255, 255]);
+		});
+	});
+});
@@ -0,0 +1,68 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const kalmanFilterServices = require("../../services/kalman-filter-services");
+
+describe("Services: Kalman Filter Services", () => {
+	const date = new Date("2020-10-11T17:00:00.000Z");
+
+	describe("createFilterState(...)", () => {
+		it("should start at the location with no velocity", () => {
+			const state = kalmanFilterServices.createFilterState({ x: 1, y: 2, z: 3 }, date);
+			expect(state.position).to.deep.equal({ x: 1, y: 2, z: 3 });
+			expect(state.velocity).to.deep.equal({ x: 0, y: 0, z: 0 });
+			expect(state.covariance).to.have.length(6);
+			expect(state.date.getTime()).to.equal(date.getTime());
+		});
+	});
+
+	describe("updateFilterState(...)", () => {
+		it("should smooth a jump of the estimated location", () => {
+			const state = kalmanFilterServices.createFilterState({ x: 0, y: 0, z: 0 }, date);
+			const newState = kalmanFilterServices.updateFilterState(
+				state,
+				{ x: 3000, y: 0, z: 0 },
+				new Date(date.getTime() + 1000)
+			);
+			expect(newState.position.x).to.be.greaterThan(0).and.lessThan(3000);
+			expect(newState.position.y).to.be.closeTo(0, 0.00001);
+			expect(newState.velocity.x).to.be.greaterThan(0);
+		});
+
+		it("should reduce the uncertainty of the position after each update", () => {
+			let state = kalmanFilterServices.createFilterState({ x: 0, y: 0, z: 0 }, date);
+			const initialVariance = state.covariance[0][0];
+			for (let i = 1; i <= 5; i++) {
+				state = kalmanFilterServices.updateFilterState(
+					state,
+					{ x: 0, y: 0, z: 0 },
+					new Date(date.getTime() + i * 1000)
+				);
+			}
+			expect(state.covariance[0][0]).to.be.lessThan(initialVariance);
+		});
+
+		it("should follow an entity that moves at constant speed", () => {
+			let state = kalmanFilterServices.createFilterState({ x: 0, y: 0, z: 0 }, date);
+			for (let i = 1; i <= 30; i++) {
+				state = kalmanFilterServices.updateFilterState(
+					state,
+					{ x: 1000 * i, y: 0, z: 0 },
+					new Date(date.getTime() + i * 1000)
+				);
+			}
+			expect(state.position.x).to.be.closeTo(30000, 500);
+			expect(state.velocity.x).to.be.closeTo(1000, 100);
+		});
+
+		it("should restart the filter if the last update is too old", () => {
+			const state = kalmanFilterServices.createFilterState({ x: 0, y: 0, z: 0 }, date);
+			const newState = kalmanFilterServices.updateFilterState(
+				state,
+				{ x: 3000, y: 0, z: 0 },
+				new Date(date.getTime() + 3600 * 1000)
+			);
+			expect(newState.position).to.deep.equal({ x: 3000, y: 0, z: 0 });
+		});
+	});
+});
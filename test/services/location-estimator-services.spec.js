@@ -144,6 +144,87 @@ describe("Services: Location Estimator Services", () => {
 			mock.restore();
 			mock.verify();
 		});
+
+		it("should not use the center of mass method if the fallback policy is none", async () => {
+			const mock = sinon.mock(trilaterationServices);
+			mock.expects("weightedTrilateration").once().throws(new Error("Trilateration Error"));
+			mock.expects("weightedTrilaterationCenterOfMass").never();
+
+			await expect(
+				locationEstimatorServices.estimateLocation(projectId, beaconTrackingData, "beacon-trilateration", "none")
+			)
+				.to.be.rejectedWith(Error)
+				.and.eventually.have.property("statusCode")
+				.that.equals(420);
+			mock.restore();
+			mock.verify();
+		});
+
+		it("should report that the fallback method was used", async () => {
+			const mock = sinon.mock(trilaterationServices);
+			mock.expects("weightedTrilateration").once().throws(new Error("Trilateration Error"));
+			mock.expects("weightedTrilaterationCenterOfMass").once().returns({ x: 0, y: 0 });
+
+			const estimatedLocation = await locationEstimatorServices.estimateLocation(
+				projectId,
+				beaconTrackingData,
+				"beacon-trilateration"
+			);
+			expect(estimatedLocation).to.have.property("algorithm", "weighted-center-of-mass");
+			expect(estimatedLocation).to.have.property("fallback_used", true);
+			mock.restore();
+			mock.verify();
+		});
+
+		it("should convert RSSI measurements to distances", async () => {
+			const mock = sinon.mock(trilaterationServices);
+			mock
+				.expects("weightedTrilateration")
+				.once()
+				.withArgs([
+					{ radius: 1000, x: 0, y: 1 },
+					{ radius: 10000, x: 0, y: 2 },
+					{ radius: 1000, x: 1, y: 3 },
+				])
+				.returns({ x: 0, y: 0 });
+
+			await locationEstimatorServices.estimateLocation(
+				projectId,
+				[
+					{ rssi: -59, beacon_uid: beaconsUid[0] },
+					{ rssi: [-78, -79, -80], beacon_uid: beaconsUid[1] },
+					{ rssi: -70, tx_power: -70, beacon_uid: beaconsUid[2] },
+				],
+				"beacon-trilateration"
+			);
+			mock.restore();
+			mock.verify();
+		});
+
+		it("should return a 3D Location for the beacon-multilateration method", async () => {
+			const mock = sinon.mock(trilaterationServices);
+			mock
+				.expects("weightedLeastSquaresMultilateration")
+				.once()
+				.withArgs([
+					//the beacons have no learned error: the default variance is the minimum one (100 mm)²
+					{ radius: 2, x: 0, y: 1, z: 1, weight: 1 / 10000 },
+					{ radius: 2, x: 0, y: 0, z: 2, weight: 1 / 10000 },
+					{ radius: 2, x: 1, y: 1, z: 3, weight: 1 / 10000 },
+				])
+				.returns({ x: 0, y: 0.5, z: 2 });
+
+			const estimatedLocation = await locationEstimatorServices.estimateLocation(
+				projectId,
+				beaconTrackingData,
+				"beacon-multilateration"
+			);
+			expect(estimatedLocation).to.have.property("x", 0);
+			expect(estimatedLocation).to.have.property("y", 0.5);
+			expect(estimatedLocation).to.have.property("z", 2);
+			mock.restore();
+			mock.verify();
+		});
 	});
 
 	after(async () => {
@@ -0,0 +1,385 @@
+const chai = require("chai");
+const expect = chai.expect;
+const sinon = require("sinon");
+
+const locationMethods = require("../../services/location-methods");
+const projectContext = require("../../services/location-methods/project-context");
+const projectServices = require("../../services/project-services");
+const beaconInfoServices = require("../../services/beacons-info-services");
+const locationEstimatorServices = require("../../services/location-estimator-services");
+const trilaterationServices = require("../../services/trilateration-services");
+
+describe("Services: Location Methods Registry", () => {
+	describe("getLocationMethods(...)", () => {
+		it("should list the methods supported by the server", () => {
+			const names = locationMethods.getLocationMethods().map((locationMethod) => locationMethod.name);
+			expect(names).to.include.members([
+				"beacon-trilateration",
+				"beacon-trilateration-2",
+				"beacon-multilateration",
+				"beacon-fingerprinting",
+				"gps-location",
+				"pdr-fusion",
+				"uwb-twr",
+				"uwb-tdoa",
+				"auto",
+			]);
+		});
+
+		it("should declare the measurement schema and the functions of every method", () => {
+			locationMethods.getLocationMethods().forEach((locationMethod) => {
+				expect(locationMethod.description).to.be.a("string");
+				expect(locationMethod.measurementSchema).to.have.property("type");
+				expect(locationMethod.validate).to.be.a("function");
+				expect(locationMethod.estimate).to.be.a("function");
+			});
+		});
+	});
+
+	describe("getLocationMethod(...)", () => {
+		it("should return undefined for a method that is not registered", () => {
+			expect(locationMethods.getLocationMethod("NotAMethodImplemented")).to.equal(undefined);
+		});
+	});
+
+	describe("registerLocationMethod(...)", () => {
+		it("should not register a method twice", () => {
+			expect(() => locationMethods.registerLocationMethod(locationMethods.getLocationMethod("gps-location"))).to.throw(
+				"Location method gps-location is already registered"
+			);
+		});
+
+		it("should not register a method without an estimate function", () => {
+			expect(() => locationMethods.registerLocationMethod({ name: "broken-method" })).to.throw(
+				"A location method needs a name and an estimate function"
+			);
+		});
+	});
+
+	describe("createDatabaseContext(...)", () => {
+		const beacons = [
+			[0, 0],
+			[6000, 0],
+			[0, 6000],
+		].map(([x, z], i) => ({ uid_beacon: "beacon" + i, name: "beacon" + i, location: { x: x, y: 2500, z: z } }));
+		const data = beacons.map((beacon) => ({
+			beacon_uid: beacon.uid_beacon,
+			distance: Math.hypot(beacon.location.x - 2000, beacon.location.z - 3000),
+		}));
+
+		afterEach(() => sinon.restore());
+
+		it("should read the project once for the method and the post-processing of an estimation", async () => {
+			const getProject = sinon.stub(projectServices, "get").resolves({ beacons_model: { beacons: beacons } });
+			sinon.stub(beaconInfoServices, "getBeaconsByUid").resolves(beacons);
+			const location = await locationEstimatorServices.estimateLocation("project", data, "auto");
+			expect(location.x).to.be.closeTo(2000, 1e-3);
+			expect(getProject.calledOnce).to.equal(true);
+		});
+	});
+
+	describe("validate(...)", () => {
+		it("should validate beacon measurements", () => {
+			const trilateration = locationMethods.getLocationMethod("beacon-trilateration");
+			expect(trilateration.validate([{ distance: [1000, 1200], beacon_uid: "a" }, { rssi: -70, beacon_uid: "b" }])).to.equal(
+				true
+			);
+			expect(() => trilateration.validate([{ beacon_uid: "a" }])).to.throw("Measurement Data is not valid");
+			expect(() => trilateration.validate({ latitude: 48, longitude: 11 })).to.throw("Measurement Data is not valid");
+		});
+
+		it("should require the RSSI for fingerprinting", () => {
+			const fingerprinting = locationMethods.getLocationMethod("beacon-fingerprinting");
+			expect(fingerprinting.validate([{ rssi: -70, beacon_uid: "a" }])).to.equal(true);
+			expect(() => fingerprinting.validate([{ distance: 1000, beacon_uid: "a" }])).to.throw(
+				"Measurement Data is not valid"
+			);
+		});
+
+		it("should validate GPS locations", () => {
+			const gps = locationMethods.getLocationMethod("gps-location");
+			expect(gps.validate({ latitude: 48.1, longitude: 11.5, accuracy: 5 })).to.equal(true);
+			expect(() => gps.validate({ latitude: 91, longitude: 11.5 })).to.throw("Measurement Data is not valid");
+			expect(() => gps.validate([{ distance: 1000, beacon_uid: "a" }])).to.throw("Measurement Data is not valid");
+		});
+
+		it("should validate inertial deltas", () => {
+			const pdrFusion = locationMethods.getLocationMethod("pdr-fusion");
+			expect(pdrFusion.validate({ deltas: [{ steps: 4, heading: 90 }], pressure_change: -0.1 })).to.equal(true);
+			expect(pdrFusion.validate({ beacons: [{ distance: 1000, beacon_uid: "a" }] })).to.equal(true);
+			expect(() => pdrFusion.validate({ pressure_change: -0.1 })).to.throw("Measurement Data is not valid");
+			expect(() => pdrFusion.validate({ deltas: [{ steps: -1, heading: 90 }] })).to.throw("Measurement Data is not valid");
+		});
+	});
+
+	describe("estimate(...) with diagnostics", () => {
+		const beacons = [
+			[0, 0],
+			[6000, 0],
+			[0, 6000],
+		].map(([x, z], i) => ({ uid_beacon: "beacon" + i, name: "beacon" + i, location: { x: x, y: 2500, z: z } }));
+		const context = projectContext.createProjectContext({ beacons_model: { beacons: beacons } });
+		const data = beacons.map((beacon) => ({
+			beacon_uid: beacon.uid_beacon,
+			distance: Math.hypot(beacon.location.x - 2000, beacon.location.z - 3000),
+		}));
+
+		it("should return the circles and their intersection points", async () => {
+			const location = await locationMethods
+				.getLocationMethod("beacon-trilateration")
+				.estimate("project", data, { context: context, diagnostics: true });
+			expect(location.diagnostics.measurements).to.have.length(3);
+			expect(location.diagnostics.measurements.every((measurement) => measurement.used)).to.equal(true);
+			expect(location.diagnostics.circles.map((circle) => circle.beacon_uid)).to.have.members([
+				"beacon0",
+				"beacon1",
+				"beacon2",
+			]);
+			//the exact location is an intersection point of every pair of circles
+			const exactIntersections = location.diagnostics.intersection_points.filter(
+				(ip) => Math.hypot(ip.x - 2000, ip.z - 3000) < 1e-6
+			);
+			expect(exactIntersections).to.have.length(3);
+		});
+
+		it("should not return diagnostics if they are not requested", async () => {
+			const location = await locationMethods
+				.getLocationMethod("beacon-trilateration")
+				.estimate("project", data, { context: context });
+			expect(location.diagnostics).to.equal(undefined);
+		});
+
+		it("should discard the samples older than the newest one", async () => {
+			//the first samples of beacon0 were measured elsewhere
+			const timedData = data.map((measurement, i) =>
+				i === 0
+					? { ...measurement, distance: [9000, 9000, measurement.distance], timestamp: [0, 1000, 10000] }
+					: { ...measurement, timestamp: 10000 }
+			);
+			const location = await locationMethods
+				.getLocationMethod("beacon-trilateration")
+				.estimate("project", timedData, { context: context });
+			expect(location.discarded_samples).to.equal(2);
+			expect(location.measured_at).to.equal(10000);
+			expect(location.x).to.be.closeTo(2000, 1e-3);
+			expect(location.z).to.be.closeTo(3000, 1e-3);
+		});
+	});
+
+	describe("estimate(...) with fewer than three beacons", () => {
+		const beacons = [
+			{ uid_beacon: "beacon0", name: "beacon0", storey: "ground", location: { x: 0, y: 2500, z: 0 } },
+			{ uid_beacon: "beacon1", name: "beacon1", storey: "ground", location: { x: 6000, y: 2500, z: 0 } },
+		];
+		const context = projectContext.createProjectContext({
+			beacons_model: { beacons: beacons, storeys: [{ _id: "ground", name: "Ground floor", elevation: 0 }] },
+		});
+		const data = [
+			{ beacon_uid: "beacon0", distance: 4000 },
+			{ beacon_uid: "beacon1", distance: 1500 },
+		];
+
+		["beacon-trilateration", "beacon-trilateration-2", "beacon-multilateration"].forEach((name) => {
+			it(`should return a proximity fix near the closest beacon (${name})`, async () => {
+				const location = await locationMethods.getLocationMethod(name).estimate("project", data, { context: context });
+				expect(location).to.include({ x: 6000, y: 0, z: 0, proximity: true, near_beacon: "beacon1" });
+				expect(location).to.include({ accuracy: 1500, beacons_used: 2, storey: "ground", algorithm: "proximity" });
+			});
+		});
+
+		it("should return a proximity fix with a single beacon", async () => {
+			const location = await locationMethods
+				.getLocationMethod("beacon-trilateration")
+				.estimate("project", [{ beacon_uid: "beacon0", distance: 800 }], { context: context });
+			expect(location).to.include({ x: 0, z: 0, accuracy: 800, near_beacon: "beacon0" });
+		});
+	});
+
+	describe("estimate(...) with more than three beacons", () => {
+		const beacons = [
+			[0, 0],
+			[6000, 0],
+			[0, 6000],
+			[6000, 6000],
+			[12000, 0],
+			[12000, 6000],
+		].map(([x, z], i) => ({ uid_beacon: "beacon" + i, name: "beacon" + i, location: { x: x, y: 2500, z: z } }));
+		const context = projectContext.createProjectContext({ beacons_model: { beacons: beacons } });
+		const data = beacons.map((beacon) => ({
+			beacon_uid: beacon.uid_beacon,
+			distance: Math.hypot(beacon.location.x - 2000, beacon.location.z - 3000),
+		}));
+
+		["beacon-trilateration", "beacon-trilateration-2"].forEach((name) => {
+			it(`should report the quality of the 3 closest beacons, the only ones used (${name})`, async () => {
+				const location = await locationMethods.getLocationMethod(name).estimate("project", data, { context: context });
+				expect(location.beacons_used).to.equal(3);
+				expect(location).to.not.have.property("used_measurements");
+			});
+		});
+	});
+
+	describe("estimate(...) with UWB anchors", () => {
+		const realLocation = { x: 3000, y: 1200, z: 4000 };
+		const anchors = [
+			[0, 0, 0],
+			[10000, 0, 0],
+			[0, 0, 10000],
+			[10000, 3000, 10000],
+			[0, 3000, 10000],
+		].map(([x, y, z], i) => ({
+			uid_beacon: "anchor" + i,
+			name: "anchor" + i,
+			anchor_type: "uwb",
+			location: { x: x, y: y, z: z },
+		}));
+		const distanceTo = ({ location }) =>
+			Math.hypot(location.x - realLocation.x, location.y - realLocation.y, location.z - realLocation.z);
+		const context = projectContext.createProjectContext({
+			beacons_model: {
+				beacons: [...anchors, { uid_beacon: "ble", name: "ble", location: { x: 0, y: 0, z: 0 } }],
+				storeys: [
+					{ _id: "ground", elevation: 0 },
+					{ _id: "first", elevation: 3000 },
+				],
+			},
+		});
+
+		it("should solve the ranges of two-way ranging in 3D", async () => {
+			const data = anchors.map((anchor) => ({ anchor_id: anchor.uid_beacon, range: distanceTo(anchor) }));
+			const uwbTwr = locationMethods.getLocationMethod("uwb-twr");
+			expect(uwbTwr.validate(data)).to.equal(true);
+			const location = await uwbTwr.estimate("project", data, { context: context });
+			expect(location.x).to.be.closeTo(realLocation.x, 1e-2);
+			expect(location.y).to.be.closeTo(realLocation.y, 1e-2);
+			expect(location.z).to.be.closeTo(realLocation.z, 1e-2);
+			expect(location).to.include({ algorithm: "uwb-twr", storey: "ground", beacons_used: 5 });
+		});
+
+		it("should solve the time differences of arrival in 3D", async () => {
+			const [reference, ...others] = anchors;
+			const data = {
+				reference_anchor: reference.uid_beacon,
+				measurements: others.map((anchor) => ({
+					anchor_id: anchor.uid_beacon,
+					time_difference: (distanceTo(anchor) - distanceTo(reference)) / 299.792458,
+				})),
+			};
+			const uwbTdoa = locationMethods.getLocationMethod("uwb-tdoa");
+			expect(uwbTdoa.validate(data)).to.equal(true);
+			const location = await uwbTdoa.estimate("project", data, { context: context });
+			expect(location.x).to.be.closeTo(realLocation.x, 1e-2);
+			expect(location.y).to.be.closeTo(realLocation.y, 1e-2);
+			expect(location.z).to.be.closeTo(realLocation.z, 1e-2);
+			expect(location).to.include({ algorithm: "uwb-tdoa", storey: "ground", beacons_used: 5 });
+		});
+
+		it("should not use beacons that are not UWB anchors", async () => {
+			const data = [...anchors.slice(0, 3), { uid_beacon: "ble" }].map((anchor) => ({
+				anchor_id: anchor.uid_beacon,
+				range: 1000,
+			}));
+			await locationMethods
+				.getLocationMethod("uwb-twr")
+				.estimate("project", data, { context: context })
+				.then(
+					() => expect.fail("the estimation should fail"),
+					(err) => expect(err.statusCode).to.equal(409)
+				);
+		});
+	});
+
+	describe("estimate(...) with the auto location method", () => {
+		const beacons = [
+			[0, 0],
+			[6000, 0],
+			[0, 6000],
+			[6000, 6000],
+		].map(([x, z], i) => ({ uid_beacon: "beacon" + i, name: "beacon" + i, location: { x: x, y: 2500, z: z } }));
+		const data = beacons.map((beacon) => ({
+			beacon_uid: beacon.uid_beacon,
+			distance: Math.hypot(beacon.location.x - 2000, beacon.location.z - 3000),
+		}));
+		const auto = locationMethods.getLocationMethod("auto");
+		const estimateWithChain = (chain, measurements = data) =>
+			auto.estimate("project", measurements, {
+				context: projectContext.createProjectContext({
+					beacons_model: { beacons: beacons },
+					location_method_chain: chain,
+				}),
+			});
+
+		it("should return the first location that meets the criteria and the method that produced it", async () => {
+			const location = await estimateWithChain([
+				{ method: "beacon-multilateration", min_beacons: 5 },
+				{ method: "beacon-trilateration", max_residual: 100 },
+			]);
+			expect(location.location_method).to.equal("beacon-trilateration");
+			expect(location.x).to.be.closeTo(2000, 1e-3);
+			expect(location.z).to.be.closeTo(3000, 1e-3);
+			expect(location.chain_attempts.map((attempt) => attempt.accepted)).to.deep.equal([false, true]);
+		});
+
+		it("should reject the trilateration if it needs more beacons than the 3 it uses", async () => {
+			const location = await estimateWithChain([
+				{ method: "beacon-trilateration", min_beacons: 4 },
+				{ method: "beacon-multilateration", min_beacons: 4 },
+			]);
+			expect(location.location_method).to.equal("beacon-multilateration");
+			expect(location.beacons_used).to.equal(4);
+			expect(location.chain_attempts[0]).to.include({ method: "beacon-trilateration", accepted: false });
+		});
+
+		it("should skip the methods that do not accept the measurement data", async () => {
+			const location = await estimateWithChain([{ method: "gps-location" }, { method: "beacon-multilateration" }]);
+			expect(location.location_method).to.equal("beacon-multilateration");
+			expect(location.chain_attempts[0]).to.include({ method: "gps-location", accepted: false });
+		});
+
+		it("should reject the locations with a bigger residual", async () => {
+			//the distance to beacon3 is 2 meters too long
+			const noisyData = data.map((measurement, i) =>
+				i === 3 ? { ...measurement, distance: measurement.distance + 2000 } : measurement
+			);
+			await estimateWithChain([{ method: "beacon-multilateration", max_residual: 10 }], noisyData).then(
+				() => expect.fail("the estimation should fail"),
+				(err) => {
+					expect(err.statusCode).to.equal(420);
+					expect(err.data.chain_attempts).to.have.length(1);
+					expect(err.data.chain_attempts[0].accepted).to.equal(false);
+				}
+			);
+		});
+
+		it("should use the default chain if the project has none", async () => {
+			const location = await estimateWithChain(undefined);
+			expect(location.location_method).to.equal("beacon-trilateration");
+		});
+
+		describe("when the trilateration fails", () => {
+			afterEach(() => sinon.restore());
+
+			it("should not fall back to the center of mass if the step sets no fallback policy", async () => {
+				sinon.stub(trilaterationServices, "weightedTrilateration").rejects(new Error("No intersection"));
+				const centerOfMass = sinon.spy(trilaterationServices, "weightedTrilaterationCenterOfMass");
+				const location = await estimateWithChain([
+					{ method: "beacon-trilateration" },
+					{ method: "beacon-multilateration" },
+				]);
+				expect(location.location_method).to.equal("beacon-multilateration");
+				expect(location.chain_attempts[0]).to.include({ method: "beacon-trilateration", accepted: false });
+				expect(centerOfMass.called).to.equal(false);
+			});
+
+			it("should fall back to the center of mass if the step sets it", async () => {
+				sinon.stub(trilaterationServices, "weightedTrilateration").rejects(new Error("No intersection"));
+				const location = await estimateWithChain([
+					{ method: "beacon-trilateration", fallback_policy: "center-of-mass" },
+					{ method: "beacon-multilateration" },
+				]);
+				expect(location.location_method).to.equal("beacon-trilateration");
+				expect(location.fallback_used).to.equal(true);
+			});
+		});
+	});
+});
@@ -0,0 +1,71 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const locationQualityServices = require("../../services/location-quality-services");
+
+describe("Services: Location Quality Services", () => {
+	describe("estimateQuality(...)", () => {
+		//beacons around the location (0,0)
+		const surroundingMeasurements = [
+			{ radius: 1000, x: 1000, y: 0 },
+			{ radius: 1000, x: -1000, y: 0 },
+			{ radius: 1000, x: 0, y: 1000 },
+			{ radius: 1000, x: 0, y: -1000 },
+		];
+
+		it("should return the gdop of the beacons geometry", () => {
+			const quality = locationQualityServices.estimateQuality({ x: 0, y: 0 }, surroundingMeasurements);
+			//HᵀH = 2I
+			expect(quality.gdop).to.be.closeTo(1, 1e-9);
+			expect(quality.beacons_used).to.equal(4);
+		});
+
+		it("should return the covariance in the coordinates of the model", () => {
+			const quality = locationQualityServices.estimateQuality({ x: 0, y: 0 }, surroundingMeasurements, {
+				minRangeStd: 300,
+			});
+			expect(quality.covariance).to.have.length(3);
+			expect(quality.covariance[0][0]).to.be.closeTo((300 * 300) / 2, 1e-6);
+			expect(quality.covariance[1][1]).to.equal(0);
+			expect(quality.covariance[2][2]).to.be.closeTo((300 * 300) / 2, 1e-6);
+			expect(quality.accuracy).to.be.closeTo(300, 1e-6);
+		});
+
+		it("should have a lower accuracy if the measurements do not agree", () => {
+			const noisyMeasurements = surroundingMeasurements.map((measurement, i) => ({
+				...measurement,
+				radius: measurement.radius + (i % 2 === 0 ? 800 : -800),
+			}));
+			const quality = locationQualityServices.estimateQuality({ x: 0, y: 0 }, noisyMeasurements);
+			expect(quality.accuracy).to.be.greaterThan(300);
+		});
+
+		it("should have a higher gdop if the beacons are aligned", () => {
+			const alignedMeasurements = [
+				{ radius: 1000, x: 1000, y: 0 },
+				{ radius: 2000, x: 2000, y: 100 },
+				{ radius: 3000, x: 3000, y: -100 },
+			];
+			const quality = locationQualityServices.estimateQuality({ x: 0, y: 0 }, alignedMeasurements);
+			expect(quality.gdop).to.be.greaterThan(5);
+		});
+
+		it("should return null if the geometry does not define the location", () => {
+			const quality = locationQualityServices.estimateQuality({ x: 0, y: 0 }, [{ radius: 1000, x: 1000, y: 0 }]);
+			expect(quality.accuracy).to.equal(null);
+			expect(quality.gdop).to.equal(null);
+			expect(quality.beacons_used).to.equal(1);
+		});
+
+		it("should work with 3D measurements", () => {
+			const quality = locationQualityServices.estimateQuality({ x: 0, y: 0, z: 0 }, [
+				{ radius: 1000, x: 1000, y: 0, z: 0 },
+				{ radius: 1000, x: 0, y: 1000, z: 0 },
+				{ radius: 1000, x: 0, y: 0, z: 1000 },
+				{ radius: 1000, x: -1000, y: 0, z: 0 },
+			]);
+			expect(quality.covariance[1][1]).to.be.greaterThan(0);
+			expect(quality.gdop).to.be.greaterThan(0);
+		});
+	});
+});
@@ -0,0 +1,93 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const mapMatchingServices = require("../../services/map-matching-services");
+
+describe("Services: Map Matching Services", () => {
+	//two rooms of the ground floor separated by a wall, a room on the first floor
+	const box = (minX, minZ, maxX, maxZ, minY = 0, maxY = 3000) => ({
+		min: { x: minX, y: minY, z: minZ },
+		max: { x: maxX, y: maxY, z: maxZ },
+	});
+	const elements = [
+		{ _id: "room1", name: "Room 1", category: "space", storey: "ground", ...box(0, 0, 5000, 4000) },
+		{ _id: "room2", name: "Room 2", category: "space", storey: "ground", ...box(5200, 0, 10000, 4000) },
+		{ _id: "wall1", name: "Wall 1", category: "wall", storey: "ground", ...box(5000, 0, 5200, 4000) },
+		{ _id: "room3", name: "Room 3", category: "space", storey: "first", ...box(0, 0, 10000, 4000, 3000, 6000) },
+	];
+
+	describe("extractBuildingElements(...)", () => {
+		it("should extract the spaces, walls and slabs with their storey", () => {
+			const tree = {
+				id: "project",
+				type: "Project",
+				children: [
+					{
+						id: "ground",
+						type: "IfcBuildingStorey",
+						name: "Ground floor",
+						children: [
+							{ id: "room1", type: "IfcSpace", name: "Room 1", children: [] },
+							{ id: "wall1", type: "IfcWallStandardCase", name: "Wall 1", children: [] },
+							{ id: "slab1", type: "IfcSlab", name: "Slab 1", children: [] },
+							{ id: "door1", type: "IfcDoor", name: "Door 1", children: [] },
+						],
+					},
+				],
+			};
+			const extracted = mapMatchingServices.extractBuildingElements(tree);
+			expect(extracted.map((element) => [element._id, element.category, element.storey])).to.have.deep.members([
+				["room1", "space", "ground"],
+				["wall1", "wall", "ground"],
+				["slab1", "slab", "ground"],
+			]);
+		});
+	});
+
+	describe("getBoundingBox(...)", () => {
+		it("should return the bounding box of the vertices", () => {
+			const boundingBox = mapMatchingServices.getBoundingBox({
+				geometries: [{ data: { attributes: { position: { array: [0, 0, 0, 100, 50, -20, 30, 3000, 40] } } } }],
+			});
+			expect(boundingBox).to.deep.equal({ min: { x: 0, y: 0, z: -20 }, max: { x: 100, y: 3000, z: 40 } });
+		});
+
+		it("should return null if the object has no geometry", () => {
+			expect(mapMatchingServices.getBoundingBox({ objects: [{ id: "1" }] })).to.equal(null);
+		});
+	});
+
+	describe("snapToWalkableSpace(...)", () => {
+		it("should not move a location inside a room and record the room", () => {
+			const matched = mapMatchingServices.snapToWalkableSpace({ x: 2000, y: 0, z: 2000, storey: "ground" }, elements);
+			expect(matched).to.include({ x: 2000, z: 2000, room: "room1", snap_distance: 0 });
+		});
+
+		it("should move a location inside a wall to the closest room", () => {
+			const matched = mapMatchingServices.snapToWalkableSpace({ x: 5150, y: 0, z: 2000, storey: "ground" }, elements);
+			expect(matched.room).to.equal("room2");
+			expect(matched.x).to.be.closeTo(5300, 1e-9);
+			expect(matched.z).to.equal(2000);
+			expect(matched.snap_distance).to.be.closeTo(150, 1e-9);
+		});
+
+		it("should move a location outside the building to the closest room of its storey", () => {
+			const matched = mapMatchingServices.snapToWalkableSpace({ x: 2000, y: 3000, z: -1000, storey: "first" }, elements);
+			expect(matched).to.include({ x: 2000, z: 100, room: "room3" });
+		});
+
+		it("should not move a location that is too far from the building", () => {
+			const matched = mapMatchingServices.snapToWalkableSpace(
+				{ x: 2000, y: 0, z: -20000, storey: "ground" },
+				elements
+			);
+			expect(matched).to.include({ x: 2000, z: -20000, snap_distance: 0 });
+			expect(matched.room).to.equal(undefined);
+		});
+
+		it("should use the height of the location if it has no storey", () => {
+			const matched = mapMatchingServices.snapToWalkableSpace({ x: 5100, y: 4000, z: 2000 }, elements);
+			expect(matched).to.include({ x: 5100, room: "room3", snap_distance: 0 });
+		});
+	});
+});
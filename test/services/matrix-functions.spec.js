@@ -0,0 +1,77 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const matrixFunctions = require("../../services/matrix-functions");
+
+describe("Services: Matrix Functions", () => {
+	describe("multiply(...)", () => {
+		it("should multiply two matrices", () => {
+			const product = matrixFunctions.multiply(
+				[
+					[1, 2],
+					[3, 4],
+				],
+				[
+					[5, 6],
+					[7, 8],
+				]
+			);
+			expect(product).to.deep.equal([
+				[19, 22],
+				[43, 50],
+			]);
+		});
+
+		it("should multiply a matrix and a vector", () => {
+			const product = matrixFunctions.multiply(
+				[
+					[1, 2],
+					[3, 4],
+				],
+				[1, 1]
+			);
+			expect(product).to.deep.equal([3, 7]);
+		});
+	});
+
+	describe("solveLinearSystem(...)", () => {
+		it("should solve the linear system", () => {
+			const solution = matrixFunctions.solveLinearSystem(
+				[
+					[0, 2, 1],
+					[1, 1, 1],
+					[2, 1, 0],
+				],
+				[5, 4, 4]
+			);
+			expect(solution[0]).to.be.closeTo(1, 0.00001);
+			expect(solution[1]).to.be.closeTo(2, 0.00001);
+			expect(solution[2]).to.be.closeTo(1, 0.00001);
+		});
+
+		it("should throw if the matrix is singular", () => {
+			expect(() =>
+				matrixFunctions.solveLinearSystem(
+					[
+						[1, 2],
+						[2, 4],
+					],
+					[1, 2]
+				)
+			).to.throw(Error);
+		});
+	});
+
+	describe("invert(...)", () => {
+		it("should invert the matrix", () => {
+			const inverse = matrixFunctions.invert([
+				[4, 7],
+				[2, 6],
+			]);
+			expect(inverse[0][0]).to.be.closeTo(0.6, 0.00001);
+			expect(inverse[0][1]).to.be.closeTo(-0.7, 0.00001);
+			expect(inverse[1][0]).to.be.closeTo(-0.2, 0.00001);
+			expect(inverse[1][1]).to.be.closeTo(0.4, 0.00001);
+		});
+	});
+});
@@ -0,0 +1,24 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const measurementLogServices = require("../../services/measurement-log-services");
+
+describe("Services: Measurement Log Services", () => {
+	describe("getBeaconMeasurements(...)", () => {
+		it("should return the beacon measurements of the beacon methods and pdr-fusion", () => {
+			const measurements = [{ beacon_uid: "beacon0", distance: 1000 }];
+			expect(measurementLogServices.getBeaconMeasurements(measurements)).to.deep.equal(measurements);
+			const pdrData = { deltas: [{ steps: 2, heading: 0 }], beacons: measurements };
+			expect(measurementLogServices.getBeaconMeasurements(pdrData)).to.deep.equal(measurements);
+		});
+
+		it("should not return measurements without a beacon", () => {
+			const uwbData = [{ anchor_id: "anchor0", range: 1000 }];
+			expect(measurementLogServices.getBeaconMeasurements(uwbData)).to.deep.equal([]);
+			const gpsData = { latitude: 48, longitude: 11 };
+			expect(measurementLogServices.getBeaconMeasurements(gpsData)).to.deep.equal([]);
+			const pdrData = { deltas: [{ steps: 2, heading: 0 }] };
+			expect(measurementLogServices.getBeaconMeasurements(pdrData)).to.deep.equal([]);
+		});
+	});
+});
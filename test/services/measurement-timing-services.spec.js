@@ -0,0 +1,90 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const measurementTimingServices = require("../../services/measurement-timing-services");
+
+describe("Services: Measurement Timing Services", () => {
+	describe("parseTimestamp(...)", () => {
+		it("should accept epoch milliseconds and ISO 8601 strings", () => {
+			expect(measurementTimingServices.parseTimestamp(1600000000000)).to.equal(1600000000000);
+			expect(measurementTimingServices.parseTimestamp("2020-09-13T12:26:40.000Z")).to.equal(1600000000000);
+		});
+
+		it("should return NaN for invalid timestamps", () => {
+			expect(measurementTimingServices.parseTimestamp("yesterday")).to.be.NaN;
+			expect(measurementTimingServices.parseTimestamp(null)).to.be.NaN;
+			expect(measurementTimingServices.parseTimestamp(Infinity)).to.be.NaN;
+		});
+	});
+
+	describe("isValidTimestamp(...)", () => {
+		it("should accept a missing timestamp, a date or a date per sample", () => {
+			expect(measurementTimingServices.isValidTimestamp(undefined, 1000)).to.be.true;
+			expect(measurementTimingServices.isValidTimestamp(1600000000000, [1000, 1100])).to.be.true;
+			expect(measurementTimingServices.isValidTimestamp([1600000000000, "2020-09-13T12:26:41Z"], [1000, 1100])).to.be
+				.true;
+		});
+
+		it("should reject a list of timestamps that does not match the samples", () => {
+			expect(measurementTimingServices.isValidTimestamp([1600000000000], [1000, 1100])).to.be.false;
+			expect(measurementTimingServices.isValidTimestamp([1600000000000], 1000)).to.be.false;
+			expect(measurementTimingServices.isValidTimestamp("not a date", 1000)).to.be.false;
+		});
+	});
+
+	describe("discardStaleSamples(...)", () => {
+		it("should discard the samples older than the window relative to the newest one", () => {
+			const data = [
+				{ beacon_uid: "1", distance: [1000, 1100, 1200], timestamp: [0, 8000, 9000] },
+				{ beacon_uid: "2", rssi: -70, timestamp: 1000 },
+				{ beacon_uid: "3", distance: 2000, timestamp: 10000 },
+			];
+			const result = measurementTimingServices.discardStaleSamples(data, 5);
+			expect(result.newestTimestamp).to.equal(10000);
+			expect(result.discardedSamples).to.equal(2);
+			expect(result.keptMeasurements).to.deep.equal([0, 2]);
+			expect(result.data[0].distance).to.deep.equal([1100, 1200]);
+			expect(result.data[0].timestamp).to.deep.equal([8000, 9000]);
+			expect(result.data[1].distance).to.equal(2000);
+		});
+
+		it("should keep the measurements without timestamp", () => {
+			const data = [
+				{ beacon_uid: "1", distance: 1000 },
+				{ beacon_uid: "2", distance: 1000, timestamp: 10000 },
+			];
+			const result = measurementTimingServices.discardStaleSamples(data, 5);
+			expect(result.keptMeasurements).to.deep.equal([0, 1]);
+			expect(result.discardedSamples).to.equal(0);
+		});
+
+		it("should return the data unchanged if there are no timestamps", () => {
+			const data = [{ beacon_uid: "1", distance: 1000 }];
+			const result = measurementTimingServices.discardStaleSamples(data);
+			expect(result.data).to.equal(data);
+			expect(result.newestTimestamp).to.be.undefined;
+		});
+	});
+
+	describe("getLocationDate(...)", () => {
+		const now = 1600000000000;
+
+		it("should use the timestamp of the device if its clock is close to the server", () => {
+			const result = measurementTimingServices.getLocationDate(now - 2000, 30, now);
+			expect(result.date.getTime()).to.equal(now - 2000);
+			expect(result.clock_skew).to.equal(-2);
+		});
+
+		it("should use the date of the server if the clock skew is too big", () => {
+			const result = measurementTimingServices.getLocationDate(now + 60000, 30, now);
+			expect(result.date.getTime()).to.equal(now);
+			expect(result.clock_skew).to.equal(60);
+		});
+
+		it("should use the date of the server if there is no timestamp", () => {
+			const result = measurementTimingServices.getLocationDate(undefined, 30, now);
+			expect(result.date.getTime()).to.equal(now);
+			expect(result.clock_skew).to.be.undefined;
+		});
+	});
+});
@@ -0,0 +1,87 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const outlierRejectionServices = require("../../services/outlier-rejection-services");
+
+describe("Services: Outlier Rejection Services", () => {
+	//exact distances from the location (2000, 3000) and one reflection
+	const location = { x: 2000, y: 3000 };
+	const beacons = [
+		{ x: 0, y: 0 },
+		{ x: 6000, y: 0 },
+		{ x: 0, y: 6000 },
+		{ x: 6000, y: 6000 },
+		{ x: 3000, y: 8000 },
+	];
+	const measurements = beacons.map((beacon) => ({
+		...beacon,
+		radius: Math.hypot(location.x - beacon.x, location.y - beacon.y),
+	}));
+	const measurementsWithReflection = measurements.map((measurement, i) =>
+		i === 3 ? { ...measurement, radius: measurement.radius + 5000 } : measurement
+	);
+
+	describe("findOutliers(...)", () => {
+		it("should find the reflected measurement with ransac", () => {
+			expect(outlierRejectionServices.findOutliers(measurementsWithReflection, { method: "ransac" })).to.deep.equal([3]);
+		});
+
+		it("should find the reflected measurement with the residual method", () => {
+			expect(outlierRejectionServices.findOutliers(measurementsWithReflection, { method: "residual" })).to.deep.equal([
+				3,
+			]);
+		});
+
+		it("should not discard measurements that agree", () => {
+			expect(outlierRejectionServices.findOutliers(measurements, { method: "ransac" })).to.deep.equal([]);
+			expect(outlierRejectionServices.findOutliers(measurements, { method: "residual" })).to.deep.equal([]);
+		});
+
+		it("should not discard measurements with the none method", () => {
+			expect(outlierRejectionServices.findOutliers(measurementsWithReflection, { method: "none" })).to.deep.equal([]);
+		});
+
+		it("should not discard measurements if there are not enough of them to detect a wrong one", () => {
+			expect(outlierRejectionServices.findOutliers(measurementsWithReflection.slice(1, 4))).to.deep.equal([]);
+		});
+
+		it("should find the reflected measurement in 3D", () => {
+			const location3D = { x: 2000, y: 1000, z: 3000 };
+			const beacons3D = [
+				{ x: 0, y: 2500, z: 0 },
+				{ x: 6000, y: 0, z: 0 },
+				{ x: 0, y: 0, z: 6000 },
+				{ x: 6000, y: 2500, z: 6000 },
+				{ x: 3000, y: 2500, z: 8000 },
+				{ x: -2000, y: 500, z: 3000 },
+			];
+			const measurements3D = beacons3D.map((beacon, i) => ({
+				...beacon,
+				radius:
+					Math.hypot(location3D.x - beacon.x, location3D.y - beacon.y, location3D.z - beacon.z) + (i === 1 ? 8000 : 0),
+			}));
+			expect(outlierRejectionServices.findOutliers(measurements3D)).to.deep.equal([1]);
+		});
+
+		it("should find the reflected measurements among many beacons", () => {
+			//a grid of 20 beacons: the first 200 subsets in order all have the measurement 0 or 1
+			const grid = [...Array(20).keys()].map((i) => ({ x: (i % 5) * 3000, y: Math.floor(i / 5) * 3000 }));
+			const manyMeasurements = grid.map((beacon, i) => ({
+				...beacon,
+				radius: Math.hypot(location.x - beacon.x, location.y - beacon.y) + (i < 2 ? 3000 : 0),
+			}));
+			const options = { threshold: 100, relative_threshold: 0.01 };
+			expect(outlierRejectionServices.findOutliers(manyMeasurements, options)).to.deep.equal([0, 1]);
+			//the subsets are drawn with a seed: the same measurements give the same outliers
+			const seeded = { ...options, seed: 7 };
+			expect(outlierRejectionServices.findOutliers(manyMeasurements, seeded)).to.deep.equal([0, 1]);
+			expect(outlierRejectionServices.findOutliers(manyMeasurements, seeded)).to.deep.equal([0, 1]);
+		});
+
+		it("should throw an error if the method is invalid", () => {
+			expect(() => outlierRejectionServices.findOutliers(measurements, { method: "magic" })).to.throw(
+				"Outlier rejection method is invalid"
+			);
+		});
+	});
+});
@@ -0,0 +1,82 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const pathLossServices = require("../../services/path-loss-services");
+
+describe("Services: Path Loss Services", () => {
+	describe("rssiToDistance(...)", () => {
+		it("should return 1 m if the RSSI is the reference RSSI", () => {
+			expect(pathLossServices.rssiToDistance(-59, -59, 2)).to.be.closeTo(1000, 0.00001);
+		});
+
+		it("should return 10 m if the RSSI is 10*n dB lower than the reference RSSI", () => {
+			expect(pathLossServices.rssiToDistance(-79, -59, 2)).to.be.closeTo(10000, 0.00001);
+			expect(pathLossServices.rssiToDistance(-89, -59, 3)).to.be.closeTo(10000, 0.00001);
+		});
+	});
+
+	describe("getPathLossParameters(...)", () => {
+		it("should return the default parameters if nothing is defined", () => {
+			expect(pathLossServices.getPathLossParameters(undefined, undefined, undefined)).to.deep.equal(
+				pathLossServices.DEFAULT_PATH_LOSS
+			);
+		});
+
+		it("should use the parameters of the project", () => {
+			expect(
+				pathLossServices.getPathLossParameters({ reference_rssi: -65, path_loss_exponent: 2.5 }, undefined, undefined)
+			).to.deep.equal({ reference_rssi: -65, path_loss_exponent: 2.5 });
+		});
+
+		it("should prefer the tx power over the reference RSSI of the project", () => {
+			expect(
+				pathLossServices.getPathLossParameters({ reference_rssi: -65, path_loss_exponent: 2.5 }, undefined, -70)
+			).to.deep.equal({ reference_rssi: -70, path_loss_exponent: 2.5 });
+		});
+
+		it("should prefer the parameters of the beacon", () => {
+			expect(
+				pathLossServices.getPathLossParameters(
+					{ reference_rssi: -65, path_loss_exponent: 2.5 },
+					{ reference_rssi: -71 },
+					-70
+				)
+			).to.deep.equal({ reference_rssi: -71, path_loss_exponent: 2.5 });
+		});
+	});
+	describe("fitPathLossModel(...)", () => {
+		it("should find the parameters of samples that follow the model", () => {
+			const samples = [1000, 2000, 4000, 8000].map((distance) => ({
+				distance: distance,
+				rssi: -65 - 10 * 2.5 * Math.log10(distance / 1000),
+			}));
+			const fit = pathLossServices.fitPathLossModel(samples);
+			expect(fit).to.have.property("reference_rssi").closeTo(-65, 0.00001);
+			expect(fit).to.have.property("path_loss_exponent").closeTo(2.5, 0.00001);
+			expect(fit).to.have.property("r_squared").closeTo(1, 0.00001);
+			expect(fit).to.have.property("rmse").closeTo(0, 0.00001);
+		});
+
+		it("should throw if all the samples were taken at the same distance", () => {
+			expect(() =>
+				pathLossServices.fitPathLossModel([
+					{ distance: 1000, rssi: -60 },
+					{ distance: 1000, rssi: -62 },
+				])
+			)
+				.to.throw(Error)
+				.with.property("statusCode", 400);
+		});
+
+		it("should throw if the RSSI increases with the distance", () => {
+			expect(() =>
+				pathLossServices.fitPathLossModel([
+					{ distance: 1000, rssi: -80 },
+					{ distance: 5000, rssi: -60 },
+				])
+			)
+				.to.throw(Error)
+				.with.property("statusCode", 400);
+		});
+	});
+});
@@ -0,0 +1,60 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const pdrServices = require("../../services/pdr-services");
+
+describe("Services: PDR Services", () => {
+	describe("getDisplacement(...)", () => {
+		it("should walk North along the -z axis of the model without geo-reference", () => {
+			const displacement = pdrServices.getDisplacement([{ steps: 10, heading: 0, step_length: 0.5 }]);
+			expect(displacement.x).to.be.closeTo(0, 1e-9);
+			expect(displacement.z).to.be.closeTo(-5000, 1e-9);
+			expect(displacement.distance).to.be.closeTo(5000, 1e-9);
+		});
+
+		it("should add the deltas and use the default step length", () => {
+			const displacement = pdrServices.getDisplacement([
+				{ steps: 10, heading: 90 },
+				{ steps: 10, heading: 180 },
+			]);
+			expect(displacement.x).to.be.closeTo(7000, 1e-9);
+			expect(displacement.z).to.be.closeTo(7000, 1e-9);
+			expect(displacement.distance).to.be.closeTo(14000, 1e-9);
+		});
+
+		it("should use the rotation and the scale of the geo-reference", () => {
+			//East is the -z axis of the model
+			const displacement = pdrServices.getDisplacement([{ steps: 2, heading: 90, step_length: 1 }], {
+				rotation: 90,
+				scale: 100,
+			});
+			expect(displacement.x).to.be.closeTo(0, 1e-9);
+			expect(displacement.z).to.be.closeTo(-200, 1e-9);
+		});
+	});
+
+	describe("getHeightChange(...)", () => {
+		it("should go up when the pressure goes down", () => {
+			expect(pdrServices.getHeightChange(-0.4)).to.be.closeTo(3320, 1e-9);
+		});
+	});
+
+	describe("predict(...) and fuse(...)", () => {
+		const previousLocation = { x: 1000, y: 0, z: 1000, accuracy: 500 };
+
+		it("should move the previous location and increase its variance", () => {
+			const prediction = pdrServices.predict(previousLocation, { x: 2000, z: 0, distance: 2000 });
+			expect(prediction.x).to.equal(3000);
+			expect(prediction.z).to.equal(1000);
+			expect(prediction.variance).to.be.closeTo(500 * 500 + 400 * 400, 1e-6);
+		});
+
+		it("should weight the prediction and the fix by their variances", () => {
+			const prediction = { x: 0, y: 0, z: 0, variance: 1000 * 1000 };
+			const fused = pdrServices.fuse(prediction, { x: 3000, y: 2800, z: 0, accuracy: 1000 });
+			expect(fused.x).to.be.closeTo(1500, 1e-9);
+			expect(fused.y).to.equal(2800);
+			expect(fused.variance).to.be.closeTo((1000 * 1000) / 2, 1e-6);
+		});
+	});
+});
@@ -0,0 +1,122 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const placementPlannerServices = require("../../services/placement-planner-services");
+
+describe("Services: Placement Planner Services", () => {
+	//beacons on the corners of a 10 x 10 meters room
+	const beacons = [
+		{ x: 0, y: 2500, z: 0 },
+		{ x: 10000, y: 2500, z: 0 },
+		{ x: 0, y: 2500, z: 10000 },
+		{ x: 10000, y: 2500, z: 10000 },
+	];
+	const room = { _id: "room", category: "space", storey: "ground", min: { x: 0, y: 0, z: 0 } };
+
+	describe("getCellGeometry(...)", () => {
+		it("should count the beacons in range and compute the GDOP", () => {
+			const center = placementPlannerServices.getCellGeometry({ x: 5000, z: 5000 }, beacons, 10000);
+			expect(center.beacons_in_range).to.equal(4);
+			//four beacons at right angles: HᵀH = 2I
+			expect(center.gdop).to.be.closeTo(1, 1e-9);
+			const corner = placementPlannerServices.getCellGeometry({ x: 0, z: 0 }, beacons, 9000);
+			expect(corner).to.deep.equal({ beacons_in_range: 1, gdop: null });
+		});
+	});
+
+	describe("getCoverage(...)", () => {
+		it("should classify the cells", () => {
+			expect(placementPlannerServices.getCoverage({ beacons_in_range: 4, gdop: 1.2 })).to.equal("good");
+			expect(placementPlannerServices.getCoverage({ beacons_in_range: 3, gdop: 5 })).to.equal("poor-geometry");
+			expect(placementPlannerServices.getCoverage({ beacons_in_range: 3, gdop: null })).to.equal("poor-geometry");
+			const twoBeacons = { beacons_in_range: 2, gdop: 1 };
+			expect(placementPlannerServices.getCoverage(twoBeacons)).to.equal("insufficient-beacons");
+			expect(placementPlannerServices.getCoverage(twoBeacons, { minBeacons: 2 })).to.equal("good");
+			expect(placementPlannerServices.getCoverage(null)).to.equal(null);
+		});
+	});
+
+	describe("getPoorlyCoveredAreas(...)", () => {
+		it("should group the adjacent cells with the same coverage", () => {
+			const coverage = [
+				["good", "poor-geometry", "poor-geometry"],
+				["insufficient-beacons", "good", "poor-geometry"],
+				["insufficient-beacons", null, "insufficient-beacons"],
+			];
+			const areas = placementPlannerServices.getPoorlyCoveredAreas(coverage);
+			expect(areas).to.have.length(3);
+			expect(areas[0].coverage).to.equal("poor-geometry");
+			expect(areas[0].cells).to.have.deep.members([
+				[0, 1],
+				[0, 2],
+				[1, 2],
+			]);
+			expect(areas[1].cells).to.have.deep.members([
+				[1, 0],
+				[2, 0],
+			]);
+			expect(areas[2].cells).to.deep.equal([[2, 2]]);
+		});
+	});
+
+	describe("planCoverage(...)", () => {
+		it("should cover a room with a beacon on every corner", () => {
+			const elements = [{ ...room, max: { x: 10000, y: 3000, z: 10000 } }];
+			const plan = placementPlannerServices.planCoverage("ground", beacons, elements, { maxRange: 15000 });
+			expect(plan.origin).to.deep.equal({ x: 0, z: 0 });
+			expect(plan.columns).to.equal(10);
+			expect(plan.rows).to.equal(10);
+			expect(plan.beacons_in_range[5][5]).to.equal(4);
+			expect(plan.summary.walkable_cells).to.equal(100);
+			expect(plan.summary.coverage_ratio).to.equal(1);
+			expect(plan.suggestions).to.have.length(0);
+		});
+
+		it("should suggest a beacon where the room is not covered", () => {
+			//the room is twice as long as the beacons reach
+			const elements = [
+				{ ...room, max: { x: 20000, y: 3000, z: 10000 } },
+				{ _id: "wall", category: "wall", storey: "ground", min: { x: 0, z: 4200 }, max: { x: 1000, z: 4800 } },
+			];
+			const plan = placementPlannerServices.planCoverage("ground", beacons, elements);
+			expect(plan.columns).to.equal(20);
+			//the cell of the wall is not walkable
+			expect(plan.coverage[4][0]).to.equal(null);
+			expect(plan.summary.walkable_cells).to.equal(199);
+			expect(plan.coverage[5][19]).to.equal("insufficient-beacons");
+			const suggestion = plan.suggestions[0];
+			expect(suggestion.issue).to.equal("insufficient-beacons");
+			expect(suggestion.center.x).to.be.above(12000);
+			expect(suggestion.bounds.max.x).to.equal(20000);
+			expect(suggestion.suggestion).to.match(/^Add a beacon near/);
+		});
+
+		it("should use the beacons if the storey has no building elements", () => {
+			const plan = placementPlannerServices.planCoverage("ground", beacons, [], { margin: 1000 });
+			expect(plan.origin).to.deep.equal({ x: -1000, z: -1000 });
+			expect(plan.columns).to.equal(12);
+			expect(plan.summary.walkable_cells).to.equal(144);
+		});
+
+		it("should accept coordinates as numeric strings", () => {
+			const proposedBeacons = [
+				{ x: "0", z: "0" },
+				{ x: "4000", z: "0" },
+				{ x: "0", z: "4000" },
+			];
+			const plan = placementPlannerServices.planCoverage("ground", proposedBeacons, []);
+			expect(plan.origin).to.deep.equal({ x: -2000, z: -2000 });
+			expect(plan.columns).to.equal(8);
+			expect(plan.rows).to.equal(8);
+		});
+
+				it("should not compute too big grids", () => {
+			expect(() => placementPlannerServices.planCoverage("ground", beacons, [], { resolution: 10 }))
+				.to.throw()
+				.with.property("statusCode", 400);
+			expect(() => placementPlannerServices.planCoverage("ground", [], []))
+				.to.throw()
+				.with.property("statusCode", 409);
+		});
+	});
+});
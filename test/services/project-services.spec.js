@@ -358,6 +358,32 @@ describe("Services: Project Services", () => {
 		});
 	});
 
+	describe("formatCoordinates(...)", () => {
+		before(async () => {
+			await Project.deleteMany({});
+			const project = new Project({ _id: "123456", slug: "slug", name: "projectName" });
+			await project.save();
+		});
+
+		it("should return the entities as they are in the coordinates of the model", async () => {
+			const beacons = [{ _id: "beacon1", location: { x: 0, y: 1, z: 2 } }];
+			const formatted = await projectServices.formatCoordinates("123456", beacons, "model");
+			expect(formatted).to.equal(beacons);
+		});
+
+		it("should throw a 409 if the project has not defined a geo-reference", async () => {
+			const beacons = [{ _id: "beacon1", location: { x: 0, y: 1, z: 2 } }];
+			await expect(projectServices.formatCoordinates("123456", beacons, "geographic"))
+				.to.be.rejectedWith(Error)
+				.and.eventually.have.property("statusCode")
+				.that.equals(409);
+		});
+
+		after(async () => {
+			await Project.deleteMany({});
+		});
+	});
+
 	//clean Database
 	after(async function () {
 		await Project.deleteMany({});
@@ -0,0 +1,106 @@
+const chai = require("chai");
+const chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+const simulationServices = require("../../services/simulation-services");
+const projectContext = require("../../services/location-methods/project-context");
+
+describe("Services: Simulation Services", () => {
+	const beacons = [
+		[0, 0],
+		[10000, 0],
+		[0, 8000],
+		[10000, 8000],
+		[5000, 4000],
+	].map(([x, z], i) => ({
+		uid_beacon: "00000000" + i,
+		name: "beacon " + i,
+		location: { x: x, y: 2500, z: z },
+	}));
+	const project = { _id: "simulatedProject", beacons_model: { beacons: beacons, storeys: [] } };
+
+	describe("generatePath(...)", () => {
+		it("should generate a path inside the beacon layout", () => {
+			const floor = { storey: undefined, elevation: 0, beacons: beacons };
+			const path = simulationServices.generatePath(floor, simulationServices.createRandom(3), { points: 100 });
+			expect(path).to.have.length(100);
+			path.forEach((location) => {
+				expect(location.x).to.be.within(0, 10000);
+				expect(location.z).to.be.within(0, 8000);
+				expect(location.y).to.equal(0);
+			});
+		});
+	});
+
+	describe("simulateMeasurements(...)", () => {
+		it("should measure only the beacons in range", () => {
+			const measurements = simulationServices.simulateMeasurements(
+				{ x: 0, y: 2500, z: 0 },
+				beacons,
+				project,
+				simulationServices.createRandom(1),
+				{ maxRange: 9000, noise: { model: "gaussian", std: 0 } }
+			);
+			expect(measurements.map((measurement) => measurement.beacon_uid)).to.deep.equal([
+				"000000000",
+				"000000002",
+				"000000004",
+			]);
+			expect(measurements[1].distance).to.be.closeTo(8000, 1e-9);
+		});
+
+		it("should throw an error if the noise model is invalid", () => {
+			expect(() =>
+				simulationServices.simulateMeasurements({ x: 0, y: 0, z: 0 }, beacons, project, simulationServices.createRandom(1), {
+					noise: { model: "magic" },
+				})
+			).to.throw("Noise model is invalid");
+		});
+	});
+
+	describe("runSimulation(...)", () => {
+		const options = { paths: 1, points: 10, methods: ["beacon-trilateration", "gps-location"] };
+
+		it("should report the accuracy of the methods", async () => {
+			const report = await simulationServices.runSimulation(
+				project,
+				projectContext.createProjectContext(project),
+				options
+			);
+			const trilateration = report.methods.find((row) => row.method === "beacon-trilateration");
+			expect(trilateration.samples).to.equal(10);
+			expect(trilateration.failure_rate).to.equal(0);
+			expect(trilateration.median_error).to.be.lessThan(2000);
+			expect(trilateration.p95_error).to.be.at.least(trilateration.median_error);
+			//gps-location cannot use beacon measurements
+			expect(report.methods.find((row) => row.method === "gps-location").skipped).to.be.a("string");
+		});
+
+		it("should give the same report with the same seed", async () => {
+			const context = projectContext.createProjectContext(project);
+			const first = await simulationServices.runSimulation(project, context, options);
+			const second = await simulationServices.runSimulation(project, context, options);
+			expect(first).to.deep.equal(second);
+		});
+
+		it("should not simulate a layout without enough beacons", async () => {
+			const emptyProject = { _id: "empty", beacons_model: { beacons: beacons.slice(0, 2) } };
+			await expect(
+				simulationServices.runSimulation(emptyProject, projectContext.createProjectContext(emptyProject))
+			).to.be.rejectedWith("The project needs at least 3 beacons in a storey to be simulated");
+		});
+	});
+
+	describe("toCsv(...)", () => {
+		it("should write a line per method", () => {
+			const csv = simulationServices.toCsv({
+				methods: [{ method: "a", samples: 2, failures: 1, failure_rate: 0.5, skipped: "not valid, sorry" }],
+			});
+			expect(csv.split("\n")).to.deep.equal([
+				"method,samples,failures,failure_rate,mean_error,median_error,p95_error,max_error,skipped",
+				'a,2,1,0.5,,,,,"not valid, sorry"',
+			]);
+		});
+	});
+});
@@ -0,0 +1,89 @@
+const chai = require("chai");
+const expect = chai.expect;
+
+const storeyServices = require("../../services/storey-services");
+
+describe("Services: Storey Services", () => {
+	const topologyTree = {
+		id: "project",
+		type: "TopologyProject",
+		children: [
+			{
+				id: "building",
+				type: "TopologyBuilding",
+				children: [
+					{
+						id: "storey0",
+						name: "Ground Floor",
+						type: "TopologyStorey",
+						elevation: 0,
+						children: [{ id: "beacon1", type: "GeometryObject", name: "beacon1", children: [] }],
+					},
+					{
+						id: "storey1",
+						name: "First Floor",
+						type: "TopologyStorey",
+						children: [
+							{
+								id: "room",
+								type: "TopologyItem",
+								children: [{ id: "beacon2", type: "GeometryObject", name: "beacon2", children: [] }],
+							},
+						],
+					},
+				],
+			},
+			{ id: "beacon3", type: "GeometryObject", name: "beacon3", children: [] },
+		],
+	};
+
+	describe("extractStoreys(...)", () => {
+		it("should find the storeys and the storey of every node", () => {
+			const { storeys, storeyOfNode } = storeyServices.extractStoreys(topologyTree);
+			expect(storeys.map((storey) => storey._id)).to.have.members(["storey0", "storey1"]);
+			expect(storeyOfNode).to.have.property("beacon1", "storey0");
+			expect(storeyOfNode).to.have.property("beacon2", "storey1");
+			expect(storeyOfNode).to.not.have.property("beacon3");
+		});
+	});
+
+	describe("getStoreysOfBeacons(...)", () => {
+		it("should use the lowest beacon as elevation if the storey has no elevation", () => {
+			const { storeys } = storeyServices.extractStoreys(topologyTree);
+			const beacons = [
+				{ storey: "storey0", location: { x: 0, y: 2500, z: 0 } },
+				{ storey: "storey1", location: { x: 0, y: 5500, z: 0 } },
+				{ storey: "storey1", location: { x: 0, y: 5000, z: 0 } },
+			];
+			const storeysOfBeacons = storeyServices.getStoreysOfBeacons(storeys, beacons);
+			expect(storeysOfBeacons).to.deep.equal([
+				{ _id: "storey0", name: "Ground Floor", elevation: 0 },
+				{ _id: "storey1", name: "First Floor", elevation: 5000 },
+			]);
+		});
+	});
+
+	describe("selectStorey(...)", () => {
+		it("should select the storey with the closest beacons", () => {
+			const beacons = [{ storey: "storey0" }, { storey: "storey0" }, { storey: "storey1" }];
+			expect(storeyServices.selectStorey(beacons, [2500, 3000, 4000])).to.equal("storey0");
+			expect(storeyServices.selectStorey(beacons, [6000, 6500, 2000])).to.equal("storey1");
+		});
+
+		it("should return undefined if the beacons have no storey", () => {
+			expect(storeyServices.selectStorey([{}, {}], [1000, 2000])).to.equal(undefined);
+		});
+	});
+
+	describe("getStoreyByElevation(...)", () => {
+		const storeys = [
+			{ _id: "storey1", elevation: 3000 },
+			{ _id: "storey0", elevation: 0 },
+		];
+		it("should return the highest storey below the point", () => {
+			expect(storeyServices.getStoreyByElevation(storeys, 4500)._id).to.equal("storey1");
+			expect(storeyServices.getStoreyByElevation(storeys, 1200)._id).to.equal("storey0");
+			expect(storeyServices.getStoreyByElevation(storeys, -500)._id).to.equal("storey0");
+		});
+	});
+});
@@ -117,8 +117,17 @@ describe("Services: Tracked Entities Services", () => {
 					numOfTrackedUsers
 				);
 				expect(trackedUser)
-					.to.have.property("location")
+					.to.have.property("raw_location")
 					.to.have.property("y", 2);
+				//the stored location is filtered with the previous location
+				expect(trackedUser)
+					.to.have.property("location")
+					.to.have.property("y")
+					.that.is.within(1, 2);
+				expect(trackedUser).to.have.property("filter_state").to.have.property("covariance").to.have.length(6);
+				//the filtered location has the accuracy of the filter
+				expect(trackedUser.location).to.have.property("accuracy").that.is.greaterThan(0);
+				expect(trackedUser.location).to.have.property("covariance").to.have.length(3);
 				expect(trackedUser)
 					.to.have.property("historicalData")
 					.to.be.array()
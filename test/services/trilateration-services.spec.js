@@ -57,6 +57,28 @@ describe("Services: Weighted Trilateration", () => {
 			expect(location).to.have.property("y").closeTo(-1.2290839655, 0.00001);
 		});
 
+		it("should approximate the correct location when the circles intersect in pairs", () => {
+			const listMeasuerements = [
+				{ radius: 3, x: 0, y: 0 },
+				{ radius: 4, x: 8, y: 0 },
+				{ radius: 5, x: 4, y: 3 },
+			];
+			const location = weigthedMultilateration.weightedTrilateration(listMeasuerements);
+			expect(location).to.have.property("branch", "pair-intersections");
+			expect(location).to.have.property("x").closeTo(3.3299218927, 0.00001);
+			expect(location).to.have.property("y").closeTo(-1.8451945239, 0.00001);
+		});
+
+		it("should report which case of intersections was used", () => {
+			const listMeasuerements = [
+				{ radius: 3, x: 0, y: 0 },
+				{ radius: 4, x: 0, y: 9 },
+				{ radius: 5.83095189485, x: 12, y: 5 },
+			];
+			const location = weigthedMultilateration.weightedTrilateration(listMeasuerements);
+			expect(location).to.have.property("branch", "no-intersections");
+		});
+
 		it("should approximate the correct location when no circles intersect", () => {
 			const listMeasuerements = [
 				{ radius: 3, x: 0, y: 0 },
@@ -114,4 +136,117 @@ describe("Services: Weighted Trilateration", () => {
 			expect(location).to.have.property("y").closeTo(0.371428571 ,0.00001);
 		});
 	});
+	describe("weightedLeastSquaresMultilateration(...)", () => {
+		const beacons = [
+			{ x: 0, y: 0, z: 0 },
+			{ x: 10, y: 0, z: 0 },
+			{ x: 0, y: 10, z: 0 },
+			{ x: 0, y: 0, z: 10 },
+			{ x: 10, y: 10, z: 10 },
+		];
+		const distanceTo = (beacon, location) =>
+			Math.hypot(beacon.x - location.x, beacon.y - location.y, beacon.z - location.z);
+
+		it("should throw if there are less than 3 measurements", () => {
+			expect(() =>
+				weigthedMultilateration.weightedLeastSquaresMultilateration([
+					{ radius: 1, x: 0, y: 0, z: 0 },
+					{ radius: 1, x: 1, y: 0, z: 0 },
+				])
+			).to.throw(Error);
+		});
+
+		it("should find the exact location in 3D when the measurements are exact", () => {
+			const realLocation = { x: 3, y: 4, z: 2 };
+			const listMeasurements = beacons.map((beacon) => ({ ...beacon, radius: distanceTo(beacon, realLocation) }));
+			const location = weigthedMultilateration.weightedLeastSquaresMultilateration(listMeasurements);
+
+			expect(location).to.have.property("x").closeTo(3, 0.0001);
+			expect(location).to.have.property("y").closeTo(4, 0.0001);
+			expect(location).to.have.property("z").closeTo(2, 0.0001);
+		});
+
+		it("should use all the measurements and not only the 3 closest ones", () => {
+			const realLocation = { x: 8, y: 7, z: 6 };
+			const listMeasurements = beacons.map((beacon) => ({ ...beacon, radius: distanceTo(beacon, realLocation) }));
+			const location = weigthedMultilateration.weightedLeastSquaresMultilateration(listMeasurements);
+
+			expect(location).to.have.property("x").closeTo(8, 0.0001);
+			expect(location).to.have.property("y").closeTo(7, 0.0001);
+			expect(location).to.have.property("z").closeTo(6, 0.0001);
+		});
+
+		it("should give less influence to measurements with a smaller weight", () => {
+			const realLocation = { x: 3, y: 4, z: 2 };
+			const listMeasurements = beacons.map((beacon) => ({
+				...beacon,
+				radius: distanceTo(beacon, realLocation),
+				weight: 1,
+			}));
+			//wrong measurement
+			listMeasurements[4].radius += 5;
+			const unweightedLocation = weigthedMultilateration.weightedLeastSquaresMultilateration(listMeasurements);
+			listMeasurements[4].weight = 0.01;
+			const weightedLocation = weigthedMultilateration.weightedLeastSquaresMultilateration(listMeasurements);
+
+			expect(distanceTo(weightedLocation, realLocation)).to.be.lessThan(distanceTo(unweightedLocation, realLocation));
+		});
+	});
+
+	describe("tdoaMultilateration(...)", () => {
+		const reference = { x: 0, y: 0, z: 0 };
+		const anchors = [
+			{ x: 10, y: 0, z: 0 },
+			{ x: 0, y: 10, z: 0 },
+			{ x: 0, y: 0, z: 10 },
+			{ x: 10, y: 10, z: 10 },
+		];
+		const distanceTo = (anchor, location) =>
+			Math.hypot(anchor.x - location.x, anchor.y - location.y, anchor.z - location.z);
+		const getMeasurements = (realLocation) =>
+			anchors.map((anchor) => ({
+				...anchor,
+				rangeDifference: distanceTo(anchor, realLocation) - distanceTo(reference, realLocation),
+			}));
+
+		it("should throw if there are less than 3 range differences", () => {
+			const measurements = getMeasurements({ x: 1, y: 1, z: 1 }).slice(0, 2);
+			expect(() => weigthedMultilateration.tdoaMultilateration(reference, measurements)).to.throw(Error);
+		});
+
+		it("should find the exact location when the time differences are exact", () => {
+			const measurements = getMeasurements({ x: 3, y: 4, z: 2 });
+			const location = weigthedMultilateration.tdoaMultilateration(reference, measurements);
+
+			expect(location).to.have.property("x").closeTo(3, 0.0001);
+			expect(location).to.have.property("y").closeTo(4, 0.0001);
+			expect(location).to.have.property("z").closeTo(2, 0.0001);
+		});
+
+		it("should find the location with only 3 range differences", () => {
+			const location = weigthedMultilateration.tdoaMultilateration(
+				reference,
+				getMeasurements({ x: 6, y: 3, z: 5 }).slice(0, 3)
+			);
+
+			expect(location).to.have.property("x").closeTo(6, 0.001);
+			expect(location).to.have.property("y").closeTo(3, 0.001);
+			expect(location).to.have.property("z").closeTo(5, 0.001);
+		});
+	});
+
+	describe("getCircleIntersections(...)", () => {
+		it("should return the intersection points of every pair of circles", () => {
+			const intersections = weigthedMultilateration.getCircleIntersections([
+				{ radius: 5, x: 0, y: 0 },
+				{ radius: 5, x: 8, y: 0 },
+				{ radius: 1, x: 20, y: 20 },
+			]);
+			expect(intersections).to.have.length(2);
+			intersections.forEach((intersection) => {
+				expect(intersection.x).to.be.closeTo(4, 1e-9);
+				expect(Math.abs(intersection.y)).to.be.closeTo(3, 1e-9);
+			});
+		});
+	});
 });
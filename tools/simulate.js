@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Command line tool for benchmarking the location methods with simulated measurements (see services/simulation-services).
+ *
+ * Usage:
+ *   npm run simulate -- --layout ./layout.json [options]
+ *   npm run simulate -- --project <project_id> [options]     (reads the project from the database DB_DEVELOPMENT)
+ *
+ * Options:
+ *   --layout <file>          JSON file with the beacon layout: {beacons_model: {beacons, storeys}, path_loss, ...} or
+ *                            {beacons: [{uid_beacon, location: {x,y,z}, storey}], storeys, path_loss, ...}
+ *   --project <id>           id of a project of the local database
+ *   --paths <n>              number of simulated paths
+ *   --points <n>             locations per path
+ *   --noise <model>          gaussian | proportional | nlos | rssi
+ *   --noise-std <mm>         standard deviation of the gaussian noise
+ *   --relative-std <ratio>   standard deviation of the proportional noise
+ *   --nlos-probability <p>   probability of a reflected measurement (nlos)
+ *   --shadowing-std <dB>     standard deviation of the RSSI (rssi)
+ *   --max-range <mm>         beacons further away are not measured
+ *   --methods <a,b>          location methods to run (all the registered ones by default)
+ *   --seed <n>               seed of the random numbers
+ *   --json <file>            writes the report as JSON (printed if no output file is given)
+ *   --csv <file>             writes the report as CSV
+ */
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+dotenv.config();
+
+const Project = require("../models/project");
+const simulationServices = require("../services/simulation-services");
+const projectContext = require("../services/location-methods/project-context");
+
+/**
+ * Parses the arguments --name value
+ * @param {[String]} args
+ * @returns {JSON} {name: value}
+ */
+const parseArguments = (args) => {
+	const parsed = {};
+	for (let i = 0; i < args.length; i++) {
+		if (!args[i].startsWith("--")) {
+			throw new Error("Unexpected argument " + args[i]);
+		}
+		parsed[args[i].slice(2)] = args[i + 1];
+		i++;
+	}
+	return parsed;
+};
+
+/**
+ * Options of the simulation from the arguments
+ * @param {JSON} args parsed arguments
+ */
+const getOptions = (args) => {
+	const options = { noise: {} };
+	const number = (value) => {
+		if (isNaN(value)) {
+			throw new Error("Invalid number " + value);
+		}
+		return Number(value);
+	};
+	if (args.paths !== undefined) options.paths = number(args.paths);
+	if (args.points !== undefined) options.points = number(args.points);
+	if (args.seed !== undefined) options.seed = number(args.seed);
+	if (args["max-range"] !== undefined) options.maxRange = number(args["max-range"]);
+	if (args.methods !== undefined) options.methods = args.methods.split(",");
+	if (args.noise !== undefined) options.noise.model = args.noise;
+	if (args["noise-std"] !== undefined) options.noise.std = number(args["noise-std"]);
+	if (args["relative-std"] !== undefined) options.noise.relative_std = number(args["relative-std"]);
+	if (args["nlos-probability"] !== undefined) options.noise.nlos_probability = number(args["nlos-probability"]);
+	if (args["shadowing-std"] !== undefined) options.noise.shadowing_std = number(args["shadowing-std"]);
+	return options;
+};
+
+/**
+ * Reads the beacon layout file as a project
+ * @param {String} file
+ */
+const loadLayout = (file) => {
+	const layout = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+	return {
+		_id: layout._id || path.basename(file),
+		...layout,
+		beacons_model: layout.beacons_model || { beacons: layout.beacons || [], storeys: layout.storeys || [] },
+	};
+};
+
+const main = async () => {
+	const args = parseArguments(process.argv.slice(2));
+	const options = getOptions(args);
+	let project;
+	let context;
+	if (args.layout !== undefined) {
+		project = loadLayout(args.layout);
+		context = projectContext.createProjectContext(project);
+	} else if (args.project !== undefined) {
+		await mongoose.connect(process.env.DB_DEVELOPMENT, { useUnifiedTopology: true, useNewUrlParser: true });
+		const projectDocument = await Project.findById(args.project);
+		if (projectDocument === null) {
+			throw new Error("Project was not Found");
+		}
+		project = projectDocument.toObject();
+		//the radio map and the settings are read from the database
+		context = projectContext.createDatabaseContext(args.project);
+	} else {
+		throw new Error("A beacon layout file (--layout) or a project (--project) is needed");
+	}
+
+	//the location methods log every estimation
+	const log = console.log;
+	console.log = () => {};
+	let report;
+	try {
+		report = await simulationServices.runSimulation(project, context, options);
+	} finally {
+		console.log = log;
+	}
+
+	if (args.json !== undefined) {
+		fs.writeFileSync(path.resolve(args.json), JSON.stringify(report, null, 2));
+	}
+	if (args.csv !== undefined) {
+		fs.writeFileSync(path.resolve(args.csv), simulationServices.toCsv(report) + "\n");
+	}
+	if (args.json === undefined) {
+		console.log(JSON.stringify(report, null, 2));
+	}
+};
+
+if (require.main === module) {
+	main()
+		.catch((err) => {
+			console.error(err.message);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+	parseArguments,
+	getOptions,
+	loadLayout,
+};
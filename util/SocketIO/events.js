@@ -10,14 +10,29 @@ const socketIO = require("./socket");
  * @param {Number} x
  * @param {Number} y
  * @param {Number} z
+ * @param {JSON} quality information about the location {storey, accuracy, covariance, gdop, beacons_used, algorithm, branch,
+ * proximity, near_beacon}
  */
 
-const emitEntityNewLocation = (projectId, entityId, x, y, z) => {
+const emitEntityNewLocation = (projectId, entityId, x, y, z, quality = {}) => {
 	const socket = new socketIO().getInstance();
-	socket.emit(`update-location`, projectId, entityId, { x, y, z });
+	socket.emit(`update-location`, projectId, entityId, { x, y, z, ...quality });
+	return;
+};
+
+/**
+ * Emits to all the subscribed Clients to the projectId an alert about the health of a beacon
+ * @param {String} projectId
+ * @param {JSON} alert {beacon_id, beacon_uid, name, status} status is "moved" or "silent" (with last_heard, hit_rate,
+ * displacement) or "low-battery" (with battery_voltage, battery_level, date)
+ */
+const emitBeaconAlert = (projectId, alert) => {
+	const socket = new socketIO().getInstance();
+	socket.emit(`beacon-alert`, projectId, alert);
 	return;
 };
 
 module.exports = {
 	emitEntityNewLocation,
+	emitBeaconAlert,
 };